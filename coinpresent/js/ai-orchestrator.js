@@ -1,6 +1,7 @@
 import { initializeOfflineModel } from "./ai/offlineModel.js";
 import { initializeProxyModel } from "./ai/proxyModel.js";
 import { initializePublicModel } from "./ai/publicModel.js";
+import { loadConfig, onConfigChange } from "./appConfig.js";
 
 let aiServices = {
   offline: null,
@@ -8,12 +9,18 @@ let aiServices = {
   public: null,
 };
 
-export function initializeAIOrchestrator() {
+export async function initializeAIOrchestrator() {
+  const { ai, features } = await loadConfig();
+  if (!features.ai) {
+    console.log("AI analysis is turned off in the configuration");
+    return;
+  }
+
   initializeOfflineModel().then((model) => {
     aiServices.offline = model;
   });
 
-  initializeProxyModel().then((client) => {
+  initializeProxyModel(ai.proxyUrl).then((client) => {
     aiServices.proxy = client;
   });
 
@@ -22,6 +29,13 @@ export function initializeAIOrchestrator() {
   });
 }
 
+// A proxy URL changed in Settings applies to the next analysis
+onConfigChange(({ ai }) => {
+  initializeProxyModel(ai.proxyUrl).then((client) => {
+    aiServices.proxy = client;
+  });
+});
+
 export async function analyzeCoinImages(files, options = {}) {
   if (aiServices.proxy) {
     try {
@@ -859,9 +859,9 @@ export async function initializeOfflineModel() {
           } else if (file instanceof HTMLImageElement) {
             console.log('Processing HTMLImageElement');
             imageElement = file;
-          } else if (typeof file === 'string' && file.startsWith('data:image/')) {
-            // Handle data URL strings
-            console.log('Processing data URL string');
+          } else if (typeof file === 'string' && (file.startsWith('data:image/') || file.startsWith('blob:'))) {
+            // Handle data URL strings and object URLs of stored images
+            console.log('Processing data/object URL string');
             imageElement = await loadImageFromDataURL(file);
           } else if (typeof file === 'string' && (file.startsWith('http://') || file.startsWith('https://'))) {
             // Handle HTTP URLs
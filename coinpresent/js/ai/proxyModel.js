@@ -1,19 +1,51 @@
 // Proxy AI Model Module
-// Handles AI processing through a proxy server
+// Handles AI processing through a proxy server. The proxy URL comes from the
+// runtime configuration (js/appConfig.js); the proxy receives
+// { images: [data URLs], options } as JSON and answers with
+// { success, results } like the other models.
+
+export async function initializeProxyModel(proxyUrl = "") {
+  if (!proxyUrl) {
+    console.log("No AI proxy configured");
+    return null;
+  }
+  console.log(`Proxy AI model using ${proxyUrl}`);
 
-export async function initializeProxyModel() {
-  console.log("Proxy AI model initialization started");
-  
-  // Placeholder for proxy model initialization
-  // This would connect to a backend proxy for AI services
-  
   return {
     analyze: async (files, options) => {
-      console.log("Proxy AI analysis not yet implemented");
-      return {
-        success: false,
-        message: "Proxy AI analysis not available"
-      };
+      const images = await Promise.all(files.map(toDataUrl));
+      const response = await fetch(proxyUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ images, options }),
+      });
+      if (!response.ok) {
+        throw new Error(`AI proxy answered ${response.status} ${response.statusText}`);
+      }
+      return response.json();
     }
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Check that the proxy answers at all; any reply below 500 counts, as the
+ * proxy may only accept POST
+ * @returns {Promise<number>} the HTTP status
+ */
+export async function testProxyConnection(proxyUrl) {
+  const response = await fetch(proxyUrl, { method: "HEAD", cache: "no-store" });
+  if (response.status >= 500) {
+    throw new Error(`AI proxy answered ${response.status} ${response.statusText}`);
+  }
+  return response.status;
+}
+
+function toDataUrl(file) {
+  if (typeof file === "string") return Promise.resolve(file);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
@@ -3,14 +3,16 @@ import { initializeCatalog } from "./catalog.js";
 import { initializeMediaGallery } from "./builder/gallery.js";
 import { initializeAIOrchestrator } from "./ai-orchestrator.js";
 import { initializeMarketIntel } from "./market-intel.js";
+import { loadConfig } from "./appConfig.js";
 
 (async function bootstrap() {
   try {
+    const { features } = await loadConfig();
     await initializeStorage();
     await initializeCatalog();
     initializeMediaGallery();
     initializeAIOrchestrator();
-    initializeMarketIntel();
+    if (features.market) initializeMarketIntel();
     console.log("Coinpresent bootstrap completed");
   } catch (error) {
     console.error("Bootstrap failure", error);
@@ -0,0 +1,211 @@
+// Runtime Configuration Module
+// Storage endpoint, keys, bucket names, the AI proxy URL and feature toggles,
+// read when the app starts instead of being baked into the source. Values
+// come from three layers, each overriding the one before:
+//   1. DEFAULT_CONFIG below
+//   2. config.json next to index.html, written by whoever hosts the app, so
+//      one build serves several deployments
+//   3. changes made in Settings, kept in this browser's localStorage
+// Only the values changed in Settings are stored, so later edits to
+// config.json still reach this browser for everything else.
+
+const CONFIG_URL = "config.json";
+const LOCAL_CONFIG_KEY = "coinAppConfig";
+
+export const STORAGE_PROVIDER_TYPES = ["supabase", "indexeddb", "folder", "s3"];
+
+export const FEATURES = {
+  ai: "AI image analysis",
+  market: "Market intelligence",
+  sync: "Collection sync across devices",
+  originals: "Upload original photos to the media bucket",
+};
+
+export const DEFAULT_CONFIG = {
+  storage: {
+    provider: "supabase",
+    supabaseUrl: "",
+    supabaseAnonKey: "",
+    mediaBucket: "coin-media",
+    datasetsBucket: "coin-datasets",
+    s3: { endpoint: "", region: "us-east-1", accessKeyId: "", secretAccessKey: "" },
+  },
+  ai: { proxyUrl: "" },
+  features: Object.fromEntries(Object.keys(FEATURES).map((feature) => [feature, true])),
+};
+
+let loading = null;
+let deployment = null;
+let current = null;
+let source = "defaults";
+const listeners = new Set();
+
+/**
+ * The configuration in use, read from config.json on the first call
+ * @returns {Promise<Object>}
+ */
+export async function loadConfig() {
+  if (!loading) loading = readConfig();
+  await loading;
+  return current;
+}
+
+/**
+ * The configuration in use; loadConfig() must have finished
+ */
+export function getConfig() {
+  if (!current) throw new Error("Configuration not loaded yet");
+  return current;
+}
+
+/**
+ * The configuration without this browser's changes
+ */
+export function getDeploymentConfig() {
+  if (!deployment) throw new Error("Configuration not loaded yet");
+  return deployment;
+}
+
+/**
+ * @returns {string} where the configuration came from, for Settings
+ */
+export function describeConfigSource() {
+  const local = readLocalChanges();
+  const changed = Object.keys(flatten(local)).length;
+  return `${source === "config.json" ? "config.json" : "Built-in defaults"}${changed > 0 ? `, ${changed} value(s) changed in this browser` : ""}`;
+}
+
+/**
+ * Problems that would stop the configuration from working
+ * @returns {string[]} empty when it is usable
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const { storage, ai } = config;
+
+  if (!STORAGE_PROVIDER_TYPES.includes(storage.provider)) {
+    errors.push(`Unknown storage provider "${storage.provider}"`);
+  }
+  ["mediaBucket", "datasetsBucket"].forEach((key) => {
+    if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(storage[key])) {
+      errors.push(`Bucket name "${storage[key]}" must be 3-63 lower-case letters, digits, dots or hyphens`);
+    }
+  });
+  if (storage.provider === "supabase") {
+    if (!isHttpUrl(storage.supabaseUrl)) errors.push("The Supabase URL must start with http:// or https://");
+    if (!storage.supabaseAnonKey) errors.push("The Supabase anon key is missing");
+  }
+  if (storage.provider === "s3") {
+    if (!isHttpUrl(storage.s3.endpoint)) errors.push("The S3 endpoint must start with http:// or https://");
+    if (!storage.s3.accessKeyId || !storage.s3.secretAccessKey) errors.push("The S3 access key and secret key are missing");
+  }
+  if (ai.proxyUrl && !isHttpUrl(ai.proxyUrl)) {
+    errors.push("The AI proxy URL must start with http:// or https://");
+  }
+  return errors;
+}
+
+/**
+ * Use a configuration from now on and keep it in this browser
+ * @param {Object} config - A complete configuration, as edited in Settings
+ * @throws {Error} listing what validateConfig found, before anything changes
+ */
+export function saveConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) throw new Error(errors.join("\n"));
+
+  const changes = unflatten(
+    Object.fromEntries(
+      Object.entries(flatten(config)).filter(([key, value]) => flatten(deployment)[key] !== value)
+    )
+  );
+  localStorage.setItem(LOCAL_CONFIG_KEY, JSON.stringify(changes));
+  apply(merge(deployment, changes));
+}
+
+/**
+ * Forget this browser's changes and use the deployment configuration
+ */
+export function resetConfig() {
+  localStorage.removeItem(LOCAL_CONFIG_KEY);
+  apply(deployment);
+}
+
+/**
+ * Call listener with the new configuration whenever it changes
+ * @returns {function(): void} stops the calls
+ */
+export function onConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function readConfig() {
+  let fromFile = {};
+  try {
+    const response = await fetch(CONFIG_URL, { cache: "no-store" });
+    if (response.ok) {
+      fromFile = await response.json();
+      source = "config.json";
+    } else if (response.status !== 404) {
+      console.warn(`Could not load ${CONFIG_URL}: ${response.status} ${response.statusText}`);
+    }
+  } catch (error) {
+    console.warn(`Could not load ${CONFIG_URL}, using the built-in defaults`, error);
+  }
+
+  deployment = merge(DEFAULT_CONFIG, fromFile);
+  current = merge(deployment, readLocalChanges());
+}
+
+function readLocalChanges() {
+  try {
+    const saved = localStorage.getItem(LOCAL_CONFIG_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.warn("Ignoring unreadable local configuration", error);
+  }
+  return {};
+}
+
+function apply(config) {
+  current = config;
+  listeners.forEach((listener) => listener(current));
+}
+
+// Values of overrides replace defaults key by key; unknown keys are dropped
+function merge(base, overrides) {
+  return Object.fromEntries(
+    Object.entries(base).map(([key, value]) => {
+      const override = overrides?.[key];
+      if (value && typeof value === "object") return [key, merge(value, override)];
+      if (override === undefined || override === null) return [key, value];
+      return [key, typeof value === "boolean" ? Boolean(override) : String(override).trim()];
+    })
+  );
+}
+
+function flatten(object, prefix = "") {
+  return Object.entries(object || {}).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === "object" ? { ...flat, ...flatten(value, path) } : { ...flat, [path]: value };
+  }, {});
+}
+
+function unflatten(flat) {
+  const object = {};
+  Object.entries(flat).forEach(([path, value]) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    keys.reduce((node, key) => (node[key] = node[key] || {}), object)[last] = value;
+  });
+  return object;
+}
+
+function isHttpUrl(text) {
+  try {
+    return ["http:", "https:"].includes(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
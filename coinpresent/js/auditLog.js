@@ -0,0 +1,175 @@
+// Audit Log Module
+// Per-coin change history. Every edit is compared field by field and each
+// changed value becomes an entry { coinId, field, oldValue, newValue,
+// timestamp, author, source }. Entries are only ever appended (see
+// collectionDb.appendAuditEntries), so undoing an edit adds entries too
+// instead of erasing the ones it reverts.
+//
+// Fields are dotted paths into the coin: "condition.grade",
+// "valuation.scenarios.silver.max". Annotations are tracked one marker at a
+// time as "annotations.<side>.<annotation id>" with the marker as value, or
+// null while it does not exist.
+
+// Coin sections whose changes are logged
+export const AUDITED_SECTIONS = ["metadata", "condition", "valuation", "acquisition", "customFields", "annotations"];
+
+const SECTION_LABELS = {
+  metadata: "Metadata",
+  condition: "Condition",
+  valuation: "Valuation",
+  acquisition: "Purchase",
+  customFields: "Custom Field",
+  annotations: "Annotation",
+};
+
+// Marker properties worth recording; ids are part of the field path
+const ANNOTATION_KEYS = ["label", "x", "y", "color"];
+
+/**
+ * Changed values between two versions of a coin
+ * @param {Object|null} before - null for a coin that was just created
+ * @param {Object|null} after - null for a coin that was deleted
+ * @returns {Array<{field: string, oldValue: *, newValue: *}>}
+ */
+export function diffCoin(before, after) {
+  if (!before || !after) {
+    return [{ field: "coin", oldValue: before ? "exists" : null, newValue: after ? "exists" : null }];
+  }
+
+  const changes = [];
+  AUDITED_SECTIONS.forEach((section) => {
+    const oldValues = flattenSection(before, section);
+    const newValues = flattenSection(after, section);
+    new Set([...oldValues.keys(), ...newValues.keys()]).forEach((field) => {
+      const oldValue = oldValues.has(field) ? oldValues.get(field) : null;
+      const newValue = newValues.has(field) ? newValues.get(field) : null;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ field, oldValue, newValue });
+      }
+    });
+  });
+  return changes;
+}
+
+/**
+ * Audit entries for one recorded edit
+ * @param {Array<{coinId: number, before: Object|null, after: Object|null}>} changes - As recorded by EditHistory
+ * @param {Object} context
+ * @param {string} context.source - What caused the change ("Edit grade of ...", "Undo: ...")
+ * @param {string} [context.author]
+ * @param {string} [context.timestamp]
+ * @returns {Object[]}
+ */
+export function createAuditEntries(changes, { source, author = "", timestamp = new Date().toISOString() }) {
+  return changes.flatMap(({ coinId, before, after }) =>
+    diffCoin(before, after).map((change) => ({ coinId, ...change, timestamp, author, source }))
+  );
+}
+
+/**
+ * Current value of an audited field, in the form entries record it
+ */
+export function valueAt(coin, field) {
+  const annotation = parseAnnotationField(field);
+  if (annotation) {
+    const marker = (coin.annotations?.[annotation.side] || []).find((a) => String(a.id) === annotation.id);
+    return marker ? pickAnnotation(marker) : null;
+  }
+  const value = field.split(".").reduce((target, key) => (target == null ? undefined : target[key]), coin);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Set an audited field of a coin back to a recorded value, in place
+ * @throws {Error} for fields that cannot be restored (coin creation/deletion)
+ */
+export function restoreValue(coin, field, value) {
+  const annotation = parseAnnotationField(field);
+  if (annotation) {
+    const markers = coin.annotations[annotation.side];
+    const index = markers.findIndex((a) => String(a.id) === annotation.id);
+    if (value === null) {
+      if (index !== -1) markers.splice(index, 1);
+    } else if (index !== -1) {
+      markers[index] = { ...markers[index], ...structuredClone(value) };
+    } else {
+      markers.push({ id: Number(annotation.id), ...structuredClone(value) });
+    }
+    return;
+  }
+
+  const keys = field.split(".");
+  if (!AUDITED_SECTIONS.includes(keys[0]) || keys.length < 2) {
+    throw new Error(`"${describeField(field)}" cannot be restored`);
+  }
+  let target = coin;
+  keys.slice(0, -1).forEach((key) => {
+    if (target[key] == null || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value === null ? "" : structuredClone(value);
+}
+
+/**
+ * Readable name of a field path, e.g. "Valuation › Scenarios › Silver › Max"
+ * @param {string} field
+ * @param {Object} [labels] - Names for custom field keys
+ */
+export function describeField(field, labels = {}) {
+  if (field === "coin") return "Coin";
+  const [section, ...rest] = field.split(".");
+  if (section === "annotations") return `${SECTION_LABELS.annotations} (${rest[0]})`;
+  if (section === "customFields") return labels[rest[0]] || humanize(rest.join(" "));
+  return [SECTION_LABELS[section] || humanize(section), ...rest.map(humanize)].join(" › ");
+}
+
+export function sectionOf(field) {
+  return field.split(".")[0];
+}
+
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "(empty)";
+  if (typeof value === "object") {
+    return [value.label || "Marker", Number.isFinite(value.x) ? `at ${Math.round(value.x)}, ${Math.round(value.y)}` : ""]
+      .filter(Boolean)
+      .join(" ");
+  }
+  return String(value);
+}
+
+function flattenSection(coin, section) {
+  const values = new Map();
+  if (section === "annotations") {
+    ["obverse", "reverse"].forEach((side) =>
+      (coin.annotations?.[side] || []).forEach((marker) =>
+        values.set(`annotations.${side}.${marker.id}`, pickAnnotation(marker))
+      )
+    );
+    return values;
+  }
+
+  const walk = (value, path) => {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, child]) => walk(child, `${path}.${key}`));
+    } else {
+      values.set(path, value ?? null);
+    }
+  };
+  walk(coin[section] || {}, section);
+  return values;
+}
+
+function pickAnnotation(marker) {
+  return Object.fromEntries(ANNOTATION_KEYS.filter((key) => marker[key] !== undefined).map((key) => [key, marker[key]]));
+}
+
+function parseAnnotationField(field) {
+  const match = field.match(/^annotations\.(obverse|reverse)\.(.+)$/);
+  return match ? { side: match[1], id: match[2] } : null;
+}
+
+function humanize(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
@@ -17,4 +17,36 @@ export async function loadSupabaseClient() {
     console.error("Failed to load Supabase client from CDN:", error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// JSZip builds and reads .zip collection archives
+export async function loadJSZip() {
+  if (window.JSZip) {
+    return window.JSZip;
+  }
+
+  try {
+    const jszipModule = await import("https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm");
+    window.JSZip = jszipModule.default;
+    return window.JSZip;
+  } catch (error) {
+    console.error("Failed to load JSZip from CDN:", error);
+    throw error;
+  }
+}
+
+// jsPDF renders the PDF collection report
+export async function loadJsPDF() {
+  if (window.jspdf) {
+    return window.jspdf.jsPDF;
+  }
+
+  try {
+    const jspdfModule = await import("https://cdn.jsdelivr.net/npm/jspdf@2.5.1/+esm");
+    window.jspdf = jspdfModule;
+    return jspdfModule.jsPDF;
+  } catch (error) {
+    console.error("Failed to load jsPDF from CDN:", error);
+    throw error;
+  }
+}
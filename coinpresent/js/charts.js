@@ -0,0 +1,170 @@
+// Charts Module
+// Small SVG charts for the statistics dashboard, built as markup strings so
+// they render without a charting library or CDN. Charts scale to the width of
+// their container through the viewBox; colours come from the stylesheet
+// (.chart-*) except for the series palette of the donut chart.
+
+const WIDTH = 400;
+const ROW_HEIGHT = 24;
+const LABEL_WIDTH = 120;
+const VALUE_WIDTH = 70;
+
+// Theme colours (styles.css :root) and a few companions for more slices
+export const CHART_PALETTE = ["#DAA520", "#8B4513", "#D2B48C", "#228B22", "#CD853F", "#A0522D", "#5D2F0A", "#8B7355", "#B8860B", "#6B8E23"];
+
+/**
+ * Horizontal bars, one row per item
+ * @param {Array<{label: string, value: number}>} items
+ * @param {Object} [options]
+ * @param {function(number): string} [options.formatValue]
+ * @param {string} [options.title] - Accessible name of the chart
+ * @returns {string} SVG markup
+ */
+export function barChart(items, { formatValue = String, title = "" } = {}) {
+  if (items.length === 0) return emptyChart();
+
+  const max = Math.max(...items.map((item) => item.value), 0) || 1;
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const rows = items.map((item, index) => {
+    const y = index * ROW_HEIGHT;
+    const width = Math.max((item.value / max) * barSpace, item.value > 0 ? 2 : 0);
+    return `
+      <g class="chart-row">
+        <title>${escapeXml(`${item.label}: ${formatValue(item.value)}`)}</title>
+        <text class="chart-label" x="${LABEL_WIDTH - 8}" y="${y + 16}" text-anchor="end">${escapeXml(truncate(item.label, 18))}</text>
+        <rect class="chart-bar" x="${LABEL_WIDTH}" y="${y + 4}" width="${round(width)}" height="${ROW_HEIGHT - 8}" rx="3"></rect>
+        <text class="chart-value" x="${round(LABEL_WIDTH + width + 6)}" y="${y + 16}">${escapeXml(formatValue(item.value))}</text>
+      </g>`;
+  });
+
+  return svg(WIDTH, items.length * ROW_HEIGHT, title, rows.join(""));
+}
+
+/**
+ * Vertical columns in the order given, for ordered categories such as
+ * decades or grade bands
+ * @param {Array<{label: string, value: number}>} items
+ * @param {Object} [options] - As for barChart
+ */
+export function columnChart(items, { formatValue = String, title = "" } = {}) {
+  if (items.length === 0) return emptyChart();
+
+  const height = 180;
+  const plotTop = 18;
+  const plotHeight = height - plotTop - 28;
+  const max = Math.max(...items.map((item) => item.value), 0) || 1;
+  const slot = WIDTH / items.length;
+  const barWidth = Math.min(slot * 0.7, 48);
+  // Narrow columns only label every few columns and leave values to the tooltip
+  const labelEvery = Math.ceil(44 / slot);
+  const showValues = slot >= 28;
+
+  const columns = items.map((item, index) => {
+    const barHeight = Math.max((item.value / max) * plotHeight, item.value > 0 ? 2 : 0);
+    const x = index * slot + (slot - barWidth) / 2;
+    const y = plotTop + plotHeight - barHeight;
+    const center = round(index * slot + slot / 2);
+    return `
+      <g class="chart-row">
+        <title>${escapeXml(`${item.label}: ${formatValue(item.value)}`)}</title>
+        <rect class="chart-bar" x="${round(x)}" y="${round(y)}" width="${round(barWidth)}" height="${round(barHeight)}" rx="3"></rect>
+        ${showValues ? `<text class="chart-value" x="${center}" y="${round(y - 4)}" text-anchor="middle">${escapeXml(formatValue(item.value))}</text>` : ""}
+        ${index % labelEvery === 0 ? `<text class="chart-label" x="${center}" y="${height - 10}" text-anchor="middle">${escapeXml(truncate(item.label, Math.max(Math.floor((slot * labelEvery) / 7), 3)))}</text>` : ""}
+      </g>`;
+  });
+
+  return svg(WIDTH, height, title, `<line class="chart-axis" x1="0" x2="${WIDTH}" y1="${plotTop + plotHeight}" y2="${plotTop + plotHeight}"></line>${columns.join("")}`);
+}
+
+/**
+ * Share of each item as a donut with a legend
+ * @param {Array<{label: string, value: number}>} items
+ * @param {Object} [options] - As for barChart
+ */
+export function donutChart(items, { formatValue = String, title = "" } = {}) {
+  const slices = items.filter((item) => item.value > 0);
+  const total = slices.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return emptyChart();
+
+  const radius = 70;
+  const center = { x: 90, y: 90 };
+  let angle = -Math.PI / 2;
+
+  const paths = slices.map((item, index) => {
+    const color = CHART_PALETTE[index % CHART_PALETTE.length];
+    const share = item.value / total;
+    const label = `${item.label}: ${formatValue(item.value)} (${Math.round(share * 100)}%)`;
+    // A single slice of 100% cannot be drawn as an arc
+    if (share >= 0.9999) {
+      return `<circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="none" stroke="${color}" stroke-width="28"><title>${escapeXml(label)}</title></circle>`;
+    }
+    const start = pointAt(center, radius, angle);
+    angle += share * Math.PI * 2;
+    const end = pointAt(center, radius, angle);
+    const largeArc = share > 0.5 ? 1 : 0;
+    return `<path d="M ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} 1 ${end.x} ${end.y}" fill="none" stroke="${color}" stroke-width="28"><title>${escapeXml(label)}</title></path>`;
+  });
+
+  const legend = slices.map((item, index) => {
+    const y = 20 + index * 20;
+    return `
+      <rect x="200" y="${y - 10}" width="12" height="12" rx="2" fill="${CHART_PALETTE[index % CHART_PALETTE.length]}"></rect>
+      <text class="chart-label" x="218" y="${y}">${escapeXml(truncate(item.label, 16))} <tspan class="chart-value">${escapeXml(formatValue(item.value))}</tspan></text>`;
+  });
+
+  return svg(WIDTH, Math.max(180, 20 + slices.length * 20), title, paths.join("") + legend.join(""));
+}
+
+/**
+ * Low-to-high ranges on one shared scale, e.g. valuation scenarios
+ * @param {Array<{label: string, min: number, max: number}>} items
+ * @param {Object} [options] - As for barChart
+ */
+export function rangeChart(items, { formatValue = String, title = "" } = {}) {
+  if (items.length === 0) return emptyChart();
+
+  const max = Math.max(...items.map((item) => item.max), 0) || 1;
+  const barSpace = WIDTH - LABEL_WIDTH - 20;
+  const rowHeight = ROW_HEIGHT + 12;
+  const rows = items.map((item, index) => {
+    const y = index * rowHeight;
+    const x1 = LABEL_WIDTH + (item.min / max) * barSpace;
+    const x2 = LABEL_WIDTH + (item.max / max) * barSpace;
+    return `
+      <g class="chart-row">
+        <title>${escapeXml(`${item.label}: ${formatValue(item.min)} - ${formatValue(item.max)}`)}</title>
+        <text class="chart-label" x="${LABEL_WIDTH - 8}" y="${y + 16}" text-anchor="end">${escapeXml(truncate(item.label, 18))}</text>
+        <line class="chart-axis" x1="${LABEL_WIDTH}" x2="${WIDTH - 20}" y1="${y + 12}" y2="${y + 12}"></line>
+        <rect class="chart-range" x="${round(x1)}" y="${y + 5}" width="${round(Math.max(x2 - x1, 2))}" height="14" rx="7"></rect>
+        <text class="chart-value" x="${round(x1)}" y="${y + rowHeight - 3}">${escapeXml(formatValue(item.min))}</text>
+        <text class="chart-value" x="${round(x2)}" y="${y + rowHeight - 3}" text-anchor="end">${escapeXml(formatValue(item.max))}</text>
+      </g>`;
+  });
+
+  return svg(WIDTH, items.length * rowHeight, title, rows.join(""));
+}
+
+function svg(width, height, title, content) {
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}" preserveAspectRatio="xMinYMin meet">${content}</svg>`;
+}
+
+function emptyChart() {
+  return `<p class="chart-empty">No data yet</p>`;
+}
+
+function pointAt(center, radius, angle) {
+  return { x: round(center.x + radius * Math.cos(angle)), y: round(center.y + radius * Math.sin(angle)) };
+}
+
+function truncate(text, length) {
+  const value = String(text);
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
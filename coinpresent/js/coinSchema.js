@@ -0,0 +1,372 @@
+// Coin Schema Module
+// Defines the current shape of a coin record and the ordered migrations that
+// bring collections saved by older versions (or imported from older exports)
+// up to that shape.
+
+import { createAcquisition } from "./provenance.js";
+import { createAssessment } from "./conditionAssessment.js";
+
+export const COIN_SCHEMA_VERSION = 7;
+
+export const METADATA_FIELDS = [
+  "country",
+  "year",
+  "denomination",
+  "metal",
+  "diameter",
+  "weight",
+  "mintmark",
+  "edge",
+  "mintage",
+];
+
+export const CONDITION_FIELDS = ["grade", "notes", "wear", "luster", "strike"];
+
+export const DEFAULT_VALUATION_SCENARIOS = {
+  common: { min: 5, max: 40, description: "Common circulated coin" },
+  silver: { min: 20, max: 200, description: "Silver content value" },
+  collectible: { min: 200, max: 5000, description: "Rare or high-grade collectible" },
+};
+
+// The grade dropdown used to store Poor and Fair under these; PR is Proof
+const LEGACY_GRADES = { "PR-1": "PO-1", "FA-2": "FR-2" };
+
+/**
+ * Build a coin in the current schema
+ * @param {Object} fields - Values that override the defaults (id, title, ...)
+ */
+export function createCoin(fields = {}) {
+  const now = new Date().toISOString();
+  const coin = {
+    id: null,
+    title: "",
+    description: "",
+    images: { obverse: null, reverse: null },
+    // Media store references of the full-size photos; images holds thumbnails
+    originals: { obverse: null, reverse: null },
+    media: { images: [], videos: [] },
+    annotations: { obverse: [], reverse: [] },
+    metadata: Object.fromEntries(METADATA_FIELDS.map((field) => [field, ""])),
+    condition: {
+      ...Object.fromEntries(CONDITION_FIELDS.map((field) => [field, ""])),
+      assessment: createAssessment(),
+    },
+    valuation: {
+      scenarios: cloneScenarios(DEFAULT_VALUATION_SCENARIOS),
+      currentEstimate: "",
+      marketNotes: "",
+    },
+    aiAnalysis: { obverse: null, reverse: null },
+    tags: [],
+    customFields: {},
+    acquisition: createAcquisition(),
+    provenance: [],
+    notes: "",
+    created: now,
+    modified: now,
+  };
+  return { ...coin, ...fields };
+}
+
+/**
+ * Ordered list of migrations. Each one upgrades a single coin record from
+ * version - 1 to version, mutating it in place and reporting what it changed
+ * through the `changed` callback.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Normalize coin records to the v1 shape",
+    migrate(coin, changed) {
+      const defaults = createCoin({ id: coin.id });
+
+      for (const key of ["title", "description", "notes"]) {
+        if (typeof coin[key] !== "string") {
+          coin[key] = coin[key] == null ? "" : String(coin[key]);
+          changed(key);
+        }
+      }
+
+      for (const key of ["created", "modified"]) {
+        if (!coin[key]) {
+          coin[key] = defaults[key];
+          changed(key);
+        }
+      }
+
+      if (!isPlainObject(coin.images)) {
+        coin.images = defaults.images;
+        changed("images");
+      }
+      for (const side of ["obverse", "reverse"]) {
+        if (coin.images[side] === undefined || coin.images[side] === "") {
+          coin.images[side] = null;
+          changed(`images.${side}`);
+        }
+      }
+
+      if (!isPlainObject(coin.media)) {
+        coin.media = defaults.media;
+        changed("media");
+      }
+      for (const kind of ["images", "videos"]) {
+        if (!Array.isArray(coin.media[kind])) {
+          coin.media[kind] = [];
+          changed(`media.${kind}`);
+        }
+      }
+
+      if (!isPlainObject(coin.annotations)) {
+        coin.annotations = defaults.annotations;
+        changed("annotations");
+      }
+      for (const side of ["obverse", "reverse"]) {
+        if (!Array.isArray(coin.annotations[side])) {
+          coin.annotations[side] = [];
+          changed(`annotations.${side}`);
+        }
+      }
+
+      fillFields(coin, "metadata", METADATA_FIELDS, changed);
+      fillFields(coin, "condition", CONDITION_FIELDS, changed);
+
+      if (!isPlainObject(coin.valuation)) {
+        coin.valuation = defaults.valuation;
+        changed("valuation");
+      }
+      if (!isPlainObject(coin.valuation.scenarios)) {
+        coin.valuation.scenarios = cloneScenarios(DEFAULT_VALUATION_SCENARIOS);
+        changed("valuation.scenarios");
+      }
+      for (const [name, scenario] of Object.entries(DEFAULT_VALUATION_SCENARIOS)) {
+        if (!isPlainObject(coin.valuation.scenarios[name])) {
+          coin.valuation.scenarios[name] = { ...scenario };
+          changed(`valuation.scenarios.${name}`);
+        }
+      }
+      for (const key of ["currentEstimate", "marketNotes"]) {
+        if (coin.valuation[key] == null) {
+          coin.valuation[key] = "";
+          changed(`valuation.${key}`);
+        }
+      }
+
+      if (!isPlainObject(coin.aiAnalysis)) {
+        coin.aiAnalysis = defaults.aiAnalysis;
+        changed("aiAnalysis");
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Add a tags list to every coin",
+    migrate(coin, changed) {
+      if (!Array.isArray(coin.tags)) {
+        coin.tags = [];
+        changed("tags");
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Add custom field values to every coin",
+    migrate(coin, changed) {
+      if (!isPlainObject(coin.customFields)) {
+        coin.customFields = {};
+        changed("customFields");
+      }
+    },
+  },
+  {
+    version: 4,
+    description: "Add purchase details and a provenance chain to every coin",
+    migrate(coin, changed) {
+      if (!isPlainObject(coin.acquisition)) {
+        coin.acquisition = createAcquisition();
+        changed("acquisition");
+      }
+      for (const [key, value] of Object.entries(createAcquisition())) {
+        if (coin.acquisition[key] == null) {
+          coin.acquisition[key] = value;
+          changed(`acquisition.${key}`);
+        }
+      }
+      if (!Array.isArray(coin.provenance)) {
+        coin.provenance = [];
+        changed("provenance");
+      }
+    },
+  },
+  {
+    version: 5,
+    description: "Add a structured condition assessment to every coin",
+    migrate(coin, changed) {
+      fillFields(coin, "condition", CONDITION_FIELDS, changed);
+      if (!isPlainObject(coin.condition.assessment)) {
+        coin.condition.assessment = createAssessment();
+        changed("condition.assessment");
+        return;
+      }
+      const assessment = coin.condition.assessment;
+      if (!isPlainObject(assessment.areas)) {
+        assessment.areas = {};
+        changed("condition.assessment.areas");
+      }
+      fillDefaults(assessment, createAssessment());
+      if (!Array.isArray(assessment.problems)) {
+        assessment.problems = [];
+        changed("condition.assessment.problems");
+      }
+    },
+  },
+  {
+    version: 6,
+    description: "Add media store references for original images",
+    migrate(coin, changed) {
+      if (!isPlainObject(coin.originals)) {
+        coin.originals = { obverse: null, reverse: null };
+        changed("originals");
+      }
+      for (const side of ["obverse", "reverse"]) {
+        if (coin.originals[side] === undefined) {
+          coin.originals[side] = null;
+          changed(`originals.${side}`);
+        }
+      }
+    },
+  },
+  {
+    version: 7,
+    description: "Store Poor and Fair grades as PO-1 and FR-2",
+    migrate(coin, changed) {
+      const grade = LEGACY_GRADES[coin.condition?.grade];
+      if (grade) {
+        coin.condition.grade = grade;
+        changed("condition.grade");
+      }
+    },
+  },
+];
+
+/**
+ * Run every migration newer than fromVersion over the coins, in order.
+ * Coins are updated in place.
+ * @param {Object[]} coins
+ * @param {number} fromVersion - schemaVersion the coins were saved with
+ * @returns {{coins: Object[], schemaVersion: number, log: Object[]}} log has
+ *   one entry per migration that changed at least one coin
+ */
+export function migrateCollection(coins, fromVersion = 0) {
+  const log = [];
+
+  if (fromVersion > COIN_SCHEMA_VERSION) {
+    throw new Error(
+      `Collection uses schema v${fromVersion}, newer than supported v${COIN_SCHEMA_VERSION}`
+    );
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+
+    const fieldsChanged = new Set();
+    let coinsChanged = 0;
+
+    for (const coin of coins) {
+      let coinChanged = false;
+      migration.migrate(coin, (field) => {
+        fieldsChanged.add(field);
+        coinChanged = true;
+      });
+      if (coinChanged) coinsChanged++;
+    }
+
+    if (coinsChanged > 0) {
+      log.push({
+        version: migration.version,
+        description: migration.description,
+        coinsChanged,
+        fields: Array.from(fieldsChanged),
+      });
+    }
+  }
+
+  return { coins, schemaVersion: COIN_SCHEMA_VERSION, log };
+}
+
+/**
+ * Accept a parsed JSON export (either the current envelope or the bare coin
+ * array written before exports were versioned) and migrate its coins
+ */
+export function migrateImportedCollection(data) {
+  if (Array.isArray(data)) {
+    return migrateCollection(data.filter(isPlainObject), 0);
+  }
+  if (isPlainObject(data) && Array.isArray(data.coins)) {
+    return migrateCollection(
+      data.coins.filter(isPlainObject),
+      Number(data.schemaVersion) || 0
+    );
+  }
+  throw new Error("File does not contain a coin collection");
+}
+
+/**
+ * Fill anything missing from a coin with the defaults of the current schema.
+ * Imported files can claim the current version yet omit whole sections
+ * (exports leave out what was unchecked), so migrations alone are not enough.
+ */
+export function normalizeCoin(coin) {
+  return fillDefaults(coin, createCoin({ id: coin.id }));
+}
+
+/**
+ * Wrap exported coins with the schema version they were written with
+ * @param {Object[]} coins
+ * @param {Object[]} [fieldDefinitions] - The collection's custom fields (customFields.js)
+ * @param {Object} [included] - The export modal's includeImages,
+ *   includeAnnotations, includeValuations and includeNotes choices; left out
+ *   for exports that hold every section
+ */
+export function createExportEnvelope(coins, fieldDefinitions = [], included = null) {
+  return {
+    schemaVersion: COIN_SCHEMA_VERSION,
+    exported: new Date().toISOString(),
+    ...(included ? { included } : {}),
+    fieldDefinitions,
+    coins,
+  };
+}
+
+function fillFields(coin, section, fields, changed) {
+  if (!isPlainObject(coin[section])) {
+    coin[section] = {};
+    changed(section);
+  }
+  for (const field of fields) {
+    if (coin[section][field] == null) {
+      coin[section][field] = "";
+      changed(`${section}.${field}`);
+    }
+  }
+}
+
+function fillDefaults(target, defaults) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (target[key] == null) {
+      target[key] = value;
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      fillDefaults(target[key], value);
+    }
+  }
+  return target;
+}
+
+function cloneScenarios(scenarios) {
+  return Object.fromEntries(
+    Object.entries(scenarios).map(([name, scenario]) => [name, { ...scenario }])
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
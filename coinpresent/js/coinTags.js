@@ -0,0 +1,78 @@
+// Coin Tags Module
+// Free-form labels on coins ("1881 lot", "to grade", "key date"). Tags
+// compare case-insensitively and keep the spelling they were first added with.
+
+/**
+ * Split user input such as "silver, key date; 1881 lot" into tags. A tag in
+ * double quotes may contain commas and semicolons ("" for a quote), as
+ * written by formatTags.
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+  const tags = [];
+  let current = "";
+  let quoted = false;
+  const input = String(text ?? "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' && current.trim() === "") {
+      quoted = true;
+    } else if (char === "," || char === ";") {
+      tags.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  tags.push(current);
+
+  return addTags(
+    [],
+    tags.map((tag) => tag.trim().replace(/\s+/g, " "))
+  );
+}
+
+/**
+ * Tags as one line of text that parseTags reads back unchanged
+ * @param {string[]} tags
+ */
+export function formatTags(tags = []) {
+  return tags
+    .map((tag) => (/[,;"]/.test(tag) ? `"${tag.replace(/"/g, '""')}"` : tag))
+    .join("; ");
+}
+
+/**
+ * Tags with additions appended, skipping blanks and duplicates
+ * @param {string[]} tags
+ * @param {string[]} additions
+ * @returns {string[]} a new array
+ */
+export function addTags(tags = [], additions = []) {
+  const result = [...tags];
+  const seen = new Set(result.map(tagKey));
+  additions.forEach((tag) => {
+    if (!tag || seen.has(tagKey(tag))) return;
+    seen.add(tagKey(tag));
+    result.push(tag);
+  });
+  return result;
+}
+
+export function removeTag(tags = [], tag) {
+  return tags.filter((candidate) => tagKey(candidate) !== tagKey(tag));
+}
+
+export function tagKey(tag) {
+  return String(tag).trim().toLowerCase();
+}
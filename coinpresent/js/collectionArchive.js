@@ -0,0 +1,225 @@
+// Collection Archive Module
+// Writes a collection as a .zip file: a collection.json manifest plus one
+// folder per coin holding its images and media as ordinary files, and reads
+// such archives back for the import preview.
+//
+//   collection.json
+//   coins/12-1881-s-morgan-dollar/obverse.jpg
+//   coins/12-1881-s-morgan-dollar/reverse.jpg
+//   coins/12-1881-s-morgan-dollar/originals/obverse.jpg
+//   coins/12-1881-s-morgan-dollar/media/01-edge-detail.png
+//
+// In the manifest each image URL is replaced by its path inside the archive.
+// URLs that point elsewhere (http, https) are kept as they are. Originals
+// keep their media store reference, with url set to the file's path.
+
+import { loadJSZip } from "./cdnClients.js";
+import { createExportEnvelope } from "./coinSchema.js";
+
+export const MANIFEST_NAME = "collection.json";
+export const ARCHIVE_FORMAT = "coinpresent-archive";
+const ARCHIVE_FORMAT_VERSION = 1;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/heic": "heic",
+  "image/tiff": "tif",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+};
+
+/**
+ * Build an archive of the given coins
+ * @param {Object[]} coins - Coins as held in memory (object or data URLs)
+ * @param {Object} [options]
+ * @param {string} [options.collectionName]
+ * @param {Object[]} [options.fieldDefinitions] - The collection's custom fields
+ * @param {function(Object): Promise<Blob|null>} [options.readOriginal] - Contents
+ *   of a media store reference; null leaves the original out
+ * @returns {Promise<Blob>}
+ */
+export async function createCollectionArchive(
+  coins,
+  { collectionName = "", fieldDefinitions = [], readOriginal = async () => null } = {}
+) {
+  const JSZip = await loadJSZip();
+  const zip = new JSZip();
+  const manifestCoins = [];
+
+  for (const coin of coins) {
+    const folder = `coins/${coinFolderName(coin)}`;
+    const entry = structuredClone(coin);
+
+    entry.originals = {};
+    for (const side of ["obverse", "reverse"]) {
+      entry.images[side] = await addFile(zip, coin.images?.[side], `${folder}/${side}`);
+      entry.originals[side] = await addOriginal(zip, coin.originals?.[side], `${folder}/originals/${side}`, readOriginal);
+    }
+
+    for (const kind of ["images", "videos"]) {
+      entry.media[kind] = [];
+      for (const [index, item] of (coin.media?.[kind] || []).entries()) {
+        const name = `${kind === "videos" ? "video-" : ""}${String(index + 1).padStart(2, "0")}-${slugify(item.title || kind)}`;
+        const copy = { ...item, url: await addFile(zip, item.url, `${folder}/media/${name}`) };
+        if (item.original) {
+          copy.original = await addOriginal(zip, item.original, `${folder}/media/originals/${name}`, readOriginal);
+        }
+        entry.media[kind].push(copy);
+      }
+    }
+
+    manifestCoins.push(entry);
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    collection: { name: collectionName },
+    ...createExportEnvelope(manifestCoins, fieldDefinitions),
+  };
+  zip.file(MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+/**
+ * Read an archive written by createCollectionArchive
+ * @param {Blob} file
+ * @param {Object} [options]
+ * @param {boolean} [options.dataUrls] - Data URLs instead of object URLs, for
+ *   storage that keeps only text (localStorage)
+ * @returns {Promise<{data: Object, collectionName: string, warnings: string[]}>}
+ *   data is the manifest with archive paths replaced by object URLs
+ */
+export async function readCollectionArchive(file, { dataUrls = false } = {}) {
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error(`File is not a zip archive: ${error.message}`);
+  }
+
+  const manifestFile = zip.file(MANIFEST_NAME);
+  if (!manifestFile) {
+    throw new Error(`Archive has no ${MANIFEST_NAME}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await manifestFile.async("string"));
+  } catch (error) {
+    throw new Error(`${MANIFEST_NAME} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(data?.coins)) {
+    throw new Error(`${MANIFEST_NAME} does not contain a coin collection`);
+  }
+
+  const warnings = [];
+  const resolve = async (path, owner) => {
+    if (typeof path !== "string" || !path || isExternalUrl(path)) return path ?? null;
+
+    const entry = zip.file(path);
+    if (!entry) {
+      warnings.push(`"${owner}": ${path} is missing from the archive`);
+      return null;
+    }
+    if (dataUrls) {
+      return `data:${mimeTypeFor(path)};base64,${await entry.async("base64")}`;
+    }
+    const bytes = await entry.async("arraybuffer");
+    return URL.createObjectURL(new Blob([bytes], { type: mimeTypeFor(path) }));
+  };
+
+  // An original whose file is missing keeps its bare reference
+  const resolveOriginal = async (ref, owner) => {
+    if (!ref?.url) return;
+    const url = await resolve(ref.url, owner);
+    if (url) ref.url = url;
+    else delete ref.url;
+  };
+
+  for (const coin of data.coins) {
+    if (!coin || typeof coin !== "object") continue;
+    const owner = coin.title || `Coin ${coin.id}`;
+
+    if (coin.images && typeof coin.images === "object") {
+      for (const side of ["obverse", "reverse"]) {
+        coin.images[side] = await resolve(coin.images[side], owner);
+      }
+    }
+    if (coin.originals && typeof coin.originals === "object") {
+      for (const side of ["obverse", "reverse"]) {
+        await resolveOriginal(coin.originals[side], owner);
+      }
+    }
+    for (const kind of ["images", "videos"]) {
+      if (!Array.isArray(coin.media?.[kind])) continue;
+      for (const item of coin.media[kind]) {
+        if (!item) continue;
+        item.url = await resolve(item.url, owner);
+        await resolveOriginal(item.original, owner);
+      }
+      coin.media[kind] = coin.media[kind].filter((item) => item?.url);
+    }
+  }
+
+  return { data, collectionName: data.collection?.name || "", warnings };
+}
+
+export function isArchiveFile(file) {
+  return /\.zip$/i.test(file.name) || file.type === "application/zip";
+}
+
+// Store a coin image in the archive and return its path there
+async function addFile(zip, url, basePath) {
+  if (!url) return null;
+  if (isExternalUrl(url)) return url;
+
+  const blob = await (await fetch(url)).blob();
+  const path = `${basePath}.${EXTENSIONS[blob.type] || "bin"}`;
+  // Photos and video are already compressed
+  zip.file(path, await blob.arrayBuffer(), { compression: "STORE" });
+  return path;
+}
+
+// Store the file behind a media store reference and return the reference
+// with url set to its path in the archive
+async function addOriginal(zip, ref, basePath, readOriginal) {
+  if (!ref) return null;
+
+  const blob = await readOriginal(ref);
+  if (!blob) return ref;
+  const extension = EXTENSIONS[blob.type] || EXTENSIONS[ref.type] || "bin";
+  const path = `${basePath}.${extension}`;
+  zip.file(path, await blob.arrayBuffer(), { compression: "STORE" });
+  return { ...ref, url: path };
+}
+
+function coinFolderName(coin) {
+  const label = [coin.metadata?.year, coin.metadata?.mintmark, coin.title].filter(Boolean).join(" ");
+  return `${coin.id}-${slugify(label) || "coin"}`;
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+function mimeTypeFor(path) {
+  const extension = path.split(".").pop().toLowerCase().replace("jpeg", "jpg");
+  const match = Object.entries(EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : "application/octet-stream";
+}
+
+function isExternalUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
@@ -0,0 +1,227 @@
+// Collection CSV Module
+// RFC 4180 CSV for spreadsheets. Nested coin fields are flattened into
+// dotted column keys (metadata.country, valuation.scenarios.silver.min),
+// which are also used as the header row so an export imports back as is.
+
+import { METADATA_FIELDS, CONDITION_FIELDS, DEFAULT_VALUATION_SCENARIOS } from "./coinSchema.js";
+import { parseTags, formatTags } from "./coinTags.js";
+import { ACQUISITION_LABELS } from "./provenance.js";
+
+const SCENARIO_FIELDS = ["min", "max", "description"];
+const NUMBER_FIELDS = /^(id|valuation\.scenarios\.[^.]+\.(min|max))$/;
+
+// Spreadsheet headings commonly used for the same fields
+const HEADER_ALIASES = {
+  name: "title",
+  coin: "title",
+  estimate: "valuation.currentEstimate",
+  value: "valuation.currentEstimate",
+  "market notes": "valuation.marketNotes",
+  "mint mark": "metadata.mintmark",
+  mint: "metadata.mintmark",
+  date: "metadata.year",
+  composition: "metadata.metal",
+  material: "metadata.metal",
+};
+
+/**
+ * Columns available for the given coins: the schema's fields, every
+ * valuation scenario any coin has and the collection's custom fields
+ * @param {Object[]} [coins]
+ * @param {Object} [options]
+ * @param {Object[]} [options.fieldDefinitions] - Custom fields (customFields.js)
+ * @returns {Array<{key: string, label: string, group: string}>}
+ */
+export function getCsvColumns(coins = [], { fieldDefinitions = [] } = {}) {
+  const scenarios = new Set(Object.keys(DEFAULT_VALUATION_SCENARIOS));
+  coins.forEach((coin) => Object.keys(coin.valuation?.scenarios || {}).forEach((name) => scenarios.add(name)));
+
+  return [
+    { key: "id", label: "ID", group: "Coin" },
+    { key: "title", label: "Title", group: "Coin" },
+    { key: "description", label: "Description", group: "Coin" },
+    ...METADATA_FIELDS.map((field) => ({ key: `metadata.${field}`, label: capitalize(field), group: "Metadata" })),
+    ...CONDITION_FIELDS.map((field) => ({
+      key: `condition.${field}`,
+      label: field === "notes" ? "Condition Notes" : capitalize(field),
+      group: "Condition",
+    })),
+    { key: "valuation.currentEstimate", label: "Current Estimate", group: "Valuation" },
+    { key: "valuation.marketNotes", label: "Market Notes", group: "Valuation" },
+    ...Object.entries(ACQUISITION_LABELS).map(([field, label]) => ({
+      key: `acquisition.${field}`,
+      label,
+      group: "Acquisition",
+    })),
+    ...Array.from(scenarios).flatMap((name) =>
+      SCENARIO_FIELDS.map((field) => ({
+        key: `valuation.scenarios.${name}.${field}`,
+        label: `${capitalize(name)} ${capitalize(field)}`,
+        group: "Valuation",
+      }))
+    ),
+    ...fieldDefinitions.map((definition) => ({
+      key: `customFields.${definition.key}`,
+      label: definition.label,
+      group: "Custom Fields",
+    })),
+    { key: "tags", label: "Tags", group: "Notes" },
+    { key: "notes", label: "Notes", group: "Notes" },
+    { key: "created", label: "Created", group: "Dates" },
+    { key: "modified", label: "Modified", group: "Dates" },
+  ];
+}
+
+/**
+ * Write coins as CSV
+ * @param {Object[]} coins
+ * @param {string[]} columnKeys - Dotted paths, in output order
+ */
+export function toCsv(coins, columnKeys) {
+  const rows = [columnKeys, ...coins.map((coin) => columnKeys.map((key) => formatValue(getPath(coin, key))))];
+  return rows.map((row) => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV text into rows of strings. Accepts quoted fields with embedded
+ * commas, quotes ("") and line breaks, CRLF or LF line endings and a BOM.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV ends inside a quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Spreadsheets often append empty lines
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Guess the coin field for each CSV header
+ * @param {string[]} headers
+ * @param {Array<{key: string, label: string}>} columns - getCsvColumns()
+ * @returns {string[]} a column key per header, "" where nothing fits
+ */
+export function suggestMapping(headers, columns) {
+  const byName = new Map();
+  columns.forEach((column) => {
+    byName.set(column.key.toLowerCase(), column.key);
+    byName.set(column.label.toLowerCase(), column.key);
+    const lastSegment = column.key.split(".").pop().toLowerCase();
+    if (!column.key.startsWith("valuation.scenarios.") && !byName.has(lastSegment)) {
+      byName.set(lastSegment, column.key);
+    }
+  });
+  Object.entries(HEADER_ALIASES).forEach(([alias, key]) => {
+    if (!byName.has(alias)) byName.set(alias, key);
+  });
+
+  const taken = new Set();
+  return headers.map((header) => {
+    const name = header.trim().toLowerCase();
+    let key = byName.get(name) || "";
+    // Scenario columns written by another collection still map directly
+    if (!key && /^valuation\.scenarios\.[^.]+\.(min|max|description)$/.test(header.trim())) {
+      key = header.trim();
+    }
+    if (!key || taken.has(key)) return "";
+    taken.add(key);
+    return key;
+  });
+}
+
+/**
+ * Build partial coin records from CSV rows. Empty cells are left out so
+ * importing into existing coins never blanks a field.
+ * @param {string[][]} rows - Data rows, without the header
+ * @param {string[]} mapping - Column key per CSV column, "" to ignore
+ * @returns {Object[]}
+ */
+export function rowsToCoins(rows, mapping) {
+  return rows.map((row) => {
+    const coin = {};
+    mapping.forEach((key, index) => {
+      const value = (row[index] ?? "").trim();
+      if (!key || value === "") return;
+      if (key === "tags") {
+        coin.tags = parseTags(value);
+      } else {
+        setPath(coin, key, NUMBER_FIELDS.test(key) ? toNumber(value) : value);
+      }
+    });
+    return coin;
+  });
+}
+
+// Lists (tags) share one cell, separated like they are typed
+function formatValue(value) {
+  return Array.isArray(value) ? formatTags(value) : value;
+}
+
+function formatCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split(".");
+  let target = object;
+  keys.slice(0, -1).forEach((key) => {
+    if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+// Keep the raw text when it is not a number so validation can report it
+function toNumber(value) {
+  const number = Number(value.replace(/[$,\s]/g, ""));
+  return Number.isFinite(number) ? number : value;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
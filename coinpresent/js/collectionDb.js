@@ -0,0 +1,818 @@
+// Collection Database Module
+// IndexedDB persistence for coin collections. Coin records and image blobs
+// live in separate object stores, so photos are kept at full quality instead
+// of being squeezed into the ~5MB localStorage quota. Several named
+// collections share one database; their coins are keyed by collection id.
+// The audit log is a store of its own that entries are only added to.
+// Bucket writes that failed (storage.js) wait in the outbox store until they
+// can be sent, keyed by what they write, so a newer write replaces an older
+// one to the same file. The files store holds the buckets of the IndexedDB
+// storage provider (js/storage/indexedDbProvider.js). Undo/redo commands are
+// records of their own in the history store, written once when recorded.
+
+const DB_NAME = "RareCoinCollection";
+const DB_VERSION = 1;
+
+const COLLECTIONS_STORE = "collections";
+const COINS_STORE = "collectionCoins";
+const IMAGES_STORE = "images";
+const META_STORE = "meta";
+const AUDIT_STORE = "auditLog";
+const OUTBOX_STORE = "outbox";
+const FILES_STORE = "files";
+const HISTORY_STORE = "history";
+
+// Keys used by the localStorage implementation this module replaces
+const LEGACY_COLLECTION_KEY = "coinCollection";
+const LEGACY_META_KEY = "coinCollectionMeta";
+
+// Per-collection meta records are stored as "<key>:<collection id>". The
+// history meta record lists which stored commands are on which stack.
+const META_KEY = "coinCollectionMeta";
+const HISTORY_KEY = "editHistory";
+const ACTIVE_COLLECTION_KEY = "activeCollection";
+
+// Device settings are meta records keyed "setting:<name>"
+const SETTING_PREFIX = "setting:";
+
+export const DEFAULT_COLLECTION_ID = "default";
+const DEFAULT_COLLECTION_NAME = "My Collection";
+
+// Stored coins reference their images as "idb:<sha-256 of the blob>"
+const IMAGE_REF_PREFIX = "idb:";
+
+let dbPromise = null;
+
+// Set when saveHistory deleted commands whose snapshots held images; the
+// next saveCollection removes those no coin uses any more
+let historyDroppedImages = false;
+
+// Object URLs handed out for stored blobs, and the reverse lookup used when
+// the same URL comes back in a coin that is being saved again
+const objectUrlsByHash = new Map();
+const hashesByUrl = new Map();
+
+export function isCollectionDbSupported() {
+  return typeof indexedDB !== "undefined";
+}
+
+export function openCollectionDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(IMAGES_STORE, { keyPath: "hash" });
+      db.createObjectStore(META_STORE, { keyPath: "key" });
+      db.createObjectStore(COLLECTIONS_STORE, { keyPath: "id" });
+      const coinStore = db.createObjectStore(COINS_STORE, {
+        keyPath: ["collectionId", "id"],
+      });
+      coinStore.createIndex("collectionId", "collectionId");
+      const auditStore = db.createObjectStore(AUDIT_STORE, {
+        keyPath: "seq",
+        autoIncrement: true,
+      });
+      auditStore.createIndex("coin", ["collectionId", "coinId"]);
+      auditStore.createIndex("collectionId", "collectionId");
+      db.createObjectStore(OUTBOX_STORE, { keyPath: "key" });
+      db.createObjectStore(FILES_STORE, { keyPath: ["bucket", "path"] });
+      db.createObjectStore(HISTORY_STORE, { keyPath: ["collectionId", "seq"] });
+    };
+
+    let blocked = false;
+    request.onsuccess = () => {
+      const db = request.result;
+      // Opened after all once the other tab let go; this attempt already failed
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Step aside when a newer version in another tab upgrades the
+      // database; the next call here opens it again
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    // Another tab keeps an older version open and does not let go
+    request.onblocked = () => {
+      blocked = true;
+      const error = new Error("Collection database is in use by another open tab; close that tab and reload");
+      error.name = "BlockedError";
+      reject(error);
+    };
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * List the named collections, oldest first, with their coin counts
+ * @returns {Promise<Array<{id: string, name: string, created: string, modified: string, coinCount: number}>>}
+ */
+export async function listCollections() {
+  const db = await openCollectionDb();
+  const tx = db.transaction([COLLECTIONS_STORE, COINS_STORE]);
+  const collections = await requestToPromise(tx.objectStore(COLLECTIONS_STORE).getAll());
+  const index = tx.objectStore(COINS_STORE).index("collectionId");
+
+  for (const collection of collections) {
+    collection.coinCount = await requestToPromise(index.count(collection.id));
+  }
+  return collections.sort((a, b) => a.created.localeCompare(b.created));
+}
+
+export async function createCollection(name) {
+  const now = new Date().toISOString();
+  const collection = {
+    id: `col_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim() || "Untitled Collection",
+    created: now,
+    modified: now,
+  };
+
+  const db = await openCollectionDb();
+  const tx = db.transaction(COLLECTIONS_STORE, "readwrite");
+  tx.objectStore(COLLECTIONS_STORE).put(collection);
+  await transactionDone(tx);
+  return collection;
+}
+
+export async function renameCollection(collectionId, name) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(COLLECTIONS_STORE, "readwrite");
+  const store = tx.objectStore(COLLECTIONS_STORE);
+  const collection = await requestToPromise(store.get(collectionId));
+  if (!collection) throw new Error(`Collection ${collectionId} not found`);
+
+  collection.name = name.trim() || collection.name;
+  collection.modified = new Date().toISOString();
+  store.put(collection);
+  await transactionDone(tx);
+  return collection;
+}
+
+// Remove a collection with its coins, metadata, history and audit log
+export async function deleteCollection(collectionId) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(
+    [COLLECTIONS_STORE, COINS_STORE, META_STORE, AUDIT_STORE, HISTORY_STORE],
+    "readwrite"
+  );
+  tx.objectStore(COLLECTIONS_STORE).delete(collectionId);
+  tx.objectStore(COINS_STORE).delete(collectionRange(collectionId));
+  tx.objectStore(HISTORY_STORE).delete(collectionRange(collectionId));
+  tx.objectStore(META_STORE).delete(scopedKey(META_KEY, collectionId));
+  tx.objectStore(META_STORE).delete(scopedKey(HISTORY_KEY, collectionId));
+  const auditKeys = await requestToPromise(
+    tx.objectStore(AUDIT_STORE).index("collectionId").getAllKeys(collectionId)
+  );
+  auditKeys.forEach((key) => tx.objectStore(AUDIT_STORE).delete(key));
+  await transactionDone(tx);
+
+  await collectUnusedImages();
+}
+
+/**
+ * A device setting that localStorage cannot hold, such as a directory handle
+ * @returns {Promise<*>} undefined when it was never saved
+ */
+export async function loadSetting(name) {
+  const db = await openCollectionDb();
+  const record = await requestToPromise(
+    db.transaction(META_STORE).objectStore(META_STORE).get(SETTING_PREFIX + name)
+  );
+  return record ? record.value : undefined;
+}
+
+export async function saveSetting(name, value) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(META_STORE, "readwrite");
+  tx.objectStore(META_STORE).put({ key: SETTING_PREFIX + name, value });
+  await transactionDone(tx);
+}
+
+export async function getActiveCollectionId() {
+  const db = await openCollectionDb();
+  const record = await requestToPromise(
+    db.transaction(META_STORE).objectStore(META_STORE).get(ACTIVE_COLLECTION_KEY)
+  );
+  return record ? record.value : DEFAULT_COLLECTION_ID;
+}
+
+export async function setActiveCollectionId(collectionId) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(META_STORE, "readwrite");
+  tx.objectStore(META_STORE).put({ key: ACTIVE_COLLECTION_KEY, value: collectionId });
+  await transactionDone(tx);
+}
+
+/**
+ * Load a stored collection. On first run, data left in localStorage by
+ * earlier versions is copied into the default collection and the
+ * localStorage keys are removed once the copy has been written.
+ * @param {string} collectionId
+ * @returns {Promise<{coins: Object[], meta: Object|null, migrated: boolean}>}
+ */
+export async function loadCollection(collectionId = DEFAULT_COLLECTION_ID) {
+  const db = await openCollectionDb();
+  const metaRecord = await requestToPromise(
+    db
+      .transaction(META_STORE)
+      .objectStore(META_STORE)
+      .get(scopedKey(META_KEY, collectionId))
+  );
+
+  if (!metaRecord) {
+    const legacy =
+      collectionId === DEFAULT_COLLECTION_ID ? readLegacyCollection() : null;
+    if (legacy) {
+      await saveCollection(collectionId, legacy.coins, legacy.meta);
+      localStorage.removeItem(LEGACY_COLLECTION_KEY);
+      localStorage.removeItem(LEGACY_META_KEY);
+      return { ...(await loadCollection(collectionId)), migrated: true };
+    }
+    return { coins: [], meta: null, migrated: false };
+  }
+
+  const records = await requestToPromise(
+    db
+      .transaction(COINS_STORE)
+      .objectStore(COINS_STORE)
+      .getAll(collectionRange(collectionId))
+  );
+  const { coinOrder = [], ...meta } = metaRecord.value || {};
+  const position = new Map(coinOrder.map((id, index) => [id, index]));
+  records.sort(
+    (a, b) =>
+      (position.has(a.id) ? position.get(a.id) : Infinity) -
+        (position.has(b.id) ? position.get(b.id) : Infinity) || a.id - b.id
+  );
+
+  const coins = [];
+  for (const { collectionId: _collectionId, ...record } of records) {
+    coins.push(await mapCoinImages(record, resolveImageRef));
+  }
+
+  return { coins, meta, migrated: false };
+}
+
+/**
+ * Persist a collection. Only coins whose modified time differs from the
+ * stored copy are written, unless the schema version changed (a migration
+ * rewrites coins without touching modified); coins no longer in the list are
+ * deleted. New images are written to the image store once, keyed by content
+ * hash; images no collection or history uses are removed when a save dropped
+ * an image reference. The collection record is created if it does not exist yet.
+ * @param {string} collectionId
+ * @param {Object[]} coins - Coins as held in memory
+ * @param {Object} meta - Collection metadata (ids, UI state)
+ */
+export async function saveCollection(collectionId, coins, meta = {}) {
+  const db = await openCollectionDb();
+  const readTx = db.transaction([COINS_STORE, META_STORE]);
+  const storedRecords = await requestToPromise(
+    readTx.objectStore(COINS_STORE).getAll(collectionRange(collectionId))
+  );
+  const storedMeta = await requestToPromise(
+    readTx.objectStore(META_STORE).get(scopedKey(META_KEY, collectionId))
+  );
+  const stored = new Map(storedRecords.map((record) => [record.id, record]));
+  const rewriteAll = storedMeta?.value?.schemaVersion !== meta.schemaVersion;
+
+  const records = [];
+  for (const coin of coins) {
+    const previous = stored.get(coin.id);
+    if (!rewriteAll && previous && previous.modified === coin.modified) continue;
+    const record = await mapCoinImages(coin, storeImage);
+    records.push({ ...record, collectionId });
+  }
+  const keepIds = new Set(coins.map((coin) => coin.id));
+  const removed = storedRecords.filter((record) => !keepIds.has(record.id));
+
+  const refsDropped =
+    removed.some((record) => imageRefs(record).size > 0) ||
+    records.some((record) => {
+      const kept = imageRefs(record);
+      return [...imageRefs(stored.get(record.id) || {})].some((hash) => !kept.has(hash));
+    });
+
+  const tx = db.transaction(
+    [COLLECTIONS_STORE, COINS_STORE, META_STORE],
+    "readwrite"
+  );
+  const coinStore = tx.objectStore(COINS_STORE);
+  removed.forEach((record) => coinStore.delete([collectionId, record.id]));
+  records.forEach((record) => coinStore.put(record));
+
+  const collectionStore = tx.objectStore(COLLECTIONS_STORE);
+  const now = new Date().toISOString();
+  const collection = await requestToPromise(collectionStore.get(collectionId));
+  collectionStore.put(
+    collection
+      ? { ...collection, modified: now }
+      : {
+          id: collectionId,
+          name: collectionId === DEFAULT_COLLECTION_ID ? DEFAULT_COLLECTION_NAME : collectionId,
+          created: now,
+          modified: now,
+        }
+  );
+
+  tx.objectStore(META_STORE).put({
+    key: scopedKey(META_KEY, collectionId),
+    value: { ...meta, coinOrder: coins.map((coin) => coin.id) },
+  });
+
+  await transactionDone(tx);
+  if (refsDropped || historyDroppedImages) {
+    historyDroppedImages = false;
+    await collectUnusedImages();
+  }
+}
+
+/**
+ * Persist undo/redo history of a collection. Commands do not change once
+ * recorded, so each one is written once, with its coin snapshots stored like
+ * coins (images as references into the image store). A save writes the
+ * commands recorded since the last one, deletes those no longer on either
+ * stack, and rewrites the short list of which command is on which stack.
+ * Images only a deleted command used go with the next saveCollection.
+ * @param {string} collectionId
+ * @param {{undo: Object[], redo: Object[], nextSeq: number}} history - As
+ *   returned by EditHistory#toJSON, every command numbered by seq
+ */
+export async function saveHistory(collectionId, history) {
+  const db = await openCollectionDb();
+  const key = scopedKey(HISTORY_KEY, collectionId);
+  const stored = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(key));
+  const storedSeqs = [...(stored?.value?.undo || []), ...(stored?.value?.redo || [])];
+
+  const commands = [...(history.undo || []), ...(history.redo || [])];
+  const added = [];
+  for (const command of commands.filter((command) => !storedSeqs.includes(command.seq))) {
+    added.push({
+      collectionId,
+      seq: command.seq,
+      command: await mapCommandSnapshots(command, (snapshot) => mapCoinImages(snapshot, storeImage)),
+    });
+  }
+  const kept = new Set(commands.map((command) => command.seq));
+
+  const tx = db.transaction([HISTORY_STORE, META_STORE], "readwrite");
+  const historyStore = tx.objectStore(HISTORY_STORE);
+  added.forEach((record) => historyStore.put(record));
+  for (const seq of storedSeqs.filter((seq) => !kept.has(seq))) {
+    const dropped = await requestToPromise(historyStore.get([collectionId, seq]));
+    forEachCommandSnapshot(dropped?.command, (snapshot) => {
+      if (imageRefs(snapshot).size > 0) historyDroppedImages = true;
+    });
+    historyStore.delete([collectionId, seq]);
+  }
+  tx.objectStore(META_STORE).put({
+    key,
+    value: {
+      undo: (history.undo || []).map((command) => command.seq),
+      redo: (history.redo || []).map((command) => command.seq),
+      nextSeq: history.nextSeq,
+    },
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * @returns {Promise<{undo: Object[], redo: Object[], nextSeq: number}|null>}
+ *   null when no history was saved
+ */
+export async function loadHistory(collectionId) {
+  const db = await openCollectionDb();
+  const tx = db.transaction([HISTORY_STORE, META_STORE]);
+  const record = await requestToPromise(
+    tx.objectStore(META_STORE).get(scopedKey(HISTORY_KEY, collectionId))
+  );
+  if (!record) return null;
+
+  const records = await requestToPromise(
+    tx.objectStore(HISTORY_STORE).getAll(collectionRange(collectionId))
+  );
+  const commands = new Map(records.map((stored) => [stored.seq, stored.command]));
+  const readStack = async (seqs = []) => {
+    const stack = [];
+    for (const seq of seqs.filter((seq) => commands.has(seq))) {
+      stack.push(
+        await mapCommandSnapshots(commands.get(seq), (snapshot) =>
+          mapCoinImages(snapshot, resolveImageRef)
+        )
+      );
+    }
+    return stack;
+  };
+
+  return {
+    undo: await readStack(record.value.undo),
+    redo: await readStack(record.value.redo),
+    nextSeq: record.value.nextSeq,
+  };
+}
+
+/**
+ * Append entries to a collection's audit log. Existing entries are never
+ * changed; they only go away with their collection.
+ * @param {string} collectionId
+ * @param {Object[]} entries - As built by auditLog.createAuditEntries
+ */
+export async function appendAuditEntries(collectionId, entries) {
+  if (entries.length === 0) return;
+  const db = await openCollectionDb();
+  const tx = db.transaction(AUDIT_STORE, "readwrite");
+  const store = tx.objectStore(AUDIT_STORE);
+  entries.forEach((entry) => store.add({ ...entry, collectionId }));
+  await transactionDone(tx);
+}
+
+/**
+ * Audit log of one coin, oldest entry first
+ * @returns {Promise<Object[]>} entries with their sequence number as seq
+ */
+export async function loadAuditLog(collectionId, coinId) {
+  const db = await openCollectionDb();
+  const records = await requestToPromise(
+    db
+      .transaction(AUDIT_STORE)
+      .objectStore(AUDIT_STORE)
+      .index("coin")
+      .getAll([collectionId, coinId])
+  );
+  return records
+    .map(({ collectionId: _collectionId, ...entry }) => entry)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Add a bucket write to the outbox, replacing any entry with the same key
+ * @param {Object} entry - As built by storage.js
+ */
+export async function saveOutboxEntry(entry) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(OUTBOX_STORE, "readwrite");
+  tx.objectStore(OUTBOX_STORE).put(entry);
+  await transactionDone(tx);
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+export async function loadOutboxEntry(key) {
+  const db = await openCollectionDb();
+  const record = await requestToPromise(
+    db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).get(key)
+  );
+  return record || null;
+}
+
+/**
+ * @returns {Promise<Object[]>} waiting writes, oldest first
+ */
+export async function listOutboxEntries() {
+  const db = await openCollectionDb();
+  const records = await requestToPromise(
+    db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll()
+  );
+  return records.sort((a, b) => a.queued.localeCompare(b.queued));
+}
+
+/**
+ * Record a failed attempt on an outbox entry. Nothing is written when the
+ * entry was replaced by a newer write (another queued time) meanwhile.
+ * @param {Object} entry - The entry as listed, with its attempt fields updated
+ */
+export async function updateOutboxEntry(entry) {
+  await changeOutboxEntry(entry.key, entry.queued, (store) => store.put(entry));
+}
+
+/**
+ * Remove a sent outbox entry, unless a newer write replaced it meanwhile
+ * @param {string} key
+ * @param {string} queued - Queued time of the entry that was sent
+ */
+export async function deleteOutboxEntry(key, queued) {
+  await changeOutboxEntry(key, queued, (store) => store.delete(key));
+}
+
+async function changeOutboxEntry(key, queued, change) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(OUTBOX_STORE, "readwrite");
+  const store = tx.objectStore(OUTBOX_STORE);
+  store.get(key).onsuccess = (event) => {
+    const record = event.target.result;
+    if (record && record.queued === queued) change(store);
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Store a file of the IndexedDB storage provider
+ * @param {string} bucket
+ * @param {string} path
+ * @param {Blob} blob
+ */
+export async function putBucketFile(bucket, path, blob) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(FILES_STORE, "readwrite");
+  tx.objectStore(FILES_STORE).put({
+    bucket,
+    path,
+    blob,
+    size: blob.size,
+    updated: new Date().toISOString(),
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * @returns {Promise<Blob|null>}
+ */
+export async function getBucketFile(bucket, path) {
+  const db = await openCollectionDb();
+  const record = await requestToPromise(
+    db.transaction(FILES_STORE).objectStore(FILES_STORE).get([bucket, path])
+  );
+  return record ? record.blob : null;
+}
+
+/**
+ * Files of a bucket whose path starts with prefix
+ * @returns {Promise<Array<{path: string, size: number, updated: string}>>}
+ */
+export async function listBucketFiles(bucket, prefix = "") {
+  const db = await openCollectionDb();
+  const records = await requestToPromise(
+    db
+      .transaction(FILES_STORE)
+      .objectStore(FILES_STORE)
+      .getAll(IDBKeyRange.bound([bucket, prefix], [bucket, `${prefix}\uffff`]))
+  );
+  return records.map(({ path, size, updated }) => ({ path, size, updated }));
+}
+
+export async function deleteBucketFile(bucket, path) {
+  const db = await openCollectionDb();
+  const tx = db.transaction(FILES_STORE, "readwrite");
+  tx.objectStore(FILES_STORE).delete([bucket, path]);
+  await transactionDone(tx);
+}
+
+// Delete images that no coin of any collection, nor any undo history, uses
+async function collectUnusedImages() {
+  const db = await openCollectionDb();
+  const tx = db.transaction([COINS_STORE, IMAGES_STORE, HISTORY_STORE], "readwrite");
+  const referenced = new Set();
+
+  const records = await requestToPromise(tx.objectStore(COINS_STORE).getAll());
+  records.forEach((record) => collectImageRefs(record, referenced));
+
+  const historyRecords = await requestToPromise(tx.objectStore(HISTORY_STORE).getAll());
+  historyRecords.forEach(({ command }) =>
+    forEachCommandSnapshot(command, (snapshot) => collectImageRefs(snapshot, referenced))
+  );
+
+  const imageStore = tx.objectStore(IMAGES_STORE);
+  const storedHashes = await requestToPromise(imageStore.getAllKeys());
+  storedHashes
+    .filter((hash) => !referenced.has(hash))
+    .forEach((hash) => {
+      imageStore.delete(hash);
+      releaseObjectUrl(hash);
+    });
+
+  await transactionDone(tx);
+}
+
+/**
+ * Report real storage usage for this origin
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>}
+ */
+export async function estimateStorage() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted
+    ? await navigator.storage.persisted()
+    : false;
+  return { usage, quota, persisted };
+}
+
+// Ask the browser not to evict the collection under storage pressure
+export async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.warn("Persistent storage request failed", error);
+    return false;
+  }
+}
+
+/**
+ * Read any image URL held in a coin (object URL or data URL) as a data URL,
+ * for exports that have to be self-contained
+ */
+export async function readImageAsDataUrl(url) {
+  if (!url || !url.startsWith("blob:")) return url;
+
+  const response = await fetch(url);
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Apply mapUrl to every image URL in a coin, returning a shallow copy
+async function mapCoinImages(coin, mapUrl) {
+  const copy = { ...coin };
+
+  if (coin.images) {
+    copy.images = { ...coin.images };
+    for (const side of ["obverse", "reverse"]) {
+      if (coin.images[side]) {
+        copy.images[side] = await mapUrl(coin.images[side]);
+      }
+    }
+  }
+
+  if (coin.media) {
+    copy.media = { ...coin.media };
+    for (const kind of ["images", "videos"]) {
+      if (!Array.isArray(coin.media[kind])) continue;
+      copy.media[kind] = [];
+      for (const item of coin.media[kind]) {
+        copy.media[kind].push(
+          item && item.url ? { ...item, url: await mapUrl(item.url) } : item
+        );
+      }
+    }
+  }
+
+  return copy;
+}
+
+async function mapCommandSnapshots(command, mapSnapshot) {
+  const changes = [];
+  for (const change of command.changes || []) {
+    changes.push({
+      ...change,
+      before: change.before ? await mapSnapshot(change.before) : null,
+      after: change.after ? await mapSnapshot(change.after) : null,
+    });
+  }
+  if (!command.transfer) return { ...command, changes };
+
+  // Copies a move put into another collection (see applyTransfer in script.js)
+  const coins = [];
+  for (const coin of command.transfer.coins) {
+    coins.push(await mapSnapshot(coin));
+  }
+  return { ...command, changes, transfer: { ...command.transfer, coins } };
+}
+
+function forEachCommandSnapshot(command, callback) {
+  (command?.changes || []).forEach((change) => {
+    if (change.before) callback(change.before);
+    if (change.after) callback(change.after);
+  });
+  (command?.transfer?.coins || []).forEach(callback);
+}
+
+function imageRefs(record) {
+  const refs = new Set();
+  collectImageRefs(record, refs);
+  return refs;
+}
+
+function collectImageRefs(record, refs) {
+  const urls = [
+    record.images?.obverse,
+    record.images?.reverse,
+    ...(record.media?.images || []).map((item) => item?.url),
+    ...(record.media?.videos || []).map((item) => item?.url),
+  ];
+  urls
+    .filter((url) => typeof url === "string" && url.startsWith(IMAGE_REF_PREFIX))
+    .forEach((url) => refs.add(url.slice(IMAGE_REF_PREFIX.length)));
+}
+
+// Write an in-memory image (data: or blob: URL) to the image store
+async function storeImage(url) {
+  if (typeof url !== "string") return url;
+  if (url.startsWith(IMAGE_REF_PREFIX)) return url;
+  if (hashesByUrl.has(url)) return IMAGE_REF_PREFIX + hashesByUrl.get(url);
+  if (!url.startsWith("data:") && !url.startsWith("blob:")) return url;
+
+  const blob = await (await fetch(url)).blob();
+  const hash = await hashBlob(blob);
+
+  const db = await openCollectionDb();
+  const tx = db.transaction(IMAGES_STORE, "readwrite");
+  tx.objectStore(IMAGES_STORE).put({
+    hash,
+    blob,
+    type: blob.type,
+    size: blob.size,
+    created: new Date().toISOString(),
+  });
+  await transactionDone(tx);
+
+  hashesByUrl.set(url, hash);
+  return IMAGE_REF_PREFIX + hash;
+}
+
+async function resolveImageRef(url) {
+  if (typeof url !== "string" || !url.startsWith(IMAGE_REF_PREFIX)) return url;
+
+  const hash = url.slice(IMAGE_REF_PREFIX.length);
+  if (objectUrlsByHash.has(hash)) return objectUrlsByHash.get(hash);
+
+  const db = await openCollectionDb();
+  const record = await requestToPromise(
+    db.transaction(IMAGES_STORE).objectStore(IMAGES_STORE).get(hash)
+  );
+  if (!record) {
+    console.warn(`Image ${hash} missing from collection database`);
+    return null;
+  }
+
+  const objectUrl = URL.createObjectURL(record.blob);
+  objectUrlsByHash.set(hash, objectUrl);
+  hashesByUrl.set(objectUrl, hash);
+  return objectUrl;
+}
+
+function releaseObjectUrl(hash) {
+  const objectUrl = objectUrlsByHash.get(hash);
+  if (objectUrl) {
+    URL.revokeObjectURL(objectUrl);
+    objectUrlsByHash.delete(hash);
+  }
+  for (const [url, knownHash] of hashesByUrl) {
+    if (knownHash === hash) hashesByUrl.delete(url);
+  }
+}
+
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function readLegacyCollection() {
+  try {
+    const stored = localStorage.getItem(LEGACY_COLLECTION_KEY);
+    if (!stored) return null;
+    const meta = localStorage.getItem(LEGACY_META_KEY);
+    return {
+      coins: JSON.parse(stored),
+      meta: meta ? JSON.parse(meta) : {},
+    };
+  } catch (error) {
+    console.warn("Failed to read legacy localStorage collection", error);
+    return null;
+  }
+}
+
+function scopedKey(key, collectionId) {
+  return `${key}:${collectionId}`;
+}
+
+// Key range covering every coin of one collection
+function collectionRange(collectionId) {
+  return IDBKeyRange.bound([collectionId], [collectionId, []]);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
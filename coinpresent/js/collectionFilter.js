@@ -0,0 +1,192 @@
+// Collection Filter Module
+// Search, facet filters and sort order for the coin list. The state is a
+// flat object of strings so it can be stored with the collection metadata
+// and mirrored in the page URL as query parameters.
+
+import { parseEstimate } from "./collectionStats.js";
+import { gradeValue } from "./grading.js";
+import { viewFilter } from "./smartSets.js";
+
+export const SORT_OPTIONS = {
+  added: "Date Added",
+  year: "Year",
+  grade: "Grade",
+  estimate: "Estimate",
+  modified: "Last Modified",
+};
+
+export const DEFAULT_FILTER_STATE = {
+  view: "",
+  q: "",
+  country: "",
+  metal: "",
+  yearMin: "",
+  yearMax: "",
+  gradeMin: "",
+  gradeMax: "",
+  estimateMin: "",
+  estimateMax: "",
+  sort: "added",
+  dir: "asc",
+};
+
+const FILTER_KEYS = Object.keys(DEFAULT_FILTER_STATE);
+
+/**
+ * Fill in defaults and drop unknown keys and invalid sort values
+ * @param {Object} [state]
+ */
+export function normalizeFilterState(state = {}) {
+  const normalized = { ...DEFAULT_FILTER_STATE };
+  FILTER_KEYS.forEach((key) => {
+    if (state[key] != null) normalized[key] = String(state[key]).trim();
+  });
+  if (!SORT_OPTIONS[normalized.sort]) normalized.sort = DEFAULT_FILTER_STATE.sort;
+  if (normalized.dir !== "desc") normalized.dir = "asc";
+  return normalized;
+}
+
+/**
+ * Read filter state from a query string. Returns null when the query holds
+ * no filter parameters so stored state can be used instead.
+ * @param {string} search - location.search
+ */
+export function filterStateFromQuery(search) {
+  const params = new URLSearchParams(search);
+  if (!FILTER_KEYS.some((key) => params.has(key))) return null;
+  return normalizeFilterState(Object.fromEntries(FILTER_KEYS.map((key) => [key, params.get(key)])));
+}
+
+/**
+ * Write filter state into a query string, keeping unrelated parameters
+ * (debug=true and the like). Default values are left out.
+ * @returns {string} query string including the leading "?", or ""
+ */
+export function filterStateToQuery(state, search = "") {
+  const params = new URLSearchParams(search);
+  const normalized = normalizeFilterState(state);
+  FILTER_KEYS.forEach((key) => {
+    if (normalized[key] === DEFAULT_FILTER_STATE[key]) {
+      params.delete(key);
+    } else {
+      params.set(key, normalized[key]);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+export function isFilterActive(state) {
+  const normalized = normalizeFilterState(state);
+  return FILTER_KEYS.some(
+    (key) => key !== "sort" && key !== "dir" && normalized[key] !== DEFAULT_FILTER_STATE[key]
+  );
+}
+
+/**
+ * Coins matching the filters, in the requested order
+ * @param {Object[]} coins
+ * @param {Object} state
+ * @param {Object} [options]
+ * @param {Object[]} [options.smartSets] - Sets a "set:<id>" view can refer to
+ * @returns {Object[]} a new array; coins is not reordered
+ */
+export function applyFilter(coins, state, { smartSets = [] } = {}) {
+  const normalized = normalizeFilterState(state);
+  const terms = normalized.q.toLowerCase().split(/\s+/).filter(Boolean);
+  // A view that no longer exists (deleted smart set) shows every coin
+  const inView = viewFilter(normalized.view, smartSets) || (() => true);
+  const matches = coins.filter((coin) => inView(coin) && matchesFilter(coin, normalized, terms));
+  return sortCoins(matches, normalized.sort, normalized.dir);
+}
+
+/**
+ * Sort coins by one of SORT_OPTIONS. Coins without a value sort last in
+ * either direction; ties keep their collection order.
+ */
+export function sortCoins(coins, sort, dir = "asc") {
+  if (sort === "added" || !SORT_VALUES[sort]) {
+    return dir === "desc" ? [...coins].reverse() : [...coins];
+  }
+
+  const sign = dir === "desc" ? -1 : 1;
+  return coins
+    .map((coin, index) => ({ coin, index, value: SORT_VALUES[sort](coin) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return a.value === b.value ? a.index - b.index : a.value === null ? 1 : -1;
+      }
+      return (a.value - b.value) * sign || a.index - b.index;
+    })
+    .map((entry) => entry.coin);
+}
+
+/**
+ * Distinct countries and metals for the facet dropdowns
+ * @returns {{countries: string[], metals: string[]}}
+ */
+export function facetOptions(coins) {
+  const distinct = (field) =>
+    Array.from(new Set(coins.map((coin) => String(coin.metadata?.[field] ?? "").trim()).filter(Boolean))).sort(
+      (a, b) => a.localeCompare(b)
+    );
+  return { countries: distinct("country"), metals: distinct("metal") };
+}
+
+const SORT_VALUES = {
+  year: (coin) => yearValue(coin.metadata?.year),
+  grade: (coin) => gradeValue(coin.condition?.grade),
+  estimate: (coin) => parseEstimate(coin.valuation?.currentEstimate),
+  modified: (coin) => {
+    const time = Date.parse(coin.modified);
+    return Number.isNaN(time) ? null : time;
+  },
+};
+
+function matchesFilter(coin, state, terms) {
+  if (terms.length > 0) {
+    const text = searchText(coin);
+    if (!terms.every((term) => text.includes(term))) return false;
+  }
+
+  if (state.country && !sameText(coin.metadata?.country, state.country)) return false;
+  if (state.metal && !sameText(coin.metadata?.metal, state.metal)) return false;
+
+  return (
+    inRange(yearValue(coin.metadata?.year), state.yearMin, state.yearMax) &&
+    inRange(gradeValue(coin.condition?.grade), state.gradeMin, state.gradeMax) &&
+    inRange(parseEstimate(coin.valuation?.currentEstimate), state.estimateMin, state.estimateMax)
+  );
+}
+
+function searchText(coin) {
+  return [
+    coin.title,
+    coin.description,
+    coin.notes,
+    ...Object.values(coin.metadata || {}),
+    ...Object.values(coin.customFields || {}),
+    ...(coin.tags || []),
+  ]
+    .filter((value) => value != null)
+    .join(" ")
+    .toLowerCase();
+}
+
+// A coin without a value is excluded once either bound is set
+function inRange(value, min, max) {
+  if (min === "" && max === "") return true;
+  if (value === null) return false;
+  if (min !== "" && Number.isFinite(Number(min)) && value < Number(min)) return false;
+  if (max !== "" && Number.isFinite(Number(max)) && value > Number(max)) return false;
+  return true;
+}
+
+function yearValue(year) {
+  const value = parseInt(year, 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function sameText(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b).trim().toLowerCase();
+}
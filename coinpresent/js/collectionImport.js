@@ -0,0 +1,464 @@
+// Collection Import Module
+// Reads collection JSON written by the export modal back in. Each coin is
+// validated, brought up to the current schema and compared with the open
+// collection, producing a plan the user reviews before anything changes.
+
+import { migrateImportedCollection, normalizeCoin } from "./coinSchema.js";
+import { remapIds, collectUsedIds } from "./collectionMerge.js";
+
+// Coin properties that hold an object when present
+const OBJECT_SECTIONS = [
+  "metadata",
+  "condition",
+  "valuation",
+  "images",
+  "originals",
+  "annotations",
+  "media",
+  "customFields",
+  "acquisition",
+];
+
+// Sections the export modal can leave out, under the choice the export
+// envelope records for them (coinSchema.createExportEnvelope)
+const OPTIONAL_SECTIONS = {
+  includeImages: ["images", "media", "originals"],
+  includeAnnotations: ["annotations"],
+  includeValuations: ["valuation", "acquisition"],
+  includeNotes: ["notes"],
+};
+
+// Metadata that, together with the title, identifies the same physical coin
+const IDENTITY_FIELDS = ["country", "year", "denomination", "mintmark"];
+
+export const IMPORT_ACTIONS = {
+  new: ["add", "skip"],
+  updated: ["replace", "merge", "skip"],
+  conflict: ["replace", "merge", "add", "skip"],
+  unchanged: ["skip", "replace"],
+};
+
+const DEFAULT_ACTIONS = {
+  new: "add",
+  updated: "replace",
+  conflict: "skip",
+  unchanged: "skip",
+};
+
+// Partial records (CSV rows, exports with sections left out) would lose
+// everything they lack on replace
+const PARTIAL_DEFAULT_ACTIONS = { ...DEFAULT_ACTIONS, updated: "merge" };
+
+/**
+ * Parse and validate an export file
+ * @param {string|Object} source - File text or already parsed JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.allowObjectUrls] - Keep blob: URLs, for data
+ *   whose files were unpacked in this tab (see collectionArchive.js)
+ * @param {boolean} [options.partial] - Records only carry some fields, in
+ *   the current schema (see collectionCsv.js); missing fields stay missing
+ *   so merging keeps the values already in the collection
+ * @returns {{coins: Object[], invalid: Array<{index: number, title: string, errors: string[]}>,
+ *   warnings: string[], log: Object[], fieldDefinitions: Object[], partial: boolean}} coins are
+ *   migrated to the current schema; fieldDefinitions are the custom fields the export was
+ *   written with. Sections the export left out stay missing, and partial tells that some
+ *   coin lacks one, to be passed on to planImport().
+ */
+export function parseImport(source, { allowObjectUrls = false, partial = false } = {}) {
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const records = Array.isArray(data) ? data : data?.coins;
+  if (!Array.isArray(records)) {
+    throw new Error("File does not contain a coin collection");
+  }
+
+  const valid = [];
+  const invalid = [];
+  const warnings = [];
+
+  records.forEach((record, index) => {
+    const errors = validateCoin(record);
+    if (errors.length > 0) {
+      invalid.push({ index, title: record?.title || `Coin #${index + 1}`, errors });
+      return;
+    }
+    if (!allowObjectUrls) {
+      warnings.push(...dropUnportableImages(record));
+    }
+    valid.push(record);
+  });
+
+  const fieldDefinitions = Array.isArray(data?.fieldDefinitions) ? data.fieldDefinitions.filter(isPlainObject) : [];
+  if (partial) {
+    return { coins: valid, invalid, warnings, log: [], fieldDefinitions, partial };
+  }
+
+  // Sections the envelope says were left out; for exports made before it
+  // recorded that, the sections a record does not carry
+  const omitted = valid.map((record) =>
+    Object.entries(OPTIONAL_SECTIONS)
+      .filter(([choice, sections]) =>
+        isPlainObject(data?.included)
+          ? data.included[choice] === false
+          : sections.every((section) => record[section] === undefined)
+      )
+      .flatMap(([, sections]) => sections)
+  );
+
+  const { coins, log } = migrateImportedCollection(
+    Array.isArray(data) ? valid : { schemaVersion: data.schemaVersion, coins: valid }
+  );
+  const normalized = coins.map((coin, index) => {
+    const complete = normalizeCoin(coin);
+    omitted[index].forEach((section) => delete complete[section]);
+    return complete;
+  });
+  return {
+    coins: normalized,
+    invalid,
+    warnings,
+    log,
+    fieldDefinitions,
+    partial: omitted.some((sections) => sections.length > 0),
+  };
+}
+
+/**
+ * Check the parts of a record that migrations cannot repair
+ * @returns {string[]} problems found; empty when the coin can be imported
+ */
+export function validateCoin(record) {
+  if (!isPlainObject(record)) return ["Entry is not an object"];
+
+  const errors = [];
+  if (record.id != null && !Number.isFinite(Number(record.id))) {
+    errors.push(`id "${record.id}" is not a number`);
+  }
+  if (record.title != null && typeof record.title !== "string") {
+    errors.push("title is not text");
+  }
+  for (const section of OBJECT_SECTIONS) {
+    if (record[section] != null && !isPlainObject(record[section])) {
+      errors.push(`${section} is not an object`);
+    }
+  }
+
+  if (record.tags != null && !(Array.isArray(record.tags) && record.tags.every((tag) => typeof tag === "string"))) {
+    errors.push("tags are not a list of text");
+  }
+  if (record.provenance != null && !(Array.isArray(record.provenance) && record.provenance.every(isPlainObject))) {
+    errors.push("provenance is not a list of entries");
+  }
+
+  for (const side of ["obverse", "reverse"]) {
+    const image = record.images?.[side];
+    if (image != null && typeof image !== "string") {
+      errors.push(`${side} image is not a URL`);
+    }
+
+    const annotations = record.annotations?.[side];
+    if (annotations == null) continue;
+    if (!Array.isArray(annotations)) {
+      errors.push(`${side} annotations are not a list`);
+      continue;
+    }
+    annotations.forEach((annotation, i) => {
+      if (!isPlainObject(annotation) || !Number.isFinite(annotation.x) || !Number.isFinite(annotation.y)) {
+        errors.push(`${side} annotation ${i + 1} has no position`);
+      }
+    });
+  }
+
+  for (const [name, scenario] of Object.entries(record.valuation?.scenarios || {})) {
+    for (const bound of ["min", "max"]) {
+      if (scenario?.[bound] != null && !Number.isFinite(Number(scenario[bound]))) {
+        errors.push(`valuation ${name}.${bound} is not a number`);
+      }
+    }
+  }
+
+  if (errors.length === 0 && record.id != null) {
+    record.id = Number(record.id);
+  }
+  return errors;
+}
+
+/**
+ * Compare imported coins with the open collection. A coin matches by id when
+ * title and identifying metadata agree, otherwise by title + metadata alone.
+ * @param {Object[]} existingCoins
+ * @param {Object[]} importedCoins - parseImport() coins
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - As passed to parseImport()
+ * Coins are matched by id; title and metadata are only compared for
+ * incoming coins whose id is not in the collection, such as CSV rows. An id
+ * match whose title or metadata differ (renamed or re-dated since the export)
+ * is a conflict, since it may also be another coin that got the same id.
+ * @returns {Array<{incoming: Object, existing: Object|null, status: string,
+ *   matchedBy: string|null, reason: "edited"|"identity"|null, action: string}>}
+ *   reason says why a coin is a conflict
+ */
+export function planImport(existingCoins, importedCoins, { partial = false } = {}) {
+  const defaults = partial ? PARTIAL_DEFAULT_ACTIONS : DEFAULT_ACTIONS;
+  const byId = new Map(existingCoins.map((coin) => [coin.id, coin]));
+  const byIdentity = new Map();
+  existingCoins.forEach((coin) => {
+    const key = identityKey(coin);
+    if (key && !byIdentity.has(key)) byIdentity.set(key, coin);
+  });
+  const matched = new Set();
+
+  return importedCoins.map((incoming) => {
+    let existing = null;
+    let matchedBy = null;
+    let reason = null;
+    let status;
+
+    const sameId = byId.get(incoming.id);
+    if (sameId && !matched.has(sameId)) {
+      existing = sameId;
+      matchedBy = "id";
+    } else {
+      const sameIdentity = byIdentity.get(identityKey(incoming));
+      if (sameIdentity && !matched.has(sameIdentity)) {
+        existing = sameIdentity;
+        matchedBy = "title";
+      }
+    }
+
+    if (!existing) {
+      status = "new";
+    } else {
+      matched.add(existing);
+      // A partial record changes nothing if merging it leaves the coin as is
+      const compared = partial ? mergeCoin(existing, incoming) : incoming;
+      if (contentKey(existing) === contentKey(compared)) {
+        status = "unchanged";
+      } else if (identityKey(existing) !== identityKey(incoming)) {
+        status = "conflict";
+        reason = "identity";
+      } else if (Date.parse(existing.modified) > Date.parse(incoming.modified)) {
+        // The copy here was edited after the export was written
+        status = "conflict";
+        reason = "edited";
+      } else {
+        status = "updated";
+      }
+    }
+
+    return { incoming, existing, status, matchedBy, reason, action: defaults[status] };
+  });
+}
+
+/**
+ * Turn a reviewed plan into coins ready to put into the collection. New
+ * coins and annotations are renumbered wherever their ids are taken.
+ * @param {Object[]} plan - planImport() result with the chosen actions
+ * @param {Object} target - { coins, meta, history } of the open collection
+ * @returns {{added: Object[], replaced: Object[], nextCoinId: number,
+ *   nextAnnotationId: number, skipped: number}} replaced coins keep the id
+ *   of the coin they overwrite
+ */
+export function resolveImport(plan, target) {
+  const used = collectUsedIds(target.coins, target.history);
+  let nextCoinId = target.meta?.nextCoinId;
+  let nextAnnotationId = target.meta?.nextAnnotationId;
+  const added = [];
+  const replaced = [];
+  let skipped = 0;
+
+  for (const entry of plan) {
+    if (entry.action === "skip") {
+      skipped++;
+      continue;
+    }
+
+    // Adding a matched coin keeps it apart from the one it was matched with
+    const existing = entry.action === "add" ? null : entry.existing;
+    let coin = entry.incoming;
+    if (entry.action === "merge" && existing) {
+      coin = mergeCoin(existing, entry.incoming);
+    } else if (existing) {
+      // Sections a partial record lacks stay as they are
+      coin = { ...existing, ...entry.incoming };
+    }
+    coin = normalizeCoin(structuredClone(coin));
+
+    const result = remapIds([coin], {
+      // A replaced coin keeps its id; everything else must not collide
+      usedCoinIds: existing ? [] : used.usedCoinIds,
+      usedAnnotationIds: existing
+        ? withoutIds(used.usedAnnotationIds, annotationIdsOf(existing))
+        : used.usedAnnotationIds,
+      nextCoinId,
+      nextAnnotationId,
+    });
+    const [resolved] = result.coins;
+    nextCoinId = result.nextCoinId;
+    nextAnnotationId = result.nextAnnotationId;
+
+    if (existing) {
+      resolved.id = existing.id;
+      resolved.created = existing.created;
+      replaced.push(resolved);
+    } else {
+      added.push(resolved);
+      used.usedCoinIds.push(resolved.id);
+    }
+    used.usedAnnotationIds.push(...annotationIdsOf(resolved));
+  }
+
+  return { added, replaced, nextCoinId, nextAnnotationId, skipped };
+}
+
+/**
+ * Combine two copies of a coin. Fields empty on one side are filled from the
+ * other; where both have a value the more recently modified copy wins.
+ * Annotations and media are combined, skipping ones already present.
+ */
+export function mergeCoin(existing, incoming) {
+  // Records without a modified date (CSV rows) count as newer
+  const incomingNewer = !(Date.parse(existing.modified) > Date.parse(incoming.modified ?? Date.now()));
+  const [primary, secondary] = incomingNewer ? [incoming, existing] : [existing, incoming];
+  const merged = mergeValues(structuredClone(primary), secondary);
+
+  for (const side of ["obverse", "reverse"]) {
+    merged.annotations[side] = unionBy(
+      primary.annotations?.[side],
+      secondary.annotations?.[side],
+      (a) => `${Math.round(a.x)}:${Math.round(a.y)}:${a.label || ""}`
+    );
+  }
+  for (const kind of ["images", "videos"]) {
+    merged.media[kind] = unionBy(primary.media?.[kind], secondary.media?.[kind], (item) => item?.url);
+  }
+  merged.tags = unionBy(primary.tags, secondary.tags, (tag) => tag.toLowerCase());
+  merged.provenance = unionBy(primary.provenance, secondary.provenance, (entry) => entry.id);
+
+  merged.id = existing.id;
+  merged.modified = new Date().toISOString();
+  return merged;
+}
+
+function mergeValues(primary, secondary) {
+  for (const [key, value] of Object.entries(secondary || {})) {
+    if (Array.isArray(value)) continue;
+    if (isPlainObject(value) && isPlainObject(primary[key])) {
+      mergeValues(primary[key], value);
+    } else if (primary[key] === undefined || (isEmpty(primary[key]) && !isEmpty(value))) {
+      primary[key] = structuredClone(value);
+    }
+  }
+  return primary;
+}
+
+function unionBy(first = [], second = [], keyOf) {
+  const seen = new Set(first.map(keyOf));
+  return [
+    ...structuredClone(first),
+    ...structuredClone(second.filter((item) => !seen.has(keyOf(item)))),
+  ];
+}
+
+// Object URLs only resolve in the tab that created them
+function dropUnportableImages(record) {
+  const warnings = [];
+  for (const side of ["obverse", "reverse"]) {
+    if (typeof record.images?.[side] === "string" && record.images[side].startsWith("blob:")) {
+      record.images[side] = null;
+      warnings.push(`"${record.title || record.id}": ${side} image was not embedded in the export`);
+    }
+  }
+  for (const kind of ["images", "videos"]) {
+    if (!Array.isArray(record.media?.[kind])) continue;
+    const portable = record.media[kind].filter(
+      (item) => !(typeof item?.url === "string" && item.url.startsWith("blob:"))
+    );
+    if (portable.length < record.media[kind].length) {
+      warnings.push(
+        `"${record.title || record.id}": ${record.media[kind].length - portable.length} media file(s) were not embedded in the export`
+      );
+      record.media[kind] = portable;
+    }
+  }
+  // The reference stays; only the copy of the file goes
+  const originals = [
+    record.originals?.obverse,
+    record.originals?.reverse,
+    ...(record.media?.images || []).map((item) => item?.original),
+  ];
+  originals.forEach((ref) => {
+    if (typeof ref?.url === "string" && ref.url.startsWith("blob:")) delete ref.url;
+  });
+  return warnings;
+}
+
+function identityKey(coin) {
+  const title = normalize(coin.title);
+  if (!title) return null;
+  return [title, ...IDENTITY_FIELDS.map((field) => normalize(coin.metadata?.[field]))].join("|");
+}
+
+// Coin content without bookkeeping fields, for spotting real changes. Image
+// URLs are left out: the open collection holds object URLs where the
+// export has data URLs, so the same picture never compares equal. So are
+// the files an export carries along with the originals' references.
+function contentKey(coin) {
+  const { id, created, modified, images, media, ...content } = coin;
+  const withoutUrl = ({ url, ...ref }) => ref;
+  const withoutUrls = (items = []) =>
+    items.map(({ url, ...item }) => (item.original ? { ...item, original: withoutUrl(item.original) } : item));
+  if (isPlainObject(content.originals)) {
+    content.originals = Object.fromEntries(
+      Object.entries(content.originals).map(([side, ref]) => [side, ref ? withoutUrl(ref) : ref])
+    );
+  }
+  return stableStringify({
+    ...content,
+    media: { images: withoutUrls(media?.images), videos: withoutUrls(media?.videos) },
+  });
+}
+
+// JSON with object keys sorted, so key order does not count as a change
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function annotationIdsOf(coin) {
+  return ["obverse", "reverse"].flatMap((side) =>
+    (coin.annotations?.[side] || []).map((annotation) => annotation.id)
+  );
+}
+
+function withoutIds(ids, remove) {
+  const removeSet = new Set(remove);
+  return ids.filter((id) => !removeSet.has(id));
+}
+
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function isEmpty(value) {
+  return value == null || value === "";
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
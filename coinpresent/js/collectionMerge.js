@@ -0,0 +1,126 @@
+// Collection Merge Module
+// Combines coins from one collection into another. Coin and annotation ids
+// are only unique within a collection, so incoming coins whose ids are
+// already taken are renumbered from the target's nextCoinId and
+// nextAnnotationId counters.
+
+import { mergeFieldDefinitions } from "./customFields.js";
+
+/**
+ * Give coins fresh ids wherever they collide with ids already in use.
+ * Coins are copied; the originals are left untouched.
+ * @param {Object[]} coins - Coins to bring into the target
+ * @param {Object} target
+ * @param {Iterable<number>} target.usedCoinIds
+ * @param {Iterable<number>} target.usedAnnotationIds
+ * @param {number} target.nextCoinId
+ * @param {number} target.nextAnnotationId
+ * @returns {{coins: Object[], nextCoinId: number, nextAnnotationId: number,
+ *   coinIdMap: Map, annotationIdMap: Map}} the id maps hold only ids that changed
+ */
+export function remapIds(coins, target) {
+  const usedCoinIds = new Set(target.usedCoinIds);
+  const usedAnnotationIds = new Set(target.usedAnnotationIds);
+  let nextCoinId = Math.max(target.nextCoinId || 1, maxId(usedCoinIds) + 1);
+  let nextAnnotationId = Math.max(
+    target.nextAnnotationId || 1,
+    maxId(usedAnnotationIds) + 1
+  );
+  const coinIdMap = new Map();
+  const annotationIdMap = new Map();
+
+  const remapped = coins.map((original) => {
+    const coin = structuredClone(original);
+
+    if (coin.id == null || usedCoinIds.has(coin.id)) {
+      coinIdMap.set(coin.id, nextCoinId);
+      coin.id = nextCoinId++;
+    }
+    usedCoinIds.add(coin.id);
+
+    for (const side of ["obverse", "reverse"]) {
+      for (const annotation of coin.annotations?.[side] || []) {
+        if (annotation.id == null || usedAnnotationIds.has(annotation.id)) {
+          annotationIdMap.set(annotation.id, nextAnnotationId);
+          annotation.id = nextAnnotationId++;
+        }
+        usedAnnotationIds.add(annotation.id);
+      }
+    }
+
+    return coin;
+  });
+
+  nextCoinId = Math.max(nextCoinId, maxId(usedCoinIds) + 1);
+  nextAnnotationId = Math.max(nextAnnotationId, maxId(usedAnnotationIds) + 1);
+
+  return { coins: remapped, nextCoinId, nextAnnotationId, coinIdMap, annotationIdMap };
+}
+
+/**
+ * Append every coin of source to target, renumbering colliding ids. Ids
+ * that only appear in the target's undo history count as taken too, so
+ * undoing an older edit never lands on a merged coin.
+ * @param {{coins: Object[], meta: Object, history?: Object}} target
+ * @param {{coins: Object[], meta?: Object}} source - Custom field definitions
+ *   in source.meta that the target lacks are added to it
+ * @returns {{coins: Object[], incoming: Object[], meta: Object, renumbered: number}}
+ */
+export function mergeCollections(target, source) {
+  const meta = target.meta || {};
+  const result = remapIds(source.coins, {
+    ...collectUsedIds(target.coins, target.history),
+    nextCoinId: meta.nextCoinId,
+    nextAnnotationId: meta.nextAnnotationId,
+  });
+
+  return {
+    coins: [...target.coins, ...result.coins],
+    incoming: result.coins,
+    meta: {
+      ...meta,
+      nextCoinId: result.nextCoinId,
+      nextAnnotationId: result.nextAnnotationId,
+      fieldDefinitions: mergeFieldDefinitions(meta.fieldDefinitions, source.meta?.fieldDefinitions),
+    },
+    renumbered: result.coinIdMap.size,
+  };
+}
+
+export function collectAnnotationIds(coins) {
+  return coins.flatMap((coin) =>
+    ["obverse", "reverse"].flatMap((side) =>
+      (coin.annotations?.[side] || []).map((annotation) => annotation.id)
+    )
+  );
+}
+
+/**
+ * Coin and annotation ids taken in a collection, including ids that only
+ * live on in its undo/redo history
+ * @param {Object[]} coins
+ * @param {Object} [history] - EditHistory#toJSON() result
+ */
+export function collectUsedIds(coins, history) {
+  const all = [...coins, ...collectHistoryCoins(history)];
+  return {
+    usedCoinIds: all.map((coin) => coin.id),
+    usedAnnotationIds: collectAnnotationIds(all),
+  };
+}
+
+// Coin snapshots held by an EditHistory#toJSON() result
+function collectHistoryCoins(history) {
+  return [...(history?.undo || []), ...(history?.redo || [])].flatMap((command) => [
+    ...(command.changes || []).flatMap((change) => [change.before, change.after].filter(Boolean)),
+    ...(command.transfer?.coins || []),
+  ]);
+}
+
+function maxId(ids) {
+  let max = 0;
+  for (const id of ids) {
+    if (typeof id === "number" && id > max) max = id;
+  }
+  return max;
+}
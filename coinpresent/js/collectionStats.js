@@ -0,0 +1,183 @@
+// Collection Statistics Module
+// Totals and value parsing shared by the reports and the statistics
+// dashboard.
+
+import { gradeValue, GRADE_BANDS } from "./grading.js";
+
+// Estimates are entered in this currency, so cost basis and gains are only
+// totalled for purchases made in it
+export const BASE_CURRENCY = "USD";
+
+/**
+ * First number in a free-text estimate such as "$1,250" or "800 - 950"
+ * @returns {number|null}
+ */
+export function parseEstimate(text) {
+  const match = String(text ?? "").replace(/,/g, "").match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Purchase price plus fees (coin.acquisition), when a price was recorded
+ * @returns {number|null}
+ */
+export function costBasis(coin) {
+  const price = parseEstimate(coin.acquisition?.price);
+  if (price === null) return null;
+  return price + (parseEstimate(coin.acquisition?.fees) ?? 0);
+}
+
+/**
+ * Current estimate minus cost basis, for coins bought in BASE_CURRENCY that
+ * have both
+ * @returns {number|null}
+ */
+export function unrealizedGain(coin) {
+  const cost = costBasis(coin);
+  const estimate = parseEstimate(coin.valuation?.currentEstimate);
+  if (cost === null || estimate === null || !inBaseCurrency(coin)) return null;
+  return estimate - cost;
+}
+
+export function inBaseCurrency(coin) {
+  const currency = String(coin.acquisition?.currency ?? "").trim().toUpperCase();
+  return currency === "" || currency === BASE_CURRENCY;
+}
+
+/**
+ * Summary figures for a set of coins. Cost and gain only count coins bought
+ * in BASE_CURRENCY; foreignCost is how many were bought in another one.
+ * @returns {{count: number, estimated: number, valued: number, graded: number,
+ *   countries: number, years: string, cost: number, costed: number,
+ *   foreignCost: number, gain: number, gainCoins: number}}
+ */
+export function collectionTotals(coins) {
+  const estimates = coins
+    .map((coin) => parseEstimate(coin.valuation?.currentEstimate))
+    .filter((value) => value !== null);
+  const years = coins.map((coin) => parseInt(coin.metadata?.year, 10)).filter(Number.isFinite);
+  const costed = coins.filter((coin) => costBasis(coin) !== null);
+  const baseCosts = costed.filter(inBaseCurrency).map(costBasis);
+  const gains = coins.map(unrealizedGain).filter((value) => value !== null);
+
+  return {
+    count: coins.length,
+    estimated: estimates.reduce((sum, value) => sum + value, 0),
+    valued: estimates.length,
+    cost: baseCosts.reduce((sum, value) => sum + value, 0),
+    costed: baseCosts.length,
+    foreignCost: costed.length - baseCosts.length,
+    gain: gains.reduce((sum, value) => sum + value, 0),
+    gainCoins: gains.length,
+    graded: coins.filter((coin) => coin.condition?.grade).length,
+    countries: new Set(coins.map((coin) => coin.metadata?.country).filter(Boolean)).size,
+    years: years.length > 0 ? `${Math.min(...years)} - ${Math.max(...years)}` : "",
+  };
+}
+
+// Categories past this many are summed up as "Other"
+const CATEGORY_LIMIT = 10;
+
+/**
+ * Everything the statistics dashboard charts, for a set of coins
+ * @returns {{totals: Object, byCountry: Array, byMetal: Array, byDecade: Array, byGrade: Array,
+ *   valueByCountry: Array, valueByMetal: Array, topCoins: Object[], scenarios: Array}}
+ *   category lists are [{label, value}]; scenarios are [{key, min, max, count}]
+ */
+export function dashboardStats(coins) {
+  const estimateOf = (coin) => parseEstimate(coin.valuation?.currentEstimate);
+  const country = (coin) => textValue(coin.metadata?.country);
+  const metal = (coin) => textValue(coin.metadata?.metal);
+
+  const decades = groupBy(coins, (coin) => {
+    const year = parseInt(coin.metadata?.year, 10);
+    return Number.isFinite(year) ? Math.floor(year / 10) * 10 : null;
+  });
+  const grades = groupBy(coins, (coin) => {
+    const value = gradeValue(coin.condition?.grade);
+    return value === null ? null : GRADE_BANDS.find((band) => Math.floor(value) <= band.max).label;
+  });
+
+  return {
+    totals: collectionTotals(coins),
+    byCountry: limitCategories(toItems(groupBy(coins, country), (group) => group.length)),
+    byMetal: limitCategories(toItems(groupBy(coins, metal), (group) => group.length)),
+    byDecade: Array.from(decades.keys())
+      .sort((a, b) => a - b)
+      .map((decade) => ({ label: `${decade}s`, value: decades.get(decade).length })),
+    byGrade: GRADE_BANDS.filter((band) => grades.has(band.label)).map((band) => ({
+      label: band.label,
+      value: grades.get(band.label).length,
+    })),
+    valueByCountry: limitCategories(toItems(groupBy(coins, country), (group) => sumOf(group, estimateOf))),
+    valueByMetal: limitCategories(toItems(groupBy(coins, metal), (group) => sumOf(group, estimateOf))),
+    topCoins: coins
+      .filter((coin) => estimateOf(coin) !== null)
+      .sort((a, b) => estimateOf(b) - estimateOf(a))
+      .slice(0, 10),
+    scenarios: scenarioSpread(coins),
+  };
+}
+
+/**
+ * Summed low and high value of each valuation scenario over the coins that
+ * have it, in the order scenarios first appear
+ * @returns {Array<{key: string, min: number, max: number, count: number}>}
+ */
+export function scenarioSpread(coins) {
+  const spread = new Map();
+  coins.forEach((coin) =>
+    Object.entries(coin.valuation?.scenarios || {}).forEach(([key, scenario]) => {
+      const min = Number(scenario?.min);
+      const max = Number(scenario?.max);
+      if (!Number.isFinite(min) || !Number.isFinite(max)) return;
+      const entry = spread.get(key) || { key, min: 0, max: 0, count: 0 };
+      entry.min += min;
+      entry.max += max;
+      entry.count += 1;
+      spread.set(key, entry);
+    })
+  );
+  return Array.from(spread.values());
+}
+
+export function formatMoney(value) {
+  return `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+// "+$120" / "-$45", for gains
+export function formatSignedMoney(value) {
+  return `${value < 0 ? "-" : "+"}${formatMoney(Math.abs(value))}`;
+}
+
+function groupBy(coins, keyOf) {
+  const groups = new Map();
+  coins.forEach((coin) => {
+    const key = keyOf(coin);
+    if (key === null || key === "") return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(coin);
+  });
+  return groups;
+}
+
+// Largest first, ties in name order
+function toItems(groups, valueOf) {
+  return Array.from(groups, ([label, group]) => ({ label: String(label), value: valueOf(group) }))
+    .filter((item) => item.value > 0)
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+}
+
+function limitCategories(items) {
+  if (items.length <= CATEGORY_LIMIT) return items;
+  const other = items.slice(CATEGORY_LIMIT - 1).reduce((sum, item) => sum + item.value, 0);
+  return [...items.slice(0, CATEGORY_LIMIT - 1), { label: "Other", value: other }];
+}
+
+function sumOf(coins, valueOf) {
+  return coins.reduce((sum, coin) => sum + (valueOf(coin) ?? 0), 0);
+}
+
+function textValue(text) {
+  return String(text ?? "").trim();
+}
@@ -0,0 +1,254 @@
+// Collection Sync Module
+// Keeps a collection the same on several devices through one JSON document
+// in the datasets bucket, "sync/<name>.json". Each device remembers, per
+// coin, the `modified` time both sides had at its last sync (the base).
+// Comparing the local and the remote coin with the base tells which side
+// changed it: a coin changed on one side is copied to the other, a coin
+// changed on both is a conflict for the user to settle, and a coin that is
+// in the base but missing from one side was deleted there.
+//
+// The remote is any object with read() and write(document), so the same code
+// runs against the Supabase bucket (datasetRemote) or a local stand-in.
+
+import { migrateImportedCollection, normalizeCoin, COIN_SCHEMA_VERSION } from "./coinSchema.js";
+
+export const SYNC_FORMAT = "coinpresent-sync";
+const SYNC_FOLDER = "sync";
+
+/**
+ * Sync settings kept in the collection's meta
+ * @param {string} name - Shared by every device syncing the collection
+ */
+export function createSyncState(name) {
+  return { enabled: true, name, base: {}, revision: 0, lastSynced: "" };
+}
+
+export function syncFileName(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (!slug) throw new Error("Give the synced collection a name");
+  return `${SYNC_FOLDER}/${slug}.json`;
+}
+
+/**
+ * Remote backed by the datasets bucket (storage.js)
+ * @param {Object} storage - storage.js
+ * @param {string} name - Sync name of the collection
+ */
+export function datasetRemote(storage, name) {
+  const fileName = syncFileName(name);
+  return {
+    async read() {
+      try {
+        return await storage.downloadDataset(fileName, { cache: false });
+      } catch (error) {
+        // Nobody has synced this collection yet
+        if (/not.?found|404/i.test(`${error.message} ${error.statusCode || ""}`)) return null;
+        throw error;
+      }
+    },
+    // Not queued for later: a late write could undo what other devices
+    // synced meanwhile, and the next sync pushes the changes again anyway
+    write: (document) => storage.uploadDataset(fileName, document, { queue: false }),
+  };
+}
+
+/**
+ * Coin id -> modified time of each coin, the base for the next sync
+ */
+export function syncBase(coins) {
+  return Object.fromEntries(coins.map((coin) => [String(coin.id), coin.modified]));
+}
+
+/**
+ * Whether coins were added, edited or deleted since the last sync
+ */
+export function hasLocalChanges(coins, base = {}) {
+  const ids = new Set(coins.map((coin) => String(coin.id)));
+  return coins.some((coin) => base[String(coin.id)] !== coin.modified) || Object.keys(base).some((id) => !ids.has(id));
+}
+
+/**
+ * Work out what each side needs from the other
+ * @param {Object[]} localCoins
+ * @param {Object[]} remoteCoins
+ * @param {Object} base - As returned by syncBase at the last sync
+ * @returns {{pull: Object[], push: Object[], deleteLocal: string[], deleteRemote: string[],
+ *   conflicts: Array<{id: string, local: Object|null, remote: Object|null, bothNew: boolean}>}}
+ *   a conflict with a null side was deleted there and changed on the other
+ */
+export function planSync(localCoins, remoteCoins, base = {}) {
+  const local = new Map(localCoins.map((coin) => [String(coin.id), coin]));
+  const remote = new Map(remoteCoins.map((coin) => [String(coin.id), coin]));
+  const plan = { pull: [], push: [], deleteLocal: [], deleteRemote: [], conflicts: [] };
+
+  new Set([...local.keys(), ...remote.keys()]).forEach((id) => {
+    const localCoin = local.get(id) || null;
+    const remoteCoin = remote.get(id) || null;
+    const localModified = localCoin ? localCoin.modified : null;
+    const remoteModified = remoteCoin ? remoteCoin.modified : null;
+    if (localModified === remoteModified) return;
+
+    const baseModified = base[id] ?? null;
+    const localChanged = localModified !== baseModified;
+    const remoteChanged = remoteModified !== baseModified;
+
+    if (localChanged && remoteChanged) {
+      plan.conflicts.push({ id, local: localCoin, remote: remoteCoin, bothNew: baseModified === null });
+    } else if (remoteChanged) {
+      if (remoteCoin) plan.pull.push(remoteCoin);
+      else plan.deleteLocal.push(id);
+    } else if (localCoin) {
+      plan.push.push(localCoin);
+    } else {
+      plan.deleteRemote.push(id);
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Run one sync: read the remote, settle conflicts, write the merged
+ * collection back when the remote lacks anything, and report what has to
+ * change locally. Local coins are not modified.
+ *
+ * The remote is read again just before writing; when another device wrote
+ * in between, the sync is planned again against its document, once, and
+ * postponed if the document keeps changing.
+ * @param {Object} options
+ * @param {Object[]} options.coins - Local coins
+ * @param {Object} options.state - Sync state (createSyncState)
+ * @param {{read: function(): Promise<Object|null>, write: function(Object): Promise<void>}} options.remote
+ * @param {string} [options.device] - Recorded in the document as its last writer
+ * @param {function(Array): Promise<Object|null>} options.resolveConflicts - Gets the
+ *   conflicts, returns id -> "local", "remote" or "both" (bothNew only, and the
+ *   default for them), or null to postpone
+ * @param {function(Object[], Object[]): Object[]} [options.renumber] - Gives remote
+ *   coins kept alongside a local coin of the same id ("both") ids of their own;
+ *   the second argument lists every coin whose id is taken on either side
+ * @param {function(Object): Promise<Object>} [options.toPortable] - Local coin as
+ *   uploaded (images as data URLs)
+ * @returns {Promise<{status: "synced"|"postponed", reason?: "conflicts"|"busy",
+ *   put: Object[], remove: string[], pushed: boolean, conflicts: number,
+ *   state: Object}>} put holds remote coins to store locally (replacing the
+ *   coin with the same id), remove the ids to delete; reason says why a sync
+ *   was postponed
+ */
+export async function syncCollection({
+  coins,
+  state,
+  remote,
+  device = "",
+  resolveConflicts,
+  renumber = (added) => added,
+  toPortable = async (coin) => coin,
+}) {
+  // Choices made for a conflict hold when the sync is planned again
+  const choices = {};
+  let document = readSyncDocument(await remote.read());
+
+  for (let attempt = 0; ; attempt++) {
+    const plan = planSync(coins, document.coins, state.base);
+
+    const unsettled = plan.conflicts.filter(({ id }) => !choices[id]);
+    if (unsettled.length > 0) {
+      const chosen = await resolveConflicts(unsettled);
+      if (!chosen) {
+        return postponed("conflicts", plan.conflicts.length, state);
+      }
+      Object.assign(choices, chosen);
+    }
+
+    const put = [...plan.pull];
+    const remove = [...plan.deleteLocal];
+    const added = [];
+    plan.conflicts.forEach(({ id, remote: remoteCoin, bothNew }) => {
+      // Coins added on both devices only share an id: keep both by default
+      const choice = choices[id] || (bothNew ? "both" : "local");
+      if (choice === "remote") {
+        if (remoteCoin) put.push(remoteCoin);
+        else remove.push(id);
+      } else if (choice === "both" && bothNew) {
+        added.push(remoteCoin);
+      }
+    });
+    const renumbered = added.length > 0 ? renumber(added, [...coins, ...document.coins]) : [];
+
+    // The collection both sides hold once the changes are applied
+    const removed = new Set(remove);
+    const replaced = new Map(put.map((coin) => [String(coin.id), coin]));
+    const merged = [
+      ...coins.filter((coin) => !removed.has(String(coin.id))).map((coin) => replaced.get(String(coin.id)) || coin),
+      ...put.filter((coin) => !coins.some((local) => String(local.id) === String(coin.id))),
+      ...renumbered,
+    ];
+
+    const remoteById = new Map(document.coins.map((coin) => [String(coin.id), coin]));
+    const pushed =
+      merged.length !== document.coins.length ||
+      merged.some((coin) => remoteById.get(String(coin.id))?.modified !== coin.modified);
+    let revision = document.revision;
+
+    if (pushed) {
+      const upload = [];
+      for (const coin of merged) {
+        const remoteCoin = remoteById.get(String(coin.id));
+        upload.push(remoteCoin && remoteCoin.modified === coin.modified ? remoteCoin : await toPortable(coin));
+      }
+
+      // Another device wrote while this one was planning or asking
+      const current = readSyncDocument(await remote.read());
+      if (current.revision !== document.revision) {
+        if (attempt > 0) {
+          return postponed("busy", plan.conflicts.length, state);
+        }
+        document = current;
+        continue;
+      }
+
+      revision += 1;
+      await remote.write(createSyncDocument(upload, { revision, device }));
+    }
+
+    return {
+      status: "synced",
+      put: [...put, ...renumbered],
+      remove,
+      pushed,
+      conflicts: plan.conflicts.length,
+      state: { ...state, base: syncBase(merged), revision, lastSynced: new Date().toISOString() },
+    };
+  }
+}
+
+export function createSyncDocument(coins, { revision = 0, device = "" } = {}) {
+  return {
+    format: SYNC_FORMAT,
+    schemaVersion: COIN_SCHEMA_VERSION,
+    revision,
+    device,
+    updated: new Date().toISOString(),
+    coins,
+  };
+}
+
+/**
+ * Coins of a downloaded sync document, brought up to the current schema
+ * @param {Object|null} data - null when nothing was synced yet
+ * @returns {{coins: Object[], revision: number}}
+ */
+export function readSyncDocument(data) {
+  if (!data) return { coins: [], revision: 0 };
+  if (data.format !== SYNC_FORMAT) {
+    throw new Error("The sync file is not a synced coin collection");
+  }
+  const { coins } = migrateImportedCollection(data);
+  return { coins: coins.map(normalizeCoin), revision: Number(data.revision) || 0 };
+}
+
+function postponed(reason, conflicts, state) {
+  return { status: "postponed", reason, put: [], remove: [], pushed: false, conflicts, state };
+}
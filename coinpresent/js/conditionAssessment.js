@@ -0,0 +1,193 @@
+// Condition Assessment Module
+// A guided grading walk-through: wear on each design area, luster, strike,
+// surface marks and problems. The answers are stored in
+// coin.condition.assessment and suggest a Sheldon grade range, so everyone
+// grading for the collection follows the same steps. Wear decides the
+// adjectival grade, the other answers narrow it down within it, and any
+// problem makes it a Details grade.
+
+import { gradeForValue, parseGrade, formatGrade } from "./grading.js";
+
+export const DESIGN_AREAS = {
+  obverseHighPoints: "Obverse high points (cheek, hair above the ear, cap)",
+  obverseDetail: "Obverse fine detail (hair strands, drapery, stars)",
+  reverseHighPoints: "Reverse high points (eagle's breast, wreath tops)",
+  reverseDetail: "Reverse fine detail (feathers, leaves)",
+  fields: "Fields, rims and lettering",
+};
+
+// Least to most worn, with the Sheldon range each one indicates
+export const WEAR_LEVELS = {
+  none: { label: "No wear", hint: "Full detail; only contact marks or hairlines", min: 60, max: 70 },
+  trace: { label: "Trace", hint: "Slight friction on the highest points only", min: 50, max: 58 },
+  light: { label: "Light", hint: "High points worn; nearly all fine detail remains", min: 40, max: 45 },
+  moderate: { label: "Moderate", hint: "High points flat; major detail still sharp", min: 20, max: 35 },
+  heavy: { label: "Heavy", hint: "Design partly flat; outlines and most lettering clear", min: 8, max: 15 },
+  smooth: { label: "Worn smooth", hint: "Only the outline of the design remains", min: 1, max: 6 },
+};
+
+export const LUSTER_LEVELS = {
+  full: "Full, unbroken cartwheel",
+  slight: "Slightly impaired",
+  impaired: "Impaired or dull",
+  none: "None",
+};
+
+export const STRIKE_LEVELS = {
+  full: "Full",
+  sharp: "Sharp",
+  average: "Average",
+  weak: "Weak",
+};
+
+export const MARK_LEVELS = {
+  none: "None visible",
+  few: "A few minor marks",
+  several: "Several, some in focal areas",
+  many: "Many or heavy marks",
+};
+
+export const PROBLEMS = {
+  cleaned: "Cleaned",
+  damaged: "Damaged",
+  environmental: "Environmental Damage",
+  holed: "Holed",
+  repaired: "Repaired",
+};
+
+// Mint state range for each level of surface marks
+const MARK_RANGES = { none: [67, 70], few: [64, 66], several: [62, 63], many: [60, 61] };
+// Highest mint state grade luster and strike allow
+const LUSTER_CAPS = { slight: 65, impaired: 62, none: 61 };
+const STRIKE_CAPS = { average: 66, weak: 64 };
+
+// The free-form condition selects the assessment fills in
+const WEAR_SUMMARY = { none: "None", trace: "Minimal", light: "Light", moderate: "Moderate", heavy: "Heavy", smooth: "Excessive" };
+const LUSTER_SUMMARY = { full: "Full", slight: "Partial", impaired: "Minimal", none: "None" };
+const STRIKE_SUMMARY = { full: "Full", sharp: "Sharp", average: "Average", weak: "Weak" };
+
+export function createAssessment() {
+  return {
+    areas: Object.fromEntries(Object.keys(DESIGN_AREAS).map((area) => [area, ""])),
+    luster: "",
+    strike: "",
+    marks: "",
+    problems: [],
+    assessed: "",
+  };
+}
+
+/**
+ * Grade range the answers point to
+ * @param {Object} assessment - As created by createAssessment
+ * @returns {{min: number, max: number, low: string, high: string, details: boolean,
+ *   detailsNote: string, reasons: string[]}|null} null until some wear is recorded
+ */
+export function suggestGradeRange(assessment) {
+  const levels = Object.keys(WEAR_LEVELS);
+  const answered = Object.entries(assessment?.areas || {}).filter(([, level]) => WEAR_LEVELS[level]);
+  if (answered.length === 0) return null;
+
+  const [worstArea, worst] = answered.reduce((most, entry) =>
+    levels.indexOf(entry[1]) > levels.indexOf(most[1]) ? entry : most
+  );
+  let { min, max } = WEAR_LEVELS[worst];
+  const reasons = [
+    worst === "none"
+      ? "No wear on any design area: mint state"
+      : `${WEAR_LEVELS[worst].label} wear on ${shortArea(worstArea)} sets the range to ${min}-${max}`,
+  ];
+  const cap = (limit, reason) => {
+    if (limit >= max) return;
+    max = limit;
+    min = Math.min(min, max);
+    reasons.push(reason);
+  };
+
+  if (worst === "none") {
+    if (MARK_RANGES[assessment.marks]) {
+      [min, max] = MARK_RANGES[assessment.marks];
+      reasons.push(`${MARK_LEVELS[assessment.marks]}: ${min}-${max}`);
+    }
+    if (LUSTER_CAPS[assessment.luster]) {
+      cap(LUSTER_CAPS[assessment.luster], `${LUSTER_LEVELS[assessment.luster]} luster: ${LUSTER_CAPS[assessment.luster]} at most`);
+    }
+    if (STRIKE_CAPS[assessment.strike]) {
+      cap(STRIKE_CAPS[assessment.strike], `${STRIKE_LEVELS[assessment.strike]} strike: ${STRIKE_CAPS[assessment.strike]} at most`);
+    }
+  } else if (worst === "trace") {
+    // Heavy marks hold a coin to lower AU whatever luster it kept
+    if (assessment.marks === "many") cap(53, "Many marks: lower AU");
+    if (assessment.luster === "full" || assessment.luster === "slight") {
+      if (max > 55) {
+        min = 55;
+        reasons.push("Most luster remains: upper AU");
+      }
+    } else if (assessment.luster) {
+      cap(53, "Luster mostly gone: lower AU");
+    }
+  }
+
+  const problems = (assessment.problems || []).filter((problem) => PROBLEMS[problem]);
+  if (problems.length > 0) {
+    reasons.push(`${problems.map((problem) => PROBLEMS[problem]).join(", ")}: Details grade`);
+  }
+
+  return {
+    min,
+    max,
+    low: gradeForValue(min),
+    high: gradeForValue(max),
+    details: problems.length > 0,
+    detailsNote: problems.map((problem) => PROBLEMS[problem]).join(", "),
+    reasons,
+  };
+}
+
+/**
+ * Grade to store when a number from a suggested range is picked. Proof and
+ * specimen coins keep their prefix. Strike and cameo designations stay only
+ * while the coin keeps its prefix and an uncirculated number, and color only
+ * on an uncirculated number; the Details part follows the suggestion.
+ * @param {string} currentGrade
+ * @param {number} number
+ * @param {Object} suggestion - As returned by suggestGradeRange
+ */
+export function gradeFromSuggestion(currentGrade, number, suggestion) {
+  const current = parseGrade(currentGrade);
+  const picked = parseGrade(gradeForValue(number));
+  const keepPrefix = current && (current.prefix === "PR" || current.prefix === "SP") && number >= 60;
+  const prefix = keepPrefix ? current.prefix : picked.prefix;
+  const uncirculated = current && number >= 60;
+  const sameKind = uncirculated && prefix === current.prefix;
+  return formatGrade({
+    ...picked,
+    prefix,
+    plus: false,
+    strike: sameKind ? current.strike : "",
+    cameo: sameKind ? current.cameo : "",
+    color: uncirculated ? current.color : "",
+    details: suggestion.details,
+    detailsNote: suggestion.detailsNote,
+  });
+}
+
+/**
+ * Values for the wear, luster and strike selects of the condition section
+ * @returns {Object} only the fields the answers cover
+ */
+export function summarizeAssessment(assessment) {
+  const levels = Object.keys(WEAR_LEVELS);
+  const worst = Object.values(assessment.areas || {})
+    .filter((level) => WEAR_LEVELS[level])
+    .sort((a, b) => levels.indexOf(b) - levels.indexOf(a))[0];
+  const summary = {};
+  if (worst) summary.wear = WEAR_SUMMARY[worst];
+  if (LUSTER_SUMMARY[assessment.luster]) summary.luster = LUSTER_SUMMARY[assessment.luster];
+  if (STRIKE_SUMMARY[assessment.strike]) summary.strike = STRIKE_SUMMARY[assessment.strike];
+  return summary;
+}
+
+function shortArea(area) {
+  return DESIGN_AREAS[area].replace(/\s*\(.*\)$/, "").toLowerCase();
+}
@@ -0,0 +1,202 @@
+// Custom Fields Module
+// Coin fields a collection defines for itself (KM number, Numista ID, die
+// axis, slab certification number, storage location...). Definitions are
+// stored with the collection metadata; values live in coin.customFields,
+// keyed by the definition's key. The key is derived from the label once and
+// never changes, so renaming a field keeps its values and a deleted field
+// added back under the same name finds them again.
+//
+// Values are stored as text like the built-in metadata fields: numbers as
+// typed, dates as YYYY-MM-DD.
+
+export const FIELD_TYPES = {
+  text: "Text",
+  number: "Number",
+  select: "Select",
+  date: "Date",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Keys end up in element ids and inline handlers
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Build a validated field definition
+ * @param {Object} fields
+ * @param {string} fields.label
+ * @param {string} [fields.type] - One of FIELD_TYPES
+ * @param {string[]|string} [fields.options] - Choices of a select field; text is split on commas
+ * @param {boolean} [fields.required]
+ * @param {string} [fields.min] - Lowest number or earliest date
+ * @param {string} [fields.max] - Highest number or latest date
+ * @param {string} [fields.pattern] - Regular expression text values must match
+ * @param {string} [fields.defaultValue] - Filled into new coins
+ * @param {Object[]} [definitions] - The collection's other fields, for a unique key
+ * @param {Object} [existing] - Definition being edited; its key is kept
+ * @returns {Object}
+ * @throws {Error} describing the first problem found
+ */
+export function createFieldDefinition(fields, definitions = [], existing = null) {
+  const label = String(fields.label ?? "").trim();
+  if (!label) throw new Error("The field needs a name");
+
+  const type = FIELD_TYPES[fields.type] ? fields.type : "text";
+  const others = definitions.filter((definition) => definition.key !== existing?.key);
+  if (others.some((definition) => definition.label.toLowerCase() === label.toLowerCase())) {
+    throw new Error(`There already is a field named "${label}"`);
+  }
+
+  const definition = {
+    key: existing?.key || fieldKey(label, others),
+    label,
+    type,
+    required: Boolean(fields.required),
+    options: type === "select" ? parseOptions(fields.options) : [],
+    min: type === "number" || type === "date" ? String(fields.min ?? "").trim() : "",
+    max: type === "number" || type === "date" ? String(fields.max ?? "").trim() : "",
+    pattern: type === "text" ? String(fields.pattern ?? "").trim() : "",
+    defaultValue: String(fields.defaultValue ?? "").trim(),
+  };
+
+  if (type === "select" && definition.options.length === 0) {
+    throw new Error("A select field needs at least one option");
+  }
+  for (const bound of ["min", "max"]) {
+    if (definition[bound] && !parseBound(definition, definition[bound])) {
+      throw new Error(`${bound === "min" ? "Minimum" : "Maximum"} "${definition[bound]}" is not a ${type}`);
+    }
+  }
+  if (definition.pattern) {
+    try {
+      new RegExp(definition.pattern);
+    } catch (error) {
+      throw new Error(`Pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+  if (definition.defaultValue) {
+    const error = validateFieldValue(definition, definition.defaultValue);
+    if (error) throw new Error(`Default value: ${error}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Check a value against its field definition
+ * @returns {string|null} the problem, or null when the value is fine
+ */
+export function validateFieldValue(definition, value) {
+  const text = String(value ?? "").trim();
+  if (text === "") {
+    return definition.required ? `${definition.label} is required` : null;
+  }
+
+  switch (definition.type) {
+    case "number": {
+      const number = toNumber(text);
+      if (number === null) return `${definition.label} must be a number`;
+      if (definition.min !== "" && number < toNumber(definition.min)) {
+        return `${definition.label} must be at least ${definition.min}`;
+      }
+      if (definition.max !== "" && number > toNumber(definition.max)) {
+        return `${definition.label} must be at most ${definition.max}`;
+      }
+      return null;
+    }
+    case "date":
+      if (!isDate(text)) return `${definition.label} must be a date (YYYY-MM-DD)`;
+      if (definition.min && text < definition.min) return `${definition.label} must be on or after ${definition.min}`;
+      if (definition.max && text > definition.max) return `${definition.label} must be on or before ${definition.max}`;
+      return null;
+    case "select":
+      return definition.options.includes(text)
+        ? null
+        : `${definition.label} must be one of ${definition.options.join(", ")}`;
+    default:
+      if (definition.pattern && !new RegExp(definition.pattern).test(text)) {
+        return `${definition.label} does not match the pattern ${definition.pattern}`;
+      }
+      return null;
+  }
+}
+
+/**
+ * Give a coin the default of every field it has no value for
+ * @returns {boolean} whether anything was filled in
+ */
+export function applyFieldDefaults(coin, definitions) {
+  let changed = false;
+  definitions.forEach((definition) => {
+    if (!definition.defaultValue) return;
+    if (!coin.customFields || typeof coin.customFields !== "object") coin.customFields = {};
+    if (String(coin.customFields[definition.key] ?? "") === "") {
+      coin.customFields[definition.key] = definition.defaultValue;
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * A coin's custom values as [label, value] pairs, in definition order,
+ * leaving out empty ones
+ */
+export function customFieldEntries(coin, definitions = []) {
+  return definitions
+    .map((definition) => [definition.label, String(coin.customFields?.[definition.key] ?? "").trim()])
+    .filter(([, value]) => value !== "");
+}
+
+/**
+ * Add definitions from another collection (or an import) whose keys this
+ * collection does not use yet. Additions that are not valid definitions are
+ * left out.
+ * @returns {Object[]} a new array
+ */
+export function mergeFieldDefinitions(definitions = [], additions = []) {
+  const result = [...definitions];
+  const keys = new Set(definitions.map((definition) => definition.key));
+  (additions || []).forEach((addition) => {
+    if (!KEY_PATTERN.test(addition?.key) || keys.has(addition.key)) return;
+    try {
+      result.push(createFieldDefinition(addition, result, { key: addition.key }));
+      keys.add(addition.key);
+    } catch {
+      // Same label as a field already here, or broken validation settings
+    }
+  });
+  return result;
+}
+
+// "Slab Cert #" -> "slab_cert", made unique within the collection
+function fieldKey(label, definitions) {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "field";
+  const taken = new Set(definitions.map((definition) => definition.key));
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix++) key = `${base}_${suffix}`;
+  return key;
+}
+
+function parseOptions(options) {
+  const list = Array.isArray(options) ? options : String(options ?? "").split(",");
+  return Array.from(new Set(list.map((option) => String(option).trim()).filter(Boolean)));
+}
+
+function parseBound(definition, value) {
+  return definition.type === "number" ? toNumber(value) !== null : isDate(value);
+}
+
+function toNumber(text) {
+  const number = Number(String(text).trim());
+  return String(text).trim() !== "" && Number.isFinite(number) ? number : null;
+}
+
+function isDate(text) {
+  if (!DATE_PATTERN.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
@@ -0,0 +1,98 @@
+// Edit History Module
+// Command-based undo/redo for coin edits. A command records the affected
+// coins as they were before and after the edit, so undoing and redoing are
+// the same operation in opposite directions. Each command gets a sequence
+// number (seq) so storage can tell which commands it already holds.
+
+export const MAX_HISTORY_ENTRIES = 50;
+
+export class EditHistory {
+  constructor({ limit = MAX_HISTORY_ENTRIES } = {}) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.nextSeq = 1;
+  }
+
+  /**
+   * Record an edit that has already been applied
+   * @param {Object} command
+   * @param {string} command.label - Human readable description
+   * @param {Object[]} command.changes - { coinId, index, before, after } where
+   *   before/after are coin snapshots, or null when the coin did not exist
+   */
+  record(command) {
+    if (!command.changes || command.changes.length === 0) return;
+
+    this.undoStack.push({ timestamp: new Date().toISOString(), ...command, seq: this.nextSeq++ });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Returns the command to revert; apply each change's `before` snapshot
+  undo() {
+    const command = this.undoStack.pop();
+    if (command) this.redoStack.push(command);
+    return command || null;
+  }
+
+  // Returns the command to reapply; apply each change's `after` snapshot
+  redo() {
+    const command = this.redoStack.pop();
+    if (command) this.undoStack.push(command);
+    return command || null;
+  }
+
+  // Numbering goes on after clear(), so a number is never reused
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  toJSON() {
+    return { undo: this.undoStack, redo: this.redoStack, nextSeq: this.nextSeq };
+  }
+
+  load(data) {
+    this.undoStack = Array.isArray(data?.undo) ? data.undo.slice(-this.limit) : [];
+    this.redoStack = Array.isArray(data?.redo) ? data.redo.slice(-this.limit) : [];
+    this.nextSeq = Math.max(
+      Number(data?.nextSeq) || 1,
+      ...[...this.undoStack, ...this.redoStack].map((command) => command.seq + 1)
+    );
+  }
+}
+
+/**
+ * Apply one direction of a command to a coin array in place
+ * @param {Object[]} coins
+ * @param {Object} command
+ * @param {"undo"|"redo"} direction
+ */
+export function applyCommand(coins, command, direction) {
+  const changes = direction === "undo" ? [...command.changes].reverse() : command.changes;
+
+  for (const change of changes) {
+    const snapshot = direction === "undo" ? change.before : change.after;
+    const currentIndex = coins.findIndex((coin) => coin.id === change.coinId);
+
+    if (!snapshot) {
+      if (currentIndex !== -1) coins.splice(currentIndex, 1);
+    } else if (currentIndex !== -1) {
+      coins[currentIndex] = structuredClone(snapshot);
+    } else {
+      const index = Math.min(Math.max(change.index, 0), coins.length);
+      coins.splice(index, 0, structuredClone(snapshot));
+    }
+  }
+}
@@ -0,0 +1,247 @@
+// Grading Module
+// Sheldon grades as entered on coins ("MS-65", "PR69DCAM", "ms 64+ pl",
+// "XF Details (Cleaned)"), parsed into their parts and written back in one
+// normal form: "MS-65+ DMPL", "PR-69 DCAM", "MS-64 RB", "XF-40 Details
+// (Cleaned)". gradeValue() gives the number used for sorting, averaging and
+// range filters; a plus grade counts half a point above its number.
+
+// Adjectival grades with the Sheldon numbers they cover, best first
+export const GRADE_PREFIXES = {
+  MS: { label: "Mint State", min: 60, max: 70 },
+  PR: { label: "Proof", min: 60, max: 70 },
+  SP: { label: "Specimen", min: 60, max: 70 },
+  AU: { label: "About Uncirculated", min: 50, max: 58 },
+  XF: { label: "Extremely Fine", min: 40, max: 45 },
+  VF: { label: "Very Fine", min: 20, max: 35 },
+  F: { label: "Fine", min: 12, max: 15 },
+  VG: { label: "Very Good", min: 8, max: 10 },
+  G: { label: "Good", min: 4, max: 6 },
+  AG: { label: "About Good", min: 3, max: 3 },
+  FR: { label: "Fair", min: 2, max: 2 },
+  PO: { label: "Poor", min: 1, max: 1 },
+};
+
+// Other spellings graders and sellers use for the same prefix
+const PREFIX_ALIASES = { PF: "PR", PRF: "PR", EF: "XF", FA: "FR", FAIR: "FR", P: "PO", UNC: "MS", BU: "MS" };
+
+export const STRIKE_DESIGNATIONS = { PL: "Prooflike", DMPL: "Deep Mirror Prooflike" };
+export const CAMEO_DESIGNATIONS = { CAM: "Cameo", DCAM: "Deep Cameo" };
+export const COLOR_DESIGNATIONS = { RD: "Red", RB: "Red-Brown", BN: "Brown" };
+
+// Ultra Cameo is the NGC name for Deep Cameo
+const DESIGNATION_ALIASES = { UCAM: "DCAM", UC: "DCAM", DPL: "DMPL" };
+
+// Grades offered in the grade dropdown, best first
+export const GRADE_OPTIONS = [
+  ["PR-70", "Perfect Proof"],
+  ["PR-69", "Ultra Cameo"],
+  ["MS-70", "Perfect Mint State"],
+  ["MS-69", "Near Perfect"],
+  ["MS-68", "Superb"],
+  ["MS-67", "Superb"],
+  ["MS-66", "Premium"],
+  ["MS-65", "Gem"],
+  ["MS-64", "Choice"],
+  ["MS-63", "Select"],
+  ["MS-62", "Select"],
+  ["MS-61", "Uncirculated"],
+  ["MS-60", "Uncirculated"],
+  ["AU-58", "About Uncirculated"],
+  ["AU-55", "About Uncirculated"],
+  ["AU-53", "About Uncirculated"],
+  ["AU-50", "About Uncirculated"],
+  ["XF-45", "Extremely Fine"],
+  ["XF-40", "Extremely Fine"],
+  ["VF-35", "Very Fine"],
+  ["VF-30", "Very Fine"],
+  ["VF-25", "Very Fine"],
+  ["VF-20", "Very Fine"],
+  ["F-15", "Fine"],
+  ["F-12", "Fine"],
+  ["VG-10", "Very Good"],
+  ["VG-8", "Very Good"],
+  ["G-6", "Good"],
+  ["G-4", "Good"],
+  ["AG-3", "About Good"],
+  ["FR-2", "Fair"],
+  ["PO-1", "Poor"],
+];
+
+// Sheldon ranges summarised as one column each on the dashboard
+export const GRADE_BANDS = [
+  { label: "PO-AG", min: 1, max: 3 },
+  { label: "G", min: 4, max: 7 },
+  { label: "VG", min: 8, max: 11 },
+  { label: "F", min: 12, max: 19 },
+  { label: "VF", min: 20, max: 39 },
+  { label: "XF", min: 40, max: 49 },
+  { label: "AU", min: 50, max: 59 },
+  { label: "MS/PR", min: 60, max: 70 },
+];
+
+/**
+ * Split a grade into its parts. A bare number ("65") is accepted, and an
+ * adjectival grade without a number ("AU Details") gets the lowest number of
+ * its range.
+ * @returns {{prefix: string, number: number, plus: boolean, strike: string,
+ *   cameo: string, color: string, details: boolean, detailsNote: string}|null}
+ *   null when no grade can be read from the text
+ */
+export function parseGrade(text) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) return null;
+
+  // "Details" and whatever problem follows it: "(Cleaned)", "- Scratched"
+  const detailsMatch = trimmed.match(/\bdet(?:ails?)?\b(.*)$/i);
+  const details = Boolean(detailsMatch);
+  const detailsNote = details ? detailsMatch[1].replace(/^[\s.:(\-–]+|[\s)]+$/g, "") : "";
+  const rest = (details ? trimmed.slice(0, detailsMatch.index) : trimmed).toUpperCase();
+
+  const match = rest.match(/^([A-Z]{0,4})[\s-]*(\d{1,2})?\s*(\+)?\s*(.*)$/);
+  if (!match) return null;
+  const [, rawPrefix, rawNumber, plusSign, tail] = match;
+
+  const prefix = PREFIX_ALIASES[rawPrefix] || rawPrefix;
+  if (prefix && !GRADE_PREFIXES[prefix]) return null;
+  if (!prefix && !rawNumber) return null;
+
+  const number = rawNumber ? Number(rawNumber) : GRADE_PREFIXES[prefix].min;
+  if (number < 1 || number > 70) return null;
+
+  const grade = {
+    prefix: prefix || prefixForNumber(number),
+    number,
+    // 70 is perfect; nothing grades above it
+    plus: number < 70 && (Boolean(plusSign) || tail.includes("+")),
+    strike: "",
+    cameo: "",
+    color: "",
+    details,
+    detailsNote,
+  };
+
+  // Designations may be run together ("69DCAM") or separated by spaces or slashes
+  tail
+    .replace(/\+/g, " ")
+    .split(/[\s/,]+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const designation = DESIGNATION_ALIASES[word] || word;
+      if (STRIKE_DESIGNATIONS[designation]) grade.strike = designation;
+      else if (CAMEO_DESIGNATIONS[designation]) grade.cameo = designation;
+      else if (COLOR_DESIGNATIONS[designation]) grade.color = designation;
+    });
+
+  return grade;
+}
+
+/**
+ * Write parsed grade parts in the normal form
+ * @param {Object} grade - As returned by parseGrade
+ */
+export function formatGrade(grade) {
+  const base = `${grade.prefix}-${grade.number}${grade.plus ? "+" : ""}`;
+  const designations = [grade.strike, grade.cameo, grade.color].filter(Boolean);
+  const details = grade.details ? `Details${grade.detailsNote ? ` (${grade.detailsNote})` : ""}` : "";
+  return [base, ...designations, details].filter(Boolean).join(" ");
+}
+
+/**
+ * A grade in normal form; text that is not a grade is returned trimmed
+ */
+export function normalizeGrade(text) {
+  const grade = parseGrade(text);
+  return grade ? formatGrade(grade) : String(text ?? "").trim();
+}
+
+/**
+ * Numeric Sheldon value of a grade, with a plus grade half a point higher
+ * @returns {number|null}
+ */
+export function gradeValue(text) {
+  const grade = parseGrade(text);
+  return grade ? grade.number + (grade.plus ? 0.5 : 0) : null;
+}
+
+/**
+ * Nearest grade in GRADE_OPTIONS for a numeric value, e.g. an average.
+ * Values of 60 and up are given as mint state.
+ */
+export function gradeForValue(value) {
+  const candidates = GRADE_OPTIONS.map(([grade]) => parseGrade(grade)).filter((grade) => grade.prefix !== "PR");
+  const nearest = candidates.reduce((best, grade) =>
+    Math.abs(grade.number - value) < Math.abs(best.number - value) ? grade : best
+  );
+  return `${nearest.prefix}-${nearest.number}`;
+}
+
+/**
+ * Average of the grades that can be read
+ * @param {string[]} grades
+ * @returns {{value: number, grade: string, count: number}|null}
+ */
+export function averageGrade(grades) {
+  const values = grades.map(gradeValue).filter((value) => value !== null);
+  if (values.length === 0) return null;
+  const value = values.reduce((sum, item) => sum + item, 0) / values.length;
+  return { value, grade: gradeForValue(value), count: values.length };
+}
+
+/**
+ * <option> elements for a grade dropdown. The selected grade's designations
+ * are edited separately, so the option matching its base grade is selected;
+ * a base grade not in the list is added so it is not lost.
+ * @param {string} [selected]
+ * @param {string} [emptyLabel]
+ */
+export function renderGradeOptions(selected = "", emptyLabel = "Select Grade") {
+  const base = baseGrade(selected);
+  const options = GRADE_OPTIONS.some(([grade]) => grade === base) || !base ? GRADE_OPTIONS : [[base, "Recorded grade"], ...GRADE_OPTIONS];
+  return (
+    `<option value="">${emptyLabel}</option>` +
+    options
+      .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === base ? "selected" : ""}>${escapeHtml(value)} (${label})</option>`)
+      .join("")
+  );
+}
+
+/**
+ * Prefix and number of a grade without plus or designations ("MS-65"), or
+ * the trimmed text when it is not a grade
+ */
+export function baseGrade(text) {
+  const grade = parseGrade(text);
+  return grade ? `${grade.prefix}-${grade.number}` : String(text ?? "").trim();
+}
+
+/**
+ * Replace one part of a grade, keeping the others
+ * @param {string} text - Current grade
+ * @param {string} part - "base", "plus", "strike", "cameo", "color", "details" or "detailsNote"
+ * @param {*} value - A grade such as "MS-64" for base, true/false for plus and details
+ * @returns {string} the grade in normal form; "" when the base grade is cleared
+ */
+export function setGradePart(text, part, value) {
+  if (part === "base") {
+    if (!value) return "";
+    const base = parseGrade(value);
+    if (!base) return String(value).trim();
+    const current = parseGrade(text);
+    return formatGrade(current ? { ...current, prefix: base.prefix, number: base.number } : base);
+  }
+
+  const grade = parseGrade(text);
+  if (!grade) throw new Error("Choose a grade before adding designations");
+  return formatGrade({ ...grade, [part]: part === "plus" || part === "details" ? Boolean(value) : String(value ?? "").trim() });
+}
+
+// Adjectival prefix of a bare number; proofs cannot be told apart, so 60+ is mint state
+function prefixForNumber(number) {
+  return ["MS", "AU", "XF", "VF", "F", "VG", "G", "AG", "FR", "PO"].find(
+    (prefix) => number >= GRADE_PREFIXES[prefix].min
+  );
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
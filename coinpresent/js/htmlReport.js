@@ -0,0 +1,333 @@
+// HTML Report Module
+// Builds the standalone HTML collection report sent to clients: summary and
+// table of contents, then a section per coin with annotated images, AI
+// analysis, valuation bars and notes. Everything, images included, is
+// inline so the file can be mailed or archived on its own.
+
+import { METADATA_FIELDS } from "./coinSchema.js";
+import { collectionTotals, formatMoney, formatSignedMoney, parseEstimate, unrealizedGain } from "./collectionStats.js";
+import { customFieldEntries } from "./customFields.js";
+import { PROVENANCE_KINDS, purchaseEntries, documentTitles } from "./provenance.js";
+
+// Used when the on-screen size of an image box cannot be measured
+const DEFAULT_FRAME = { width: 480, height: 300 };
+// Annotation x/y is the top-left corner of a 12px marker dot
+const MARKER_OFFSET = 6;
+
+/**
+ * Render the report
+ * @param {Object[]} coins - Exported coins; images must be data URLs
+ * @param {Object} options - Same options as createPdfReport()
+ * @returns {string} complete HTML document
+ */
+export function createHtmlReport(coins, options = {}) {
+  const title = options.collectionName || "Coin Collection";
+  const totals = collectionTotals(coins);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - Collection Report</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<header class="report-header">
+  <h1>${escapeHtml(title)}</h1>
+  <p class="muted">Collection Report &middot; Generated ${escapeHtml(new Date().toLocaleDateString())}</p>
+  <div class="totals">
+    ${totalCard("Coins", totals.count)}
+    ${totalCard("Estimated value", totals.estimated > 0 ? formatMoney(totals.estimated) : "Not specified")}
+    ${totalCard("Valued coins", `${totals.valued} of ${totals.count}`)}
+    ${totalCard("Graded coins", `${totals.graded} of ${totals.count}`)}
+    ${totalCard("Countries", totals.countries)}
+    ${totalCard("Date range", totals.years || "Not specified")}
+    ${options.includeValuations && totals.costed > 0 ? totalCard("Cost basis", formatMoney(totals.cost)) : ""}
+    ${options.includeValuations && totals.gainCoins > 0 ? totalCard(`Unrealized gain (${totals.gainCoins} coins)`, formatSignedMoney(totals.gain)) : ""}
+  </div>
+</header>
+
+<nav class="toc">
+  <h2>Contents</h2>
+  <ol>
+    ${coins
+      .map(
+        (coin) => `<li><a href="#coin-${coin.id}">${escapeHtml(coin.title || "Untitled coin")}</a>
+      <span class="muted">${escapeHtml(subtitle(coin))}</span></li>`
+      )
+      .join("\n    ")}
+  </ol>
+</nav>
+
+<main>
+${coins.map((coin) => renderCoin(coin, options)).join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+function renderCoin(coin, options) {
+  const details = [
+    ...METADATA_FIELDS.filter((field) => coin.metadata?.[field]).map((field) => [capitalize(field), coin.metadata[field]]),
+    ...customFieldEntries(coin, options.fieldDefinitions),
+  ];
+  const condition = ["grade", "wear", "luster", "strike"]
+    .filter((field) => coin.condition?.[field])
+    .map((field) => [capitalize(field), coin.condition[field]]);
+
+  return `<section class="coin" id="coin-${coin.id}">
+  <h2>${escapeHtml(coin.title || "Untitled coin")}</h2>
+  ${subtitle(coin) ? `<p class="muted">${escapeHtml(subtitle(coin))}</p>` : ""}
+  ${coin.description ? `<p>${escapeHtml(coin.description)}</p>` : ""}
+  ${options.includeImages ? renderImages(coin, options) : ""}
+  <div class="columns">
+    <div>
+      <h3>Details</h3>
+      ${definitionList(details, "Not recorded")}
+    </div>
+    <div>
+      <h3>Condition</h3>
+      ${definitionList(condition, "Not graded")}
+      ${options.includeNotes && coin.condition?.notes ? `<p class="note">${escapeHtml(coin.condition.notes)}</p>` : ""}
+    </div>
+  </div>
+  ${renderAiSummary(coin.aiAnalysis)}
+  ${options.includeValuations && coin.valuation ? renderValuation(coin.valuation) : ""}
+  ${options.includeValuations ? renderProvenance(coin) : ""}
+  ${options.includeNotes && coin.notes ? `<h3>Notes</h3><p class="note">${escapeHtml(coin.notes)}</p>` : ""}
+</section>`;
+}
+
+function renderImages(coin, options) {
+  const sides = ["obverse", "reverse"].filter((side) => coin.images?.[side]);
+  if (sides.length === 0) return "";
+
+  const legend = [];
+  const figures = sides.map((side) => {
+    const frame = options.getAnnotationFrame?.(coin.id, side) || DEFAULT_FRAME;
+    const markers = options.includeAnnotations
+      ? (coin.annotations?.[side] || []).map((annotation) => {
+          legend.push({ side, annotation });
+          // Percentages keep markers in place at any rendered size
+          const left = clampPercent(((annotation.x + MARKER_OFFSET) / frame.width) * 100);
+          const top = clampPercent(((annotation.y + MARKER_OFFSET) / frame.height) * 100);
+          return `<span class="marker" style="left: ${left}%; top: ${top}%; background: ${escapeHtml(annotation.color || "#8B4513")}" title="${escapeHtml(annotation.label || "")}">${legend.length}</span>`;
+        })
+      : [];
+
+    return `<figure>
+      <div class="frame" style="aspect-ratio: ${frame.width} / ${frame.height}">
+        <img src="${escapeHtml(coin.images[side])}" alt="${capitalize(side)} of ${escapeHtml(coin.title || "coin")}">
+        ${markers.join("")}
+      </div>
+      <figcaption>${capitalize(side)}</figcaption>
+    </figure>`;
+  });
+
+  return `<div class="images">${figures.join("")}</div>
+  ${
+    legend.length > 0
+      ? `<ol class="legend">${legend
+          .map(
+            ({ side, annotation }) =>
+              `<li><span class="marker inline" style="background: ${escapeHtml(annotation.color || "#8B4513")}"></span>${escapeHtml(annotation.label || "Annotation")} <span class="muted">(${side})</span></li>`
+          )
+          .join("")}</ol>`
+      : ""
+  }`;
+}
+
+function renderAiSummary(aiAnalysis) {
+  const sides = ["obverse", "reverse"].filter((side) => aiAnalysis?.[side]);
+  if (sides.length === 0) return "";
+
+  const rows = sides.map((side) => {
+    const analysis = aiAnalysis[side];
+    const top = analysis.classification?.predictions?.[0];
+    const features = (analysis.features?.annotations || []).slice(0, 4).map((feature) => feature.name);
+    const authenticity = analysis.authenticity;
+
+    return `<tr>
+      <th>${capitalize(side)}</th>
+      <td>${top ? `${escapeHtml(top.label)} <span class="muted">${percent(top.confidence)}</span>` : "&mdash;"}</td>
+      <td>${features.length > 0 ? escapeHtml(features.join(", ")) : "&mdash;"}</td>
+      <td>${
+        authenticity
+          ? `${authenticity.isAuthentic ? "Likely authentic" : "Needs verification"} <span class="muted">${percent(authenticity.confidence)}</span>`
+          : "&mdash;"
+      }</td>
+    </tr>`;
+  });
+
+  const values = sides.map((side) => aiAnalysis[side].value).filter(Boolean);
+  const estimate = values.reduce((sum, value) => sum + (value.estimatedValue || 0), 0);
+  const min = values.reduce((sum, value) => sum + (value.range?.min || 0), 0);
+  const max = values.reduce((sum, value) => sum + (value.range?.max || 0), 0);
+
+  return `<h3>AI Analysis</h3>
+  <table class="ai">
+    <thead><tr><th></th><th>Classification</th><th>Features</th><th>Authenticity</th></tr></thead>
+    <tbody>${rows.join("")}</tbody>
+  </table>
+  ${
+    values.length > 0
+      ? `<p>AI value estimate: <strong>${formatMoney(estimate)}</strong> <span class="muted">(range ${formatMoney(min)} - ${formatMoney(max)})</span></p>`
+      : ""
+  }
+  <p class="muted small">AI results are for reference only; consult a professional appraiser for an accurate valuation.</p>`;
+}
+
+function renderValuation(valuation) {
+  const scenarios = Object.entries(valuation.scenarios || {}).map(([name, scenario]) => ({
+    name,
+    min: Number(scenario.min) || 0,
+    max: Number(scenario.max) || 0,
+    description: scenario.description || "",
+  }));
+  const current = parseEstimate(valuation.currentEstimate);
+  const scale = Math.max(current || 0, ...scenarios.map((scenario) => scenario.max), 1);
+
+  const bars = scenarios.map((scenario) => {
+    const left = (Math.min(scenario.min, scenario.max) / scale) * 100;
+    const width = Math.max((Math.abs(scenario.max - scenario.min) / scale) * 100, 0.5);
+    return `<div class="bar-row">
+      <div class="bar-label">${escapeHtml(capitalize(scenario.name))}<span class="muted small">${escapeHtml(scenario.description)}</span></div>
+      <div class="bar-track">
+        <div class="bar-fill" style="left: ${left}%; width: ${width}%"></div>
+        ${current !== null ? `<div class="bar-current" style="left: ${(current / scale) * 100}%"></div>` : ""}
+      </div>
+      <div class="bar-value">${formatMoney(scenario.min)} - ${formatMoney(scenario.max)}</div>
+    </div>`;
+  });
+
+  return `<h3>Valuation</h3>
+  <div class="bars">${bars.join("")}</div>
+  ${
+    valuation.currentEstimate
+      ? `<p>Current estimate: <strong>${escapeHtml(valuation.currentEstimate)}</strong>${current !== null ? ' <span class="muted small">(marked on the bars)</span>' : ""}</p>`
+      : ""
+  }
+  ${valuation.marketNotes ? `<p class="note">${escapeHtml(valuation.marketNotes)}</p>` : ""}`;
+}
+
+function renderProvenance(coin) {
+  const purchase = purchaseEntries(coin);
+  const gain = unrealizedGain(coin);
+  if (gain !== null) purchase.push(["Unrealized gain", formatSignedMoney(gain)]);
+  const chain = coin.provenance || [];
+  if (purchase.length === 0 && chain.length === 0) return "";
+
+  return `<h3>Purchase &amp; Provenance</h3>
+  ${definitionList(purchase, "Purchase not recorded")}
+  ${documentList(coin, coin.acquisition?.documents)}
+  ${
+    chain.length > 0
+      ? `<ol class="provenance">${chain
+          .map(
+            (entry) => `<li><strong>${escapeHtml(entry.name || PROVENANCE_KINDS[entry.kind] || "Unknown")}</strong>
+      <span class="muted small">${escapeHtml([PROVENANCE_KINDS[entry.kind], entry.date, entry.reference].filter(Boolean).join(" · "))}</span>
+      ${entry.notes ? `<div class="small">${escapeHtml(entry.notes)}</div>` : ""}
+      ${documentList(coin, entry.documents)}</li>`
+          )
+          .join("")}</ol>`
+      : ""
+  }`;
+}
+
+function documentList(coin, mediaIds) {
+  const titles = documentTitles(coin, mediaIds);
+  return titles.length > 0 ? `<p class="muted small">Documents: ${titles.map(escapeHtml).join(", ")}</p>` : "";
+}
+
+function totalCard(label, value) {
+  return `<div class="total"><span class="muted small">${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`;
+}
+
+function definitionList(pairs, emptyText) {
+  if (pairs.length === 0) return `<p class="muted">${emptyText}</p>`;
+  return `<dl>${pairs.map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(value)}</dd>`).join("")}</dl>`;
+}
+
+function subtitle(coin) {
+  return [coin.metadata?.year, coin.metadata?.country, coin.metadata?.denomination].filter(Boolean).join(" · ");
+}
+
+function clampPercent(value) {
+  return Math.min(Math.max(value, 0), 100).toFixed(2);
+}
+
+function percent(value) {
+  return `${((value || 0) * 100).toFixed(0)}%`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const REPORT_CSS = `
+  :root { --accent: #8B4513; --text: #2F1B14; --muted: #654321; --rule: #DDD4B8; --panel: #FFF8DC; }
+  * { box-sizing: border-box; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: var(--text); max-width: 960px; margin: 0 auto; padding: 32px; line-height: 1.5; }
+  h1, h2, h3 { color: var(--accent); }
+  h1 { font-size: 2.2em; margin: 0; }
+  h2 { font-size: 1.6em; margin: 0 0 4px; }
+  h3 { font-size: 1.1em; border-bottom: 1px solid var(--rule); padding-bottom: 4px; margin: 24px 0 8px; }
+  .muted { color: var(--muted); }
+  .small { font-size: 0.85em; }
+  .report-header { text-align: center; margin-bottom: 32px; }
+  .totals { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-top: 24px; }
+  .total { background: var(--panel); border: 1px solid var(--rule); border-radius: 8px; padding: 12px; display: flex; flex-direction: column; gap: 4px; }
+  .total strong { font-size: 1.3em; }
+  .toc ol { columns: 2; column-gap: 32px; padding-left: 20px; }
+  .toc li { margin-bottom: 4px; break-inside: avoid; }
+  .toc a { color: var(--text); }
+  .toc .muted { display: block; font-size: 0.85em; }
+  .coin { border-top: 2px solid var(--accent); padding-top: 24px; margin-top: 40px; }
+  .images { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 16px; margin: 16px 0; }
+  figure { margin: 0; }
+  figcaption { font-size: 0.85em; color: var(--muted); margin-top: 4px; }
+  .frame { position: relative; overflow: hidden; border: 1px solid var(--rule); border-radius: 8px; background: var(--panel); }
+  .frame img { width: 100%; height: 100%; object-fit: cover; display: block; }
+  .marker { position: absolute; width: 18px; height: 18px; margin: -9px 0 0 -9px; border-radius: 50%; border: 2px solid #fff; color: #fff; font: bold 10px/14px Arial, sans-serif; text-align: center; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.4); }
+  .marker.inline { position: static; display: inline-block; width: 12px; height: 12px; margin: 0 6px 0 0; vertical-align: middle; }
+  .legend { columns: 2; font-size: 0.9em; padding-left: 24px; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+  dt { color: var(--muted); }
+  dd { margin: 0; }
+  .note { white-space: pre-wrap; background: var(--panel); border-radius: 6px; padding: 8px 12px; }
+  table.ai { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+  table.ai th, table.ai td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--rule); vertical-align: top; }
+  .bar-row { display: grid; grid-template-columns: 180px 1fr 150px; gap: 12px; align-items: center; margin-bottom: 10px; }
+  .bar-label { display: flex; flex-direction: column; }
+  .bar-track { position: relative; height: 14px; background: var(--panel); border: 1px solid var(--rule); border-radius: 7px; }
+  .bar-fill { position: absolute; top: 0; bottom: 0; background: var(--accent); border-radius: 7px; }
+  .bar-current { position: absolute; top: -4px; bottom: -4px; width: 2px; background: #DAA520; }
+  .bar-value { text-align: right; font-size: 0.9em; }
+  .provenance { padding-left: 24px; }
+  .provenance li { margin-bottom: 8px; }
+  .provenance p { margin: 2px 0 0; }
+  @media (max-width: 640px) {
+    .totals, .columns { grid-template-columns: 1fr; }
+    .bar-row { grid-template-columns: 1fr; }
+  }
+  @page { margin: 15mm; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .toc a { text-decoration: none; }
+    .coin { break-before: page; border-top: none; margin-top: 0; padding-top: 0; }
+    .images, .bars, table.ai, dl, .legend { break-inside: avoid; }
+    h2, h3 { break-after: avoid; }
+  }
+`;
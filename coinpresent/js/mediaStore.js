@@ -0,0 +1,127 @@
+// Media Store Module
+// Original coin photos live in the coin-media bucket (storage.js) instead of
+// inside the coin record. Each original is stored under a path derived from
+// its content, "originals/ab/<sha-256>.jpg", so the same photo is uploaded
+// once however many coins or collections use it. The coin keeps a reference
+// to that path and a small thumbnail to show in cards and the gallery.
+//
+// When Supabase cannot be reached the upload waits in the storage.js outbox
+// and is shown from there until it is sent; the reference does not change
+// once it is.
+
+import { uploadMediaFile, getSignedMediaUrl, getQueuedMedia } from "./storage.js";
+
+export const ORIGINALS_FOLDER = "originals";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/tiff": "tif",
+  "image/heic": "heic",
+};
+
+// Object URLs of originals read from IndexedDB, by path
+const localUrls = new Map();
+
+/**
+ * Store an original image, uploading it when possible
+ * @param {File|Blob} file
+ * @returns {Promise<{ref: {path: string, type: string, size: number, name: string},
+ *   uploaded: boolean, error: Error|null}>} error is why the upload failed
+ *   when the file was queued instead
+ * @throws {Error} when the file could neither be uploaded nor queued
+ */
+export async function storeOriginal(file) {
+  const hash = await hashBlob(file);
+  const path = `${ORIGINALS_FOLDER}/${hash.slice(0, 2)}/${hash}.${EXTENSIONS[file.type] || "bin"}`;
+  const ref = { path, type: file.type || "", size: file.size, name: file.name || "" };
+
+  const result = await uploadMediaFile(file, path);
+  return result.queued ? { ref, uploaded: false, error: result.error } : { ref, uploaded: true, error: null };
+}
+
+/**
+ * URL to show an original at. A copy still waiting to be uploaded is used
+ * first; otherwise the path is signed through storage.js, whose cache is
+ * bypassed with refresh (for a cached URL that no longer loads).
+ * @param {Object} ref - As returned by storeOriginal
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh]
+ * @returns {Promise<string|null>} null when the original cannot be reached
+ */
+export async function resolveOriginal(ref, { refresh = false } = {}) {
+  if (!ref?.path) return null;
+  if (localUrls.has(ref.path)) return localUrls.get(ref.path);
+
+  const blob = await getQueuedMedia(ref.path).catch(() => null);
+  if (blob) {
+    const url = URL.createObjectURL(blob);
+    localUrls.set(ref.path, url);
+    return url;
+  }
+
+  try {
+    return await getSignedMediaUrl(ref.path, { refresh });
+  } catch (error) {
+    console.warn(`Original ${ref.path} is not reachable`, error);
+    return null;
+  }
+}
+
+/**
+ * Contents of an original, for exports. With queuedOnly only a copy still
+ * waiting to be uploaded is returned: every other device can already reach
+ * the rest through the reference.
+ * @param {Object} ref - As returned by storeOriginal
+ * @param {Object} [options]
+ * @param {boolean} [options.queuedOnly]
+ * @returns {Promise<Blob|null>} null when the original cannot be reached
+ */
+export async function readOriginal(ref, { queuedOnly = false } = {}) {
+  if (!ref?.path) return null;
+
+  const queued = await getQueuedMedia(ref.path).catch(() => null);
+  if (queued || queuedOnly) return queued;
+
+  const url = await resolveOriginal(ref);
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return await response.blob();
+  } catch (error) {
+    console.warn(`Original ${ref.path} could not be read`, error);
+    return null;
+  }
+}
+
+/**
+ * Take over an original carried by an export or sync document, where
+ * ref.url holds its contents: store it here and return the plain reference.
+ * A reference without contents is kept as it is, since its path names the
+ * same file in the bucket.
+ * @param {Object|null} ref
+ * @returns {Promise<Object|null>}
+ */
+export async function importOriginal(ref) {
+  if (!ref?.url) return ref || null;
+
+  const { url, ...plain } = ref;
+  try {
+    const blob = await (await fetch(url)).blob();
+    const stored = await storeOriginal(new File([blob], plain.name, { type: plain.type || blob.type }));
+    return stored.ref;
+  } catch (error) {
+    console.warn(`Original ${plain.path} could not be stored`, error);
+    return plain;
+  }
+}
+
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
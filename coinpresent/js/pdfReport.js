@@ -0,0 +1,429 @@
+// PDF Report Module
+// Builds the printable collection report: a cover page with collection
+// totals and a table of contents, then one page per coin with its images,
+// annotation markers, metadata, condition and valuation.
+
+import { loadJsPDF } from "./cdnClients.js";
+import { METADATA_FIELDS } from "./coinSchema.js";
+import { collectionTotals, formatMoney, formatSignedMoney, unrealizedGain } from "./collectionStats.js";
+import { customFieldEntries } from "./customFields.js";
+import { PROVENANCE_KINDS, purchaseEntries, documentTitles } from "./provenance.js";
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const FOOTER_Y = PAGE.height - 8;
+
+// Shown when the on-screen size of an image box cannot be measured
+const DEFAULT_FRAME = { width: 480, height: 300 };
+// Annotation x/y is the top-left corner of a 12px marker dot
+const MARKER_OFFSET = 6;
+// Longest side of images embedded in the PDF, in pixels
+const MAX_IMAGE_PIXELS = 1400;
+
+const COLORS = {
+  text: "#2F1B14",
+  muted: "#654321",
+  accent: "#8B4513",
+  rule: "#DDD4B8",
+  panel: "#FFF8DC",
+};
+
+const TOC_LINES_FIRST_PAGE = 24;
+const TOC_LINES_PER_PAGE = 45;
+
+/**
+ * Render the report
+ * @param {Object[]} coins - Exported coins; sections left out by the export
+ *   options are simply missing
+ * @param {Object} options
+ * @param {string} [options.collectionName]
+ * @param {boolean} [options.includeImages]
+ * @param {boolean} [options.includeAnnotations]
+ * @param {boolean} [options.includeValuations]
+ * @param {boolean} [options.includeNotes]
+ * @param {Object[]} [options.fieldDefinitions] - Custom fields listed with the details
+ * @param {Function} [options.getAnnotationFrame] - (coinId, side) => the
+ *   {width, height} of the on-screen box annotation positions refer to
+ * @returns {Promise<Blob>}
+ */
+export async function createPdfReport(coins, options = {}) {
+  const jsPDF = await loadJsPDF();
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const title = options.collectionName || "Coin Collection";
+
+  const tocPages = 1 + Math.max(0, Math.ceil((coins.length - TOC_LINES_FIRST_PAGE) / TOC_LINES_PER_PAGE));
+  for (let i = 1; i < tocPages; i++) doc.addPage();
+
+  const startPages = [];
+  for (const coin of coins) {
+    doc.addPage();
+    startPages.push(doc.getNumberOfPages());
+    await renderCoinPage(doc, coin, options);
+  }
+
+  doc.setPage(1);
+  renderCover(doc, coins, title, options);
+  renderTableOfContents(doc, coins, startPages);
+  renderFooters(doc, title);
+
+  return doc.output("blob");
+}
+
+function renderCover(doc, coins, title, options) {
+  let y = 60;
+  setText(doc, 26, "bold", COLORS.accent);
+  doc.text(title, PAGE.width / 2, y, { align: "center" });
+  y += 10;
+  setText(doc, 12, "normal", COLORS.muted);
+  doc.text("Collection Report", PAGE.width / 2, y, { align: "center" });
+  y += 6;
+  doc.text(`Generated ${new Date().toLocaleDateString()}`, PAGE.width / 2, y, { align: "center" });
+
+  y += 16;
+  const totals = collectionTotals(coins);
+  const cells = [
+    ["Coins", String(coins.length)],
+    ["Estimated value", totals.estimated > 0 ? formatMoney(totals.estimated) : "Not specified"],
+    ["Valued coins", `${totals.valued} of ${coins.length}`],
+    ["Graded coins", `${totals.graded} of ${coins.length}`],
+    ["Countries", String(totals.countries)],
+    ["Date range", totals.years || "Not specified"],
+  ];
+  if (options.includeValuations && totals.costed > 0) {
+    cells.push(["Cost basis", formatMoney(totals.cost)]);
+    cells.push(["Unrealized gain", totals.gainCoins > 0 ? formatSignedMoney(totals.gain) : "Not specified"]);
+  }
+  // Two rows either way; the table of contents starts right below
+  const columns = cells.length / 2;
+  const cellWidth = CONTENT_WIDTH / columns;
+  cells.forEach(([label, value], index) => {
+    const x = PAGE.margin + (index % columns) * cellWidth;
+    const top = y + Math.floor(index / columns) * 22;
+    doc.setFillColor(COLORS.panel);
+    doc.setDrawColor(COLORS.rule);
+    doc.roundedRect(x + 1, top, cellWidth - 2, 19, 2, 2, "FD");
+    setText(doc, 9, "normal", COLORS.muted);
+    doc.text(label, x + cellWidth / 2, top + 7, { align: "center" });
+    setText(doc, 13, "bold", COLORS.text);
+    doc.text(value, x + cellWidth / 2, top + 14, { align: "center" });
+  });
+}
+
+function renderTableOfContents(doc, coins, startPages) {
+  let page = 1;
+  let y = 140;
+  let linesLeft = TOC_LINES_FIRST_PAGE;
+
+  setText(doc, 14, "bold", COLORS.accent);
+  doc.text("Contents", PAGE.margin, y);
+  y += 8;
+
+  coins.forEach((coin, index) => {
+    if (linesLeft === 0) {
+      page++;
+      doc.setPage(page);
+      y = PAGE.margin + 5;
+      linesLeft = TOC_LINES_PER_PAGE;
+    }
+    setText(doc, 10, "normal", COLORS.text);
+    const label = truncate(doc, `${index + 1}. ${coin.title || "Untitled coin"}`, CONTENT_WIDTH - 20);
+    doc.textWithLink(label, PAGE.margin, y, { pageNumber: startPages[index] });
+    doc.text(String(startPages[index]), PAGE.width - PAGE.margin, y, { align: "right" });
+    y += 5.5;
+    linesLeft--;
+  });
+}
+
+function renderFooters(doc, title) {
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    setText(doc, 8, "normal", COLORS.muted);
+    doc.text(title, PAGE.margin, FOOTER_Y);
+    doc.text(`Page ${page} of ${pages}`, PAGE.width - PAGE.margin, FOOTER_Y, { align: "right" });
+  }
+}
+
+async function renderCoinPage(doc, coin, options) {
+  const cursor = { y: PAGE.margin + 5 };
+
+  setText(doc, 18, "bold", COLORS.accent);
+  doc.text(truncate(doc, coin.title || "Untitled coin", CONTENT_WIDTH), PAGE.margin, cursor.y);
+  cursor.y += 6;
+  const subtitle = [coin.metadata?.year, coin.metadata?.country, coin.metadata?.denomination]
+    .filter(Boolean)
+    .join(" · ");
+  if (subtitle) {
+    setText(doc, 11, "normal", COLORS.muted);
+    doc.text(subtitle, PAGE.margin, cursor.y);
+    cursor.y += 4;
+  }
+  cursor.y += 4;
+
+  if (options.includeImages && coin.images) {
+    await renderImages(doc, coin, options, cursor);
+  }
+
+  heading(doc, "Details", cursor);
+  const details = [
+    ...METADATA_FIELDS.map((field) => [capitalize(field), coin.metadata?.[field]]).filter(([, value]) => value),
+    ...customFieldEntries(coin, options.fieldDefinitions),
+  ];
+  keyValueGrid(doc, details.length > 0 ? details : [["Details", "Not recorded"]], cursor);
+
+  heading(doc, "Condition", cursor);
+  const condition = ["grade", "wear", "luster", "strike"]
+    .map((field) => [capitalize(field), coin.condition?.[field]])
+    .filter(([, value]) => value);
+  keyValueGrid(doc, condition.length > 0 ? condition : [["Grade", "Not graded"]], cursor);
+  if (options.includeNotes && coin.condition?.notes) {
+    paragraph(doc, coin.condition.notes, cursor);
+  }
+
+  if (options.includeValuations && coin.valuation) {
+    renderValuation(doc, coin.valuation, cursor);
+  }
+  if (options.includeValuations) {
+    renderProvenance(doc, coin, cursor);
+  }
+
+  if (options.includeNotes && coin.notes) {
+    heading(doc, "Notes", cursor);
+    paragraph(doc, coin.notes, cursor);
+  }
+}
+
+async function renderImages(doc, coin, options, cursor) {
+  const sides = ["obverse", "reverse"].filter((side) => coin.images[side]);
+  if (sides.length === 0) return;
+
+  const gap = 6;
+  const boxWidth = (CONTENT_WIDTH - gap) / 2;
+  let rowHeight = 0;
+  const legend = [];
+
+  for (const [index, side] of sides.entries()) {
+    const frame = options.getAnnotationFrame?.(coin.id, side) || DEFAULT_FRAME;
+    const height = boxWidth * (frame.height / frame.width);
+    const x = PAGE.margin + index * (boxWidth + gap);
+
+    try {
+      const image = await coverCrop(coin.images[side], frame);
+      doc.addImage(image, "JPEG", x, cursor.y, boxWidth, height);
+    } catch (error) {
+      console.warn(`PDF report: could not embed ${side} image of coin ${coin.id}`, error);
+      doc.setFillColor(COLORS.panel);
+      doc.rect(x, cursor.y, boxWidth, height, "F");
+      setText(doc, 9, "normal", COLORS.muted);
+      doc.text("Image unavailable", x + boxWidth / 2, cursor.y + height / 2, { align: "center" });
+    }
+    doc.setDrawColor(COLORS.rule);
+    doc.rect(x, cursor.y, boxWidth, height);
+
+    setText(doc, 8, "bold", COLORS.muted);
+    doc.text(capitalize(side), x, cursor.y + height + 4);
+
+    if (options.includeAnnotations) {
+      const scale = boxWidth / frame.width;
+      for (const annotation of coin.annotations?.[side] || []) {
+        legend.push({ side, annotation });
+        drawMarker(doc, legend.length, annotation.color, {
+          x: x + (annotation.x + MARKER_OFFSET) * scale,
+          y: cursor.y + (annotation.y + MARKER_OFFSET) * scale,
+          box: { x, y: cursor.y, width: boxWidth, height },
+        });
+      }
+    }
+    rowHeight = Math.max(rowHeight, height);
+  }
+  cursor.y += rowHeight + 9;
+
+  if (legend.length > 0) {
+    heading(doc, "Annotations", cursor);
+    legend.forEach(({ side, annotation }, index) => {
+      ensureSpace(doc, cursor, 5);
+      drawMarker(doc, index + 1, annotation.color, { x: PAGE.margin + 2, y: cursor.y - 1.2 });
+      setText(doc, 9, "normal", COLORS.text);
+      doc.text(`${annotation.label || "Annotation"} (${side})`, PAGE.margin + 6, cursor.y);
+      cursor.y += 5;
+    });
+    cursor.y += 2;
+  }
+}
+
+function renderValuation(doc, valuation, cursor) {
+  heading(doc, "Valuation", cursor);
+  const rows = Object.entries(valuation.scenarios || {}).map(([name, scenario]) => [
+    capitalize(name),
+    `${formatMoney(Number(scenario.min) || 0)} - ${formatMoney(Number(scenario.max) || 0)}`,
+    scenario.description || "",
+  ]);
+
+  rows.forEach(([name, range, description]) => {
+    ensureSpace(doc, cursor, 6);
+    setText(doc, 10, "bold", COLORS.text);
+    doc.text(name, PAGE.margin, cursor.y);
+    setText(doc, 10, "normal", COLORS.text);
+    doc.text(range, PAGE.margin + 35, cursor.y);
+    setText(doc, 9, "normal", COLORS.muted);
+    doc.text(truncate(doc, description, CONTENT_WIDTH - 95), PAGE.margin + 95, cursor.y);
+    cursor.y += 6;
+  });
+
+  if (valuation.currentEstimate) {
+    keyValueGrid(doc, [["Current estimate", valuation.currentEstimate]], cursor);
+  }
+  if (valuation.marketNotes) {
+    paragraph(doc, valuation.marketNotes, cursor);
+  }
+}
+
+function renderProvenance(doc, coin, cursor) {
+  const purchase = purchaseEntries(coin);
+  const gain = unrealizedGain(coin);
+  if (gain !== null) purchase.push(["Unrealized gain", formatSignedMoney(gain)]);
+  const chain = coin.provenance || [];
+  if (purchase.length === 0 && chain.length === 0) return;
+
+  heading(doc, "Purchase & Provenance", cursor);
+  const documents = documentTitles(coin, coin.acquisition?.documents);
+  if (documents.length > 0) purchase.push(["Documents", documents.join(", ")]);
+  if (purchase.length > 0) keyValueGrid(doc, purchase, cursor);
+
+  chain.forEach((entry, index) => {
+    const details = [PROVENANCE_KINDS[entry.kind], entry.date, entry.reference].filter(Boolean).join(", ");
+    const entryDocuments = documentTitles(coin, entry.documents);
+    paragraph(
+      doc,
+      [
+        `${index + 1}. ${entry.name || PROVENANCE_KINDS[entry.kind] || "Unknown"}${details ? ` (${details})` : ""}`,
+        entry.notes,
+        entryDocuments.length > 0 ? `Documents: ${entryDocuments.join(", ")}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      cursor
+    );
+  });
+}
+
+function drawMarker(doc, number, color, { x, y, box }) {
+  // Keep markers that sat near the edge of the on-screen box on the image
+  const radius = 2.2;
+  const cx = box ? Math.min(Math.max(x, box.x + radius), box.x + box.width - radius) : x;
+  const cy = box ? Math.min(Math.max(y, box.y + radius), box.y + box.height - radius) : y;
+
+  doc.setFillColor(color || COLORS.accent);
+  doc.setDrawColor("#FFFFFF");
+  doc.setLineWidth(0.5);
+  doc.circle(cx, cy, radius, "FD");
+  doc.setLineWidth(0.2);
+  setText(doc, 7, "bold", "#FFFFFF");
+  doc.text(String(number), cx, cy + 0.9, { align: "center" });
+}
+
+function heading(doc, text, cursor) {
+  ensureSpace(doc, cursor, 14);
+  cursor.y += 2;
+  setText(doc, 12, "bold", COLORS.accent);
+  doc.text(text, PAGE.margin, cursor.y);
+  doc.setDrawColor(COLORS.rule);
+  doc.line(PAGE.margin, cursor.y + 1.5, PAGE.width - PAGE.margin, cursor.y + 1.5);
+  cursor.y += 7;
+}
+
+function keyValueGrid(doc, pairs, cursor) {
+  const columnWidth = CONTENT_WIDTH / 2;
+  pairs.forEach(([key, value], index) => {
+    const column = index % 2;
+    if (column === 0) ensureSpace(doc, cursor, 6);
+    const x = PAGE.margin + column * columnWidth;
+    setText(doc, 9, "normal", COLORS.muted);
+    doc.text(`${key}:`, x, cursor.y);
+    setText(doc, 10, "normal", COLORS.text);
+    doc.text(truncate(doc, String(value), columnWidth - 32), x + 30, cursor.y);
+    if (column === 1 || index === pairs.length - 1) cursor.y += 6;
+  });
+  cursor.y += 1;
+}
+
+function paragraph(doc, text, cursor) {
+  setText(doc, 10, "normal", COLORS.text);
+  for (const line of doc.splitTextToSize(String(text), CONTENT_WIDTH)) {
+    ensureSpace(doc, cursor, 5);
+    doc.text(line, PAGE.margin, cursor.y);
+    cursor.y += 5;
+  }
+  cursor.y += 2;
+}
+
+// Continue on a new page when the next block would run into the footer
+function ensureSpace(doc, cursor, height) {
+  if (cursor.y + height > FOOTER_Y - 6) {
+    doc.addPage();
+    cursor.y = PAGE.margin + 5;
+  }
+}
+
+/**
+ * Crop an image the way the card shows it (object-fit: cover inside the
+ * annotation frame), so marker positions line up, and re-encode as JPEG
+ */
+async function coverCrop(url, frame) {
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Image failed to load"));
+    img.crossOrigin = "anonymous";
+    img.src = url;
+  });
+
+  const frameRatio = frame.width / frame.height;
+  const imageRatio = image.naturalWidth / image.naturalHeight;
+  let sw = image.naturalWidth;
+  let sh = image.naturalHeight;
+  if (imageRatio > frameRatio) {
+    sw = sh * frameRatio;
+  } else {
+    sh = sw / frameRatio;
+  }
+
+  const scale = Math.min(1, MAX_IMAGE_PIXELS / Math.max(sw, sh));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(sw * scale);
+  canvas.height = Math.round(sh * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(
+    image,
+    (image.naturalWidth - sw) / 2,
+    (image.naturalHeight - sh) / 2,
+    sw,
+    sh,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+  return canvas.toDataURL("image/jpeg", 0.85);
+}
+
+function setText(doc, size, style, color) {
+  doc.setFont("helvetica", style);
+  doc.setFontSize(size);
+  doc.setTextColor(color);
+}
+
+function truncate(doc, text, width) {
+  if (doc.getTextWidth(text) <= width) return text;
+  let result = text;
+  while (result.length > 1 && doc.getTextWidth(`${result}...`) > width) {
+    result = result.slice(0, -1);
+  }
+  return `${result}...`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,87 @@
+// Provenance Module
+// What was paid for a coin and where it came from. coin.acquisition holds
+// the purchase (date, seller, price, currency, fees, lot number) and
+// coin.provenance the earlier owners and sales, oldest first. Both can
+// point at supporting documents (invoices, auction catalogue pages, old
+// tickets) by the id of an item in the coin's media gallery.
+
+import { BASE_CURRENCY } from "./collectionStats.js";
+
+export const ACQUISITION_LABELS = {
+  date: "Purchase Date",
+  seller: "Seller",
+  price: "Price Paid",
+  currency: "Currency",
+  fees: "Fees",
+  lot: "Lot Number",
+};
+
+export const ACQUISITION_FIELDS = Object.keys(ACQUISITION_LABELS);
+
+export const PROVENANCE_KINDS = {
+  owner: "Private owner",
+  auction: "Auction",
+  dealer: "Dealer",
+  collection: "Named collection",
+};
+
+export function createAcquisition() {
+  return {
+    ...Object.fromEntries(ACQUISITION_FIELDS.map((field) => [field, ""])),
+    currency: BASE_CURRENCY,
+    documents: [],
+  };
+}
+
+/**
+ * A provenance entry: who held the coin or which sale it passed through
+ * @param {Object} [fields] - kind, name, date, reference (sale or lot), notes
+ */
+export function createProvenanceEntry(fields = {}) {
+  return {
+    name: "",
+    date: "",
+    reference: "",
+    notes: "",
+    documents: [],
+    ...fields,
+    id: `prov_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    kind: PROVENANCE_KINDS[fields.kind] ? fields.kind : "owner",
+  };
+}
+
+/**
+ * The recorded purchase details as [label, value] pairs. The currency alone
+ * (it defaults to BASE_CURRENCY) does not count as a recorded purchase.
+ */
+export function purchaseEntries(coin) {
+  const acquisition = coin.acquisition || {};
+  return ACQUISITION_FIELDS.filter((field) => acquisition[field] && (field !== "currency" || acquisition.price)).map(
+    (field) => [ACQUISITION_LABELS[field], String(acquisition[field])]
+  );
+}
+
+/**
+ * Titles of the coin's media items a purchase or provenance entry refers
+ * to; ids whose media item was removed are skipped
+ */
+export function documentTitles(coin, mediaIds = []) {
+  const media = [...(coin.media?.images || []), ...(coin.media?.videos || [])];
+  return mediaIds
+    .map((id) => media.find((item) => item.id === id))
+    .filter(Boolean)
+    .map((item) => item.title || "Untitled document");
+}
+
+/**
+ * Move a provenance entry up (-1) or down (+1) the chain
+ * @returns {Object[]} a new array
+ */
+export function moveEntry(entries, entryId, offset) {
+  const index = entries.findIndex((entry) => entry.id === entryId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= entries.length) return [...entries];
+  const result = [...entries];
+  [result[index], result[target]] = [result[target], result[index]];
+  return result;
+}
@@ -0,0 +1,228 @@
+// Smart Sets Module
+// Saved views defined by a rule over coin fields, for example
+//
+//   metal = Silver AND year < 1965
+//   grade >= MS-65 AND tag = key-date
+//   country = "Great Britain" OR country = Australia
+//
+// A rule is a list of conditions joined by AND / OR (AND binds tighter).
+// Each condition is `field operator value`; the operators are = != < <= > >=
+// and ~ (contains). Text compares case-insensitively, grades by their Sheldon
+// number and estimates by their amount. `tag = x` matches coins carrying tag x.
+//
+// Views of the coin list are named by a string: "set:<id>" for a smart set
+// and "tag:<tag>" for every coin with that tag.
+
+import { METADATA_FIELDS, CONDITION_FIELDS } from "./coinSchema.js";
+import { parseEstimate } from "./collectionStats.js";
+import { gradeValue } from "./grading.js";
+import { tagKey } from "./coinTags.js";
+
+const OPERATORS = ["<=", ">=", "!=", "=", "<", ">", "~"];
+
+const FIELDS = {
+  title: { value: (coin) => coin.title },
+  description: { value: (coin) => coin.description },
+  notes: { value: (coin) => coin.notes },
+  ...Object.fromEntries(METADATA_FIELDS.map((field) => [field, { value: (coin) => coin.metadata?.[field] }])),
+  ...Object.fromEntries(
+    CONDITION_FIELDS.filter((field) => field !== "grade" && field !== "notes").map((field) => [
+      field,
+      { value: (coin) => coin.condition?.[field] },
+    ])
+  ),
+  grade: { value: (coin) => coin.condition?.grade, number: gradeValue },
+  estimate: { value: (coin) => coin.valuation?.currentEstimate, number: parseEstimate },
+  tag: { value: (coin) => coin.tags || [] },
+};
+
+export const RULE_FIELDS = Object.keys(FIELDS);
+
+/**
+ * Parse rule text
+ * @param {string} text
+ * @returns {Array<Array<{field: string, operator: string, value: string}>>}
+ *   alternatives (OR) of condition lists (AND)
+ * @throws {Error} describing the first problem found
+ */
+export function parseRule(text) {
+  const source = String(text ?? "").trim();
+  if (!source) throw new Error("Rule is empty");
+
+  return splitOutsideQuotes(source, "OR").map((alternative) =>
+    splitOutsideQuotes(alternative, "AND").map(parseCondition)
+  );
+}
+
+/**
+ * Whether a coin satisfies a rule (text or the result of parseRule)
+ */
+export function matchesRule(coin, rule) {
+  const alternatives = typeof rule === "string" ? parseRule(rule) : rule;
+  return alternatives.some((conditions) => conditions.every((condition) => testCondition(coin, condition)));
+}
+
+export function createSmartSet(name, rule) {
+  parseRule(rule);
+  return {
+    id: `set_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    name: String(name).trim() || "Smart Set",
+    rule: String(rule).trim(),
+  };
+}
+
+/**
+ * Predicate for a view name ("set:<id>" or "tag:<tag>")
+ * @param {string} view
+ * @param {Object[]} smartSets
+ * @returns {((coin: Object) => boolean)|null} null when the view does not
+ *   exist (a deleted set) or its rule no longer parses
+ */
+export function viewFilter(view, smartSets = []) {
+  if (!view) return null;
+
+  if (view.startsWith("tag:")) {
+    const key = tagKey(view.slice(4));
+    return (coin) => (coin.tags || []).some((tag) => tagKey(tag) === key);
+  }
+
+  if (view.startsWith("set:")) {
+    const set = smartSets.find((candidate) => candidate.id === view.slice(4));
+    if (!set) return null;
+    try {
+      const rule = parseRule(set.rule);
+      return (coin) => matchesRule(coin, rule);
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tags used in a collection with how many coins carry each, by name
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export function collectTags(coins) {
+  const counts = new Map();
+  coins.forEach((coin) =>
+    (coin.tags || []).forEach((tag) => {
+      const entry = counts.get(tagKey(tag)) || { tag, count: 0 };
+      entry.count++;
+      counts.set(tagKey(tag), entry);
+    })
+  );
+  return Array.from(counts.values()).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+function parseCondition(text) {
+  const match = text.match(/^([a-z]+)\s*(<=|>=|!=|=|<|>|~)\s*(.*)$/i);
+  if (!match) {
+    throw new Error(`"${text}" is not a condition like "metal = Silver" (operators: ${OPERATORS.join(" ")})`);
+  }
+
+  const field = match[1].toLowerCase();
+  if (!FIELDS[field]) {
+    throw new Error(`Unknown field "${match[1]}". Fields: ${RULE_FIELDS.join(", ")}`);
+  }
+
+  const value = unquote(match[3].trim());
+  if (value === "") {
+    throw new Error(`"${text}" has no value to compare with`);
+  }
+  if (["<", "<=", ">", ">="].includes(match[2]) && toNumber(FIELDS[field], value) === null) {
+    throw new Error(`"${value}" is not a number or grade, so it cannot be compared with ${match[2]}`);
+  }
+
+  return { field, operator: match[2], value };
+}
+
+function testCondition(coin, { field, operator, value }) {
+  const definition = FIELDS[field];
+  const actual = definition.value(coin);
+
+  if (field === "tag") {
+    const key = tagKey(value);
+    if (operator === "=") return actual.some((tag) => tagKey(tag) === key);
+    if (operator === "!=") return !actual.some((tag) => tagKey(tag) === key);
+    if (operator === "~") return actual.some((tag) => tagKey(tag).includes(key));
+    return false;
+  }
+
+  const actualText = String(actual ?? "").trim().toLowerCase();
+  const expectedText = value.toLowerCase();
+  if (operator === "~") return actualText.includes(expectedText);
+
+  const actualNumber = toNumber(definition, actual);
+  const expectedNumber = toNumber(definition, value);
+  if (operator === "=" || operator === "!=") {
+    const equal =
+      actualNumber !== null && expectedNumber !== null ? actualNumber === expectedNumber : actualText === expectedText;
+    return operator === "=" ? equal : !equal;
+  }
+
+  // Coins without a value never match an ordering comparison
+  if (actualNumber === null || expectedNumber === null) return false;
+  switch (operator) {
+    case "<":
+      return actualNumber < expectedNumber;
+    case "<=":
+      return actualNumber <= expectedNumber;
+    case ">":
+      return actualNumber > expectedNumber;
+    default:
+      return actualNumber >= expectedNumber;
+  }
+}
+
+function toNumber(definition, value) {
+  if (definition.number) return definition.number(value);
+  const text = String(value ?? "").replace(/,/g, "").trim();
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+// Split on a keyword surrounded by whitespace, ignoring quoted text. Only a
+// quote that starts a value (right after an operator) opens quoted text, so
+// an apostrophe inside a word (title ~ O'Brien) is just a character.
+function splitOutsideQuotes(text, keyword) {
+  const parts = [];
+  let quote = null;
+  let previous = "";
+  let start = 0;
+  const pattern = new RegExp(`^\\s+${keyword}\\s+`, "i");
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+        previous = char;
+      }
+      continue;
+    }
+    if ((char === '"' || char === "'") && /[<>=~]/.test(previous)) {
+      quote = char;
+      continue;
+    }
+    if (!/\s/.test(char)) previous = char;
+    const match = /\s/.test(char) && text.slice(i).match(pattern);
+    if (match) {
+      parts.push(text.slice(start, i).trim());
+      i += match[0].length - 1;
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+
+  if (parts.some((part) => part === "")) {
+    throw new Error(`"${keyword}" needs a condition on both sides`);
+  }
+  return parts;
+}
+
+function unquote(text) {
+  const match = text.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : text;
+}
@@ -1,10 +1,51 @@
-// Storage abstraction layering Supabase buckets and fallbacks
-// Uses signed URLs for secure access to private buckets with session caching
+// Storage abstraction layering storage provider buckets and fallbacks
+// Uses signed URLs for secure access to private buckets with session caching.
+// Uploads that fail (no network at a show, Supabase down) are kept in an
+// IndexedDB outbox and sent again with exponential backoff, right away when
+// the browser comes back online.
+//
+// The buckets live with the storage provider set in the configuration
+// (js/appConfig.js: config.json or Settings), one of js/storage/:
+// Supabase, this browser's IndexedDB, a folder on this computer, or an
+// S3-compatible service such as MinIO. A provider is an object with
+//   upload(bucket, path, body, { contentType, cacheControl })
+//   download(bucket, path) -> Blob, throwing "Object not found" (statusCode 404)
+//   signUrl(bucket, path, expiresInSeconds) -> URL string
+//   list(bucket, folder) -> [{ path, size, updated }], recursively
+//   delete(bucket, path)
+// and urlsExpire, false for providers handing out object URLs that last as
+// long as the page.
 
-import { loadSupabaseClient } from "./cdnClients.js";
-import { supabaseConfig } from "./supabaseConfig.js";
+import { loadConfig, onConfigChange } from "./appConfig.js";
+import {
+  isCollectionDbSupported,
+  saveOutboxEntry,
+  loadOutboxEntry,
+  listOutboxEntries,
+  updateOutboxEntry,
+  deleteOutboxEntry,
+  loadSetting,
+  saveSetting,
+} from "./collectionDb.js";
+import { createSupabaseProvider } from "./storage/supabaseProvider.js";
+import { createIndexedDbProvider } from "./storage/indexedDbProvider.js";
+import { createFolderProvider, chooseStorageFolder, isFolderStorageSupported } from "./storage/folderProvider.js";
+import { createS3Provider } from "./storage/s3Provider.js";
 
-let supabaseInstance = null;
+export { chooseStorageFolder, isFolderStorageSupported };
+
+export const STORAGE_PROVIDERS = {
+  supabase: { label: "Supabase", description: "Private buckets of a Supabase project" },
+  indexeddb: { label: "This browser", description: "IndexedDB on this device only; nothing is uploaded and other devices cannot sync" },
+  folder: { label: "Folder on this computer", description: "A folder you choose (Chrome and Edge); back it up or share it with any tool" },
+  s3: { label: "S3-compatible service", description: "MinIO or any S3 API you run yourself; the service must allow this site through CORS" },
+};
+
+// The folder handle cannot be part of the configuration; it is a
+// collectionDb setting
+const FOLDER_SETTING = "storageFolder";
+
+let provider = null;
 let storageInitialized = false;
 
 // Session storage keys
@@ -15,6 +56,20 @@ const DATASET_CACHE_KEY = "rarecoin_dataset_cache";
 let signedUrlCache = {};
 let datasetCache = {};
 
+// Outbox retries: 5s after the first failed round, doubling up to 10 minutes
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+let retryRound = 0;
+let retryTimer = null;
+let nextRetry = null;
+let flushing = null;
+// Why the last round could not read or update the outbox itself
+let outboxFailure = "";
+// Last status handed to the listeners, kept for when the outbox cannot be read
+let lastOutboxStatus = null;
+const outboxListeners = new Set();
+
 export async function initializeStorage() {
   if (storageInitialized) {
     console.log("Storage already initialized");
@@ -26,22 +81,88 @@ export async function initializeStorage() {
   
   // Load cached signed URLs from sessionStorage
   loadCacheFromSession();
+
+  window.addEventListener("online", () => {
+    retryRound = 0;
+    flushOutbox();
+  });
   
-  // Pre-initialize Supabase client
   try {
-    await ensureSupabase();
+    const { type } = await getProvider();
+    console.log(`Storage provider: ${STORAGE_PROVIDERS[type].label}`);
   } catch (error) {
-    console.warn("Supabase initialization failed, will use fallback storage", error);
+    console.warn("Storage provider unavailable, uploads will wait in the outbox", error);
   }
+
+  // Send what earlier sessions could not
+  flushOutbox();
+}
+
+/**
+ * Store files in a newly chosen folder when the folder provider is used
+ * @param {FileSystemDirectoryHandle} handle - From chooseStorageFolder
+ */
+export async function setStorageFolder(handle) {
+  await saveSetting(FOLDER_SETTING, handle);
+  resetProvider();
 }
 
-async function ensureSupabase() {
-  if (supabaseInstance) return supabaseInstance;
-  const { createClient } = await loadSupabaseClient();
-  supabaseInstance = createClient(supabaseConfig.url, supabaseConfig.anonKey);
-  return supabaseInstance;
+/**
+ * Reach a provider's datasets bucket. For a folder this also asks for access
+ * again, so call it from a click.
+ * @param {Object} [storageConfig] - The storage section of a configuration
+ *   to try before saving it; the current provider when left out
+ * @param {Object} [options]
+ * @param {FileSystemDirectoryHandle} [options.folder]
+ * @returns {Promise<{type: string, files: number}>} files in the datasets bucket
+ */
+export async function testStorageConnection(storageConfig, { folder } = {}) {
+  const { storage } = await loadConfig();
+  const tested = storageConfig ? await createProvider(storageConfig, folder) : await getProvider();
+  const files = await tested.list((storageConfig || storage).datasetsBucket);
+  // Whatever waited for access or the network may go out now
+  flushOutbox();
+  return { type: tested.type, files: files.length };
 }
 
+/**
+ * @returns {Promise<string>} name of the chosen storage folder, "" when none
+ */
+export async function getStorageFolderName() {
+  const handle = isCollectionDbSupported() ? await loadSetting(FOLDER_SETTING) : null;
+  return handle ? handle.name : "";
+}
+
+async function getProvider() {
+  if (!provider) provider = await createProvider((await loadConfig()).storage);
+  return provider;
+}
+
+async function createProvider(storageConfig, folder) {
+  switch (storageConfig.provider) {
+    case "indexeddb":
+      return createIndexedDbProvider();
+    case "folder":
+      return createFolderProvider({ handle: folder || (await loadSetting(FOLDER_SETTING)) || null });
+    case "s3":
+      return createS3Provider(storageConfig.s3);
+    default:
+      return createSupabaseProvider({ url: storageConfig.supabaseUrl, anonKey: storageConfig.supabaseAnonKey });
+  }
+}
+
+// Files already stored stay with the old provider; uploads waiting in the
+// outbox go to the new one
+function resetProvider() {
+  provider = null;
+  signedUrlCache = {};
+  datasetCache = {};
+  saveCacheToSession();
+  flushOutbox();
+}
+
+onConfigChange(resetProvider);
+
 // Load cache from sessionStorage
 function loadCacheFromSession() {
   try {
@@ -79,47 +200,55 @@ function saveCacheToSession() {
   }
 }
 
-// Get or create signed URL for media files (6000 seconds = 100 minutes)
-export async function getSignedMediaUrl(path) {
+// Get or create signed URL for media files (6000 seconds = 100 minutes).
+// Pass { refresh: true } when a cached URL stopped working to sign a new one.
+export async function getSignedMediaUrl(path, { refresh = false } = {}) {
   const cacheKey = `media:${path}`;
   const now = Date.now();
   
   // Check if we have a valid cached URL
-  if (signedUrlCache[cacheKey] && signedUrlCache[cacheKey].expiresAt > now) {
+  if (!refresh && signedUrlCache[cacheKey] && signedUrlCache[cacheKey].expiresAt > now) {
     console.log(`Using cached signed URL for: ${path}`);
     return signedUrlCache[cacheKey].url;
   }
   
   // Generate new signed URL
   console.log(`Generating signed URL for: ${path}`);
-  const supabase = await ensureSupabase();
-  const { data, error } = await supabase.storage
-    .from(supabaseConfig.storageBucket)
-    .createSignedUrl(path, 6000); // 6000 seconds
-  
-  if (error) throw error;
+  const current = await getProvider();
+  const { storage } = await loadConfig();
+  const signedUrl = await current.signUrl(storage.mediaBucket, path, 6000); // 6000 seconds
+
+  // Object URLs of local providers do not outlive the page
+  if (!current.urlsExpire) return signedUrl;
   
   // Cache the URL with expiration time (subtract 60 seconds as buffer)
   signedUrlCache[cacheKey] = {
-    url: data.signedUrl,
+    url: signedUrl,
     expiresAt: now + (6000 - 60) * 1000
   };
   
   saveCacheToSession();
-  return data.signedUrl;
+  return signedUrl;
 }
 
-// Upload media file
-export async function uploadMediaFile(file, path) {
-  const supabase = await ensureSupabase();
-  const { data, error } = await supabase.storage
-    .from(supabaseConfig.storageBucket)
-    .upload(path, file, {
-      cacheControl: "3600",
-      upsert: true,
-    });
+// Upload media file. When the upload fails it is queued in the outbox and
+// { path, queued: true, error } is returned; pass { queue: false } to get the
+// error thrown instead.
+export async function uploadMediaFile(file, path, { queue = true } = {}) {
+  try {
+    return await sendMediaFile(file, path);
+  } catch (error) {
+    if (!queue) throw error;
+    await queueWrite("media", path, file, error);
+    return { path, queued: true, error };
+  }
+}
 
-  if (error) throw error;
+async function sendMediaFile(file, path) {
+  const { storage } = await loadConfig();
+  const data = await (await getProvider()).upload(storage.mediaBucket, path, file, {
+    cacheControl: "3600",
+  });
   
   // Invalidate cache for this path
   const cacheKey = `media:${path}`;
@@ -129,57 +258,55 @@ export async function uploadMediaFile(file, path) {
   return data;
 }
 
-// Download dataset with caching (60 seconds signed URL)
-export async function downloadDataset(filename) {
+// Download dataset with session caching. Pass { cache: false }
+// for files that change while the app is open, such as synced collections.
+export async function downloadDataset(filename, { cache = true } = {}) {
   const cacheKey = `dataset:${filename}`;
   
   // Check if we have cached dataset data
-  if (datasetCache[cacheKey]) {
+  if (cache && datasetCache[cacheKey]) {
     console.log(`Using cached dataset: ${filename}`);
     return datasetCache[cacheKey];
   }
   
   console.log(`Downloading dataset: ${filename}`);
-  const supabase = await ensureSupabase();
-  
-  // Create signed URL for dataset (60 seconds)
-  const { data: urlData, error: urlError } = await supabase.storage
-    .from(supabaseConfig.datasetsBucket)
-    .createSignedUrl(filename, 60);
-  
-  if (urlError) throw urlError;
-  
-  // Fetch the data using the signed URL
-  const response = await fetch(urlData.signedUrl);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch dataset: ${response.statusText}`);
-  }
-  
-  const jsonData = await response.json();
+  const { storage } = await loadConfig();
+  const blob = await (await getProvider()).download(storage.datasetsBucket, filename);
+  const jsonData = JSON.parse(await blob.text());
   
   // Cache the dataset data for the session
-  datasetCache[cacheKey] = jsonData;
-  saveCacheToSession();
+  if (cache) {
+    datasetCache[cacheKey] = jsonData;
+    saveCacheToSession();
+  }
   
   return jsonData;
 }
 
-// Upload dataset
-export async function uploadDataset(filename, json) {
-  const supabase = await ensureSupabase();
+// Upload dataset; a failed upload is queued like uploadMediaFile's. Data
+// that must not be written late, such as a synced collection that may have
+// changed elsewhere meanwhile, should pass { queue: false }.
+export async function uploadDataset(filename, json, { queue = true } = {}) {
+  try {
+    await sendDataset(filename, json);
+    return { queued: false };
+  } catch (error) {
+    if (!queue) throw error;
+    await queueWrite("dataset", filename, json, error);
+    return { queued: true, error };
+  }
+}
+
+async function sendDataset(filename, json) {
   const blob = new Blob([JSON.stringify(json, null, 2)], {
     type: "application/json",
   });
 
-  const { error } = await supabase.storage
-    .from(supabaseConfig.datasetsBucket)
-    .upload(filename, blob, {
-      cacheControl: "0",
-      upsert: true,
-      contentType: "application/json",
-    });
-
-  if (error) throw error;
+  const { storage } = await loadConfig();
+  await (await getProvider()).upload(storage.datasetsBucket, filename, blob, {
+    cacheControl: "0",
+    contentType: "application/json",
+  });
   
   // Invalidate cache for this dataset
   const cacheKey = `dataset:${filename}`;
@@ -194,4 +321,166 @@ export function clearStorageCache() {
   sessionStorage.removeItem(STORAGE_CACHE_KEY);
   sessionStorage.removeItem(DATASET_CACHE_KEY);
   console.log("Storage cache cleared");
-}
\ No newline at end of file
+}
+
+/**
+ * A media file still waiting in the outbox, to show instead of its
+ * not-yet-uploaded bucket copy
+ * @returns {Promise<Blob|null>}
+ */
+export async function getQueuedMedia(path) {
+  if (!isCollectionDbSupported()) return null;
+  const entry = await loadOutboxEntry(`media:${path}`);
+  return entry ? entry.body : null;
+}
+
+/**
+ * @returns {Promise<{pending: number, media: number, datasets: number,
+ *   failing: boolean, lastError: string, nextRetry: number|null, sending: boolean}>}
+ *   failing when the last attempt to send an entry failed; nextRetry is a timestamp
+ */
+export async function getOutboxStatus() {
+  const entries = isCollectionDbSupported() ? await listOutboxEntries() : [];
+  const failed = entries.filter((entry) => entry.attempts > 0);
+  return {
+    pending: entries.length,
+    media: entries.filter((entry) => entry.kind === "media").length,
+    datasets: entries.filter((entry) => entry.kind === "dataset").length,
+    failing: failed.length > 0 || Boolean(outboxFailure),
+    lastError: outboxFailure || (failed.length > 0 ? failed[failed.length - 1].lastError : ""),
+    nextRetry: entries.length > 0 || outboxFailure ? nextRetry : null,
+    sending: Boolean(flushing),
+  };
+}
+
+/**
+ * Call listener with the outbox status now and whenever it changes. While
+ * the outbox cannot be read the status is failing, with the counts last
+ * read, or null counts if it was never read.
+ * @returns {function(): void} stops the calls
+ */
+export function watchOutbox(listener) {
+  outboxListeners.add(listener);
+  readOutboxStatus().then(listener);
+  return () => outboxListeners.delete(listener);
+}
+
+/**
+ * Send the waiting writes, oldest first. The first failure ends the round,
+ * as the rest would most likely fail the same way, and the next round is
+ * scheduled with a doubled delay. So is the next round when the outbox
+ * itself cannot be read or updated; the promise never rejects.
+ * @returns {Promise<{sent: number, pending: number|null}>} pending is null
+ *   when the outbox could not be read
+ */
+export function flushOutbox() {
+  if (flushing) return flushing;
+  if (!isCollectionDbSupported()) return Promise.resolve({ sent: 0, pending: 0 });
+
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  nextRetry = null;
+  flushing = sendQueuedWrites()
+    .catch((error) => {
+      console.error("Outbox round failed", error);
+      outboxFailure = error.message || String(error);
+      scheduleRetry();
+      return { sent: 0, pending: null };
+    })
+    .finally(() => {
+      flushing = null;
+      notifyOutbox();
+    });
+  notifyOutbox();
+  return flushing;
+}
+
+async function sendQueuedWrites() {
+  const entries = await listOutboxEntries();
+  outboxFailure = "";
+  let sent = 0;
+
+  for (const entry of entries) {
+    try {
+      if (entry.kind === "media") {
+        await sendMediaFile(entry.body, entry.path);
+      } else {
+        await sendDataset(entry.path, entry.body);
+      }
+    } catch (error) {
+      await updateOutboxEntry({
+        ...entry,
+        attempts: entry.attempts + 1,
+        lastError: error.message || String(error),
+      });
+      scheduleRetry();
+      return { sent, pending: entries.length - sent };
+    }
+    await deleteOutboxEntry(entry.key, entry.queued);
+    sent++;
+  }
+
+  retryRound = 0;
+  if (sent > 0) console.log(`Outbox: sent ${sent} queued upload(s)`);
+  return { sent, pending: 0 };
+}
+
+async function queueWrite(kind, path, body, error) {
+  if (!isCollectionDbSupported()) throw error;
+  try {
+    await saveOutboxEntry({
+      key: `${kind}:${path}`,
+      kind,
+      path,
+      body,
+      queued: new Date().toISOString(),
+      attempts: 1,
+      lastError: error.message || String(error),
+    });
+  } catch (queueError) {
+    throw new Error(`Upload failed (${error.message}) and could not be queued (${queueError.message})`);
+  }
+  console.warn(`Upload of ${path} failed, queued for retry`, error);
+  // A round already running or scheduled will pick it up
+  if (!flushing && !retryTimer) scheduleRetry();
+  notifyOutbox();
+}
+
+function scheduleRetry() {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** retryRound, RETRY_MAX_DELAY);
+  retryRound++;
+  clearTimeout(retryTimer);
+  nextRetry = Date.now() + delay;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, delay);
+}
+
+function notifyOutbox() {
+  if (outboxListeners.size === 0) return;
+  readOutboxStatus().then((status) => {
+    outboxListeners.forEach((listener) => listener(status));
+  });
+}
+
+function readOutboxStatus() {
+  return getOutboxStatus()
+    .catch((error) => {
+      console.warn("Could not read the outbox", error);
+      return {
+        pending: null,
+        media: null,
+        datasets: null,
+        ...lastOutboxStatus,
+        failing: true,
+        lastError: outboxFailure || error.message || String(error),
+        nextRetry,
+        sending: Boolean(flushing),
+      };
+    })
+    .then((status) => {
+      lastOutboxStatus = status;
+      return status;
+    });
+}
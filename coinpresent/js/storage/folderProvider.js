@@ -0,0 +1,140 @@
+// Folder Storage Provider
+// Keeps the buckets in a folder on this computer chosen through the File
+// System Access API (Chromium browsers): each bucket is a subfolder and
+// paths become nested folders, so the files can be backed up or synced with
+// any tool. The browser asks again for access to the folder after a
+// restart; until it is granted, uploads wait in the outbox.
+
+export function isFolderStorageSupported() {
+  return typeof window !== "undefined" && typeof window.showDirectoryPicker === "function";
+}
+
+/**
+ * Ask the user for the folder to store files in
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+export async function chooseStorageFolder() {
+  if (!isFolderStorageSupported()) {
+    throw new Error("This browser cannot store files in a folder; use Chrome or Edge");
+  }
+  return window.showDirectoryPicker({ id: "coinpresent-storage", mode: "readwrite" });
+}
+
+/**
+ * @param {Object} options
+ * @param {FileSystemDirectoryHandle|null} options.handle - As chosen by chooseStorageFolder
+ */
+export function createFolderProvider({ handle }) {
+  const urls = new Map();
+
+  // Asking only works right after a click; otherwise the request is refused
+  async function root() {
+    if (!handle) throw new Error("No storage folder chosen; pick one in Settings");
+    const mode = { mode: "readwrite" };
+    if ((await handle.queryPermission(mode)) === "granted") return handle;
+    try {
+      if ((await handle.requestPermission(mode)) === "granted") return handle;
+    } catch {
+      // Not called from a click
+    }
+    throw new Error(`No access to the folder "${handle.name}"; reconnect it in Settings`);
+  }
+
+  async function folderOf(bucket, path, create) {
+    const parts = [bucket, ...path.split("/").filter(Boolean)];
+    const name = parts.pop();
+    let dir = await root();
+    try {
+      for (const part of parts) {
+        dir = await dir.getDirectoryHandle(part, { create });
+      }
+    } catch (error) {
+      throw error.name === "NotFoundError" ? notFound(path) : error;
+    }
+    return { dir, name };
+  }
+
+  const forget = (bucket, path) => {
+    const key = `${bucket}/${path}`;
+    if (urls.has(key)) {
+      URL.revokeObjectURL(urls.get(key));
+      urls.delete(key);
+    }
+  };
+
+  return {
+    type: "folder",
+    urlsExpire: false,
+    folderName: handle ? handle.name : "",
+
+    async upload(bucket, path, body) {
+      const { dir, name } = await folderOf(bucket, path, true);
+      const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+      await writable.write(body);
+      await writable.close();
+      forget(bucket, path);
+      return { path };
+    },
+
+    async download(bucket, path) {
+      const { dir, name } = await folderOf(bucket, path, false);
+      try {
+        return await (await dir.getFileHandle(name)).getFile();
+      } catch (error) {
+        throw error.name === "NotFoundError" ? notFound(path) : error;
+      }
+    },
+
+    async signUrl(bucket, path) {
+      const key = `${bucket}/${path}`;
+      if (!urls.has(key)) {
+        urls.set(key, URL.createObjectURL(await this.download(bucket, path)));
+      }
+      return urls.get(key);
+    },
+
+    async list(bucket, folder = "") {
+      const start = folder.replace(/\/+$/, "");
+      const files = [];
+      const walk = async (dir, prefix) => {
+        for await (const [name, entry] of dir.entries()) {
+          const path = prefix ? `${prefix}/${name}` : name;
+          if (entry.kind === "directory") {
+            await walk(entry, path);
+          } else {
+            const file = await entry.getFile();
+            files.push({ path, size: file.size, updated: new Date(file.lastModified).toISOString() });
+          }
+        }
+      };
+
+      let dir = await root();
+      try {
+        for (const part of [bucket, ...start.split("/").filter(Boolean)]) {
+          dir = await dir.getDirectoryHandle(part);
+        }
+      } catch (error) {
+        // Nothing stored there yet
+        if (error.name === "NotFoundError") return [];
+        throw error;
+      }
+      await walk(dir, start);
+      return files;
+    },
+
+    // Deleting a file that is not there is not an error
+    async delete(bucket, path) {
+      try {
+        const { dir, name } = await folderOf(bucket, path, false);
+        await dir.removeEntry(name);
+      } catch (error) {
+        if (error.name !== "NotFoundError" && error.statusCode !== 404) throw error;
+      }
+      forget(bucket, path);
+    },
+  };
+}
+
+function notFound(path) {
+  return Object.assign(new Error(`Object not found: ${path}`), { statusCode: 404 });
+}
@@ -0,0 +1,59 @@
+// IndexedDB Storage Provider
+// Keeps the buckets in this browser's IndexedDB (the files store of
+// collectionDb.js), so nothing leaves the device. Links to files are object
+// URLs, valid until the page is closed.
+
+import { putBucketFile, getBucketFile, listBucketFiles, deleteBucketFile } from "../collectionDb.js";
+
+export function createIndexedDbProvider() {
+  // Object URLs handed out, by "<bucket>/<path>"
+  const urls = new Map();
+
+  const forget = (bucket, path) => {
+    const key = `${bucket}/${path}`;
+    if (urls.has(key)) {
+      URL.revokeObjectURL(urls.get(key));
+      urls.delete(key);
+    }
+  };
+
+  return {
+    type: "indexeddb",
+    urlsExpire: false,
+
+    async upload(bucket, path, body, { contentType } = {}) {
+      const blob = contentType && body.type !== contentType ? new Blob([body], { type: contentType }) : body;
+      await putBucketFile(bucket, path, blob);
+      forget(bucket, path);
+      return { path };
+    },
+
+    async download(bucket, path) {
+      const blob = await getBucketFile(bucket, path);
+      if (!blob) throw notFound(path);
+      return blob;
+    },
+
+    async signUrl(bucket, path) {
+      const key = `${bucket}/${path}`;
+      if (!urls.has(key)) {
+        urls.set(key, URL.createObjectURL(await this.download(bucket, path)));
+      }
+      return urls.get(key);
+    },
+
+    async list(bucket, folder = "") {
+      const prefix = folder ? `${folder.replace(/\/+$/, "")}/` : "";
+      return listBucketFiles(bucket, prefix);
+    },
+
+    async delete(bucket, path) {
+      await deleteBucketFile(bucket, path);
+      forget(bucket, path);
+    },
+  };
+}
+
+function notFound(path) {
+  return Object.assign(new Error(`Object not found: ${path}`), { statusCode: 404 });
+}
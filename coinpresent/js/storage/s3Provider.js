@@ -0,0 +1,234 @@
+// S3 Storage Provider
+// Buckets of any S3-compatible service: MinIO on a home server or laptop,
+// Garage, Ceph, Backblaze B2, AWS itself. Requests are signed in the browser
+// with AWS Signature Version 4 and use path-style URLs
+// (<endpoint>/<bucket>/<path>), which every such service accepts. The
+// service has to allow this page's origin through CORS; MinIO does by
+// default.
+
+const SERVICE = "s3";
+const EMPTY_HASH = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+
+/**
+ * @param {Object} options
+ * @param {string} options.endpoint - e.g. "http://localhost:9000"
+ * @param {string} [options.region]
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ */
+export function createS3Provider({ endpoint, region = "us-east-1", accessKeyId, secretAccessKey }) {
+  if (!endpoint || !accessKeyId || !secretAccessKey) {
+    throw new Error("The S3 provider needs an endpoint, an access key and a secret key");
+  }
+  const base = endpoint.replace(/\/+$/, "");
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  async function send(method, bucket, path, { query = {}, body = null, headers = {} } = {}) {
+    const url = objectUrl(base, bucket, path, query);
+    const payload = body ? await body.arrayBuffer() : null;
+    const signed = await signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: payload ? await sha256Hex(payload) : EMPTY_HASH,
+      ...credentials,
+    });
+    // The browser sets Host itself
+    const { host: _host, ...sent } = signed;
+    const response = await fetch(url, { method, headers: sent, body: payload });
+    if (!response.ok) throw await responseError(response, path);
+    return response;
+  }
+
+  return {
+    type: "s3",
+    urlsExpire: true,
+
+    async upload(bucket, path, body, { contentType, cacheControl } = {}) {
+      const headers = {};
+      if (contentType || body.type) headers["content-type"] = contentType || body.type;
+      if (cacheControl) headers["cache-control"] = `max-age=${cacheControl}`;
+      await send("PUT", bucket, path, { body, headers });
+      return { path };
+    },
+
+    async download(bucket, path) {
+      return (await send("GET", bucket, path)).blob();
+    },
+
+    signUrl(bucket, path, expiresIn) {
+      return presignUrl({ method: "GET", url: objectUrl(base, bucket, path), expiresIn, ...credentials });
+    },
+
+    async list(bucket, folder = "") {
+      const prefix = folder ? `${folder.replace(/\/+$/, "")}/` : "";
+      const files = [];
+      let token = "";
+      do {
+        const query = { "list-type": "2", prefix, ...(token ? { "continuation-token": token } : {}) };
+        const xml = parseXml(await (await send("GET", bucket, "", { query })).text());
+        Array.from(xml.getElementsByTagName("Contents")).forEach((item) =>
+          files.push({
+            path: childText(item, "Key"),
+            size: Number(childText(item, "Size")) || 0,
+            updated: childText(item, "LastModified"),
+          })
+        );
+        token = childText(xml.documentElement, "IsTruncated") === "true" ? childText(xml.documentElement, "NextContinuationToken") : "";
+      } while (token);
+      return files;
+    },
+
+    async delete(bucket, path) {
+      await send("DELETE", bucket, path);
+    },
+  };
+}
+
+/**
+ * Headers that authorize a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.url
+ * @param {Object} [request.headers] - Extra headers to sign, lower-case names
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or "UNSIGNED-PAYLOAD"
+ * @param {string} request.accessKeyId
+ * @param {string} request.secretAccessKey
+ * @param {string} request.region
+ * @param {Date} [request.date]
+ * @returns {Promise<Object>} the headers to send, including host and authorization
+ */
+export async function signRequest({ method, url, headers = {}, payloadHash, accessKeyId, secretAccessKey, region, date = new Date() }) {
+  const target = new URL(url);
+  const { amzDate, scope, day } = timestamps(date, region);
+  const all = {
+    ...headers,
+    host: target.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(all).map((name) => name.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(all).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const canonical = [
+    method,
+    canonicalPath(target),
+    canonicalQuery(target),
+    names.map((name) => `${name}:${lower[name]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const signature = await sign(canonical, { amzDate, scope, day, region, secretAccessKey });
+  return {
+    ...lower,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+  };
+}
+
+/**
+ * A URL anyone can GET until it expires, signed in its query string
+ * @param {Object} request - As for signRequest, plus expiresIn seconds
+ * @returns {Promise<string>}
+ */
+export async function presignUrl({ method, url, expiresIn, accessKeyId, secretAccessKey, region, date = new Date() }) {
+  const target = new URL(url);
+  const { amzDate, scope, day } = timestamps(date, region);
+  target.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+  target.searchParams.set("X-Amz-Credential", `${accessKeyId}/${scope}`);
+  target.searchParams.set("X-Amz-Date", amzDate);
+  target.searchParams.set("X-Amz-Expires", String(Math.min(expiresIn, 604800)));
+  target.searchParams.set("X-Amz-SignedHeaders", "host");
+
+  const canonical = [
+    method,
+    canonicalPath(target),
+    canonicalQuery(target),
+    `host:${target.host}\n`,
+    "host",
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+  const signature = await sign(canonical, { amzDate, scope, day, region, secretAccessKey });
+  return `${target.origin}${target.pathname}?${canonicalQuery(target)}&X-Amz-Signature=${signature}`;
+}
+
+function objectUrl(base, bucket, path, query = {}) {
+  const key = path.split("/").map(encodeRfc3986).join("/");
+  const search = new URLSearchParams(query).toString();
+  return `${base}/${encodeRfc3986(bucket)}${key ? `/${key}` : ""}${search ? `?${search}` : ""}`;
+}
+
+function timestamps(date, region) {
+  const amzDate = date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const day = amzDate.slice(0, 8);
+  return { amzDate, day, scope: `${day}/${region}/${SERVICE}/aws4_request` };
+}
+
+async function sign(canonical, { amzDate, scope, day, region, secretAccessKey }) {
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, await sha256Hex(canonical)].join("\n");
+  let key = new TextEncoder().encode(`AWS4${secretAccessKey}`);
+  for (const part of [day, region, SERVICE, "aws4_request"]) {
+    key = await hmac(key, part);
+  }
+  return toHex(await hmac(key, stringToSign));
+}
+
+// URL objects keep the path percent-encoded; decode and encode it the way S3 expects
+function canonicalPath(url) {
+  return url.pathname
+    .split("/")
+    .map((segment) => encodeRfc3986(decodeURIComponent(segment)))
+    .join("/");
+}
+
+function canonicalQuery(url) {
+  return Array.from(url.searchParams.entries())
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? compare(aValue, bValue) : compare(a, b)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+async function hmac(key, text) {
+  const cryptoKey = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, new TextEncoder().encode(text)));
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+function childText(element, name) {
+  const child = Array.from(element.children).find((node) => node.localName === name);
+  return child ? child.textContent : "";
+}
+
+async function responseError(response, path) {
+  const text = await response.text().catch(() => "");
+  let message = response.statusText || `HTTP ${response.status}`;
+  if (text.startsWith("<")) {
+    const xml = parseXml(text);
+    message = childText(xml.documentElement, "Message") || childText(xml.documentElement, "Code") || message;
+  }
+  const error = new Error(response.status === 404 ? `Object not found: ${path}` : `S3 request failed: ${message}`);
+  error.statusCode = response.status;
+  return error;
+}
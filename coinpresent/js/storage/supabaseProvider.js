@@ -0,0 +1,89 @@
+// Supabase Storage Provider
+// Private buckets of a Supabase project, reached with the anon key through
+// the supabase-js client loaded from the CDN. Links to files are signed and
+// expire.
+
+import { loadSupabaseClient } from "../cdnClients.js";
+
+// Entries per list request; a shorter page is the last one of a folder
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - Project URL
+ * @param {string} options.anonKey
+ */
+export function createSupabaseProvider({ url, anonKey }) {
+  if (!url || !anonKey) {
+    throw new Error("The Supabase provider needs a project URL and an anon key");
+  }
+  let client = null;
+
+  async function from(bucket) {
+    if (!client) {
+      const { createClient } = await loadSupabaseClient();
+      client = createClient(url, anonKey);
+    }
+    return client.storage.from(bucket);
+  }
+
+  return {
+    type: "supabase",
+    urlsExpire: true,
+
+    async upload(bucket, path, body, { contentType, cacheControl = "3600" } = {}) {
+      const { data, error } = await (await from(bucket)).upload(path, body, {
+        cacheControl,
+        upsert: true,
+        ...(contentType ? { contentType } : {}),
+      });
+      if (error) throw error;
+      return data;
+    },
+
+    async download(bucket, path) {
+      const { data, error } = await (await from(bucket)).download(path);
+      if (error) throw error;
+      return data;
+    },
+
+    async signUrl(bucket, path, expiresIn) {
+      const { data, error } = await (await from(bucket)).createSignedUrl(path, expiresIn);
+      if (error) throw error;
+      return data.signedUrl;
+    },
+
+    // Supabase lists one folder at a time, a page at a time; folders are the
+    // entries without an id
+    async list(bucket, folder = "") {
+      const store = await from(bucket);
+      const files = [];
+      const walk = async (dir) => {
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+          const { data, error } = await store.list(dir, {
+            limit: LIST_PAGE_SIZE,
+            offset,
+            sortBy: { column: "name", order: "asc" },
+          });
+          if (error) throw error;
+          for (const item of data) {
+            const path = dir ? `${dir}/${item.name}` : item.name;
+            if (item.id === null) {
+              await walk(path);
+            } else {
+              files.push({ path, size: item.metadata?.size ?? 0, updated: item.updated_at || "" });
+            }
+          }
+          if (data.length < LIST_PAGE_SIZE) return;
+        }
+      };
+      await walk(folder.replace(/\/+$/, ""));
+      return files;
+    },
+
+    async delete(bucket, path) {
+      const { error } = await (await from(bucket)).remove([path]);
+      if (error) throw error;
+    },
+  };
+}
@@ -0,0 +1,179 @@
+// Virtual List Module
+// Windowed rendering for long lists of variable-height items. Every item
+// gets an element in the container so scroll height and grid layout stay
+// right, but only items near the viewport hold their real markup; the rest
+// are empty placeholders sized to the item's last measured height.
+//
+// Items are identified by key and reconciled in place: setKeys() moves,
+// adds and removes elements without touching mounted items that stay, and
+// refresh(key) re-renders a single item.
+
+const DEFAULT_OVERSCAN = 800;
+const DEFAULT_HEIGHT = 120;
+
+export class VirtualList {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {(key: *) => string} options.renderItem - Markup with a single root element
+   * @param {(key: *) => string} [options.placeholderClass] - Classes for the item's placeholder
+   * @param {(key: *) => number} [options.estimateHeight] - Height before the item was ever shown
+   * @param {number} [options.overscan] - Pixels above and below the viewport kept mounted
+   */
+  constructor(container, { renderItem, placeholderClass, estimateHeight, overscan = DEFAULT_OVERSCAN }) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.placeholderClass = placeholderClass || (() => "");
+    this.estimateHeight = estimateHeight || (() => DEFAULT_HEIGHT);
+    this.entries = new Map();
+    this.keysByElement = new WeakMap();
+    this.heights = new Map();
+
+    // Without IntersectionObserver every item is simply mounted
+    this.observer =
+      typeof IntersectionObserver === "function"
+        ? new IntersectionObserver((records) => this.handleIntersections(records), {
+            rootMargin: `${overscan}px 0px`,
+          })
+        : null;
+
+    container.innerHTML = "";
+  }
+
+  /**
+   * Show these items in this order
+   * @param {Array} keys
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Also re-render items that stay mounted
+   */
+  setKeys(keys, { refresh = false } = {}) {
+    const wanted = new Set(keys);
+
+    this.entries.forEach((entry, key) => {
+      if (wanted.has(key)) return;
+      this.observer?.unobserve(entry.element);
+      entry.element.remove();
+      this.entries.delete(key);
+      this.heights.delete(key);
+    });
+
+    let cursor = this.container.firstElementChild;
+    keys.forEach((key) => {
+      let entry = this.entries.get(key);
+      const isNew = !entry;
+      if (isNew) {
+        entry = { element: null, mounted: false };
+        this.entries.set(key, entry);
+        this.setElement(key, entry, this.observer ? this.createPlaceholder(key) : this.createItem(key));
+        entry.mounted = !this.observer;
+      }
+
+      if (entry.element === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        this.container.insertBefore(entry.element, cursor);
+      }
+
+      // Re-render in place once the cursor has moved past the element
+      if (!isNew) this.refreshEntry(key, entry, refresh);
+    });
+  }
+
+  /**
+   * Re-render one item. Items outside the window have nothing to update;
+   * they render from current data when they scroll into view.
+   */
+  refresh(key) {
+    const entry = this.entries.get(key);
+    if (entry) this.refreshEntry(key, entry, true);
+  }
+
+  // Mount an item right away, e.g. before scrolling it into view
+  mount(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (!entry.mounted) {
+      this.replaceElement(key, entry, this.createItem(key));
+      entry.mounted = true;
+    }
+    return entry.element;
+  }
+
+  destroy() {
+    this.observer?.disconnect();
+    this.entries.clear();
+    this.container.innerHTML = "";
+  }
+
+  handleIntersections(records) {
+    records.forEach((record) => {
+      const key = this.keysByElement.get(record.target);
+      const entry = this.entries.get(key);
+      if (!entry || entry.element !== record.target) return;
+
+      if (record.isIntersecting && !entry.mounted) {
+        this.replaceElement(key, entry, this.createItem(key));
+        entry.mounted = true;
+      } else if (!record.isIntersecting && entry.mounted && !entry.element.contains(document.activeElement)) {
+        this.heights.set(key, entry.element.offsetHeight);
+        this.replaceElement(key, entry, this.createPlaceholder(key));
+        entry.mounted = false;
+      }
+    });
+  }
+
+  refreshEntry(key, entry, rerender) {
+    if (entry.mounted) {
+      if (rerender) this.replaceElement(key, entry, this.createItem(key));
+    } else {
+      // A placeholder's classes can depend on item state (e.g. its width)
+      entry.element.className = this.placeholderClassName(key);
+    }
+  }
+
+  createItem(key) {
+    const template = document.createElement("template");
+    template.innerHTML = this.renderItem(key).trim();
+    return template.content.firstElementChild;
+  }
+
+  createPlaceholder(key) {
+    const placeholder = document.createElement("div");
+    placeholder.className = this.placeholderClassName(key);
+    placeholder.style.height = `${this.heights.get(key) || this.estimateHeight(key)}px`;
+    return placeholder;
+  }
+
+  placeholderClassName(key) {
+    return `virtual-placeholder ${this.placeholderClass(key)}`.trim();
+  }
+
+  // Swap an item's element, keeping focus and caret in a re-rendered field
+  replaceElement(key, entry, element) {
+    const old = entry.element;
+    const focused = old.contains(document.activeElement) ? document.activeElement : null;
+    const focusId = focused?.id;
+    const selection =
+      focused && typeof focused.selectionStart === "number"
+        ? [focused.selectionStart, focused.selectionEnd]
+        : null;
+
+    old.replaceWith(element);
+    this.observer?.unobserve(old);
+    this.setElement(key, entry, element);
+
+    if (focusId) {
+      const target = element.querySelector(`#${CSS.escape(focusId)}`);
+      if (target) {
+        target.focus();
+        if (selection) target.setSelectionRange?.(...selection);
+      }
+    }
+  }
+
+  setElement(key, entry, element) {
+    entry.element = element;
+    this.keysByElement.set(element, key);
+    this.observer?.observe(element);
+  }
+}
@@ -18,6 +18,85 @@ class CoinCollectionManager {
         
         // Performance optimization
         this.renderTimeout = null;
+        this.saveTimeout = null;
+        this.coinList = null; // Windowed card rendering (js/virtualList.js)
+        this.galleryList = null; // Windowed gallery tiles, the same way
+
+        // Coin cards ('analysis'), thumbnail gallery or statistics dashboard
+        // (js/charts.js); saved with the collection
+        this.viewMode = 'analysis';
+        this.charts = null;
+
+        // Persistence (IndexedDB via js/collectionDb.js, localStorage fallback)
+        this.collectionDb = null;
+        this.storageReady = false;
+        this.loadFailed = false; // Stored collection unreadable; saving stays off
+        this.pendingSave = Promise.resolve();
+
+        // Named collections (IndexedDB only); the active one is loaded into this.coins
+        this.activeCollectionId = null;
+        this.collections = [];
+
+        // Import preview awaiting confirmation (js/collectionImport.js)
+        this.importer = null;
+        this.pendingImport = null;
+
+        // CSV columns chosen for export, and a CSV import awaiting its column mapping
+        this.collectionCsv = null;
+        this.csvColumnSelection = null;
+        this.pendingCsvImport = null;
+
+        // Search, facet filters and sort order for the coin list (js/collectionFilter.js)
+        this.collectionFilter = null;
+        this.filterState = null;
+        this.filterFromUrl = null;
+
+        // Coins ticked for bulk actions (not saved) and the anchor for Shift+click ranges
+        this.selectedCoins = new Set();
+        this.lastSelectedCoinId = null;
+        this.coinTags = null;
+
+        // Rule-based views saved with the collection (js/smartSets.js)
+        this.smartSetRules = null;
+        this.smartSets = [];
+        this.editingSmartSetId = null;
+
+        // Collection-specific coin fields (js/customFields.js)
+        this.customFields = null;
+        this.fieldDefinitions = [];
+        this.editingFieldKey = null;
+
+        // Purchase details, provenance chain and collection totals
+        this.provenance = null;
+        this.collectionStats = null;
+        this.grading = null; // Grade parsing and designations (js/grading.js)
+        this.conditionAssessment = null;
+        this.conditionWizard = null; // { coinId, step, answers } while the wizard is open
+        this.mediaStore = null; // Full-size photos in the media bucket (js/mediaStore.js)
+        // Runtime configuration (js/appConfig.js): config.json plus changes made in Settings
+        this.appConfig = null;
+        this.config = null;
+
+        // Per-coin change history (js/auditLog.js). Entries are appended to
+        // IndexedDB as edits happen, or kept for the session without it.
+        this.auditLog = null;
+        this.auditAuthor = localStorage.getItem('coinAuditAuthor') || '';
+        this.pendingAudit = Promise.resolve();
+        this.sessionAudit = [];
+        this.auditTimelines = new Map(); // coinId -> loaded entries of an open timeline
+        this.auditFilters = new Map();
+
+        // Sync with other devices through the datasets bucket (js/collectionSync.js);
+        // the sync state is saved with the collection
+        this.collectionSync = null;
+        this.syncState = null;
+        this.syncTimeout = null;
+        this.syncRunning = null;
+        this.syncStatusText = '';
+        this.syncConflictResolver = null;
+
+        // Undo/redo (js/editHistory.js), loaded with the collection
+        this.history = null;
         
         // Console and logging system
         this.consoleExpanded = false;
@@ -28,32 +107,70 @@ class CoinCollectionManager {
             storage: { status: 'ready', progress: 100 },
             market: { status: 'initializing', progress: 0 }
         };
+        // Uploads waiting in the storage.js outbox, shown on the STORAGE card
+        this.outboxStatus = null;
+        // Folder picked in Settings, used once the settings are saved
+        this.pendingStorageFolder = null;
 
         this.init();
     }
 
-    init() {
-        this.loadFromStorage();
-        this.renderCoins();
+    async init() {
+        await this.loadConfig();
+        await this.loadFromStorage();
+        await this.setViewMode(this.viewMode);
         this.setupEventListeners();
         this.initializeConsole();
         this.initializeServices();
         
         // Add initial sample coin if none exist
-        if (this.coins.length === 0) {
+        if (this.coins.length === 0 && !this.loadFailed) {
             this.addCoin(true);
         }
 
         this.renderGlobalMediaControls();
+        this.watchOutbox();
     }
     
+    async loadConfig() {
+        try {
+            this.appConfig = await import('./js/appConfig.js');
+            this.config = await this.appConfig.loadConfig();
+            this.appConfig.onConfigChange(config => {
+                this.config = config;
+            });
+        } catch (error) {
+            console.warn('Configuration unavailable, every feature stays on', error);
+        }
+    }
+
+    // Feature toggles of the configuration; on when it could not be loaded
+    featureEnabled(feature) {
+        return this.config ? this.config.features[feature] !== false : true;
+    }
+
     initializeConsole() {
         this.logToConsole('Application initialized', 'info');
         this.logToConsole('Console system ready', 'success');
     }
     
     async initializeServices() {
-        // Initialize AI services
+        if (this.featureEnabled('ai')) {
+            await this.initializeAIService();
+        } else {
+            this.updateServiceStatus('ai', 'disabled', 0);
+            this.logToConsole('AI analysis is turned off in Settings', 'info');
+        }
+
+        if (this.featureEnabled('market')) {
+            await this.initializeMarketService();
+        } else {
+            this.updateServiceStatus('market', 'disabled', 0);
+            this.logToConsole('Market intelligence is turned off in Settings', 'info');
+        }
+    }
+
+    async initializeAIService() {
         this.updateServiceStatus('ai', 'initializing', 10);
         this.logToConsole('Initializing AI services...', 'info');
         
@@ -112,8 +229,9 @@ class CoinCollectionManager {
             this.updateServiceStatus('ai', 'error', 0);
             this.logToConsole(`AI initialization failed: ${error.message}`, 'error');
         }
-        
-        // Initialize market intelligence
+    }
+
+    async initializeMarketService() {
         this.updateServiceStatus('market', 'initializing', 30);
         this.logToConsole('Initializing market intelligence...', 'info');
         
@@ -191,12 +309,39 @@ class CoinCollectionManager {
                     </div>
                     <span class="progress-text">${status.progress}%</span>
                 </div>
+                ${service === 'storage' ? this.getOutboxMarkup() : ''}
             </div>
         `).join('');
         
         statusContainer.innerHTML = statusHtml;
     }
     
+    getOutboxMarkup() {
+        const outbox = this.outboxStatus;
+        // A failing outbox shows even with nothing counted: its count is
+        // null while the outbox cannot be read
+        if (!outbox || (outbox.pending === 0 && !outbox.failing)) return '';
+
+        const parts = [
+            outbox.media > 0 ? `${outbox.media} file(s)` : '',
+            outbox.datasets > 0 ? `${outbox.datasets} dataset(s)` : ''
+        ].filter(Boolean).join(', ');
+        const queued = parts ? `${parts} queued` : 'Upload queue could not be read';
+        let state = 'waiting';
+        if (outbox.sending) {
+            state = 'sending...';
+        } else if (outbox.nextRetry) {
+            state = `retry at ${new Date(outbox.nextRetry).toLocaleTimeString()}`;
+        }
+        return `
+            <div class="service-queue ${outbox.failing ? 'service-queue-failing' : ''}"
+                 title="${this.escapeHtml(outbox.lastError ? `Last error: ${outbox.lastError}` : '')}">
+                <i class="fas fa-cloud-upload-alt"></i> ${queued}, ${state}
+                ${outbox.sending ? '' : '<button class="btn btn-small btn-outline" onclick="retryOutbox()">Retry now</button>'}
+            </div>
+        `;
+    }
+
     toggleConsole() {
         this.consoleExpanded = !this.consoleExpanded;
         const consolePanel = document.getElementById('consolePanel');
@@ -263,35 +408,54 @@ class CoinCollectionManager {
     }
 
     setupEventListeners() {
-        // Auto-save on any change
-        document.addEventListener('input', () => this.saveToStorage());
-        document.addEventListener('change', () => this.saveToStorage());
-        
+        // Auto-save on any change. The header and the search/filter toolbar
+        // change no coin; their handlers save what they change themselves.
+        const autoSave = (event) => {
+            if (event.target.closest && event.target.closest('.app-header, #coinToolbar')) return;
+            this.saveToStorage();
+        };
+        document.addEventListener('input', autoSave);
+        document.addEventListener('change', autoSave);
+
+        // Write any pending change before the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushSave();
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeAllModals();
                 this.selectedAnnotation = null;
             }
+
+            // Undo/redo; text fields keep their native undo
+            const isEditingText = e.target.matches && e.target.matches('input, textarea, select, [contenteditable="true"]');
+            if ((e.ctrlKey || e.metaKey) && !isEditingText) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                }
+            }
         });
     }
 
     // Coin Management
     addCoin(isSample = false) {
-        const coin = {
+        // Field defaults live in js/coinSchema.js so migrations and new
+        // coins agree on the current shape
+        const coin = this.coinSchema.createCoin({
             id: this.nextCoinId++,
             title: isSample ? 'Sample Coin' : `Coin ${this.nextCoinId - 1}`,
             description: isSample ? 
                 'This is a sample coin to demonstrate the application features. Upload your own images and start documenting your collection.' :
                 'New coin added to collection. Add images and detailed information.',
-            images: {
-                obverse: null,
-                reverse: null
-            },
-            media: {
-                images: [],
-                videos: []
-            },
             annotations: {
                 obverse: isSample ? [
                     { id: 1001, x: 150, y: 100, label: 'Portrait', color: '#f97316' },
@@ -300,55 +464,34 @@ class CoinCollectionManager {
                 reverse: isSample ? [
                     { id: 1003, x: 180, y: 120, label: 'Main Device', color: '#ef4444' }
                 ] : []
-            },
-            metadata: {
-                country: '',
-                year: '',
-                denomination: '',
-                metal: '',
-                diameter: '',
-                weight: '',
-                mintmark: '',
-                edge: '',
-                mintage: ''
-            },
-            condition: {
-                grade: '',
-                notes: '',
-                wear: '',
-                luster: '',
-                strike: ''
-            },
-            valuation: {
-                scenarios: {
-                    common: { min: 5, max: 40, description: 'Common circulated coin' },
-                    silver: { min: 20, max: 200, description: 'Silver content value' },
-                    collectible: { min: 200, max: 5000, description: 'Rare or high-grade collectible' }
-                },
-                currentEstimate: '',
-                marketNotes: ''
-            },
-            notes: '',
-            created: new Date().toISOString(),
-            modified: new Date().toISOString()
-        };
+            }
+        });
+        this.customFields.applyFieldDefaults(coin, this.fieldDefinitions);
 
-        this.coins.push(coin);
+        if (isSample) {
+            this.coins.push(coin);
+        } else {
+            this.recordEdit(`Add "${coin.title}"`, coin.id, () => this.coins.push(coin));
+        }
         this.renderCoins();
         this.saveToStorage();
         
-        // Auto-expand the new coin
+        // Auto-expand the new coin; with a long list it starts out of view
         setTimeout(() => {
-            const coinElement = document.querySelector(`[data-coin-id="${coin.id}"]`);
-            if (coinElement) {
-                this.toggleCoinExpansion(coin.id);
+            if (this.scrollToCoin(coin.id)) {
+                toggleCoinExpansion(coin.id);
             }
         }, 100);
     }
 
     deleteCoin(coinId) {
-        if (confirm('Are you sure you want to delete this coin? This action cannot be undone.')) {
-            this.coins = this.coins.filter(coin => coin.id !== coinId);
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        if (confirm(`Delete "${coin.title}"? You can restore it with Undo (Ctrl+Z).`)) {
+            this.recordEdit(`Delete "${coin.title}"`, coinId, () => {
+                this.coins = this.coins.filter(c => c.id !== coinId);
+            });
             this.renderCoins();
             this.saveToStorage();
         }
@@ -357,1558 +500,4456 @@ class CoinCollectionManager {
     updateCoin(coinId, updates) {
         const coinIndex = this.coins.findIndex(c => c.id === coinId);
         if (coinIndex !== -1) {
-            this.coins[coinIndex] = { 
-                ...this.coins[coinIndex], 
-                ...updates, 
-                modified: new Date().toISOString() 
-            };
+            this.recordEdit(`Edit ${Object.keys(updates).join(', ')} of "${this.coins[coinIndex].title}"`, coinId, () => {
+                this.coins[coinIndex] = { ...this.coins[coinIndex], ...updates };
+            });
             this.saveToStorage();
         }
     }
 
-    // Rendering
-    renderCoins() {
-        // Throttle rendering to prevent excessive re-renders
-        if (this.renderTimeout) {
-            clearTimeout(this.renderTimeout);
+    // Update one field of a nested section (metadata, condition, valuation)
+    updateCoinSection(coinId, section, field, value) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Edit ${field} of "${coin.title}"`, coinId, () => {
+            coin[section][field] = value;
+        });
+        this.saveToStorage();
+    }
+
+    // Change the base grade or one designation, keeping the rest of the grade
+    updateCoinGrade(coinId, part, value) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        let grade;
+        try {
+            grade = this.grading.setGradePart(coin.condition.grade, part, value);
+        } catch (error) {
+            this.logToConsole(error.message, 'warning');
+            this.renderCoin(coinId);
+            return;
         }
-        
-        this.renderTimeout = setTimeout(() => {
-            const container = document.getElementById('coinsContainer');
-            if (!container) return;
-            
-            container.innerHTML = this.coins.map(coin => this.renderCoinCard(coin)).join('');
-            
-            // Apply expanded states after rendering
-            this.expandedCoins.forEach(coinId => {
-                const coinCard = document.querySelector(`[data-coin-id="${coinId}"]`);
-                if (coinCard) {
-                    coinCard.classList.add('expanded');
-                    const content = document.getElementById(`coinContent_${coinId}`);
-                    if (content) content.style.display = 'block';
-                    const chevron = coinCard.querySelector('.fa-chevron-down');
-                    if (chevron) chevron.style.transform = 'rotate(180deg)';
-                }
-            });
-            
-            // Debug: Check if file inputs are created correctly (only in debug mode)
-            if (window.location.search.includes('debug=true')) {
-                const fileInputs = container.querySelectorAll('.file-input');
-                console.log('File inputs created:', fileInputs.length);
-            }
-        }, 100); // 100ms throttle
+        this.updateCoinSection(coinId, 'condition', 'grade', grade);
+        this.renderCoin(coinId);
     }
 
-    renderCoinCard(coin) {
-        const obverseImage = coin.images.obverse;
-        const reverseImage = coin.images.reverse;
-        const thumbnailSrc = obverseImage || reverseImage;
+    // Guided condition assessment (js/conditionAssessment.js)
+    showConditionWizard(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.conditionWizard = {
+            coinId,
+            step: 0,
+            answers: structuredClone(coin.condition.assessment || this.conditionAssessment.createAssessment())
+        };
+        document.getElementById('conditionWizardTitle').textContent = `Assess "${coin.title}"`;
+        this.renderConditionWizard();
+        this.showModal('conditionWizardModal');
+    }
+
+    renderConditionWizard() {
+        const wizard = this.conditionWizard;
+        const assessment = this.conditionAssessment;
+        const steps = CONDITION_WIZARD_STEPS;
+        const step = steps[wizard.step];
+        const answers = wizard.answers;
+
+        const radios = (key, choices, value) => Object.entries(choices).map(([choice, label]) => `
+            <label class="wizard-choice">
+                <input type="radio" name="wizard_${key}" value="${choice}" ${value === choice ? 'checked' : ''}
+                       onchange="setWizardAnswer('${key}', this.value)">
+                <span>${this.escapeHtml(typeof label === 'string' ? label : label.label)}</span>
+                ${label.hint ? `<small>${this.escapeHtml(label.hint)}</small>` : ''}
+            </label>
+        `).join('');
+
+        let body = '';
+        if (step.id === 'wear') {
+            body = Object.entries(assessment.DESIGN_AREAS).map(([area, label]) => `
+                <fieldset class="wizard-group">
+                    <legend>${this.escapeHtml(label)}</legend>
+                    ${radios(`areas.${area}`, assessment.WEAR_LEVELS, answers.areas[area])}
+                </fieldset>
+            `).join('');
+        } else if (step.id === 'surface') {
+            body = `
+                <fieldset class="wizard-group">
+                    <legend>Luster</legend>
+                    ${radios('luster', assessment.LUSTER_LEVELS, answers.luster)}
+                </fieldset>
+                <fieldset class="wizard-group">
+                    <legend>Strike</legend>
+                    ${radios('strike', assessment.STRIKE_LEVELS, answers.strike)}
+                </fieldset>
+            `;
+        } else if (step.id === 'marks') {
+            body = `
+                <fieldset class="wizard-group">
+                    <legend>Contact marks, hairlines and bag marks</legend>
+                    ${radios('marks', assessment.MARK_LEVELS, answers.marks)}
+                </fieldset>
+            `;
+        } else if (step.id === 'problems') {
+            body = `
+                <fieldset class="wizard-group">
+                    <legend>Problems (a problem coin gets a Details grade)</legend>
+                    ${Object.entries(assessment.PROBLEMS).map(([problem, label]) => `
+                        <label class="wizard-choice">
+                            <input type="checkbox" value="${problem}" ${answers.problems.includes(problem) ? 'checked' : ''}
+                                   onchange="setWizardAnswer('problems', this.value, this.checked)">
+                            <span>${label}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        } else {
+            body = this.renderWizardResult();
+        }
+
+        document.getElementById('conditionWizardSteps').innerHTML = steps.map((candidate, index) => `
+            <li class="${index === wizard.step ? 'active' : ''} ${index < wizard.step ? 'done' : ''}">${candidate.label}</li>
+        `).join('');
+        document.getElementById('conditionWizardBody').innerHTML = body;
+        document.getElementById('conditionWizardBack').disabled = wizard.step === 0;
+        document.getElementById('conditionWizardNext').classList.toggle('hidden', wizard.step === steps.length - 1);
+        this.updateWizardSuggestion();
+    }
+
+    // Suggested range and buttons to apply one of its grades
+    renderWizardResult() {
+        const coin = this.coins.find(c => c.id === this.conditionWizard.coinId);
+        const suggestion = this.conditionAssessment.suggestGradeRange(this.conditionWizard.answers);
+        if (!suggestion) {
+            return '<p class="collection-hint">Record the wear of at least one design area to get a suggested grade.</p>';
+        }
+
+        const grades = [...new Set(this.grading.GRADE_OPTIONS
+            .map(([grade]) => this.grading.parseGrade(grade).number)
+            .filter(number => number >= suggestion.min && number <= suggestion.max))]
+            .sort((a, b) => a - b);
 
         return `
-            <div class="coin-card" data-coin-id="${coin.id}">
-                <div class="coin-header" onclick="toggleCoinExpansion(${coin.id})">
-                    <div class="coin-info">
-                        ${thumbnailSrc ? 
-                            `<img src="${thumbnailSrc}" alt="${coin.title}" class="coin-thumbnail">` :
-                            `<div class="coin-thumbnail-placeholder">
-                                <i class="fas fa-coins"></i>
-                            </div>`
-                        }
-                        <div>
-                            <div class="coin-title">${coin.title}</div>
-                            <div class="text-muted">${coin.metadata.country} ${coin.metadata.year}</div>
-                        </div>
-                    </div>
-                    <div class="coin-actions">
-                        ${this.comparisonMode ? 
-                            `<button class="btn btn-secondary" onclick="event.stopPropagation(); addToComparison(${coin.id})">
-                                <i class="fas fa-plus"></i> Compare
-                            </button>` : ''
-                        }
-                        <button class="btn btn-secondary" onclick="event.stopPropagation(); deleteCoin(${coin.id})">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                        <i class="fas fa-chevron-down" style="transition: transform 0.2s;"></i>
-                    </div>
-                </div>
-                <div class="coin-content" id="coinContent_${coin.id}">
-                    ${this.renderCoinContent(coin)}
-                </div>
+            <ul class="wizard-reasons">
+                ${suggestion.reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}
+            </ul>
+            <p>Apply a grade to this coin${coin.condition.grade ? ` (now ${this.escapeHtml(coin.condition.grade)})` : ''}:</p>
+            <div class="wizard-grades">
+                ${grades.map(number => {
+                    const grade = this.conditionAssessment.gradeFromSuggestion(coin.condition.grade, number, suggestion);
+                    return `<button class="btn btn-outline btn-small" onclick="saveConditionAssessment(${number})">${this.escapeHtml(grade)}</button>`;
+                }).join('')}
             </div>
         `;
     }
 
-    renderCoinContent(coin) {
+    updateWizardSuggestion() {
+        const suggestion = this.conditionAssessment.suggestGradeRange(this.conditionWizard.answers);
+        document.getElementById('conditionWizardSuggestion').textContent = suggestion
+            ? `Suggested: ${this.describeGradeRange(suggestion)}`
+            : 'No suggestion yet';
+    }
+
+    describeGradeRange(suggestion) {
+        const range = suggestion.low === suggestion.high ? suggestion.low : `${suggestion.low} to ${suggestion.high}`;
+        return suggestion.details ? `${range} Details (${suggestion.detailsNote})` : range;
+    }
+
+    // key is "luster", "strike", "marks", "problems" or "areas.<area>"
+    setWizardAnswer(key, value, checked) {
+        const answers = this.conditionWizard.answers;
+        if (key === 'problems') {
+            answers.problems = answers.problems.filter(problem => problem !== value);
+            if (checked) answers.problems.push(value);
+        } else if (key.startsWith('areas.')) {
+            answers.areas[key.slice('areas.'.length)] = value;
+        } else {
+            answers[key] = value;
+        }
+        this.updateWizardSuggestion();
+    }
+
+    wizardStep(delta) {
+        const wizard = this.conditionWizard;
+        wizard.step = Math.min(Math.max(wizard.step + delta, 0), CONDITION_WIZARD_STEPS.length - 1);
+        this.renderConditionWizard();
+    }
+
+    /**
+     * Store the answers, fill the wear, luster and strike fields from them
+     * and, when a grade number is given, set the grade
+     * @param {number} [gradeNumber]
+     */
+    saveConditionAssessment(gradeNumber) {
+        const { coinId, answers } = this.conditionWizard;
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        const suggestion = this.conditionAssessment.suggestGradeRange(answers);
+        this.recordEdit(`Assess condition of "${coin.title}"`, coinId, () => {
+            coin.condition.assessment = { ...structuredClone(answers), assessed: new Date().toISOString() };
+            Object.assign(coin.condition, this.conditionAssessment.summarizeAssessment(answers));
+            if (gradeNumber && suggestion) {
+                coin.condition.grade = this.conditionAssessment.gradeFromSuggestion(coin.condition.grade, gradeNumber, suggestion);
+            }
+        });
+
+        this.closeModal('conditionWizardModal');
+        this.conditionWizard = null;
+        this.renderCoin(coinId);
+        this.saveToStorage();
+        this.logToConsole(
+            `Condition assessment saved for "${coin.title}"${gradeNumber ? `, graded ${coin.condition.grade}` : ''}`,
+            'success'
+        );
+    }
+
+    // One line under the condition fields once a coin has been assessed
+    renderAssessmentSummary(coin) {
+        const assessment = coin.condition.assessment;
+        if (!assessment?.assessed) return '';
+
+        const suggestion = this.conditionAssessment.suggestGradeRange(assessment);
         return `
-            <!-- Image Section -->
-            <div class="image-section">
-                <div class="image-container">
-                    <h4 style="position: absolute; top: 8px; left: 12px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">Obverse</h4>
-                    ${coin.images.obverse ? 
-                        `<img src="${coin.images.obverse}" alt="Obverse" class="coin-image" onclick="openImageZoom('obverse', ${coin.id})" style="cursor: zoom-in">
-                         <div class="image-overlay-controls">
-                             <button class="btn btn-small btn-secondary" onclick="setMode('annotate'); event.stopPropagation();" title="Annotate Mode">
-                                 <i class="fas fa-crosshairs"></i>
-                             </button>
-                             <button class="btn btn-small btn-secondary" onclick="openImageZoom('obverse', ${coin.id}); event.stopPropagation();" title="Zoom Image">
-                                 <i class="fas fa-search-plus"></i>
-                             </button>
-                             <button class="btn btn-small btn-danger" onclick="deleteImage(${coin.id}, 'obverse'); event.stopPropagation();" title="Delete Image">
-                                 <i class="fas fa-trash"></i>
-                             </button>
-                         </div>`
-                        :
-                        `<div class="image-placeholder" 
-                              onclick="document.getElementById('obverse_${coin.id}').click()"
-                              ondrop="handleMainImageDrop(event, ${coin.id}, 'obverse')" 
-                              ondragover="handleDragOver(event)" 
-                              ondragenter="handleDragEnter(event)" 
-                              ondragleave="handleDragLeave(event)">
-                            <i class="fas fa-upload" style="font-size: 2rem; margin-bottom: 8px;"></i>
-                            <span>Click or drag to upload obverse image</span>
-                        </div>`
-                    }
-                    <input type="file" id="obverse_${coin.id}" name="obverse_${coin.id}" class="file-input" accept="image/*" onchange="handleImageUpload(${coin.id}, 'obverse', this)">
-                    <div class="annotation-overlay" onclick="handleImageClick(event, ${coin.id}, 'obverse')">
-                        ${this.renderAnnotations(coin.annotations.obverse)}
-                    </div>
-                </div>
-                
-                <div class="image-container">
-                    <h4 style="position: absolute; top: 8px; left: 12px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">Reverse</h4>
-                    ${coin.images.reverse ? 
-                        `<img src="${coin.images.reverse}" alt="Reverse" class="coin-image" onclick="openImageZoom('reverse', ${coin.id})" style="cursor: zoom-in">
-                         <div class="image-overlay-controls">
-                             <button class="btn btn-small btn-secondary" onclick="setMode('annotate'); event.stopPropagation();" title="Annotate Mode">
-                                 <i class="fas fa-crosshairs"></i>
-                             </button>
-                             <button class="btn btn-small btn-secondary" onclick="openImageZoom('reverse', ${coin.id}); event.stopPropagation();" title="Zoom Image">
-                                 <i class="fas fa-search-plus"></i>
-                             </button>
-                             <button class="btn btn-small btn-danger" onclick="deleteImage(${coin.id}, 'reverse'); event.stopPropagation();" title="Delete Image">
-                                 <i class="fas fa-trash"></i>
-                             </button>
-                         </div>`
-                        :
-                        `<div class="image-placeholder" 
-                              onclick="document.getElementById('reverse_${coin.id}').click()"
-                              ondrop="handleMainImageDrop(event, ${coin.id}, 'reverse')" 
-                              ondragover="handleDragOver(event)" 
-                              ondragenter="handleDragEnter(event)" 
-                              ondragleave="handleDragLeave(event)">
-                            <i class="fas fa-upload" style="font-size: 2rem; margin-bottom: 8px;"></i>
-                            <span>Click or drag to upload reverse image</span>
-                        </div>`
-                    }
-                    <input type="file" id="reverse_${coin.id}" name="reverse_${coin.id}" class="file-input" accept="image/*" onchange="handleImageUpload(${coin.id}, 'reverse', this)">
-                    <div class="annotation-overlay" onclick="handleImageClick(event, ${coin.id}, 'reverse')">
-                        ${this.renderAnnotations(coin.annotations.reverse)}
-                    </div>
-                </div>
-            </div>
+            <p class="assessment-summary">
+                <i class="fas fa-clipboard-check"></i>
+                Assessed ${new Date(assessment.assessed).toLocaleDateString()}${suggestion ? `: suggests ${this.escapeHtml(this.describeGradeRange(suggestion))}` : ''}
+            </p>
+        `;
+    }
 
-            <!-- Metadata Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-info-circle"></i>
-                    Basic Information
-                </h3>
-                <div class="form-grid">
-                    <div class="form-group">
-                        <label for="title_${coin.id}">Title</label>
-                        <input type="text" id="title_${coin.id}" name="title_${coin.id}" class="form-input" value="${coin.title}" 
-                               onchange="updateCoinField(${coin.id}, 'title', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="country_${coin.id}">Country</label>
-                        <input type="text" id="country_${coin.id}" name="country_${coin.id}" class="form-input" value="${coin.metadata.country}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'country', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="year_${coin.id}">Year</label>
-                        <input type="text" id="year_${coin.id}" name="year_${coin.id}" class="form-input" value="${coin.metadata.year}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'year', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="denomination_${coin.id}">Denomination</label>
-                        <input type="text" id="denomination_${coin.id}" name="denomination_${coin.id}" class="form-input" value="${coin.metadata.denomination}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'denomination', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="metal_${coin.id}">Metal</label>
-                        <select id="metal_${coin.id}" name="metal_${coin.id}" class="form-input" onchange="updateCoinMetadata(${coin.id}, 'metal', this.value)">
-                            <option value="">Select Metal</option>
-                            <option value="Gold" ${coin.metadata.metal === 'Gold' ? 'selected' : ''}>Gold</option>
-                            <option value="Silver" ${coin.metadata.metal === 'Silver' ? 'selected' : ''}>Silver</option>
-                            <option value="Copper" ${coin.metadata.metal === 'Copper' ? 'selected' : ''}>Copper</option>
-                            <option value="Bronze" ${coin.metadata.metal === 'Bronze' ? 'selected' : ''}>Bronze</option>
-                            <option value="Nickel" ${coin.metadata.metal === 'Nickel' ? 'selected' : ''}>Nickel</option>
-                            <option value="Brass" ${coin.metadata.metal === 'Brass' ? 'selected' : ''}>Brass</option>
-                            <option value="Aluminum" ${coin.metadata.metal === 'Aluminum' ? 'selected' : ''}>Aluminum</option>
-                            <option value="Zinc" ${coin.metadata.metal === 'Zinc' ? 'selected' : ''}>Zinc</option>
-                            <option value="Bimetallic" ${coin.metadata.metal === 'Bimetallic' ? 'selected' : ''}>Bimetallic</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="diameter_${coin.id}">Diameter (mm)</label>
-                        <input type="number" step="0.1" id="diameter_${coin.id}" name="diameter_${coin.id}" class="form-input" value="${coin.metadata.diameter}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'diameter', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="weight_${coin.id}">Weight (g)</label>
-                        <input type="number" step="0.01" id="weight_${coin.id}" name="weight_${coin.id}" class="form-input" value="${coin.metadata.weight}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'weight', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="mintmark_${coin.id}">Mintmark</label>
-                        <input type="text" id="mintmark_${coin.id}" name="mintmark_${coin.id}" class="form-input" value="${coin.metadata.mintmark}" 
-                               onchange="updateCoinMetadata(${coin.id}, 'mintmark', this.value)">
+    updateValuationScenario(coinId, scenario, field, value) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Edit ${scenario} ${field} valuation of "${coin.title}"`, coinId, () => {
+            coin.valuation.scenarios[scenario][field] = parseFloat(value) || 0;
+        });
+        this.saveToStorage();
+    }
+
+    /**
+     * Set a custom field value if it passes the field's validation
+     * @returns {string|null} the validation error, or null when saved
+     */
+    updateCustomField(coinId, key, value) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const definition = this.fieldDefinitions.find(d => d.key === key);
+        if (!coin || !definition) return null;
+
+        const error = this.customFields.validateFieldValue(definition, value);
+        if (error) {
+            this.logToConsole(`"${coin.title}": ${error}`, 'warning');
+            return error;
+        }
+
+        this.recordEdit(`Edit ${definition.label} of "${coin.title}"`, coinId, () => {
+            coin.customFields = { ...coin.customFields, [key]: String(value).trim() };
+        });
+        this.saveToStorage();
+        return null;
+    }
+
+    updateAcquisition(coinId, field, value) {
+        this.updateCoinSection(coinId, 'acquisition', field, value.trim());
+        // Cost basis and gain shown on the card and in the toolbar
+        this.renderCoin(coinId);
+        this.renderCollectionSummary();
+    }
+
+    addProvenanceEntry(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Add provenance entry to "${coin.title}"`, coinId, () => {
+            coin.provenance = [...(coin.provenance || []), this.provenance.createProvenanceEntry()];
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    updateProvenanceEntry(coinId, entryId, field, value) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const entry = coin && (coin.provenance || []).find(e => e.id === entryId);
+        if (!entry) return;
+
+        this.recordEdit(`Edit provenance ${field} of "${coin.title}"`, coinId, () => {
+            entry[field] = value.trim();
+        });
+        this.saveToStorage();
+    }
+
+    moveProvenanceEntry(coinId, entryId, offset) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Reorder provenance of "${coin.title}"`, coinId, () => {
+            coin.provenance = this.provenance.moveEntry(coin.provenance || [], entryId, offset);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    removeProvenanceEntry(coinId, entryId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Remove provenance entry from "${coin.title}"`, coinId, () => {
+            coin.provenance = (coin.provenance || []).filter(e => e.id !== entryId);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    // The purchase (entryId '') or provenance entry documents belong to
+    getDocumentOwner(coin, entryId) {
+        if (!entryId) return coin.acquisition;
+        return (coin.provenance || []).find(e => e.id === entryId) || null;
+    }
+
+    attachDocument(coinId, entryId, mediaId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const owner = coin && this.getDocumentOwner(coin, entryId);
+        if (!owner || !mediaId) return;
+
+        this.recordEdit(`Attach document to "${coin.title}"`, coinId, () => {
+            owner.documents = [...(owner.documents || []).filter(id => id !== mediaId), mediaId];
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    detachDocument(coinId, entryId, mediaId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const owner = coin && this.getDocumentOwner(coin, entryId);
+        if (!owner) return;
+
+        this.recordEdit(`Detach document from "${coin.title}"`, coinId, () => {
+            owner.documents = (owner.documents || []).filter(id => id !== mediaId);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    addCoinTags(coinId, text) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const tags = this.coinTags.parseTags(text);
+        if (!coin || tags.length === 0) return;
+
+        this.recordEdit(`Tag "${coin.title}" ${tags.join(', ')}`, coinId, () => {
+            coin.tags = this.coinTags.addTags(coin.tags, tags);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    removeCoinTag(coinId, tag) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        this.recordEdit(`Remove tag "${tag}" from "${coin.title}"`, coinId, () => {
+            coin.tags = this.coinTags.removeTag(coin.tags, tag);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+    }
+
+    // Edit History
+    snapshotCoin(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        return coin ? structuredClone(coin) : null;
+    }
+
+    /**
+     * Run a mutation of one or more coins and record it as an undoable command.
+     * Coins that actually changed get their modified timestamp bumped.
+     * @param {Object} [extra] - More fields for the command, such as the
+     *   transfer of a move (applyTransfer)
+     */
+    recordEdit(label, coinIds, mutate, extra = {}) {
+        const ids = Array.isArray(coinIds) ? coinIds : [coinIds];
+        const pending = ids.map(coinId => ({
+            coinId,
+            index: this.coins.findIndex(c => c.id === coinId),
+            before: this.snapshotCoin(coinId)
+        }));
+
+        const result = mutate();
+
+        const changes = [];
+        pending.forEach(change => {
+            const coin = this.coins.find(c => c.id === change.coinId);
+            if (coin && change.before && JSON.stringify(coin) === JSON.stringify(change.before)) return;
+            if (!coin && !change.before) return;
+
+            if (coin) {
+                coin.modified = new Date().toISOString();
+            }
+            changes.push({
+                ...change,
+                index: change.index !== -1 ? change.index : this.coins.findIndex(c => c.id === change.coinId),
+                after: this.snapshotCoin(change.coinId)
+            });
+        });
+
+        if (this.history && changes.length > 0) {
+            this.history.record({ label, changes, ...extra });
+            this.updateHistoryControls();
+        }
+        this.recordAudit(label, changes);
+        return result;
+    }
+
+    undo() {
+        const command = this.history && this.history.undo();
+        if (!command) {
+            this.logToConsole('Nothing to undo', 'info');
+            return;
+        }
+        this.editHistory.applyCommand(this.coins, command, 'undo');
+        if (command.transfer) this.applyTransfer(command, 'undo');
+        this.recordAudit(`Undo: ${command.label}`, command.changes.map(change => ({
+            ...change,
+            before: change.after,
+            after: change.before
+        })));
+        this.afterHistoryChange(`Undid: ${command.label}`, command);
+    }
+
+    redo() {
+        const command = this.history && this.history.redo();
+        if (!command) {
+            this.logToConsole('Nothing to redo', 'info');
+            return;
+        }
+        this.editHistory.applyCommand(this.coins, command, 'redo');
+        if (command.transfer) this.applyTransfer(command, 'redo');
+        this.recordAudit(`Redo: ${command.label}`, command.changes);
+        this.afterHistoryChange(`Redid: ${command.label}`, command);
+    }
+
+    afterHistoryChange(message, command) {
+        // Edits to existing coins only redraw their own cards; adding or
+        // removing coins changes the list itself
+        if (command.changes.every(change => change.before && change.after)) {
+            command.changes.forEach(change => this.renderCoin(change.coinId));
+        } else {
+            this.renderCoins();
+        }
+        this.saveToStorage();
+        this.updateHistoryControls();
+        this.logToConsole(message, 'info');
+    }
+
+    // Audit Log
+    /**
+     * Append the field changes of an edit to the audit log. Undo and redo are
+     * logged as edits of their own, so the log only ever grows.
+     * @param {string} source - Label of the edit
+     * @param {Array<{coinId, before, after}>} changes
+     */
+    recordAudit(source, changes) {
+        if (!this.auditLog || changes.length === 0) return;
+
+        const entries = this.auditLog.createAuditEntries(changes, { source, author: this.auditAuthor });
+        if (entries.length === 0) return;
+
+        const collectionId = this.activeCollectionId;
+        this.pendingAudit = this.pendingAudit
+            .then(async () => {
+                if (this.collectionDb) {
+                    await this.collectionDb.appendAuditEntries(collectionId, entries);
+                } else {
+                    entries.forEach(entry => this.sessionAudit.push({ ...entry, seq: this.sessionAudit.length + 1 }));
+                }
+            })
+            .catch(error => this.logToConsole(`Failed to write audit log: ${error.message}`, 'error'));
+
+        const openCoinIds = new Set(entries.map(entry => entry.coinId).filter(coinId => this.auditTimelines.has(coinId)));
+        openCoinIds.forEach(coinId => this.refreshAuditTimeline(coinId));
+    }
+
+    async loadCoinAudit(coinId) {
+        await this.pendingAudit;
+        if (this.collectionDb) {
+            return this.collectionDb.loadAuditLog(this.activeCollectionId, coinId);
+        }
+        return this.sessionAudit.filter(entry => entry.coinId === coinId);
+    }
+
+    async toggleAuditTimeline(coinId) {
+        if (this.auditTimelines.has(coinId)) {
+            this.auditTimelines.delete(coinId);
+            this.renderCoin(coinId);
+            return;
+        }
+
+        try {
+            this.auditTimelines.set(coinId, await this.loadCoinAudit(coinId));
+        } catch (error) {
+            this.logToConsole(`Failed to load change history: ${error.message}`, 'error');
+            return;
+        }
+        this.renderCoin(coinId);
+    }
+
+    // Reload an open timeline and redraw only the timeline, so a card being
+    // edited keeps its focus
+    async refreshAuditTimeline(coinId) {
+        try {
+            const entries = await this.loadCoinAudit(coinId);
+            if (!this.auditTimelines.has(coinId)) return;
+            this.auditTimelines.set(coinId, entries);
+        } catch (error) {
+            this.logToConsole(`Failed to load change history: ${error.message}`, 'error');
+            return;
+        }
+
+        const container = document.getElementById(`auditTimeline_${coinId}`);
+        if (container) {
+            container.innerHTML = this.renderAuditEntries(coinId);
+        }
+    }
+
+    setAuditFilter(coinId, section) {
+        this.auditFilters.set(coinId, section);
+        const container = document.getElementById(`auditTimeline_${coinId}`);
+        if (container) {
+            container.innerHTML = this.renderAuditEntries(coinId);
+        }
+    }
+
+    setAuditAuthor(name) {
+        this.auditAuthor = name.trim();
+        localStorage.setItem('coinAuditAuthor', this.auditAuthor);
+        document.querySelectorAll('.audit-author-input').forEach(input => {
+            input.value = this.auditAuthor;
+        });
+    }
+
+    // Set a field back to the value it had before a logged change
+    restoreAuditValue(coinId, seq) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const entry = (this.auditTimelines.get(coinId) || []).find(e => e.seq === seq);
+        if (!coin || !entry) return;
+
+        const fieldName = this.auditFieldName(entry.field);
+        try {
+            this.recordEdit(`Restore ${fieldName} of "${coin.title}"`, coinId, () => {
+                this.auditLog.restoreValue(coin, entry.field, entry.oldValue);
+            });
+        } catch (error) {
+            this.logToConsole(error.message, 'error');
+            return;
+        }
+        this.renderCoin(coinId);
+        this.saveToStorage();
+        this.logToConsole(`Restored ${fieldName} of "${coin.title}" to ${this.auditLog.formatAuditValue(entry.oldValue)}`, 'success');
+    }
+
+    async exportAuditLog(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        try {
+            this.collectionCsv = await import('./js/collectionCsv.js');
+            const rows = (await this.loadCoinAudit(coinId)).map(entry => ({
+                timestamp: entry.timestamp,
+                author: entry.author,
+                source: entry.source,
+                field: this.auditFieldName(entry.field),
+                oldValue: this.auditLog.formatAuditValue(entry.oldValue),
+                newValue: this.auditLog.formatAuditValue(entry.newValue)
+            }));
+            const csv = this.collectionCsv.toCsv(rows, ['timestamp', 'author', 'source', 'field', 'oldValue', 'newValue']);
+            const slug = coin.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `coin-${coin.id}`;
+            this.downloadFile(csv, `${slug}-history.csv`, 'text/csv');
+            this.logToConsole(`Exported ${rows.length} history entries of "${coin.title}"`, 'success');
+        } catch (error) {
+            this.logToConsole(`History export failed: ${error.message}`, 'error');
+        }
+    }
+
+    auditFieldName(field) {
+        const labels = Object.fromEntries(this.fieldDefinitions.map(definition => [definition.key, definition.label]));
+        return this.auditLog.describeField(field, labels);
+    }
+
+    updateHistoryControls() {
+        const undoButton = document.getElementById('undoButton');
+        const redoButton = document.getElementById('redoButton');
+        const nextUndo = this.history && this.history.undoStack[this.history.undoStack.length - 1];
+        const nextRedo = this.history && this.history.redoStack[this.history.redoStack.length - 1];
+
+        if (undoButton) {
+            undoButton.disabled = !nextUndo;
+            undoButton.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !nextRedo;
+            redoButton.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+
+    // Find the coin holding an annotation
+    findAnnotationOwner(annotationId) {
+        for (const coin of this.coins) {
+            for (const side of ['obverse', 'reverse']) {
+                const annotation = coin.annotations[side].find(a => a.id === annotationId);
+                if (annotation) return { coin, side, annotation };
+            }
+        }
+        return null;
+    }
+
+    // Rendering
+    renderCoins() {
+        // Throttle rendering to prevent excessive re-renders
+        if (this.renderTimeout) {
+            clearTimeout(this.renderTimeout);
+        }
+        
+        this.renderTimeout = setTimeout(() => {
+            const coinList = this.getCoinList();
+            if (!coinList) return;
+
+            // Only cards near the viewport are rebuilt; the rest render when scrolled to.
+            // Hidden cards are rebuilt when the analysis view is shown again.
+            if (this.viewMode === 'analysis') {
+                coinList.setKeys(this.getVisibleCoins().map(coin => coin.id), { refresh: true });
+            }
+            this.renderFilterToolbar();
+            this.renderBulkBar();
+            this.renderGallery();
+            this.renderDashboard();
+            
+            // Debug: Check if file inputs are created correctly (only in debug mode)
+            if (window.location.search.includes('debug=true')) {
+                const fileInputs = document.getElementById('coinsContainer').querySelectorAll('.file-input');
+                console.log('File inputs created:', fileInputs.length);
+            }
+        }, 100); // 100ms throttle
+    }
+
+    // Re-render a single card after an edit to that coin
+    renderCoin(coinId) {
+        const coinList = this.getCoinList();
+        if (!coinList || !this.coins.some(c => c.id === coinId)) {
+            this.renderCoins();
+            return;
+        }
+        if (this.viewMode !== 'analysis') {
+            this.renderFilterToolbar();
+            this.renderGallery();
+            this.renderDashboard();
+            return;
+        }
+
+        coinList.refresh(coinId);
+        // The edit may move the coin in or out of the filtered, sorted list
+        if (this.collectionFilter.isFilterActive(this.filterState) || this.filterState.sort !== 'added') {
+            coinList.setKeys(this.getVisibleCoins().map(coin => coin.id));
+            this.renderFilterToolbar();
+        }
+    }
+
+    getCoinList() {
+        if (this.coinList) return this.coinList;
+        const container = document.getElementById('coinsContainer');
+        if (!container || !this.virtualList) return null;
+
+        this.coinList = new this.virtualList.VirtualList(container, {
+            renderItem: coinId => this.renderCoinCard(this.coins.find(c => c.id === coinId)),
+            placeholderClass: coinId => `coin-card-placeholder${this.expandedCoins.has(coinId) ? ' expanded' : ''}`,
+            estimateHeight: coinId => this.expandedCoins.has(coinId) ? 1600 : 110
+        });
+        return this.coinList;
+    }
+
+    // Bring a card into view, rendering it first if it is outside the window
+    scrollToCoin(coinId) {
+        const card = this.coinList && this.coinList.mount(coinId);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        return card;
+    }
+
+    renderCoinCard(coin) {
+        const obverseImage = coin.images.obverse;
+        const reverseImage = coin.images.reverse;
+        const thumbnailSrc = obverseImage || reverseImage;
+        // Collapsed cards skip their (large) content until expanded
+        const expanded = this.expandedCoins.has(coin.id);
+        const selected = this.selectedCoins.has(coin.id);
+
+        return `
+            <div class="coin-card${expanded ? ' expanded' : ''}${selected ? ' selected' : ''}" data-coin-id="${coin.id}">
+                <div class="coin-header" onclick="toggleCoinExpansion(${coin.id})">
+                    <div class="coin-info">
+                        <input type="checkbox" class="coin-select" title="Select for bulk actions (Shift+click selects a range)" ${selected ? 'checked' : ''}
+                               onclick="event.stopPropagation(); toggleCoinSelection(${coin.id}, this.checked, event.shiftKey)">
+                        ${thumbnailSrc ? 
+                            `<img src="${thumbnailSrc}" alt="${coin.title}" class="coin-thumbnail">` :
+                            `<div class="coin-thumbnail-placeholder">
+                                <i class="fas fa-coins"></i>
+                            </div>`
+                        }
+                        <div>
+                            <div class="coin-title">${coin.title}</div>
+                            <div class="text-muted">${coin.metadata.country} ${coin.metadata.year}</div>
+                            ${coin.tags && coin.tags.length > 0 ? `
+                                <div class="coin-tags">
+                                    ${coin.tags.map(tag => `<span class="coin-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                                </div>
+                            ` : ''}
+                        </div>
                     </div>
-                    <div class="form-group">
-                        <label for="edge_${coin.id}">Edge Type</label>
-                        <select id="edge_${coin.id}" name="edge_${coin.id}" class="form-input" onchange="updateCoinMetadata(${coin.id}, 'edge', this.value)">
-                            <option value="">Select Edge Type</option>
-                            <option value="Plain" ${coin.metadata.edge === 'Plain' ? 'selected' : ''}>Plain</option>
-                            <option value="Reeded" ${coin.metadata.edge === 'Reeded' ? 'selected' : ''}>Reeded</option>
-                            <option value="Lettered" ${coin.metadata.edge === 'Lettered' ? 'selected' : ''}>Lettered</option>
-                            <option value="Decorated" ${coin.metadata.edge === 'Decorated' ? 'selected' : ''}>Decorated</option>
-                            <option value="Security" ${coin.metadata.edge === 'Security' ? 'selected' : ''}>Security Edge</option>
-                        </select>
+                    <div class="coin-actions">
+                        ${this.comparisonMode ? 
+                            `<button class="btn btn-secondary" onclick="event.stopPropagation(); addToComparison(${coin.id})">
+                                <i class="fas fa-plus"></i> Compare
+                            </button>` : ''
+                        }
+                        <button class="btn btn-secondary" onclick="event.stopPropagation(); deleteCoin(${coin.id})">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                        <i class="fas fa-chevron-down" style="transition: transform 0.2s;${expanded ? ' transform: rotate(180deg);' : ''}"></i>
                     </div>
-                    <div class="form-group">
+                </div>
+                <div class="coin-content" id="coinContent_${coin.id}"${expanded ? ' style="display: block;"' : ''}>
+                    ${expanded ? this.renderCoinContent(coin) : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderCoinContent(coin) {
+        return `
+            <!-- Image Section -->
+            <div class="image-section">
+                <div class="image-container">
+                    <h4 style="position: absolute; top: 8px; left: 12px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">Obverse</h4>
+                    ${coin.images.obverse ? 
+                        `<img src="${coin.images.obverse}" alt="Obverse" class="coin-image" onclick="openImageZoom('obverse', ${coin.id})" style="cursor: zoom-in">
+                         <div class="image-overlay-controls">
+                             <button class="btn btn-small btn-secondary" onclick="setMode('annotate'); event.stopPropagation();" title="Annotate Mode">
+                                 <i class="fas fa-crosshairs"></i>
+                             </button>
+                             <button class="btn btn-small btn-secondary" onclick="openImageZoom('obverse', ${coin.id}); event.stopPropagation();" title="Zoom Image">
+                                 <i class="fas fa-search-plus"></i>
+                             </button>
+                             <button class="btn btn-small btn-danger" onclick="deleteImage(${coin.id}, 'obverse'); event.stopPropagation();" title="Delete Image">
+                                 <i class="fas fa-trash"></i>
+                             </button>
+                         </div>`
+                        :
+                        `<div class="image-placeholder" 
+                              onclick="document.getElementById('obverse_${coin.id}').click()"
+                              ondrop="handleMainImageDrop(event, ${coin.id}, 'obverse')" 
+                              ondragover="handleDragOver(event)" 
+                              ondragenter="handleDragEnter(event)" 
+                              ondragleave="handleDragLeave(event)">
+                            <i class="fas fa-upload" style="font-size: 2rem; margin-bottom: 8px;"></i>
+                            <span>Click or drag to upload obverse image</span>
+                        </div>`
+                    }
+                    <input type="file" id="obverse_${coin.id}" name="obverse_${coin.id}" class="file-input" accept="image/*" onchange="handleImageUpload(${coin.id}, 'obverse', this)">
+                    <div class="annotation-overlay" onclick="handleImageClick(event, ${coin.id}, 'obverse')">
+                        ${this.renderAnnotations(coin.annotations.obverse)}
+                    </div>
+                </div>
+                
+                <div class="image-container">
+                    <h4 style="position: absolute; top: 8px; left: 12px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">Reverse</h4>
+                    ${coin.images.reverse ? 
+                        `<img src="${coin.images.reverse}" alt="Reverse" class="coin-image" onclick="openImageZoom('reverse', ${coin.id})" style="cursor: zoom-in">
+                         <div class="image-overlay-controls">
+                             <button class="btn btn-small btn-secondary" onclick="setMode('annotate'); event.stopPropagation();" title="Annotate Mode">
+                                 <i class="fas fa-crosshairs"></i>
+                             </button>
+                             <button class="btn btn-small btn-secondary" onclick="openImageZoom('reverse', ${coin.id}); event.stopPropagation();" title="Zoom Image">
+                                 <i class="fas fa-search-plus"></i>
+                             </button>
+                             <button class="btn btn-small btn-danger" onclick="deleteImage(${coin.id}, 'reverse'); event.stopPropagation();" title="Delete Image">
+                                 <i class="fas fa-trash"></i>
+                             </button>
+                         </div>`
+                        :
+                        `<div class="image-placeholder" 
+                              onclick="document.getElementById('reverse_${coin.id}').click()"
+                              ondrop="handleMainImageDrop(event, ${coin.id}, 'reverse')" 
+                              ondragover="handleDragOver(event)" 
+                              ondragenter="handleDragEnter(event)" 
+                              ondragleave="handleDragLeave(event)">
+                            <i class="fas fa-upload" style="font-size: 2rem; margin-bottom: 8px;"></i>
+                            <span>Click or drag to upload reverse image</span>
+                        </div>`
+                    }
+                    <input type="file" id="reverse_${coin.id}" name="reverse_${coin.id}" class="file-input" accept="image/*" onchange="handleImageUpload(${coin.id}, 'reverse', this)">
+                    <div class="annotation-overlay" onclick="handleImageClick(event, ${coin.id}, 'reverse')">
+                        ${this.renderAnnotations(coin.annotations.reverse)}
+                    </div>
+                </div>
+            </div>
+
+            <!-- Metadata Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-info-circle"></i>
+                    Basic Information
+                </h3>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="title_${coin.id}">Title</label>
+                        <input type="text" id="title_${coin.id}" name="title_${coin.id}" class="form-input" value="${coin.title}" 
+                               onchange="updateCoinField(${coin.id}, 'title', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="country_${coin.id}">Country</label>
+                        <input type="text" id="country_${coin.id}" name="country_${coin.id}" class="form-input" value="${coin.metadata.country}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'country', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="year_${coin.id}">Year</label>
+                        <input type="text" id="year_${coin.id}" name="year_${coin.id}" class="form-input" value="${coin.metadata.year}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'year', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="denomination_${coin.id}">Denomination</label>
+                        <input type="text" id="denomination_${coin.id}" name="denomination_${coin.id}" class="form-input" value="${coin.metadata.denomination}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'denomination', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="metal_${coin.id}">Metal</label>
+                        <select id="metal_${coin.id}" name="metal_${coin.id}" class="form-input" onchange="updateCoinMetadata(${coin.id}, 'metal', this.value)">
+                            <option value="">Select Metal</option>
+                            <option value="Gold" ${coin.metadata.metal === 'Gold' ? 'selected' : ''}>Gold</option>
+                            <option value="Silver" ${coin.metadata.metal === 'Silver' ? 'selected' : ''}>Silver</option>
+                            <option value="Copper" ${coin.metadata.metal === 'Copper' ? 'selected' : ''}>Copper</option>
+                            <option value="Bronze" ${coin.metadata.metal === 'Bronze' ? 'selected' : ''}>Bronze</option>
+                            <option value="Nickel" ${coin.metadata.metal === 'Nickel' ? 'selected' : ''}>Nickel</option>
+                            <option value="Brass" ${coin.metadata.metal === 'Brass' ? 'selected' : ''}>Brass</option>
+                            <option value="Aluminum" ${coin.metadata.metal === 'Aluminum' ? 'selected' : ''}>Aluminum</option>
+                            <option value="Zinc" ${coin.metadata.metal === 'Zinc' ? 'selected' : ''}>Zinc</option>
+                            <option value="Bimetallic" ${coin.metadata.metal === 'Bimetallic' ? 'selected' : ''}>Bimetallic</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="diameter_${coin.id}">Diameter (mm)</label>
+                        <input type="number" step="0.1" id="diameter_${coin.id}" name="diameter_${coin.id}" class="form-input" value="${coin.metadata.diameter}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'diameter', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="weight_${coin.id}">Weight (g)</label>
+                        <input type="number" step="0.01" id="weight_${coin.id}" name="weight_${coin.id}" class="form-input" value="${coin.metadata.weight}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'weight', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="mintmark_${coin.id}">Mintmark</label>
+                        <input type="text" id="mintmark_${coin.id}" name="mintmark_${coin.id}" class="form-input" value="${coin.metadata.mintmark}" 
+                               onchange="updateCoinMetadata(${coin.id}, 'mintmark', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="edge_${coin.id}">Edge Type</label>
+                        <select id="edge_${coin.id}" name="edge_${coin.id}" class="form-input" onchange="updateCoinMetadata(${coin.id}, 'edge', this.value)">
+                            <option value="">Select Edge Type</option>
+                            <option value="Plain" ${coin.metadata.edge === 'Plain' ? 'selected' : ''}>Plain</option>
+                            <option value="Reeded" ${coin.metadata.edge === 'Reeded' ? 'selected' : ''}>Reeded</option>
+                            <option value="Lettered" ${coin.metadata.edge === 'Lettered' ? 'selected' : ''}>Lettered</option>
+                            <option value="Decorated" ${coin.metadata.edge === 'Decorated' ? 'selected' : ''}>Decorated</option>
+                            <option value="Security" ${coin.metadata.edge === 'Security' ? 'selected' : ''}>Security Edge</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
                         <label for="mintage_${coin.id}">Mintage</label>
                         <input type="text" id="mintage_${coin.id}" name="mintage_${coin.id}" class="form-input" value="${coin.metadata.mintage}" 
                                onchange="updateCoinMetadata(${coin.id}, 'mintage', this.value)">
                     </div>
+                    ${this.renderCustomFieldInputs(coin)}
+                </div>
+                <div class="form-group">
+                    <label for="tags_${coin.id}">Tags</label>
+                    <div class="coin-tags coin-tag-editor">
+                        ${(coin.tags || []).map(tag => `
+                            <span class="coin-tag">
+                                ${this.escapeHtml(tag)}
+                                <button class="coin-tag-remove" data-tag="${this.escapeHtml(tag)}" onclick="removeCoinTag(${coin.id}, this.dataset.tag)" title="Remove tag">&times;</button>
+                            </span>
+                        `).join('')}
+                        <input type="text" id="tags_${coin.id}" name="tags_${coin.id}" class="form-input" placeholder="Add tags, comma-separated"
+                               onchange="addCoinTags(${coin.id}, this.value)">
+                    </div>
+                </div>
+            </div>
+
+            <!-- Condition Assessment -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-search"></i>
+                    Condition Assessment
+                    <button class="btn btn-secondary" onclick="showConditionWizard(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
+                        <i class="fas fa-clipboard-list"></i> Guided Assessment
+                    </button>
+                </h3>
+                ${this.renderAssessmentSummary(coin)}
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="grade_${coin.id}">Grade</label>
+                        <select id="grade_${coin.id}" name="grade_${coin.id}" class="form-input" onchange="updateCoinGrade(${coin.id}, 'base', this.value)">
+                            ${this.grading.renderGradeOptions(coin.condition.grade)}
+                        </select>
+                        ${this.renderGradeDesignations(coin)}
+                    </div>
+                    <div class="form-group">
+                        <label for="wear_${coin.id}">Wear Assessment</label>
+                        <select id="wear_${coin.id}" name="wear_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'wear', this.value)">
+                            <option value="">Select Wear Level</option>
+                            <option value="None" ${coin.condition.wear === 'None' ? 'selected' : ''}>No Wear (Mint State)</option>
+                            <option value="Minimal" ${coin.condition.wear === 'Minimal' ? 'selected' : ''}>Minimal Wear</option>
+                            <option value="Light" ${coin.condition.wear === 'Light' ? 'selected' : ''}>Light Wear</option>
+                            <option value="Moderate" ${coin.condition.wear === 'Moderate' ? 'selected' : ''}>Moderate Wear</option>
+                            <option value="Heavy" ${coin.condition.wear === 'Heavy' ? 'selected' : ''}>Heavy Wear</option>
+                            <option value="Excessive" ${coin.condition.wear === 'Excessive' ? 'selected' : ''}>Excessive Wear</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="luster_${coin.id}">Luster</label>
+                        <select id="luster_${coin.id}" name="luster_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'luster', this.value)">
+                            <option value="">Select Luster</option>
+                            <option value="Full" ${coin.condition.luster === 'Full' ? 'selected' : ''}>Full Original Luster</option>
+                            <option value="Partial" ${coin.condition.luster === 'Partial' ? 'selected' : ''}>Partial Luster</option>
+                            <option value="Minimal" ${coin.condition.luster === 'Minimal' ? 'selected' : ''}>Minimal Luster</option>
+                            <option value="None" ${coin.condition.luster === 'None' ? 'selected' : ''}>No Luster</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="strike_${coin.id}">Strike Quality</label>
+                        <select id="strike_${coin.id}" name="strike_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'strike', this.value)">
+                            <option value="">Select Strike</option>
+                            <option value="Full" ${coin.condition.strike === 'Full' ? 'selected' : ''}>Full Strike</option>
+                            <option value="Sharp" ${coin.condition.strike === 'Sharp' ? 'selected' : ''}>Sharp Strike</option>
+                            <option value="Average" ${coin.condition.strike === 'Average' ? 'selected' : ''}>Average Strike</option>
+                            <option value="Weak" ${coin.condition.strike === 'Weak' ? 'selected' : ''}>Weak Strike</option>
+                            <option value="Poor" ${coin.condition.strike === 'Poor' ? 'selected' : ''}>Poor Strike</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group mt-4">
+                    <label for="condition_notes_${coin.id}">Condition Notes</label>
+                    <textarea id="condition_notes_${coin.id}" name="condition_notes_${coin.id}" class="form-input form-textarea" placeholder="Detailed condition notes, defects, cleaning evidence, etc." 
+                              onchange="updateCoinCondition(${coin.id}, 'notes', this.value)">${coin.condition.notes}</textarea>
+                </div>
+            </div>
+
+            <!-- Valuation Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-dollar-sign"></i>
+                    Valuation Assessment
+                </h3>
+                <div class="valuation-grid">
+                    <div class="valuation-scenario">
+                        <div class="scenario-title">Scenario A: Common Coin</div>
+                        <div class="scenario-range">$${coin.valuation.scenarios.common.min} - $${coin.valuation.scenarios.common.max}</div>
+                        <div class="scenario-description">${coin.valuation.scenarios.common.description}</div>
+                        <div class="mt-4">
+                            <input type="number" id="common_min_${coin.id}" name="common_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.common.min}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'common', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
+                            <input type="number" id="common_max_${coin.id}" name="common_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.common.max}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'common', 'max', this.value)" style="width: 80px; display: inline-block;">
+                        </div>
+                    </div>
+                    <div class="valuation-scenario">
+                        <div class="scenario-title">Scenario B: Silver Content</div>
+                        <div class="scenario-range">$${coin.valuation.scenarios.silver.min} - $${coin.valuation.scenarios.silver.max}</div>
+                        <div class="scenario-description">${coin.valuation.scenarios.silver.description}</div>
+                        <div class="mt-4">
+                            <input type="number" id="silver_min_${coin.id}" name="silver_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.silver.min}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'silver', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
+                            <input type="number" id="silver_max_${coin.id}" name="silver_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.silver.max}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'silver', 'max', this.value)" style="width: 80px; display: inline-block;">
+                        </div>
+                    </div>
+                    <div class="valuation-scenario">
+                        <div class="scenario-title">Scenario C: Collectible</div>
+                        <div class="scenario-range">$${coin.valuation.scenarios.collectible.min} - $${coin.valuation.scenarios.collectible.max}+</div>
+                        <div class="scenario-description">${coin.valuation.scenarios.collectible.description}</div>
+                        <div class="mt-4">
+                            <input type="number" id="collectible_min_${coin.id}" name="collectible_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.collectible.min}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'collectible', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
+                            <input type="number" id="collectible_max_${coin.id}" name="collectible_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.collectible.max}" 
+                                   onchange="updateValuationScenario(${coin.id}, 'collectible', 'max', this.value)" style="width: 80px; display: inline-block;">
+                        </div>
+                    </div>
+                </div>
+                <div class="form-grid mt-4">
+                    <div class="form-group">
+                        <label for="current_estimate_${coin.id}">Current Market Estimate</label>
+                        <input type="text" id="current_estimate_${coin.id}" name="current_estimate_${coin.id}" class="form-input" placeholder="$0 - $0" value="${coin.valuation.currentEstimate}" 
+                               onchange="updateCoinValuation(${coin.id}, 'currentEstimate', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label for="market_notes_${coin.id}">Market Notes</label>
+                        <textarea id="market_notes_${coin.id}" name="market_notes_${coin.id}" class="form-input" placeholder="Market trends, recent sales, auction results, etc." 
+                                  onchange="updateCoinValuation(${coin.id}, 'marketNotes', this.value)">${coin.valuation.marketNotes}</textarea>
+                    </div>
                 </div>
             </div>
 
-            <!-- Condition Assessment -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-search"></i>
-                    Condition Assessment
-                </h3>
-                <div class="form-grid">
-                    <div class="form-group">
-                        <label for="grade_${coin.id}">Grade</label>
-                        <select id="grade_${coin.id}" name="grade_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'grade', this.value)">
-                            <option value="">Select Grade</option>
-                            <option value="PR-70" ${coin.condition.grade === 'PR-70' ? 'selected' : ''}>PR-70 (Perfect Proof)</option>
-                            <option value="PR-69" ${coin.condition.grade === 'PR-69' ? 'selected' : ''}>PR-69 (Ultra Cameo)</option>
-                            <option value="MS-70" ${coin.condition.grade === 'MS-70' ? 'selected' : ''}>MS-70 (Perfect Mint State)</option>
-                            <option value="MS-69" ${coin.condition.grade === 'MS-69' ? 'selected' : ''}>MS-69 (Near Perfect)</option>
-                            <option value="MS-68" ${coin.condition.grade === 'MS-68' ? 'selected' : ''}>MS-68 (Superb)</option>
-                            <option value="MS-67" ${coin.condition.grade === 'MS-67' ? 'selected' : ''}>MS-67 (Superb)</option>
-                            <option value="MS-66" ${coin.condition.grade === 'MS-66' ? 'selected' : ''}>MS-66 (Premium)</option>
-                            <option value="MS-65" ${coin.condition.grade === 'MS-65' ? 'selected' : ''}>MS-65 (Gem)</option>
-                            <option value="MS-64" ${coin.condition.grade === 'MS-64' ? 'selected' : ''}>MS-64 (Choice)</option>
-                            <option value="MS-63" ${coin.condition.grade === 'MS-63' ? 'selected' : ''}>MS-63 (Select)</option>
-                            <option value="MS-62" ${coin.condition.grade === 'MS-62' ? 'selected' : ''}>MS-62 (Select)</option>
-                            <option value="MS-61" ${coin.condition.grade === 'MS-61' ? 'selected' : ''}>MS-61 (Uncirculated)</option>
-                            <option value="MS-60" ${coin.condition.grade === 'MS-60' ? 'selected' : ''}>MS-60 (Uncirculated)</option>
-                            <option value="AU-58" ${coin.condition.grade === 'AU-58' ? 'selected' : ''}>AU-58 (About Uncirculated)</option>
-                            <option value="AU-55" ${coin.condition.grade === 'AU-55' ? 'selected' : ''}>AU-55 (About Uncirculated)</option>
-                            <option value="AU-50" ${coin.condition.grade === 'AU-50' ? 'selected' : ''}>AU-50 (About Uncirculated)</option>
-                            <option value="XF-45" ${coin.condition.grade === 'XF-45' ? 'selected' : ''}>XF-45 (Extra Fine)</option>
-                            <option value="XF-40" ${coin.condition.grade === 'XF-40' ? 'selected' : ''}>XF-40 (Extra Fine)</option>
-                            <option value="VF-35" ${coin.condition.grade === 'VF-35' ? 'selected' : ''}>VF-35 (Very Fine)</option>
-                            <option value="VF-30" ${coin.condition.grade === 'VF-30' ? 'selected' : ''}>VF-30 (Very Fine)</option>
-                            <option value="VF-25" ${coin.condition.grade === 'VF-25' ? 'selected' : ''}>VF-25 (Very Fine)</option>
-                            <option value="VF-20" ${coin.condition.grade === 'VF-20' ? 'selected' : ''}>VF-20 (Very Fine)</option>
-                            <option value="F-15" ${coin.condition.grade === 'F-15' ? 'selected' : ''}>F-15 (Fine)</option>
-                            <option value="F-12" ${coin.condition.grade === 'F-12' ? 'selected' : ''}>F-12 (Fine)</option>
-                            <option value="VG-10" ${coin.condition.grade === 'VG-10' ? 'selected' : ''}>VG-10 (Very Good)</option>
-                            <option value="VG-8" ${coin.condition.grade === 'VG-8' ? 'selected' : ''}>VG-8 (Very Good)</option>
-                            <option value="G-6" ${coin.condition.grade === 'G-6' ? 'selected' : ''}>G-6 (Good)</option>
-                            <option value="G-4" ${coin.condition.grade === 'G-4' ? 'selected' : ''}>G-4 (Good)</option>
-                            <option value="AG-3" ${coin.condition.grade === 'AG-3' ? 'selected' : ''}>AG-3 (About Good)</option>
-                            <option value="FA-2" ${coin.condition.grade === 'FA-2' ? 'selected' : ''}>FA-2 (Fair)</option>
-                            <option value="PR-1" ${coin.condition.grade === 'PR-1' ? 'selected' : ''}>PR-1 (Poor)</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="wear_${coin.id}">Wear Assessment</label>
-                        <select id="wear_${coin.id}" name="wear_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'wear', this.value)">
-                            <option value="">Select Wear Level</option>
-                            <option value="None" ${coin.condition.wear === 'None' ? 'selected' : ''}>No Wear (Mint State)</option>
-                            <option value="Minimal" ${coin.condition.wear === 'Minimal' ? 'selected' : ''}>Minimal Wear</option>
-                            <option value="Light" ${coin.condition.wear === 'Light' ? 'selected' : ''}>Light Wear</option>
-                            <option value="Moderate" ${coin.condition.wear === 'Moderate' ? 'selected' : ''}>Moderate Wear</option>
-                            <option value="Heavy" ${coin.condition.wear === 'Heavy' ? 'selected' : ''}>Heavy Wear</option>
-                            <option value="Excessive" ${coin.condition.wear === 'Excessive' ? 'selected' : ''}>Excessive Wear</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="luster_${coin.id}">Luster</label>
-                        <select id="luster_${coin.id}" name="luster_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'luster', this.value)">
-                            <option value="">Select Luster</option>
-                            <option value="Full" ${coin.condition.luster === 'Full' ? 'selected' : ''}>Full Original Luster</option>
-                            <option value="Partial" ${coin.condition.luster === 'Partial' ? 'selected' : ''}>Partial Luster</option>
-                            <option value="Minimal" ${coin.condition.luster === 'Minimal' ? 'selected' : ''}>Minimal Luster</option>
-                            <option value="None" ${coin.condition.luster === 'None' ? 'selected' : ''}>No Luster</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="strike_${coin.id}">Strike Quality</label>
-                        <select id="strike_${coin.id}" name="strike_${coin.id}" class="form-input" onchange="updateCoinCondition(${coin.id}, 'strike', this.value)">
-                            <option value="">Select Strike</option>
-                            <option value="Full" ${coin.condition.strike === 'Full' ? 'selected' : ''}>Full Strike</option>
-                            <option value="Sharp" ${coin.condition.strike === 'Sharp' ? 'selected' : ''}>Sharp Strike</option>
-                            <option value="Average" ${coin.condition.strike === 'Average' ? 'selected' : ''}>Average Strike</option>
-                            <option value="Weak" ${coin.condition.strike === 'Weak' ? 'selected' : ''}>Weak Strike</option>
-                            <option value="Poor" ${coin.condition.strike === 'Poor' ? 'selected' : ''}>Poor Strike</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="form-group mt-4">
-                    <label for="condition_notes_${coin.id}">Condition Notes</label>
-                    <textarea id="condition_notes_${coin.id}" name="condition_notes_${coin.id}" class="form-input form-textarea" placeholder="Detailed condition notes, defects, cleaning evidence, etc." 
-                              onchange="updateCoinCondition(${coin.id}, 'notes', this.value)">${coin.condition.notes}</textarea>
-                </div>
-            </div>
+            <!-- Purchase & Provenance Section -->
+            ${this.renderProvenanceSection(coin)}
+
+            <!-- AI Analysis Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-brain"></i>
+                    AI Analysis
+                    <button class="btn btn-secondary" onclick="reanalyzeWithAI(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
+                        <i class="fas fa-sync"></i> Re-analyze
+                    </button>
+                </h3>
+                ${this.renderAIAnalysis(coin)}
+            </div>
+
+            <!-- Market Research Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-search"></i>
+                    Market Research
+                    <button class="btn btn-secondary" onclick="searchSimilarCoins(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
+                        <i class="fas fa-sync"></i> Search Market
+                    </button>
+                </h3>
+                <div id="searchResults_${coin.id}" class="search-results-container">
+                    <div class="search-placeholder">
+                        <i class="fas fa-search" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
+                        <p>Click "Search Market" to find similar coins and current market prices</p>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Media Gallery Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-images"></i>
+                    Media Gallery
+                    <button class="btn btn-secondary" onclick="toggleMediaUpload(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
+                        <i class="fas fa-plus"></i> Add Media
+                    </button>
+                </h3>
+                <div class="media-gallery" data-coin-id="${coin.id}">
+                    ${this.renderMediaGallery(coin)}
+                </div>
+                <div id="mediaUpload_${coin.id}" class="media-upload-panel" style="display: none;">
+                    <div class="upload-options">
+                        <input type="file" id="mediaFile_${coin.id}" name="mediaFile_${coin.id}" multiple accept="image/*,video/*" onchange="handleMediaUpload(${coin.id}, this)" style="display: none;">
+                        <div class="upload-actions">
+                            <button class="btn btn-outline" onclick="document.getElementById('mediaFile_${coin.id}').click()">
+                                <i class="fas fa-upload"></i> Select Files
+                            </button>
+                            <button class="btn btn-secondary" onclick="openFolderPicker(${coin.id})">
+                                <i class="fas fa-folder-open"></i> Import Folder
+                            </button>
+                        </div>
+                        <div class="upload-drop-zone" id="dropZone_${coin.id}" ondrop="handleDrop(event, ${coin.id})" ondragover="handleDragOver(event)" ondragenter="handleDragEnter(event)" ondragleave="handleDragLeave(event)">
+                            <i class="fas fa-cloud-upload-alt"></i>
+                            <p>Drag & drop images/videos here</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Notes Section -->
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-sticky-note"></i>
+                    Additional Notes
+                </h3>
+                <div class="form-group">
+                    <label for="general_notes_${coin.id}">General Notes</label>
+                    <textarea id="general_notes_${coin.id}" name="general_notes_${coin.id}" class="form-input form-textarea" placeholder="General notes, research findings, provenance, historical context, etc." 
+                              onchange="updateCoinField(${coin.id}, 'notes', this.value)">${coin.notes}</textarea>
+                </div>
+            </div>
+
+            <!-- Change History Section -->
+            ${this.renderAuditSection(coin)}
+        `;
+    }
+
+    renderProvenanceSection(coin) {
+        const acquisition = coin.acquisition || this.provenance.createAcquisition();
+        const cost = this.collectionStats.costBasis(coin);
+        const gain = this.collectionStats.unrealizedGain(coin);
+        const inputTypes = { date: 'date', price: 'number', fees: 'number' };
+        const placeholders = { seller: 'Dealer, auction house or person', currency: 'USD', lot: 'e.g. 3011' };
+
+        return `
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-receipt"></i>
+                    Purchase & Provenance
+                </h3>
+                <div class="form-grid">
+                    ${this.provenance.ACQUISITION_FIELDS.map(field => `
+                        <div class="form-group">
+                            <label for="acquisition_${field}_${coin.id}">${this.provenance.ACQUISITION_LABELS[field]}</label>
+                            <input type="${inputTypes[field] || 'text'}" id="acquisition_${field}_${coin.id}" name="acquisition_${field}_${coin.id}" class="form-input"
+                                   value="${this.escapeHtml(acquisition[field] || '')}" placeholder="${placeholders[field] || ''}"
+                                   ${inputTypes[field] === 'number' ? 'step="0.01" min="0"' : ''}
+                                   onchange="updateCoinAcquisition(${coin.id}, '${field}', this.value)">
+                        </div>
+                    `).join('')}
+                </div>
+                ${cost !== null ? `
+                    <div class="cost-basis">
+                        <span>Cost basis: <strong>${this.escapeHtml(acquisition.currency || this.collectionStats.BASE_CURRENCY)} ${cost.toLocaleString(undefined, { maximumFractionDigits: 2 })}</strong></span>
+                        ${gain !== null ? `
+                            <span class="${gain < 0 ? 'gain-negative' : 'gain-positive'}">Unrealized gain: <strong>${this.collectionStats.formatSignedMoney(gain)}</strong></span>
+                        ` : `
+                            <span class="text-muted">${this.collectionStats.inBaseCurrency(coin) ? 'Add a current estimate to see the unrealized gain' : `Gain is only computed for purchases in ${this.collectionStats.BASE_CURRENCY}`}</span>
+                        `}
+                    </div>
+                ` : ''}
+                ${this.renderDocumentList(coin, '', acquisition.documents)}
+
+                <h4 class="provenance-title">Provenance <span class="text-muted">(oldest first)</span></h4>
+                <ol class="provenance-chain">
+                    ${(coin.provenance || []).map((entry, index, chain) => `
+                        <li class="provenance-entry">
+                            <div class="provenance-fields">
+                                <select class="form-input" aria-label="Kind" onchange="updateProvenanceEntry(${coin.id}, '${entry.id}', 'kind', this.value)">
+                                    ${Object.entries(this.provenance.PROVENANCE_KINDS).map(([kind, label]) => `
+                                        <option value="${kind}" ${entry.kind === kind ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                                <input type="text" class="form-input" placeholder="Name, e.g. Eliasberg or Heritage" aria-label="Name" value="${this.escapeHtml(entry.name)}"
+                                       onchange="updateProvenanceEntry(${coin.id}, '${entry.id}', 'name', this.value)">
+                                <input type="text" class="form-input" placeholder="Date or year" aria-label="Date" value="${this.escapeHtml(entry.date)}"
+                                       onchange="updateProvenanceEntry(${coin.id}, '${entry.id}', 'date', this.value)">
+                                <input type="text" class="form-input" placeholder="Sale, lot or pedigree" aria-label="Reference" value="${this.escapeHtml(entry.reference)}"
+                                       onchange="updateProvenanceEntry(${coin.id}, '${entry.id}', 'reference', this.value)">
+                            </div>
+                            <input type="text" class="form-input" placeholder="Notes" aria-label="Notes" value="${this.escapeHtml(entry.notes)}"
+                                   onchange="updateProvenanceEntry(${coin.id}, '${entry.id}', 'notes', this.value)">
+                            ${this.renderDocumentList(coin, entry.id, entry.documents)}
+                            <div class="provenance-actions">
+                                <button class="btn btn-outline btn-small" onclick="moveProvenanceEntry(${coin.id}, '${entry.id}', -1)" title="Earlier" ${index === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-arrow-up"></i>
+                                </button>
+                                <button class="btn btn-outline btn-small" onclick="moveProvenanceEntry(${coin.id}, '${entry.id}', 1)" title="Later" ${index === chain.length - 1 ? 'disabled' : ''}>
+                                    <i class="fas fa-arrow-down"></i>
+                                </button>
+                                <button class="btn btn-danger btn-small" onclick="removeProvenanceEntry(${coin.id}, '${entry.id}')" title="Remove entry">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ol>
+                <button class="btn btn-outline btn-small" onclick="addProvenanceEntry(${coin.id})">
+                    <i class="fas fa-plus"></i> Add Previous Owner or Sale
+                </button>
+            </div>
+        `;
+    }
+
+    // Documents of the purchase (entryId '') or of a provenance entry, picked from the media gallery
+    renderDocumentList(coin, entryId, documents = []) {
+        const media = [...(coin.media?.images || []), ...(coin.media?.videos || [])];
+        const attached = documents.map(id => media.find(item => item.id === id)).filter(Boolean);
+        const available = media.filter(item => !documents.includes(item.id));
+
+        return `
+            <div class="document-list">
+                <i class="fas fa-paperclip"></i>
+                ${attached.map(item => `
+                    <span class="coin-tag document-chip">
+                        <a href="#" onclick="openMediaModal('${item.id}', ${coin.id}); return false;">${this.escapeHtml(item.title || 'Untitled document')}</a>
+                        <button class="coin-tag-remove" onclick="detachCoinDocument(${coin.id}, '${entryId}', '${item.id}')" title="Detach document">&times;</button>
+                    </span>
+                `).join('')}
+                ${available.length > 0 ? `
+                    <select class="form-input document-picker" aria-label="Attach document" onchange="attachCoinDocument(${coin.id}, '${entryId}', this.value)">
+                        <option value="">Attach from media gallery...</option>
+                        ${available.map(item => `<option value="${item.id}">${this.escapeHtml(item.title || item.id)}</option>`).join('')}
+                    </select>
+                ` : attached.length === 0 ? '<span class="text-muted">Add invoices or catalogue scans to the media gallery to attach them</span>' : ''}
+            </div>
+        `;
+    }
+
+    renderAuditSection(coin) {
+        const open = this.auditTimelines.has(coin.id);
+        const filter = this.auditFilters.get(coin.id) || '';
+
+        return `
+            <div class="analysis-section">
+                <h3 class="section-title">
+                    <i class="fas fa-history"></i>
+                    Change History
+                    <button class="btn btn-secondary" onclick="toggleAuditTimeline(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
+                        <i class="fas fa-${open ? 'chevron-up' : 'stream'}"></i> ${open ? 'Hide' : 'Show'} Timeline
+                    </button>
+                </h3>
+                ${open ? `
+                    <div class="audit-toolbar">
+                        <select class="form-input" aria-label="Show changes to" onchange="setAuditFilter(${coin.id}, this.value)">
+                            <option value="">All changes</option>
+                            ${this.auditLog.AUDITED_SECTIONS.map(section => `
+                                <option value="${section}" ${filter === section ? 'selected' : ''}>${this.auditLog.describeField(section)}</option>
+                            `).join('')}
+                        </select>
+                        <input type="text" class="form-input audit-author-input" aria-label="Your name" placeholder="Your name, recorded with changes"
+                               value="${this.escapeHtml(this.auditAuthor)}" onchange="setAuditAuthor(this.value)">
+                        <button class="btn btn-outline btn-small" onclick="exportAuditLog(${coin.id})" title="Download this coin's history as CSV">
+                            <i class="fas fa-file-csv"></i> CSV
+                        </button>
+                    </div>
+                    <ol id="auditTimeline_${coin.id}" class="audit-timeline">
+                        ${this.renderAuditEntries(coin.id)}
+                    </ol>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Timeline entries of a coin, newest first
+    renderAuditEntries(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const filter = this.auditFilters.get(coinId) || '';
+        const entries = (this.auditTimelines.get(coinId) || [])
+            .filter(entry => !filter || this.auditLog.sectionOf(entry.field) === filter)
+            .reverse();
+
+        if (entries.length === 0) {
+            return `<li class="collections-empty">${filter ? 'No changes to this section recorded yet' : 'No changes recorded yet'}</li>`;
+        }
+
+        return entries.map(entry => {
+            const restorable = coin && entry.field !== 'coin' &&
+                JSON.stringify(this.auditLog.valueAt(coin, entry.field)) !== JSON.stringify(entry.oldValue);
+            const oldValue = this.auditLog.formatAuditValue(entry.oldValue);
+
+            return `
+                <li class="audit-entry">
+                    <div class="audit-meta">
+                        <time datetime="${entry.timestamp}">${new Date(entry.timestamp).toLocaleString()}</time>
+                        ${entry.author ? `<span>${this.escapeHtml(entry.author)}</span>` : ''}
+                        <span class="text-muted">${this.escapeHtml(entry.source)}</span>
+                    </div>
+                    <div class="audit-change">
+                        <strong>${this.escapeHtml(this.auditFieldName(entry.field))}</strong>
+                        ${entry.field === 'coin' ? `
+                            <span>${entry.newValue ? 'added to the collection' : 'removed from the collection'}</span>
+                        ` : `
+                            <span class="audit-old">${this.escapeHtml(oldValue)}</span>
+                            <i class="fas fa-arrow-right"></i>
+                            <span class="audit-new">${this.escapeHtml(this.auditLog.formatAuditValue(entry.newValue))}</span>
+                        `}
+                        ${restorable ? `
+                            <button class="btn btn-outline btn-small" onclick="restoreAuditValue(${coinId}, ${entry.seq})" title="Set back to ${this.escapeHtml(oldValue)}">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                        ` : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Inputs for the collection's custom fields, in the Basic Information grid
+    renderCustomFieldInputs(coin) {
+        return this.fieldDefinitions.map(definition => {
+            const id = `custom_${definition.key}_${coin.id}`;
+            const value = this.escapeHtml((coin.customFields || {})[definition.key] || '');
+            const handler = `onchange="updateCustomField(${coin.id}, '${definition.key}', this)"`;
+            const required = definition.required ? 'required' : '';
+            let input;
+
+            switch (definition.type) {
+                case 'select':
+                    input = `
+                        <select id="${id}" name="${id}" class="form-input" ${required} ${handler}>
+                            <option value="">Select ${this.escapeHtml(definition.label)}</option>
+                            ${definition.options.map(option => `
+                                <option value="${this.escapeHtml(option)}" ${option === coin.customFields?.[definition.key] ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                            `).join('')}
+                        </select>`;
+                    break;
+                case 'number':
+                case 'date':
+                    input = `<input type="${definition.type}" id="${id}" name="${id}" class="form-input" value="${value}" ${required}
+                                    ${definition.min ? `min="${this.escapeHtml(definition.min)}"` : ''} ${definition.max ? `max="${this.escapeHtml(definition.max)}"` : ''}
+                                    ${definition.type === 'number' ? 'step="any"' : ''} ${handler}>`;
+                    break;
+                default:
+                    input = `<input type="text" id="${id}" name="${id}" class="form-input" value="${value}" ${required} ${handler}>`;
+            }
+
+            return `
+                    <div class="form-group">
+                        <label for="${id}">${this.escapeHtml(definition.label)}${definition.required ? ' *' : ''}</label>
+                        ${input}
+                    </div>`;
+        }).join('');
+    }
+
+    // Plus, strike, cameo, color and Details designations of a coin's grade (js/grading.js)
+    renderGradeDesignations(coin) {
+        const grade = this.grading.parseGrade(coin.condition.grade);
+        if (!grade) return '';
+
+        const select = (part, choices, placeholder) => `
+            <select class="form-input" aria-label="${placeholder}" onchange="updateCoinGrade(${coin.id}, '${part}', this.value)">
+                <option value="">${placeholder}</option>
+                ${Object.entries(choices).map(([value, label]) => `
+                    <option value="${value}" ${grade[part] === value ? 'selected' : ''}>${value} (${label})</option>
+                `).join('')}
+            </select>
+        `;
+
+        return `
+            <div class="grade-designations">
+                <label class="grade-check" title="Plus grade: high end of the grade">
+                    <input type="checkbox" ${grade.plus ? 'checked' : ''} ${grade.number >= 70 ? 'disabled' : ''} onchange="updateCoinGrade(${coin.id}, 'plus', this.checked)"> +
+                </label>
+                ${select('strike', this.grading.STRIKE_DESIGNATIONS, 'Prooflike')}
+                ${select('cameo', this.grading.CAMEO_DESIGNATIONS, 'Cameo')}
+                ${select('color', this.grading.COLOR_DESIGNATIONS, 'Color')}
+                <label class="grade-check" title="Details grade: a problem coin (cleaned, damaged...)">
+                    <input type="checkbox" ${grade.details ? 'checked' : ''} onchange="updateCoinGrade(${coin.id}, 'details', this.checked)"> Details
+                </label>
+                ${grade.details ? `
+                    <input type="text" class="form-input" placeholder="Problem, e.g. Cleaned" aria-label="Details problem" value="${this.escapeHtml(grade.detailsNote)}"
+                           onchange="updateCoinGrade(${coin.id}, 'detailsNote', this.value)">
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderAnnotations(annotations) {
+        return annotations.map(annotation => `
+            <div class="annotation-marker" 
+                 style="left: ${annotation.x}px; top: ${annotation.y}px;" 
+                 data-annotation-id="${annotation.id}"
+                 onmousedown="handleAnnotationMouseDown(event, ${annotation.id})"
+                 ondblclick="editAnnotation(${annotation.id})">
+                <div class="annotation-dot" style="background-color: ${annotation.color}"></div>
+                <div class="annotation-label">${annotation.label}</div>
+                <button class="annotation-remove" onclick="removeAnnotation(${annotation.id})">×</button>
+            </div>
+        `).join('');
+    }
+
+    renderAIAnalysis(coin) {
+        if (!coin.aiAnalysis || (!coin.aiAnalysis.obverse && !coin.aiAnalysis.reverse)) {
+            return `
+                <div class="ai-analysis-placeholder">
+                    <i class="fas fa-brain" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
+                    <p>Upload coin images to get AI-powered analysis</p>
+                    <p style="font-size: 0.85rem; opacity: 0.7;">Classification • Feature Detection • Authenticity • Value Estimation</p>
+                </div>
+            `;
+        }
+
+        const renderSideAnalysis = (side, analysis) => {
+            if (!analysis) return '';
+            
+            const sideLabel = side === 'obverse' ? 'Obverse' : 'Reverse';
+            
+            return `
+                <div class="ai-analysis-side">
+                    <h4 class="ai-side-title"><i class="fas fa-${side === 'obverse' ? 'circle' : 'circle-notch'}"></i> ${sideLabel}</h4>
+                    
+                    ${analysis.classification ? `
+                        <div class="ai-result-section">
+                            <div class="ai-result-header">
+                                <i class="fas fa-tag"></i>
+                                <span>Classification</span>
+                            </div>
+                            <div class="ai-predictions">
+                                ${analysis.classification.predictions.slice(0, 3).map(pred => `
+                                    <div class="ai-prediction-item">
+                                        <span class="prediction-label">${pred.label}</span>
+                                        <div class="prediction-bar">
+                                            <div class="prediction-fill" style="width: ${(pred.confidence * 100).toFixed(1)}%"></div>
+                                        </div>
+                                        <span class="prediction-confidence">${(pred.confidence * 100).toFixed(1)}%</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                            ${analysis.classification.isCoin !== undefined ? `
+                                <div class="ai-coin-detection ${analysis.classification.isCoin ? 'positive' : 'negative'}">
+                                    <i class="fas fa-${analysis.classification.isCoin ? 'check-circle' : 'exclamation-triangle'}"></i>
+                                    ${analysis.classification.isCoin ? 'Coin detected' : 'May not be a coin'}
+                                </div>
+                            ` : ''}
+                        </div>
+                    ` : ''}
+                    
+                    ${analysis.features ? `
+                        <div class="ai-result-section">
+                            <div class="ai-result-header">
+                                <i class="fas fa-microscope"></i>
+                                <span>Feature Analysis</span>
+                            </div>
+                            <div class="ai-features-grid">
+                                ${analysis.features.annotations.map(feature => `
+                                    <div class="ai-feature-item rarity-${feature.rarity}">
+                                        <div class="feature-name">${feature.name}</div>
+                                        <div class="feature-confidence">${(feature.confidence * 100).toFixed(0)}%</div>
+                                        <div class="feature-rarity">${feature.rarity} rarity</div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+                    
+                    ${analysis.authenticity ? `
+                        <div class="ai-result-section">
+                            <div class="ai-result-header">
+                                <i class="fas fa-shield-alt"></i>
+                                <span>Authenticity Check</span>
+                            </div>
+                            <div class="ai-authenticity ${analysis.authenticity.isAuthentic ? 'authentic' : 'suspicious'}">
+                                <div class="authenticity-score">
+                                    <i class="fas fa-${analysis.authenticity.isAuthentic ? 'check-circle' : 'exclamation-triangle'}"></i>
+                                    <span class="score-label">${analysis.authenticity.isAuthentic ? 'Likely Authentic' : 'Needs Verification'}</span>
+                                    <span class="score-value">${(analysis.authenticity.confidence * 100).toFixed(1)}%</span>
+                                </div>
+                                ${analysis.authenticity.warnings && analysis.authenticity.warnings.length > 0 ? `
+                                    <div class="authenticity-warnings">
+                                        ${analysis.authenticity.warnings.map(warning => `
+                                            <div class="warning-item">
+                                                <i class="fas fa-exclamation-circle"></i>
+                                                ${warning}
+                                            </div>
+                                        `).join('')}
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        };
+
+        return `
+            <div class="ai-analysis-container">
+                ${renderSideAnalysis('obverse', coin.aiAnalysis.obverse)}
+                ${renderSideAnalysis('reverse', coin.aiAnalysis.reverse)}
+                
+                ${coin.aiAnalysis.obverse?.value || coin.aiAnalysis.reverse?.value ? `
+                    <div class="ai-value-estimation">
+                        <div class="ai-result-header">
+                            <i class="fas fa-dollar-sign"></i>
+                            <span>AI Value Estimation</span>
+                        </div>
+                        ${(coin.aiAnalysis.obverse?.value || coin.aiAnalysis.reverse?.value) ? `
+                            <div class="value-estimate">
+                                <div class="estimate-amount">
+                                    $${((coin.aiAnalysis.obverse?.value?.estimatedValue || 0) + (coin.aiAnalysis.reverse?.value?.estimatedValue || 0)).toFixed(2)}
+                                </div>
+                                <div class="estimate-range">
+                                    Range: $${((coin.aiAnalysis.obverse?.value?.range?.min || 0) + (coin.aiAnalysis.reverse?.value?.range?.min || 0)).toFixed(2)} - 
+                                    $${((coin.aiAnalysis.obverse?.value?.range?.max || 0) + (coin.aiAnalysis.reverse?.value?.range?.max || 0)).toFixed(2)}
+                                </div>
+                                <div class="estimate-confidence">
+                                    Confidence: ${(((coin.aiAnalysis.obverse?.value?.confidence || 0) + (coin.aiAnalysis.reverse?.value?.confidence || 0)) / 2 * 100).toFixed(0)}%
+                                </div>
+                                <div class="estimate-disclaimer">
+                                    <i class="fas fa-info-circle"></i>
+                                    AI estimation for reference only. Consult professional appraisers for accurate valuation.
+                                </div>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderMediaGallery(coin) {
+        const allMedia = [...coin.media.images, ...coin.media.videos];
+        const curatedMedia = allMedia.filter((item) => item.isCurated);
+        const filteredMedia = this.applyMediaFilter(allMedia, this.mediaFilter);
+        const displayList = this.mediaSortMode === 'curated' && curatedMedia.length > 0 ? curatedMedia : this.applyMediaSort(filteredMedia);
+        const emptyStateMessage = this.mediaFilter === 'featured'
+            ? 'No featured media yet. Mark star items to spotlight them here.'
+            : this.mediaFilter === 'ai'
+                ? "No AI-assisted media yet. Run recognition to auto-tag selections."
+                : this.mediaFilter === 'macro'
+                    ? 'No macro shots in this selection yet. Capture close-ups to highlight key features.'
+                    : 'No additional media uploaded yet';
+
+        if (displayList.length === 0) {
+            return `
+                <div class="media-placeholder">
+                    <i class="fas fa-images" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
+                    <p>${emptyStateMessage}</p>
+                </div>
+            `;
+        }
+        
+        if (this.mediaViewMode === 'timeline') {
+            return this.renderMediaTimeline(displayList, coin);
+        }
+
+        const viewModeClass = this.getMediaViewClass();
+        return `
+            <div class="${viewModeClass}" data-view-mode="${this.mediaViewMode}">
+                ${displayList.map(media => this.renderMediaItem(coin, media)).join('')}
+            </div>
+        `;
+    }
+
+    getMediaViewClass() {
+        switch (this.mediaViewMode) {
+            case 'filmstrip':
+                return 'media-strip';
+            case 'masonry':
+            default:
+                return 'media-grid';
+        }
+    }
+
+    renderMediaTimeline(mediaItems, coin) {
+        const grouped = mediaItems.reduce((acc, item) => {
+            const dateKey = item.uploadDate ? new Date(item.uploadDate).toDateString() : 'Undated';
+            if (!acc[dateKey]) acc[dateKey] = [];
+            acc[dateKey].push(item);
+            return acc;
+        }, {});
+
+        const sortedDates = Object.keys(grouped).sort((a, b) => new Date(a) - new Date(b));
+        return `
+            <div class="media-timeline">
+                ${sortedDates.map(date => `
+                    <div class="timeline-group">
+                        <div class="timeline-date">${date}</div>
+                        <div class="timeline-items">
+                            ${grouped[date].map(item => this.renderMediaItem(coin, item)).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderMediaItem(coin, media) {
+        const mediaTags = Array.isArray(media.tags) ? media.tags : [];
+        const badgeLabels = [
+            media.isCurated ? '<span class="media-badge curated">Curated</span>' : '',
+            media.isFeatured ? '<span class="media-badge featured">Featured</span>' : '',
+            media.source === 'ai' ? '<span class="media-badge ai">AI</span>' : '',
+            media.source === 'market' ? '<span class="media-badge market">Market</span>' : ''
+        ].filter(Boolean).join('');
+
+        // Skip rendering if media URL is null or undefined
+        if (!media.url) {
+            return '';
+        }
+
+        return `
+            <div class="media-item" data-media-id="${media.id}" data-type="${media.type}" data-source="${media.source || 'manual'}">
+                <div class="media-preview" onclick="openMediaModal('${media.id}', ${coin.id})">
+                    ${media.type === 'image'
+                        ? `<img src="${media.url}" alt="${media.title}" class="media-thumbnail">
+                           <div class="media-zoom-icon"><i class="fas fa-search-plus"></i></div>`
+                        : `<video src="${media.url}" class="media-thumbnail" muted></video>
+                           <div class="media-play-icon"><i class="fas fa-play"></i></div>`
+                    }
+                    ${badgeLabels ? `<div class="media-badges">${badgeLabels}</div>` : ''}
+                    <button class="media-favorite" data-active="${media.isFeatured || false}" onclick="toggleMediaFeatured(event, ${coin.id}, '${media.id}')">
+                        <i class="fas fa-star"></i>
+                    </button>
+                    <button class="media-pin" data-active="${media.isPinned || false}" onclick="toggleMediaPinned(event, ${coin.id}, '${media.id}')">
+                        <i class="fas fa-thumbt"></i>
+                    </button>
+                </div>
+                <div class="media-info">
+                    <div class="media-info-header">
+                        <input type="text" id="media_title_${coin.id}_${media.id}" name="media_title_${coin.id}_${media.id}" class="media-title" value="${media.title}" placeholder="Media title"
+                               onchange="updateMediaTitle(${coin.id}, '${media.id}', this.value)">
+                        <div class="media-tag-list">
+                            ${mediaTags.map(tag => `<span class="media-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                            <button class="btn btn-secondary btn-icon" onclick="promptAddMediaTag(${coin.id}, '${media.id}')" title="Add tag">
+                                <i class="fas fa-tag"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <textarea id="media_description_${coin.id}_${media.id}" name="media_description_${coin.id}_${media.id}" class="media-description" placeholder="Description"
+                              onchange="updateMediaDescription(${coin.id}, '${media.id}', this.value)">${media.description || ''}</textarea>
+                    <div class="media-properties">
+                        <label class="media-checkbox">
+                            <input type="checkbox" id="media_curated_${coin.id}_${media.id}" name="media_curated_${coin.id}_${media.id}" ${media.isCurated ? 'checked' : ''} onchange="toggleMediaCurated(${coin.id}, '${media.id}', this.checked)">
+                            <span>Curate into spotlight</span>
+                        </label>
+                        <label class="media-checkbox">
+                            <input type="checkbox" id="media_annotations_${coin.id}_${media.id}" name="media_annotations_${coin.id}_${media.id}" ${media.allowAnnotations || false ? 'checked' : ''} onchange="toggleMediaAnnotations(${coin.id}, '${media.id}', this.checked)">
+                            <span>Enable micro-annotations</span>
+                        </label>
+                    </div>
+                    <div class="media-footer">
+                        <span class="media-meta">${media.uploadDate ? new Date(media.uploadDate).toLocaleString() : ''}</span>
+                        <div class="media-actions">
+                            <button class="btn btn-secondary btn-small" onclick="cycleMediaOrientation(${coin.id}, '${media.id}')">
+                                <i class="fas fa-sync-alt"></i> Rotate
+                            </button>
+                            <button class="btn btn-secondary btn-small" onclick="duplicateMedia(${coin.id}, '${media.id}')">
+                                <i class="fas fa-clone"></i> Duplicate
+                            </button>
+                            <button class="btn btn-danger btn-small" onclick="removeMedia(${coin.id}, '${media.id}')">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Search, Filter and Sort
+    getVisibleCoins() {
+        if (!this.collectionFilter || !this.filterState) return this.coins;
+        return this.collectionFilter.applyFilter(this.coins, this.filterState, { smartSets: this.smartSets });
+    }
+
+    // Bring the toolbar inputs, facet options, result count and URL in line with filterState
+    renderFilterToolbar() {
+        if (!this.collectionFilter || !this.filterState) return;
+        const state = this.filterState;
+        const { countries, metals } = this.collectionFilter.facetOptions(this.coins);
+
+        this.renderFacetOptions('filterCountry', countries, state.country);
+        this.renderFacetOptions('filterMetal', metals, state.metal);
+        this.renderViewOptions();
+
+        const inputs = {
+            filterQuery: state.q,
+            filterSort: state.sort,
+            filterYearMin: state.yearMin,
+            filterYearMax: state.yearMax,
+            filterGradeMin: state.gradeMin,
+            filterGradeMax: state.gradeMax,
+            filterEstimateMin: state.estimateMin,
+            filterEstimateMax: state.estimateMax
+        };
+        Object.entries(inputs).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            // Leave the field being typed in alone so the caret does not jump
+            if (input && input !== document.activeElement && input.value !== value) {
+                input.value = value;
+            }
+        });
+
+        const direction = document.getElementById('filterDirection');
+        if (direction) {
+            const descending = state.dir === 'desc';
+            direction.title = descending ? 'Descending' : 'Ascending';
+            direction.innerHTML = `<i class="fas fa-sort-amount-${descending ? 'down' : 'up'}"></i>`;
+        }
+
+        this.renderCollectionSummary();
+
+        const count = document.getElementById('filterCount');
+        if (count) {
+            const visible = this.getVisibleCoins().length;
+            count.textContent = this.collectionFilter.isFilterActive(state)
+                ? `${visible} of ${this.coins.length} coins`
+                : `${this.coins.length} coin${this.coins.length === 1 ? '' : 's'}`;
+        }
+
+        const query = this.collectionFilter.filterStateToQuery(state, window.location.search);
+        if (query !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+        }
+    }
+
+    // Value, cost basis and unrealized gain of the coins shown
+    renderCollectionSummary() {
+        const summary = document.getElementById('collectionSummary');
+        if (!summary || !this.collectionStats) return;
+
+        const stats = this.collectionStats;
+        const totals = stats.collectionTotals(this.getVisibleCoins());
+        const parts = [];
+        if (totals.valued > 0) parts.push(`Estimated ${stats.formatMoney(totals.estimated)}`);
+        if (totals.costed > 0) parts.push(`Cost ${stats.formatMoney(totals.cost)}`);
+        if (totals.gainCoins > 0) {
+            parts.push(`<span class="${totals.gain < 0 ? 'gain-negative' : 'gain-positive'}">Unrealized ${stats.formatSignedMoney(totals.gain)}</span>`);
+        }
+        summary.innerHTML = parts.join(' &middot; ');
+        summary.title = [
+            `${totals.valued} of ${totals.count} coins have an estimate`,
+            `${totals.costed} have a cost basis in ${stats.BASE_CURRENCY}`,
+            totals.foreignCost > 0 ? `${totals.foreignCost} bought in another currency are left out of cost and gain` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    renderFacetOptions(selectId, values, selected) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        // Keep a filtered value listed even when no coin has it any more
+        const options = selected && !values.includes(selected) ? [...values, selected] : values;
+        select.innerHTML = '<option value="">All</option>' + options.map(value =>
+            `<option value="${this.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(value)}</option>`
+        ).join('');
+    }
+
+    // Smart sets and tags offered as views of the coin list
+    renderViewOptions() {
+        const select = document.getElementById('filterView');
+        if (!select) return;
+        select.innerHTML = `<option value="">All coins</option>${this.renderViewChoices()}`;
+        select.value = this.filterState.view;
+        // A deleted set or a tag no coin carries any more
+        if (select.value !== this.filterState.view) select.value = '';
+    }
+
+    // <optgroup>s for every smart set and tag, with the number of coins in each
+    renderViewChoices() {
+        const sets = this.smartSets.map(set => {
+            const inView = this.smartSetRules.viewFilter(`set:${set.id}`, this.smartSets);
+            const count = inView ? this.coins.filter(inView).length : 0;
+            return `<option value="set:${this.escapeHtml(set.id)}">${this.escapeHtml(set.name)} (${count})</option>`;
+        });
+        const tags = this.smartSetRules.collectTags(this.coins).map(({ tag, count }) =>
+            `<option value="tag:${this.escapeHtml(tag)}">${this.escapeHtml(tag)} (${count})</option>`
+        );
+
+        return (sets.length > 0 ? `<optgroup label="Smart Sets">${sets.join('')}</optgroup>` : '') +
+            (tags.length > 0 ? `<optgroup label="Tags">${tags.join('')}</optgroup>` : '');
+    }
+
+    updateFilter(key, value) {
+        if (!this.filterState) return;
+        this.filterState = this.collectionFilter.normalizeFilterState({ ...this.filterState, [key]: value });
+        this.renderCoins();
+        this.saveToStorage();
+    }
+
+    toggleSortDirection() {
+        this.updateFilter('dir', this.filterState?.dir === 'desc' ? 'asc' : 'desc');
+    }
+
+    clearFilter() {
+        if (!this.filterState) return;
+        // Keep the sort order; clear only what hides coins
+        const { sort, dir } = this.filterState;
+        this.filterState = this.collectionFilter.normalizeFilterState({ sort, dir });
+        this.renderCoins();
+        this.saveToStorage();
+    }
+
+    // Smart Sets
+    showSmartSetsModal() {
+        this.editingSmartSetId = null;
+        document.getElementById('smartSetName').value = '';
+        document.getElementById('smartSetRule').value = '';
+        document.getElementById('smartSetFields').textContent = this.smartSetRules.RULE_FIELDS.join(', ');
+        this.previewSmartSetRule('');
+        this.renderSmartSetsList();
+        this.showModal('smartSetsModal');
+    }
+
+    renderSmartSetsList() {
+        const list = document.getElementById('smartSetsList');
+        if (this.smartSets.length === 0) {
+            list.innerHTML = '<p class="collections-empty">No smart sets yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.smartSets.map(set => {
+            const inView = this.smartSetRules.viewFilter(`set:${set.id}`, this.smartSets);
+            const count = inView ? this.coins.filter(inView).length : 0;
+            return `
+                <div class="collection-row">
+                    <div class="smart-set-info">
+                        <strong>${this.escapeHtml(set.name)}</strong>
+                        <code>${this.escapeHtml(set.rule)}</code>
+                    </div>
+                    <span class="collection-count">${inView ? `${count} coin${count === 1 ? '' : 's'}` : 'Invalid rule'}</span>
+                    <button class="btn btn-outline btn-small" onclick="viewSmartSet('${set.id}')">View</button>
+                    <button class="btn btn-outline btn-small" onclick="editSmartSet('${set.id}')">Edit</button>
+                    <button class="btn btn-outline btn-small" onclick="deleteSmartSet('${set.id}')">Delete</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Check the rule as it is typed and show how many coins it matches
+    previewSmartSetRule(text) {
+        const preview = document.getElementById('smartSetPreview');
+        if (!text.trim()) {
+            preview.textContent = '';
+            preview.className = 'smart-set-preview';
+            return null;
+        }
+
+        try {
+            const rule = this.smartSetRules.parseRule(text);
+            const count = this.coins.filter(coin => this.smartSetRules.matchesRule(coin, rule)).length;
+            preview.textContent = `Matches ${count} of ${this.coins.length} coins`;
+            preview.className = 'smart-set-preview valid';
+            return rule;
+        } catch (error) {
+            preview.textContent = error.message;
+            preview.className = 'smart-set-preview invalid';
+            return null;
+        }
+    }
+
+    saveSmartSet() {
+        const name = document.getElementById('smartSetName').value.trim();
+        const rule = document.getElementById('smartSetRule').value.trim();
+        if (!name) {
+            alert('Give the smart set a name.');
+            return;
+        }
+        if (!this.previewSmartSetRule(rule)) {
+            alert('Fix the rule before saving.');
+            return;
+        }
+
+        const existing = this.smartSets.find(set => set.id === this.editingSmartSetId);
+        if (existing) {
+            existing.name = name;
+            existing.rule = rule;
+            this.logToConsole(`Smart set "${name}" updated`, 'success');
+        } else {
+            this.smartSets.push(this.smartSetRules.createSmartSet(name, rule));
+            this.logToConsole(`Smart set "${name}" created`, 'success');
+        }
+
+        this.editingSmartSetId = null;
+        document.getElementById('smartSetName').value = '';
+        document.getElementById('smartSetRule').value = '';
+        this.previewSmartSetRule('');
+        this.renderSmartSetsList();
+        this.renderCoins();
+        this.saveToStorage();
+    }
+
+    editSmartSet(setId) {
+        const set = this.smartSets.find(candidate => candidate.id === setId);
+        if (!set) return;
+        this.editingSmartSetId = setId;
+        document.getElementById('smartSetName').value = set.name;
+        document.getElementById('smartSetRule').value = set.rule;
+        this.previewSmartSetRule(set.rule);
+    }
+
+    deleteSmartSet(setId) {
+        const set = this.smartSets.find(candidate => candidate.id === setId);
+        if (!set || !confirm(`Delete smart set "${set.name}"? Its coins are not affected.`)) return;
+
+        this.smartSets = this.smartSets.filter(candidate => candidate.id !== setId);
+        if (this.filterState.view === `set:${setId}`) {
+            this.filterState = this.collectionFilter.normalizeFilterState({ ...this.filterState, view: '' });
+        }
+        this.renderSmartSetsList();
+        this.renderCoins();
+        this.saveToStorage();
+        this.logToConsole(`Smart set "${set.name}" deleted`, 'info');
+    }
+
+    viewSmartSet(setId) {
+        this.closeModal('smartSetsModal');
+        this.updateFilter('view', `set:${setId}`);
+    }
+
+    // Custom Fields
+    showCustomFieldsModal() {
+        this.resetFieldForm();
+        this.renderFieldDefinitionsList();
+        this.showModal('customFieldsModal');
+    }
+
+    renderFieldDefinitionsList() {
+        const list = document.getElementById('customFieldsList');
+        if (this.fieldDefinitions.length === 0) {
+            list.innerHTML = '<p class="collections-empty">This collection has no custom fields yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.fieldDefinitions.map(definition => {
+            const rules = [
+                this.customFields.FIELD_TYPES[definition.type],
+                definition.required ? 'required' : '',
+                definition.type === 'select' ? definition.options.join(' / ') : '',
+                definition.min ? `min ${definition.min}` : '',
+                definition.max ? `max ${definition.max}` : '',
+                definition.pattern ? `pattern ${definition.pattern}` : '',
+                definition.defaultValue ? `default "${definition.defaultValue}"` : ''
+            ].filter(Boolean).join(', ');
+
+            return `
+                <div class="collection-row ${definition.key === this.editingFieldKey ? 'active' : ''}">
+                    <div class="smart-set-info">
+                        <strong>${this.escapeHtml(definition.label)}</strong>
+                        <code>${this.escapeHtml(rules)}</code>
+                    </div>
+                    <button class="btn btn-outline btn-small" onclick="editCustomField('${definition.key}')">Edit</button>
+                    <button class="btn btn-outline btn-small" onclick="deleteCustomField('${definition.key}')">Delete</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    resetFieldForm(definition = null) {
+        this.editingFieldKey = definition ? definition.key : null;
+        document.getElementById('fieldLabel').value = definition ? definition.label : '';
+        document.getElementById('fieldType').value = definition ? definition.type : 'text';
+        document.getElementById('fieldOptions').value = definition ? definition.options.join(', ') : '';
+        document.getElementById('fieldRequired').checked = definition ? definition.required : false;
+        document.getElementById('fieldMin').value = definition ? definition.min : '';
+        document.getElementById('fieldMax').value = definition ? definition.max : '';
+        document.getElementById('fieldPattern').value = definition ? definition.pattern : '';
+        document.getElementById('fieldDefault').value = definition ? definition.defaultValue : '';
+        document.getElementById('saveFieldButton').textContent = definition ? 'Update Field' : 'Add Field';
+        this.updateFieldTypeInputs();
+    }
+
+    // Only show the validation inputs that apply to the chosen type
+    updateFieldTypeInputs() {
+        const type = document.getElementById('fieldType').value;
+        document.getElementById('fieldOptionsGroup').classList.toggle('hidden', type !== 'select');
+        document.getElementById('fieldRangeGroup').classList.toggle('hidden', type !== 'number' && type !== 'date');
+        document.getElementById('fieldPatternGroup').classList.toggle('hidden', type !== 'text');
+        ['fieldMin', 'fieldMax'].forEach(id => {
+            document.getElementById(id).type = type === 'date' ? 'date' : 'number';
+        });
+    }
+
+    saveFieldDefinition() {
+        const existing = this.fieldDefinitions.find(d => d.key === this.editingFieldKey) || null;
+        let definition;
+        try {
+            definition = this.customFields.createFieldDefinition({
+                label: document.getElementById('fieldLabel').value,
+                type: document.getElementById('fieldType').value,
+                options: document.getElementById('fieldOptions').value,
+                required: document.getElementById('fieldRequired').checked,
+                min: document.getElementById('fieldMin').value,
+                max: document.getElementById('fieldMax').value,
+                pattern: document.getElementById('fieldPattern').value,
+                defaultValue: document.getElementById('fieldDefault').value
+            }, this.fieldDefinitions, existing);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (existing) {
+            this.fieldDefinitions = this.fieldDefinitions.map(d => d.key === existing.key ? definition : d);
+            this.logToConsole(`Custom field "${definition.label}" updated`, 'success');
+        } else {
+            this.fieldDefinitions = [...this.fieldDefinitions, definition];
+            this.logToConsole(`Custom field "${definition.label}" added`, 'success');
+
+            // Existing coins start out with the default too
+            const needDefault = this.coins.filter(coin =>
+                definition.defaultValue && !String((coin.customFields || {})[definition.key] || '')
+            );
+            if (needDefault.length > 0) {
+                this.recordEdit(`Set ${definition.label} on ${needDefault.length} coin(s)`, needDefault.map(coin => coin.id), () => {
+                    needDefault.forEach(coin => this.customFields.applyFieldDefaults(coin, [definition]));
+                });
+            }
+        }
+
+        this.resetFieldForm();
+        this.renderFieldDefinitionsList();
+        this.csvColumnSelection = null;
+        this.renderCoins();
+        this.saveToStorage();
+    }
+
+    editCustomField(key) {
+        const definition = this.fieldDefinitions.find(d => d.key === key);
+        if (!definition) return;
+        this.resetFieldForm(definition);
+        this.renderFieldDefinitionsList();
+    }
+
+    // Values stay with the coins, so adding the field back restores them
+    deleteCustomField(key) {
+        const definition = this.fieldDefinitions.find(d => d.key === key);
+        if (!definition || !confirm(`Remove the field "${definition.label}"? Coins keep their values and show them again if a field with this name is added back.`)) return;
+
+        this.fieldDefinitions = this.fieldDefinitions.filter(d => d.key !== key);
+        if (this.editingFieldKey === key) this.resetFieldForm();
+        this.renderFieldDefinitionsList();
+        this.csvColumnSelection = null;
+        this.renderCoins();
+        this.saveToStorage();
+        this.logToConsole(`Custom field "${definition.label}" removed`, 'info');
+    }
+
+    // Bulk Selection
+    toggleCoinSelection(coinId, selected, extendRange = false) {
+        let coinIds = [coinId];
+
+        // Shift+click applies the same state to every visible coin in between
+        if (extendRange && this.lastSelectedCoinId !== null) {
+            const visibleIds = this.getVisibleCoins().map(coin => coin.id);
+            const from = visibleIds.indexOf(this.lastSelectedCoinId);
+            const to = visibleIds.indexOf(coinId);
+            if (from !== -1 && to !== -1) {
+                coinIds = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+            }
+        }
+
+        coinIds.forEach(id => selected ? this.selectedCoins.add(id) : this.selectedCoins.delete(id));
+        this.lastSelectedCoinId = coinId;
+        this.updateSelectionDisplay(coinIds);
+    }
+
+    selectAllFiltered() {
+        const coinIds = this.getVisibleCoins().map(coin => coin.id);
+        coinIds.forEach(id => this.selectedCoins.add(id));
+        this.updateSelectionDisplay(coinIds);
+    }
+
+    clearSelection() {
+        const coinIds = Array.from(this.selectedCoins);
+        this.selectedCoins.clear();
+        this.lastSelectedCoinId = null;
+        this.updateSelectionDisplay(coinIds);
+    }
+
+    // Selected coins that still exist, in collection order
+    getSelectedCoins() {
+        return this.coins.filter(coin => this.selectedCoins.has(coin.id));
+    }
+
+    // Tick or untick rendered cards without re-rendering them
+    updateSelectionDisplay(coinIds = []) {
+        coinIds.forEach(coinId => {
+            const card = document.querySelector(`.coin-card[data-coin-id="${coinId}"]`);
+            if (!card) return;
+            const selected = this.selectedCoins.has(coinId);
+            card.classList.toggle('selected', selected);
+            const checkbox = card.querySelector('.coin-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.renderBulkBar();
+    }
+
+    renderBulkBar() {
+        const bar = document.getElementById('bulkBar');
+        if (!bar) return;
+
+        // Deleted or moved coins drop out of the selection
+        const existing = new Set(this.coins.map(coin => coin.id));
+        this.selectedCoins.forEach(id => {
+            if (!existing.has(id)) this.selectedCoins.delete(id);
+        });
+
+        const count = this.selectedCoins.size;
+        bar.classList.toggle('hidden', count === 0);
+        document.getElementById('bulkCount').textContent = `${count} coin${count === 1 ? '' : 's'} selected`;
+    }
+
+    showBulkEditModal() {
+        const count = this.getSelectedCoins().length;
+        if (count === 0) return;
+
+        document.getElementById('bulkEditSummary').textContent =
+            `Values entered here are applied to all ${count} selected coin${count === 1 ? '' : 's'}. Empty fields are left unchanged.`;
+        document.querySelectorAll('#bulkEditModal input').forEach(input => { input.value = ''; });
+        document.getElementById('bulkGrade').innerHTML = this.grading.renderGradeOptions('', 'Leave unchanged');
+        this.showModal('bulkEditModal');
+    }
+
+    applyBulkEdit() {
+        const coins = this.getSelectedCoins();
+        const metadata = {};
+        ['country', 'denomination', 'metal', 'year', 'mintmark'].forEach(field => {
+            const value = document.getElementById(`bulk_${field}`).value.trim();
+            if (value) metadata[field] = value;
+        });
+        const grade = document.getElementById('bulkGrade').value;
+        const tags = this.coinTags.parseTags(document.getElementById('bulkTags').value);
+
+        if (Object.keys(metadata).length === 0 && !grade && tags.length === 0) {
+            alert('Enter at least one value to apply.');
+            return;
+        }
+
+        this.recordEdit(`Bulk edit ${coins.length} coin(s)`, coins.map(coin => coin.id), () => {
+            coins.forEach(coin => {
+                Object.assign(coin.metadata, metadata);
+                if (grade) coin.condition.grade = this.grading.setGradePart(coin.condition.grade, 'base', grade);
+                if (tags.length > 0) coin.tags = this.coinTags.addTags(coin.tags, tags);
+            });
+        });
+        this.renderCoins();
+        this.saveToStorage();
+        this.closeModal('bulkEditModal');
+
+        const changes = [
+            ...Object.keys(metadata),
+            ...(grade ? ['grade'] : []),
+            ...(tags.length > 0 ? [`tags (${tags.join(', ')})`] : [])
+        ];
+        this.logToConsole(`Updated ${changes.join(', ')} on ${coins.length} coin(s)`, 'success');
+    }
+
+    showBulkMoveModal() {
+        if (this.getSelectedCoins().length === 0) return;
+        if (!this.collectionDb) {
+            alert('Moving coins between collections needs IndexedDB, which is not available in this browser.');
+            return;
+        }
+
+        const targets = this.collections.filter(collection => collection.id !== this.activeCollectionId);
+        if (targets.length === 0) {
+            alert('Create another collection first (Collections button in the header).');
+            return;
+        }
+
+        document.getElementById('bulkMoveTarget').innerHTML = targets.map(collection =>
+            `<option value="${this.escapeHtml(collection.id)}">${this.escapeHtml(collection.name)} (${collection.coinCount} coins)</option>`
+        ).join('');
+        document.getElementById('bulkMoveSummary').textContent =
+            `Move ${this.selectedCoins.size} selected coin(s) out of "${this.getCollectionName(this.activeCollectionId)}" into:`;
+        this.showModal('bulkMoveModal');
+    }
+
+    async moveSelectedCoins(targetId) {
+        const coins = this.getSelectedCoins();
+        if (coins.length === 0 || !targetId || targetId === this.activeCollectionId) return;
+        const targetName = this.getCollectionName(targetId);
+
+        try {
+            await this.flushSave();
+
+            // Append to the stored target collection, renumbering ids it already uses
+            const target = await this.collectionDb.loadCollection(targetId);
+            this.coinSchema.migrateCollection(
+                target.coins,
+                target.meta ? target.meta.schemaVersion || 0 : this.coinSchema.COIN_SCHEMA_VERSION
+            );
+            const merge = await import('./js/collectionMerge.js');
+            const result = merge.mergeCollections(
+                { coins: target.coins, meta: target.meta || {}, history: await this.collectionDb.loadHistory(targetId) },
+                { coins, meta: { fieldDefinitions: this.fieldDefinitions } }
+            );
+            await this.collectionDb.saveCollection(targetId, result.coins, {
+                ...result.meta,
+                schemaVersion: this.coinSchema.COIN_SCHEMA_VERSION
+            });
+
+            // The copies go into the command so undo can take them out of
+            // the target again (applyTransfer)
+            const movedIds = new Set(coins.map(coin => coin.id));
+            this.recordEdit(`Move ${coins.length} coin(s) to "${targetName}"`, Array.from(movedIds), () => {
+                this.coins = this.coins.filter(coin => !movedIds.has(coin.id));
+            }, { transfer: { collectionId: targetId, coins: structuredClone(result.incoming) } });
+            this.clearSelection();
+            this.renderCoins();
+            await this.flushSave();
+            await this.refreshCollectionList();
+            this.closeModal('bulkMoveModal');
+
+            this.logToConsole(
+                `Moved ${coins.length} coin(s) to "${targetName}"` +
+                (result.renumbered > 0 ? ` (${result.renumbered} renumbered)` : ''),
+                'success'
+            );
+        } catch (error) {
+            console.error('Move failed:', error);
+            this.logToConsole(`Could not move coins: ${error.message}`, 'error');
+            alert(`Could not move the coins: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take the coins a move put into another collection out of it again
+     * (undo), or put them back (redo)
+     * @param {Object} command - History command with transfer: {collectionId, coins}
+     * @param {"undo"|"redo"} direction
+     */
+    async applyTransfer(command, direction) {
+        const { collectionId, coins } = command.transfer;
+        const targetName = this.getCollectionName(collectionId);
+        if (!this.collections.some(collection => collection.id === collectionId)) {
+            this.logToConsole(`Collection "${targetName}" no longer exists; only this collection was changed`, 'warning');
+            return;
+        }
+
+        try {
+            const target = await this.collectionDb.loadCollection(collectionId);
+            this.coinSchema.migrateCollection(
+                target.coins,
+                target.meta ? target.meta.schemaVersion || 0 : this.coinSchema.COIN_SCHEMA_VERSION
+            );
+            const copyIds = new Set(coins.map(coin => coin.id));
+            let stored = { coins: target.coins.filter(coin => !copyIds.has(coin.id)), meta: target.meta || {} };
+
+            if (direction === 'redo') {
+                const merge = await import('./js/collectionMerge.js');
+                stored = merge.mergeCollections(
+                    { ...stored, history: await this.collectionDb.loadHistory(collectionId) },
+                    { coins, meta: {} }
+                );
+                // Ids taken in the target meanwhile were given new ones
+                command.transfer.coins = stored.incoming;
+            }
+
+            await this.collectionDb.saveCollection(collectionId, stored.coins, {
+                ...stored.meta,
+                schemaVersion: this.coinSchema.COIN_SCHEMA_VERSION
+            });
+            await this.refreshCollectionList();
+            this.logToConsole(
+                `${direction === 'undo' ? 'Removed' : 'Put back'} ${coins.length} coin(s) ${direction === 'undo' ? 'from' : 'into'} "${targetName}"`,
+                'info'
+            );
+        } catch (error) {
+            console.error('Move undo failed:', error);
+            this.logToConsole(`Could not update "${targetName}": ${error.message}`, 'error');
+        }
+    }
+
+    async reanalyzeSelectedCoins() {
+        const coins = this.getSelectedCoins().filter(coin => coin.images.obverse || coin.images.reverse);
+        if (coins.length === 0) {
+            alert('None of the selected coins has an image to analyze.');
+            return;
+        }
+
+        this.logToConsole(`Re-analyzing ${coins.length} coin(s) with AI...`, 'info');
+        // One coin at a time; the models are too heavy to run side by side
+        for (const [index, coin] of coins.entries()) {
+            for (const side of ['obverse', 'reverse']) {
+                if (coin.images[side]) {
+                    await this.analyzeImage(coin.id, side, await this.loadAnalysisImage(coin, side));
+                }
+            }
+            this.logToConsole(`AI re-analysis ${index + 1}/${coins.length}: ${coin.title}`, 'info');
+        }
+        this.logToConsole(`AI re-analysis finished for ${coins.length} coin(s)`, 'success');
+    }
+
+    async exportSelectedCoins() {
+        if (this.getSelectedCoins().length === 0) return;
+        await this.showExportModal();
+        document.getElementById('exportScope').value = 'selected';
+    }
+
+    deleteSelectedCoins() {
+        const coins = this.getSelectedCoins();
+        if (coins.length === 0) return;
+
+        if (confirm(`Delete ${coins.length} selected coin(s)? You can restore them with Undo (Ctrl+Z).`)) {
+            const deletedIds = new Set(coins.map(coin => coin.id));
+            this.recordEdit(`Delete ${coins.length} coin(s)`, Array.from(deletedIds), () => {
+                this.coins = this.coins.filter(coin => !deletedIds.has(coin.id));
+            });
+            this.clearSelection();
+            this.renderCoins();
+            this.saveToStorage();
+            this.logToConsole(`Deleted ${coins.length} coin(s)`, 'info');
+        }
+    }
+
+    // Media filtering and sorting methods
+    applyMediaFilter(mediaList, filter) {
+        if (filter === 'all') {
+            return mediaList;
+        }
+        
+        return mediaList.filter(media => {
+            switch (filter) {
+                case 'featured':
+                    return media.isFeatured === true;
+                case 'ai':
+                    return media.source === 'ai';
+                case 'macro':
+                    return media.tags && media.tags.includes('macro');
+                case 'video':
+                    return media.type === 'video';
+                case 'annotated':
+                    return media.allowAnnotations === true;
+                default:
+                    return true;
+            }
+        });
+    }
+
+    applyMediaSort(mediaList) {
+        const sorted = [...mediaList];
+        
+        switch (this.mediaSortMode) {
+            case 'curated':
+                return sorted.sort((a, b) => {
+                    if (a.isCurated && !b.isCurated) return -1;
+                    if (!a.isCurated && b.isCurated) return 1;
+                    return 0;
+                });
+            case 'chronological':
+                return sorted.sort((a, b) => {
+                    const dateA = a.uploadDate ? new Date(a.uploadDate) : new Date(0);
+                    const dateB = b.uploadDate ? new Date(b.uploadDate) : new Date(0);
+                    return dateB - dateA;
+                });
+            case 'title':
+                return sorted.sort((a, b) => {
+                    const titleA = (a.title || '').toLowerCase();
+                    const titleB = (b.title || '').toLowerCase();
+                    return titleA.localeCompare(titleB);
+                });
+            case 'type':
+                return sorted.sort((a, b) => {
+                    return (a.type || '').localeCompare(b.type || '');
+                });
+            default:
+                return sorted;
+        }
+    }
+
+    // Mode Management
+    setMode(mode) {
+        this.currentMode = mode;
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        
+        // Update cursor style for all images
+        document.querySelectorAll('.coin-image').forEach(img => {
+            img.style.cursor = mode === 'view' ? 'default' : 'crosshair';
+        });
+    }
+
+    setQuickAnnotationType(type) {
+        this.quickAnnotationType = type;
+        this.setMode('annotate');
+        
+        // Highlight the selected annotation type
+        document.querySelectorAll('.annotation-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.textContent === type);
+        });
+    }
+
+    // Annotation Management
+    addAnnotation(coinId, side, x, y, label = null) {
+        if (this.currentMode !== 'annotate') return;
+        
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        const annotationLabel = label || this.quickAnnotationType || 'New annotation';
+        const colors = ['#f97316', '#06b6d4', '#ef4444', '#10b981', '#8b5cf6', '#f59e0b'];
+        const color = colors[coin.annotations[side].length % colors.length];
+
+        const annotation = {
+            id: this.nextAnnotationId++,
+            x,
+            y,
+            label: annotationLabel,
+            color
+        };
+
+        this.recordEdit(`Add annotation "${annotationLabel}" to "${coin.title}"`, coinId, () => {
+            coin.annotations[side].push(annotation);
+        });
+        this.renderCoin(coinId);
+        this.saveToStorage();
+        
+        this.quickAnnotationType = null;
+        document.querySelectorAll('.annotation-btn').forEach(btn => btn.classList.remove('active'));
+    }
+
+    updateAnnotation(annotationId, updates) {
+        const owner = this.findAnnotationOwner(annotationId);
+        if (!owner) return;
+
+        const action = 'x' in updates || 'y' in updates ? 'Move' : 'Edit';
+        this.recordEdit(`${action} annotation "${owner.annotation.label}"`, owner.coin.id, () => {
+            Object.assign(owner.annotation, updates);
+        });
+        this.renderCoin(owner.coin.id);
+        this.saveToStorage();
+    }
+
+    removeAnnotation(annotationId) {
+        const owner = this.findAnnotationOwner(annotationId);
+        if (!owner) return;
+
+        this.recordEdit(`Remove annotation "${owner.annotation.label}"`, owner.coin.id, () => {
+            owner.coin.annotations[owner.side] = owner.coin.annotations[owner.side].filter(a => a.id !== annotationId);
+        });
+        this.renderCoin(owner.coin.id);
+        this.saveToStorage();
+    }
+
+    editAnnotation(annotationId) {
+        let annotation = null;
+        this.coins.forEach(coin => {
+            ['obverse', 'reverse'].forEach(side => {
+                const found = coin.annotations[side].find(a => a.id === annotationId);
+                if (found) annotation = found;
+            });
+        });
+
+        if (annotation) {
+            document.getElementById('annotationText').value = annotation.label;
+            document.getElementById('annotationColor').value = annotation.color;
+            this.selectedAnnotation = annotationId;
+            this.showModal('annotationModal');
+        }
+    }
+
+    saveAnnotation() {
+        if (this.selectedAnnotation) {
+            const label = document.getElementById('annotationText').value;
+            const color = document.getElementById('annotationColor').value;
+            
+            this.updateAnnotation(this.selectedAnnotation, { label, color });
+            this.selectedAnnotation = null;
+            this.closeModal('annotationModal');
+        }
+    }
+
+    // Image Management
+    async handleImageUpload(coinId, side, fileInput) {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        // Ensure file is an image for main coin images
+        if (!file.type.startsWith('image/')) {
+            const errorMsg = 'Please select an image file for the coin images.';
+            alert(errorMsg);
+            this.logToConsole(errorMsg, 'error');
+            return;
+        }
+
+        this.logToConsole(`Processing ${side} image for coin ${coinId}... (${file.name}, ${(file.size/1024).toFixed(1)}KB)`, 'info');
+
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) {
+            this.logToConsole(`Error: Coin ${coinId} not found`, 'error');
+            return;
+        }
+
+        const { thumbnail, original } = await this.storeImageFile(file);
+        this.recordEdit(`Upload ${side} image for "${coin.title}"`, coinId, () => {
+            coin.images[side] = thumbnail;
+            coin.originals[side] = original;
+        });
+
+        this.renderCoin(coinId);
+        this.saveToStorage();
+
+        this.logToConsole(`${side} image processed and saved successfully`, 'success');
+
+        // Trigger AI analysis with the original file
+        this.analyzeImage(coinId, side, file);
+    }
+    
+    /**
+     * Send an uploaded photo through the media store (js/mediaStore.js): the
+     * original goes to the media bucket, or waits in the upload queue while
+     * Supabase is unreachable, and the coin keeps a thumbnail and a reference to it.
+     * Without a media store, or with original uploads turned off in Settings,
+     * the photo is kept in the coin (keepImageLocally).
+     * @returns {Promise<{thumbnail: string, original: Object|null}>}
+     */
+    async storeImageFile(file) {
+        if (!this.featureEnabled('originals')) {
+            return { thumbnail: await this.keepImageLocally(file), original: null };
+        }
+        try {
+            const [thumbnail, stored] = await Promise.all([
+                this.compressImage(file, 320, 0.75),
+                this.mediaStore.storeOriginal(file)
+            ]);
+            if (stored.uploaded) {
+                this.logToConsole(`Uploaded original of ${file.name} to the media store`, 'success');
+            } else {
+                this.logToConsole(`Media store unreachable (${stored.error.message}); ${file.name} is queued and will be uploaded when the connection is back`, 'warning');
+            }
+            return { thumbnail, original: stored.ref };
+        } catch (error) {
+            this.logToConsole(`Could not store ${file.name} in the media store, keeping it in the coin: ${error.message}`, 'warning');
+            return { thumbnail: await this.keepImageLocally(file), original: null };
+        }
+    }
+
+    // IndexedDB stores the file behind an object URL when the collection is
+    // saved. The localStorage fallback can only keep text, and an object URL
+    // is dead after a reload, so there photos become compressed data URLs and
+    // videos plain data URLs.
+    keepImageLocally(file) {
+        if (this.collectionDb) return Promise.resolve(URL.createObjectURL(file));
+        if (!file.type.startsWith('image/')) return this.readBlobAsDataUrl(file);
+        return this.compressImage(file, 600, 0.7);
+    }
 
-            <!-- Valuation Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-dollar-sign"></i>
-                    Valuation Assessment
-                </h3>
-                <div class="valuation-grid">
-                    <div class="valuation-scenario">
-                        <div class="scenario-title">Scenario A: Common Coin</div>
-                        <div class="scenario-range">$${coin.valuation.scenarios.common.min} - $${coin.valuation.scenarios.common.max}</div>
-                        <div class="scenario-description">${coin.valuation.scenarios.common.description}</div>
-                        <div class="mt-4">
-                            <input type="number" id="common_min_${coin.id}" name="common_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.common.min}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'common', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
-                            <input type="number" id="common_max_${coin.id}" name="common_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.common.max}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'common', 'max', this.value)" style="width: 80px; display: inline-block;">
-                        </div>
-                    </div>
-                    <div class="valuation-scenario">
-                        <div class="scenario-title">Scenario B: Silver Content</div>
-                        <div class="scenario-range">$${coin.valuation.scenarios.silver.min} - $${coin.valuation.scenarios.silver.max}</div>
-                        <div class="scenario-description">${coin.valuation.scenarios.silver.description}</div>
-                        <div class="mt-4">
-                            <input type="number" id="silver_min_${coin.id}" name="silver_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.silver.min}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'silver', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
-                            <input type="number" id="silver_max_${coin.id}" name="silver_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.silver.max}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'silver', 'max', this.value)" style="width: 80px; display: inline-block;">
-                        </div>
-                    </div>
-                    <div class="valuation-scenario">
-                        <div class="scenario-title">Scenario C: Collectible</div>
-                        <div class="scenario-range">$${coin.valuation.scenarios.collectible.min} - $${coin.valuation.scenarios.collectible.max}+</div>
-                        <div class="scenario-description">${coin.valuation.scenarios.collectible.description}</div>
-                        <div class="mt-4">
-                            <input type="number" id="collectible_min_${coin.id}" name="collectible_min_${coin.id}" class="form-input" placeholder="Min" value="${coin.valuation.scenarios.collectible.min}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'collectible', 'min', this.value)" style="width: 80px; display: inline-block; margin-right: 8px;">
-                            <input type="number" id="collectible_max_${coin.id}" name="collectible_max_${coin.id}" class="form-input" placeholder="Max" value="${coin.valuation.scenarios.collectible.max}" 
-                                   onchange="updateValuationScenario(${coin.id}, 'collectible', 'max', this.value)" style="width: 80px; display: inline-block;">
-                        </div>
-                    </div>
-                </div>
-                <div class="form-grid mt-4">
-                    <div class="form-group">
-                        <label for="current_estimate_${coin.id}">Current Market Estimate</label>
-                        <input type="text" id="current_estimate_${coin.id}" name="current_estimate_${coin.id}" class="form-input" placeholder="$0 - $0" value="${coin.valuation.currentEstimate}" 
-                               onchange="updateCoinValuation(${coin.id}, 'currentEstimate', this.value)">
-                    </div>
-                    <div class="form-group">
-                        <label for="market_notes_${coin.id}">Market Notes</label>
-                        <textarea id="market_notes_${coin.id}" name="market_notes_${coin.id}" class="form-input" placeholder="Market trends, recent sales, auction results, etc." 
-                                  onchange="updateCoinValuation(${coin.id}, 'marketNotes', this.value)">${coin.valuation.marketNotes}</textarea>
-                    </div>
-                </div>
-            </div>
+    // Show uploads waiting in the storage.js outbox on the STORAGE card, and
+    // log when they go out
+    async watchOutbox() {
+        let storage;
+        try {
+            storage = await import('./js/storage.js');
+        } catch (error) {
+            this.logToConsole(`Upload queue unavailable: ${error.message}`, 'warning');
+            return;
+        }
 
-            <!-- AI Analysis Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-brain"></i>
-                    AI Analysis
-                    <button class="btn btn-secondary" onclick="reanalyzeWithAI(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
-                        <i class="fas fa-sync"></i> Re-analyze
-                    </button>
-                </h3>
-                ${this.renderAIAnalysis(coin)}
-            </div>
+        storage.watchOutbox(status => {
+            const previous = this.outboxStatus;
+            this.outboxStatus = status;
+            const counted = previous && previous.pending !== null && status.pending !== null;
+            if (counted && status.pending < previous.pending && !status.sending) {
+                const sent = previous.pending - status.pending;
+                this.logToConsole(`Sent ${sent} queued upload(s)${status.pending > 0 ? `, ${status.pending} still waiting` : ''}`, 'success');
+            } else if (previous && previous.sending && status.failing && status.pending > 0) {
+                this.logToConsole(`${status.pending} upload(s) still queued: ${status.lastError}`, 'warning');
+            }
+            this.updateServiceStatusDisplay();
+        });
+    }
 
-            <!-- Market Research Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-search"></i>
-                    Market Research
-                    <button class="btn btn-secondary" onclick="searchSimilarCoins(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
-                        <i class="fas fa-sync"></i> Search Market
-                    </button>
-                </h3>
-                <div id="searchResults_${coin.id}" class="search-results-container">
-                    <div class="search-placeholder">
-                        <i class="fas fa-search" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
-                        <p>Click "Search Market" to find similar coins and current market prices</p>
-                    </div>
-                </div>
-            </div>
+    async retryOutbox() {
+        const storage = await import('./js/storage.js');
+        await storage.flushOutbox();
+    }
 
-            <!-- Media Gallery Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-images"></i>
-                    Media Gallery
-                    <button class="btn btn-secondary" onclick="toggleMediaUpload(${coin.id})" style="margin-left: auto; font-size: 0.8rem;">
-                        <i class="fas fa-plus"></i> Add Media
-                    </button>
-                </h3>
-                <div class="media-gallery" data-coin-id="${coin.id}">
-                    ${this.renderMediaGallery(coin)}
-                </div>
-                <div id="mediaUpload_${coin.id}" class="media-upload-panel" style="display: none;">
-                    <div class="upload-options">
-                        <input type="file" id="mediaFile_${coin.id}" name="mediaFile_${coin.id}" multiple accept="image/*,video/*" onchange="handleMediaUpload(${coin.id}, this)" style="display: none;">
-                        <div class="upload-actions">
-                            <button class="btn btn-outline" onclick="document.getElementById('mediaFile_${coin.id}').click()">
-                                <i class="fas fa-upload"></i> Select Files
-                            </button>
-                            <button class="btn btn-secondary" onclick="openFolderPicker(${coin.id})">
-                                <i class="fas fa-folder-open"></i> Import Folder
-                            </button>
-                        </div>
-                        <div class="upload-drop-zone" id="dropZone_${coin.id}" ondrop="handleDrop(event, ${coin.id})" ondragover="handleDragOver(event)" ondragenter="handleDragEnter(event)" ondragleave="handleDragLeave(event)">
-                            <i class="fas fa-cloud-upload-alt"></i>
-                            <p>Drag & drop images/videos here</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
+    // Settings
+    // Edits the runtime configuration (js/appConfig.js) loaded from config.json
+    async showSettings() {
+        const storage = await import('./js/storage.js');
+        this.pendingStorageFolder = null;
+        await this.fillSettings(this.appConfig.getConfig());
 
-            <!-- Notes Section -->
-            <div class="analysis-section">
-                <h3 class="section-title">
-                    <i class="fas fa-sticky-note"></i>
-                    Additional Notes
-                </h3>
-                <div class="form-group">
-                    <label for="general_notes_${coin.id}">General Notes</label>
-                    <textarea id="general_notes_${coin.id}" name="general_notes_${coin.id}" class="form-input form-textarea" placeholder="General notes, research findings, provenance, historical context, etc." 
-                              onchange="updateCoinField(${coin.id}, 'notes', this.value)">${coin.notes}</textarea>
-                </div>
-            </div>
-        `;
+        document.getElementById('storageFolderName').textContent = await storage.getStorageFolderName() || 'No folder chosen';
+        this.showModal('settingsModal');
+    }
+
+    async fillSettings(config) {
+        const storage = await import('./js/storage.js');
+        const { storage: storageConfig, ai, features } = config;
+
+        document.getElementById('configSource').textContent = `Configuration: ${this.appConfig.describeConfigSource()}`;
+        document.getElementById('storageProviderList').innerHTML = Object.entries(storage.STORAGE_PROVIDERS).map(([type, info]) => `
+            <label class="wizard-choice">
+                <input type="radio" name="storageProvider" value="${type}" ${storageConfig.provider === type ? 'checked' : ''}
+                       ${type === 'folder' && !storage.isFolderStorageSupported() ? 'disabled' : ''}
+                       onchange="selectStorageProvider(this.value)">
+                <span>${this.escapeHtml(info.label)} <small>${this.escapeHtml(info.description)}</small></span>
+            </label>
+        `).join('');
+
+        document.getElementById('supabaseUrl').value = storageConfig.supabaseUrl;
+        document.getElementById('supabaseAnonKey').value = storageConfig.supabaseAnonKey;
+        document.getElementById('s3Endpoint').value = storageConfig.s3.endpoint;
+        document.getElementById('s3Region').value = storageConfig.s3.region;
+        document.getElementById('s3AccessKey').value = storageConfig.s3.accessKeyId;
+        document.getElementById('s3SecretKey').value = storageConfig.s3.secretAccessKey;
+        document.getElementById('mediaBucket').value = storageConfig.mediaBucket;
+        document.getElementById('datasetsBucket').value = storageConfig.datasetsBucket;
+        document.getElementById('aiProxyUrl').value = ai.proxyUrl;
+        document.getElementById('featureList').innerHTML = Object.entries(this.appConfig.FEATURES).map(([feature, label]) => `
+            <label for="feature_${feature}">
+                <input type="checkbox" id="feature_${feature}" name="feature_${feature}" ${features[feature] ? 'checked' : ''}> ${this.escapeHtml(label)}
+            </label>
+        `).join('');
+
+        this.selectStorageProvider(storageConfig.provider);
+    }
+
+    selectStorageProvider(type) {
+        document.getElementById('supabaseSettings').style.display = type === 'supabase' ? '' : 'none';
+        document.getElementById('s3Settings').style.display = type === 's3' ? '' : 'none';
+        document.getElementById('folderSettings').style.display = type === 'folder' ? '' : 'none';
+    }
+
+    // The configuration as filled in, in the shape of js/appConfig.js
+    readSettings() {
+        const value = id => document.getElementById(id).value.trim();
+        const checked = document.querySelector('input[name="storageProvider"]:checked');
+        return {
+            storage: {
+                provider: checked ? checked.value : 'supabase',
+                supabaseUrl: value('supabaseUrl'),
+                supabaseAnonKey: value('supabaseAnonKey'),
+                mediaBucket: value('mediaBucket'),
+                datasetsBucket: value('datasetsBucket'),
+                s3: {
+                    endpoint: value('s3Endpoint'),
+                    region: value('s3Region') || 'us-east-1',
+                    accessKeyId: value('s3AccessKey'),
+                    secretAccessKey: value('s3SecretKey')
+                }
+            },
+            ai: { proxyUrl: value('aiProxyUrl') },
+            features: Object.fromEntries(Object.keys(this.appConfig.FEATURES).map(feature => [
+                feature,
+                document.getElementById(`feature_${feature}`).checked
+            ]))
+        };
+    }
+
+    async chooseStorageFolder() {
+        const storage = await import('./js/storage.js');
+        try {
+            this.pendingStorageFolder = await storage.chooseStorageFolder();
+            document.getElementById('storageFolderName').textContent = `${this.pendingStorageFolder.name} (save to use it)`;
+        } catch (error) {
+            // Closing the picker is not an error
+            if (error.name !== 'AbortError') {
+                this.logToConsole(`Could not choose a folder: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async saveSettings() {
+        const storage = await import('./js/storage.js');
+        const previous = this.config;
+        const config = this.readSettings();
+        try {
+            this.appConfig.saveConfig(config);
+            if (this.pendingStorageFolder) {
+                await storage.setStorageFolder(this.pendingStorageFolder);
+            }
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.pendingStorageFolder = null;
+        this.closeModal('settingsModal');
+        this.logConfigChanges(previous, config);
+    }
+
+    // Back to config.json; the form shows it until saved or closed
+    async resetSettings() {
+        if (!confirm('Forget the settings changed in this browser and use the deployment configuration?')) return;
+
+        const previous = this.config;
+        this.appConfig.resetConfig();
+        await this.fillSettings(this.config);
+        this.logConfigChanges(previous, this.config);
+    }
+
+    async logConfigChanges(previous, config) {
+        const storage = await import('./js/storage.js');
+        if (JSON.stringify(previous.storage) !== JSON.stringify(config.storage)) {
+            this.logToConsole(`Storage set to ${storage.STORAGE_PROVIDERS[config.storage.provider].label}; files already stored stay where they were`, 'success');
+        }
+        if (previous.ai.proxyUrl !== config.ai.proxyUrl) {
+            this.logToConsole(config.ai.proxyUrl ? `AI proxy set to ${config.ai.proxyUrl}` : 'AI proxy removed', 'success');
+        }
+        const toggled = Object.keys(config.features).filter(feature => previous.features[feature] !== config.features[feature]);
+        toggled.forEach(feature => {
+            this.logToConsole(`${this.appConfig.FEATURES[feature]} turned ${config.features[feature] ? 'on' : 'off'}`, 'info');
+        });
+        if (toggled.some(feature => feature === 'ai' || feature === 'market')) {
+            this.logToConsole('Reload the page to start or stop the AI and market services', 'warning');
+        }
+        this.renderSyncSettings();
+    }
+
+    // Check the configuration as filled in: storage first, then the AI proxy.
+    // For a folder this also asks for access again.
+    async testConnection() {
+        const config = this.readSettings();
+        const errors = this.appConfig.validateConfig(config);
+        if (errors.length > 0) {
+            errors.forEach(error => this.logToConsole(`Configuration: ${error}`, 'error'));
+            return;
+        }
+
+        const storage = await import('./js/storage.js');
+        try {
+            const { type, files } = await storage.testStorageConnection(config.storage, {
+                folder: this.pendingStorageFolder || undefined
+            });
+            this.logToConsole(`${storage.STORAGE_PROVIDERS[type].label} reachable: ${files} file(s) in the datasets bucket`, 'success');
+        } catch (error) {
+            this.logToConsole(`Storage connection failed: ${error.message}`, 'error');
+        }
+
+        if (!config.ai.proxyUrl) return;
+        try {
+            const { testProxyConnection } = await import('./js/ai/proxyModel.js');
+            const status = await testProxyConnection(config.ai.proxyUrl);
+            this.logToConsole(`AI proxy reachable (HTTP ${status})`, 'success');
+        } catch (error) {
+            this.logToConsole(`AI proxy connection failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Swap a thumbnail shown in a viewer for the full-size original. A signed
+     * URL that fails to load (expired or revoked) is signed again once.
+     * @param {HTMLImageElement} img
+     * @param {Object|null} original - Media store reference
+     * @param {HTMLElement} [downloadButton] - Made to download the original
+     * @param {string} [filename]
+     */
+    async showOriginalImage(img, original, downloadButton, filename) {
+        if (!original || !this.mediaStore) return;
+
+        const url = await this.mediaStore.resolveOriginal(original);
+        if (!url || !img.isConnected) return;
+
+        img.onerror = async () => {
+            img.onerror = null;
+            const fresh = await this.mediaStore.resolveOriginal(original, { refresh: true });
+            if (fresh && fresh !== url) img.src = fresh;
+        };
+        img.src = url;
+        if (downloadButton) {
+            downloadButton.onclick = () => downloadMedia(img.src, filename);
+        }
+    }
+
+    // Compress image to reduce storage usage
+    compressImage(file, maxWidth = 600, quality = 0.7) {
+        
+        return new Promise((resolve, reject) => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            const img = new Image();
+            
+            img.onload = () => {
+                // Calculate new dimensions
+                let { width, height } = img;
+                if (width > maxWidth) {
+                    height = (height * maxWidth) / width;
+                    width = maxWidth;
+                }
+                
+                canvas.width = width;
+                canvas.height = height;
+                
+                // Draw and compress
+                ctx.drawImage(img, 0, 0, width, height);
+                
+                // Convert to compressed data URL
+                const compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
+                
+                // Check size reduction (only log if significant compression achieved)
+                const originalSize = file.size;
+                const compressedSize = Math.round((compressedDataUrl.length * 3) / 4); // Approximate size
+                
+                // Clean up object URL
+                URL.revokeObjectURL(img.src);
+                
+                resolve(compressedDataUrl);
+            };
+            
+            img.onerror = (error) => {
+                URL.revokeObjectURL(img.src);
+                reject(new Error('Failed to load image for compression'));
+            };
+            
+            try {
+                img.src = URL.createObjectURL(file);
+            } catch (error) {
+                reject(new Error('Failed to create object URL for image'));
+            }
+        });
     }
+    
+    /**
+     * The full-size photo of a side as a File for the AI models; the coin
+     * itself only holds a thumbnail. Falls back to the thumbnail when the
+     * original cannot be reached.
+     * @returns {Promise<File|string>}
+     */
+    async loadAnalysisImage(coin, side) {
+        const original = coin.originals?.[side];
+        if (!original || !this.mediaStore) return coin.images[side];
 
-    renderAnnotations(annotations) {
-        return annotations.map(annotation => `
-            <div class="annotation-marker" 
-                 style="left: ${annotation.x}px; top: ${annotation.y}px;" 
-                 data-annotation-id="${annotation.id}"
-                 onmousedown="handleAnnotationMouseDown(event, ${annotation.id})"
-                 ondblclick="editAnnotation(${annotation.id})">
-                <div class="annotation-dot" style="background-color: ${annotation.color}"></div>
-                <div class="annotation-label">${annotation.label}</div>
-                <button class="annotation-remove" onclick="removeAnnotation(${annotation.id})">×</button>
-            </div>
-        `).join('');
+        try {
+            const url = await this.mediaStore.resolveOriginal(original);
+            if (!url) throw new Error('not reachable');
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const blob = await response.blob();
+            return new File([blob], original.name || `${side}.jpg`, { type: original.type || blob.type });
+        } catch (error) {
+            this.logToConsole(`Original ${side} photo of "${coin.title}" unavailable (${error.message}); analyzing the thumbnail`, 'warning');
+            return coin.images[side];
+        }
     }
 
-    renderAIAnalysis(coin) {
-        if (!coin.aiAnalysis || (!coin.aiAnalysis.obverse && !coin.aiAnalysis.reverse)) {
-            return `
-                <div class="ai-analysis-placeholder">
-                    <i class="fas fa-brain" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
-                    <p>Upload coin images to get AI-powered analysis</p>
-                    <p style="font-size: 0.85rem; opacity: 0.7;">Classification • Feature Detection • Authenticity • Value Estimation</p>
+    // AI Analysis
+    async analyzeImage(coinId, side, imageData) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin || !this.featureEnabled('ai')) return;
+        
+        try {
+            // Show loading indicator
+            this.showAIAnalysisLoading(coinId, side);
+            
+            // Import AI orchestrator dynamically
+            const { analyzeCoinImages } = await import('./js/ai-orchestrator.js');
+            
+            // Analyze the image (imageData can be File object or data URL string)
+            const results = await analyzeCoinImages([imageData], {
+                classify: true,
+                features: true,
+                authenticity: true,
+                value: true
+            });
+            
+            if (results.success && results.results && results.results.length > 0) {
+                const analysis = results.results[0];
+                
+                // Store analysis results
+                coin.aiAnalysis[side] = analysis;
+                // Saves and sync only pick up coins whose modified time changed
+                coin.modified = new Date().toISOString();
+                
+                this.saveToStorage();
+                // Don't re-render entire coins, just update the AI analysis display
+                this.updateAIAnalysisDisplay(coinId, side, analysis);
+                
+                if (window.location.search.includes('debug=true')) {
+                    console.log(`AI Analysis complete for ${side}:`, analysis);
+                }
+            }
+        } catch (error) {
+            console.error('AI Analysis failed:', error);
+            this.showAIAnalysisError(coinId, side, error.message);
+        }
+    }
+    
+    updateAIAnalysisDisplay(coinId, side, analysis) {
+        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
+        if (container && analysis) {
+            // Update just the AI analysis section without re-rendering everything
+            container.innerHTML = this.renderAIAnalysis(analysis);
+        }
+    }
+    
+    showAIAnalysisLoading(coinId, side) {
+        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
+        if (container) {
+            container.innerHTML = `
+                <div class="ai-analysis-loading">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    <span>Analyzing with AI...</span>
                 </div>
             `;
         }
-
-        const renderSideAnalysis = (side, analysis) => {
-            if (!analysis) return '';
-            
-            const sideLabel = side === 'obverse' ? 'Obverse' : 'Reverse';
-            
-            return `
-                <div class="ai-analysis-side">
-                    <h4 class="ai-side-title"><i class="fas fa-${side === 'obverse' ? 'circle' : 'circle-notch'}"></i> ${sideLabel}</h4>
-                    
-                    ${analysis.classification ? `
-                        <div class="ai-result-section">
-                            <div class="ai-result-header">
-                                <i class="fas fa-tag"></i>
-                                <span>Classification</span>
-                            </div>
-                            <div class="ai-predictions">
-                                ${analysis.classification.predictions.slice(0, 3).map(pred => `
-                                    <div class="ai-prediction-item">
-                                        <span class="prediction-label">${pred.label}</span>
-                                        <div class="prediction-bar">
-                                            <div class="prediction-fill" style="width: ${(pred.confidence * 100).toFixed(1)}%"></div>
-                                        </div>
-                                        <span class="prediction-confidence">${(pred.confidence * 100).toFixed(1)}%</span>
-                                    </div>
-                                `).join('')}
-                            </div>
-                            ${analysis.classification.isCoin !== undefined ? `
-                                <div class="ai-coin-detection ${analysis.classification.isCoin ? 'positive' : 'negative'}">
-                                    <i class="fas fa-${analysis.classification.isCoin ? 'check-circle' : 'exclamation-triangle'}"></i>
-                                    ${analysis.classification.isCoin ? 'Coin detected' : 'May not be a coin'}
-                                </div>
-                            ` : ''}
-                        </div>
-                    ` : ''}
-                    
-                    ${analysis.features ? `
-                        <div class="ai-result-section">
-                            <div class="ai-result-header">
-                                <i class="fas fa-microscope"></i>
-                                <span>Feature Analysis</span>
-                            </div>
-                            <div class="ai-features-grid">
-                                ${analysis.features.annotations.map(feature => `
-                                    <div class="ai-feature-item rarity-${feature.rarity}">
-                                        <div class="feature-name">${feature.name}</div>
-                                        <div class="feature-confidence">${(feature.confidence * 100).toFixed(0)}%</div>
-                                        <div class="feature-rarity">${feature.rarity} rarity</div>
-                                    </div>
-                                `).join('')}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${analysis.authenticity ? `
-                        <div class="ai-result-section">
-                            <div class="ai-result-header">
-                                <i class="fas fa-shield-alt"></i>
-                                <span>Authenticity Check</span>
-                            </div>
-                            <div class="ai-authenticity ${analysis.authenticity.isAuthentic ? 'authentic' : 'suspicious'}">
-                                <div class="authenticity-score">
-                                    <i class="fas fa-${analysis.authenticity.isAuthentic ? 'check-circle' : 'exclamation-triangle'}"></i>
-                                    <span class="score-label">${analysis.authenticity.isAuthentic ? 'Likely Authentic' : 'Needs Verification'}</span>
-                                    <span class="score-value">${(analysis.authenticity.confidence * 100).toFixed(1)}%</span>
-                                </div>
-                                ${analysis.authenticity.warnings && analysis.authenticity.warnings.length > 0 ? `
-                                    <div class="authenticity-warnings">
-                                        ${analysis.authenticity.warnings.map(warning => `
-                                            <div class="warning-item">
-                                                <i class="fas fa-exclamation-circle"></i>
-                                                ${warning}
-                                            </div>
-                                        `).join('')}
-                                    </div>
-                                ` : ''}
-                            </div>
-                        </div>
-                    ` : ''}
+    }
+    
+    showAIAnalysisError(coinId, side, message) {
+        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
+        if (container) {
+            container.innerHTML = `
+                <div class="ai-analysis-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <span>Analysis failed: ${message}</span>
                 </div>
             `;
-        };
-
-        return `
-            <div class="ai-analysis-container">
-                ${renderSideAnalysis('obverse', coin.aiAnalysis.obverse)}
-                ${renderSideAnalysis('reverse', coin.aiAnalysis.reverse)}
-                
-                ${coin.aiAnalysis.obverse?.value || coin.aiAnalysis.reverse?.value ? `
-                    <div class="ai-value-estimation">
-                        <div class="ai-result-header">
-                            <i class="fas fa-dollar-sign"></i>
-                            <span>AI Value Estimation</span>
-                        </div>
-                        ${(coin.aiAnalysis.obverse?.value || coin.aiAnalysis.reverse?.value) ? `
-                            <div class="value-estimate">
-                                <div class="estimate-amount">
-                                    $${((coin.aiAnalysis.obverse?.value?.estimatedValue || 0) + (coin.aiAnalysis.reverse?.value?.estimatedValue || 0)).toFixed(2)}
-                                </div>
-                                <div class="estimate-range">
-                                    Range: $${((coin.aiAnalysis.obverse?.value?.range?.min || 0) + (coin.aiAnalysis.reverse?.value?.range?.min || 0)).toFixed(2)} - 
-                                    $${((coin.aiAnalysis.obverse?.value?.range?.max || 0) + (coin.aiAnalysis.reverse?.value?.range?.max || 0)).toFixed(2)}
-                                </div>
-                                <div class="estimate-confidence">
-                                    Confidence: ${(((coin.aiAnalysis.obverse?.value?.confidence || 0) + (coin.aiAnalysis.reverse?.value?.confidence || 0)) / 2 * 100).toFixed(0)}%
-                                </div>
-                                <div class="estimate-disclaimer">
-                                    <i class="fas fa-info-circle"></i>
-                                    AI estimation for reference only. Consult professional appraisers for accurate valuation.
-                                </div>
-                            </div>
-                        ` : ''}
-                    </div>
-                ` : ''}
-            </div>
-        `;
+        }
     }
 
-    renderMediaGallery(coin) {
-        if (!coin.media) {
-            coin.media = { images: [], videos: [] };
-        }
-        
-        const allMedia = [...coin.media.images, ...coin.media.videos];
-        const curatedMedia = allMedia.filter((item) => item.isCurated);
-        const filteredMedia = this.applyMediaFilter(allMedia, this.mediaFilter);
-        const displayList = this.mediaSortMode === 'curated' && curatedMedia.length > 0 ? curatedMedia : this.applyMediaSort(filteredMedia);
-        const emptyStateMessage = this.mediaFilter === 'featured'
-            ? 'No featured media yet. Mark star items to spotlight them here.'
-            : this.mediaFilter === 'ai'
-                ? "No AI-assisted media yet. Run recognition to auto-tag selections."
-                : this.mediaFilter === 'macro'
-                    ? 'No macro shots in this selection yet. Capture close-ups to highlight key features.'
-                    : 'No additional media uploaded yet';
+    // Media Management
+    async handleMediaUpload(coinId, fileInput) {
+        const files = Array.from(fileInput.files);
+        if (files.length === 0) return;
+
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
 
-        if (displayList.length === 0) {
-            return `
-                <div class="media-placeholder">
-                    <i class="fas fa-images" style="font-size: 2rem; opacity: 0.3; margin-bottom: 10px;"></i>
-                    <p>${emptyStateMessage}</p>
-                </div>
-            `;
-        }
-        
-        if (this.mediaViewMode === 'timeline') {
-            return this.renderMediaTimeline(displayList, coin);
+        // Photos go through the media store; videos are kept as they are
+        const stored = [];
+        for (const file of files) {
+            stored.push(file.type.startsWith('video/')
+                ? { thumbnail: await this.keepImageLocally(file), original: null }
+                : await this.storeImageFile(file));
         }
 
-        const viewModeClass = this.getMediaViewClass();
-        return `
-            <div class="${viewModeClass}" data-view-mode="${this.mediaViewMode}">
-                ${displayList.map(media => this.renderMediaItem(coin, media)).join('')}
-            </div>
-        `;
+        this.recordEdit(`Add ${files.length} media item(s) to "${coin.title}"`, coinId, () => files.forEach((file, index) => {
+            const mediaId = `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const mediaType = file.type.startsWith('video/') ? 'video' : 'image';
+
+            const mediaItem = {
+                id: mediaId,
+                type: mediaType,
+                url: stored[index].thumbnail,
+                original: stored[index].original,
+                title: file.name.replace(/\.[^/.]+$/, ""), // Remove file extension
+                description: '',
+                uploadDate: new Date().toISOString()
+            };
+
+            if (mediaType === 'video') {
+                coin.media.videos.push(mediaItem);
+            } else {
+                coin.media.images.push(mediaItem);
+            }
+        }));
+
+        this.renderCoin(coinId);
+        this.saveToStorage();
+
+        // Clear the file input
+        fileInput.value = '';
     }
 
-    getMediaViewClass() {
-        switch (this.mediaViewMode) {
-            case 'filmstrip':
-                return 'media-strip';
-            case 'masonry':
-            default:
-                return 'media-grid';
+    updateMediaTitle(coinId, mediaId, title) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin || !coin.media) return;
+
+        const allMedia = [...coin.media.images, ...coin.media.videos];
+        const media = allMedia.find(m => m.id === mediaId);
+        if (media) {
+            this.recordEdit(`Rename media in "${coin.title}"`, coinId, () => {
+                media.title = title;
+            });
+            this.saveToStorage();
         }
     }
 
-    renderMediaTimeline(mediaItems, coin) {
-        const grouped = mediaItems.reduce((acc, item) => {
-            const dateKey = item.uploadDate ? new Date(item.uploadDate).toDateString() : 'Undated';
-            if (!acc[dateKey]) acc[dateKey] = [];
-            acc[dateKey].push(item);
-            return acc;
-        }, {});
+    addMediaTags(coinId, mediaId, text) {
+        const coin = this.coins.find(c => c.id === coinId);
+        const tags = this.coinTags.parseTags(text);
+        if (!coin || !coin.media || tags.length === 0) return;
 
-        const sortedDates = Object.keys(grouped).sort((a, b) => new Date(a) - new Date(b));
-        return `
-            <div class="media-timeline">
-                ${sortedDates.map(date => `
-                    <div class="timeline-group">
-                        <div class="timeline-date">${date}</div>
-                        <div class="timeline-items">
-                            ${grouped[date].map(item => this.renderMediaItem(coin, item)).join('')}
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        const media = [...coin.media.images, ...coin.media.videos].find(m => m.id === mediaId);
+        if (media) {
+            this.recordEdit(`Tag media in "${coin.title}"`, coinId, () => {
+                media.tags = this.coinTags.addTags(Array.isArray(media.tags) ? media.tags : [], tags);
+            });
+            this.renderCoin(coinId);
+            this.saveToStorage();
+        }
     }
 
-    renderMediaItem(coin, media) {
-        const mediaTags = Array.isArray(media.tags) ? media.tags : [];
-        const badgeLabels = [
-            media.isCurated ? '<span class="media-badge curated">Curated</span>' : '',
-            media.isFeatured ? '<span class="media-badge featured">Featured</span>' : '',
-            media.source === 'ai' ? '<span class="media-badge ai">AI</span>' : '',
-            media.source === 'market' ? '<span class="media-badge market">Market</span>' : ''
-        ].filter(Boolean).join('');
+    updateMediaDescription(coinId, mediaId, description) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin || !coin.media) return;
 
-        // Skip rendering if media URL is null or undefined
-        if (!media.url) {
-            return '';
+        const allMedia = [...coin.media.images, ...coin.media.videos];
+        const media = allMedia.find(m => m.id === mediaId);
+        if (media) {
+            this.recordEdit(`Edit media description in "${coin.title}"`, coinId, () => {
+                media.description = description;
+            });
+            this.saveToStorage();
         }
+    }
 
-        return `
-            <div class="media-item" data-media-id="${media.id}" data-type="${media.type}" data-source="${media.source || 'manual'}">
-                <div class="media-preview" onclick="openMediaModal('${media.id}', ${coin.id})">
-                    ${media.type === 'image'
-                        ? `<img src="${media.url}" alt="${media.title}" class="media-thumbnail">
-                           <div class="media-zoom-icon"><i class="fas fa-search-plus"></i></div>`
-                        : `<video src="${media.url}" class="media-thumbnail" muted></video>
-                           <div class="media-play-icon"><i class="fas fa-play"></i></div>`
-                    }
-                    ${badgeLabels ? `<div class="media-badges">${badgeLabels}</div>` : ''}
-                    <button class="media-favorite" data-active="${media.isFeatured || false}" onclick="toggleMediaFeatured(event, ${coin.id}, '${media.id}')">
-                        <i class="fas fa-star"></i>
-                    </button>
-                    <button class="media-pin" data-active="${media.isPinned || false}" onclick="toggleMediaPinned(event, ${coin.id}, '${media.id}')">
-                        <i class="fas fa-thumbt"></i>
-                    </button>
-                </div>
-                <div class="media-info">
-                    <div class="media-info-header">
-                        <input type="text" id="media_title_${coin.id}_${media.id}" name="media_title_${coin.id}_${media.id}" class="media-title" value="${media.title}" placeholder="Media title"
-                               onchange="updateMediaTitle(${coin.id}, '${media.id}', this.value)">
-                        <div class="media-tag-list">
-                            ${mediaTags.map(tag => `<span class="media-tag">${tag}</span>`).join('')}
-                            <button class="btn btn-secondary btn-icon" onclick="promptAddMediaTag(${coin.id}, '${media.id}')" title="Add tag">
-                                <i class="fas fa-tag"></i>
-                            </button>
-                        </div>
-                    </div>
-                    <textarea id="media_description_${coin.id}_${media.id}" name="media_description_${coin.id}_${media.id}" class="media-description" placeholder="Description"
-                              onchange="updateMediaDescription(${coin.id}, '${media.id}', this.value)">${media.description || ''}</textarea>
-                    <div class="media-properties">
-                        <label class="media-checkbox">
-                            <input type="checkbox" id="media_curated_${coin.id}_${media.id}" name="media_curated_${coin.id}_${media.id}" ${media.isCurated ? 'checked' : ''} onchange="toggleMediaCurated(${coin.id}, '${media.id}', this.checked)">
-                            <span>Curate into spotlight</span>
-                        </label>
-                        <label class="media-checkbox">
-                            <input type="checkbox" id="media_annotations_${coin.id}_${media.id}" name="media_annotations_${coin.id}_${media.id}" ${media.allowAnnotations || false ? 'checked' : ''} onchange="toggleMediaAnnotations(${coin.id}, '${media.id}', this.checked)">
-                            <span>Enable micro-annotations</span>
-                        </label>
-                    </div>
-                    <div class="media-footer">
-                        <span class="media-meta">${media.uploadDate ? new Date(media.uploadDate).toLocaleString() : ''}</span>
-                        <div class="media-actions">
-                            <button class="btn btn-secondary btn-small" onclick="cycleMediaOrientation(${coin.id}, '${media.id}')">
-                                <i class="fas fa-sync-alt"></i> Rotate
-                            </button>
-                            <button class="btn btn-secondary btn-small" onclick="duplicateMedia(${coin.id}, '${media.id}')">
-                                <i class="fas fa-clone"></i> Duplicate
-                            </button>
-                            <button class="btn btn-danger btn-small" onclick="removeMedia(${coin.id}, '${media.id}')">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+    removeMedia(coinId, mediaId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin || !coin.media) return;
+
+        this.recordEdit(`Remove media from "${coin.title}"`, coinId, () => {
+            coin.media.images = coin.media.images.filter(m => m.id !== mediaId);
+            coin.media.videos = coin.media.videos.filter(m => m.id !== mediaId);
+        });
+        
+        this.renderCoin(coinId);
+        this.saveToStorage();
     }
 
-    // Media filtering and sorting methods
-    applyMediaFilter(mediaList, filter) {
-        if (filter === 'all') {
-            return mediaList;
+    // Comparison Mode
+    toggleComparisonView() {
+        this.comparisonMode = !this.comparisonMode;
+        const panel = document.getElementById('comparisonPanel');
+        const button = document.getElementById('comparisonToggle');
+        
+        if (this.comparisonMode) {
+            panel.classList.remove('hidden');
+            button.innerHTML = '<i class="fas fa-times"></i> Disable Comparison View';
+        } else {
+            panel.classList.add('hidden');
+            button.innerHTML = '<i class="fas fa-columns"></i> Enable Comparison View';
+            this.comparisonSlots = [null, null];
         }
         
-        return mediaList.filter(media => {
-            switch (filter) {
-                case 'featured':
-                    return media.isFeatured === true;
-                case 'ai':
-                    return media.source === 'ai';
-                case 'macro':
-                    return media.tags && media.tags.includes('macro');
-                case 'video':
-                    return media.type === 'video';
-                case 'annotated':
-                    return media.allowAnnotations === true;
-                default:
-                    return true;
+        this.renderCoins();
+    }
+
+    addToComparison(coinId) {
+        const coin = this.coins.find(c => c.id === coinId);
+        if (!coin) return;
+
+        if (!this.comparisonSlots[0]) {
+            this.comparisonSlots[0] = coin;
+            document.getElementById('comparisonSlot1').innerHTML = this.renderComparisonSlot(coin);
+        } else if (!this.comparisonSlots[1]) {
+            this.comparisonSlots[1] = coin;
+            document.getElementById('comparisonSlot2').innerHTML = this.renderComparisonSlot(coin);
+        } else {
+            // Replace first slot
+            this.comparisonSlots[0] = coin;
+            document.getElementById('comparisonSlot1').innerHTML = this.renderComparisonSlot(coin);
+        }
+        
+        document.querySelectorAll('.comparison-slot').forEach(slot => {
+            if (slot.innerHTML.includes(coin.title)) {
+                slot.classList.add('has-coin');
             }
         });
     }
 
-    applyMediaSort(mediaList) {
-        const sorted = [...mediaList];
-        
-        switch (this.mediaSortMode) {
-            case 'curated':
-                return sorted.sort((a, b) => {
-                    if (a.isCurated && !b.isCurated) return -1;
-                    if (!a.isCurated && b.isCurated) return 1;
-                    return 0;
-                });
-            case 'chronological':
-                return sorted.sort((a, b) => {
-                    const dateA = a.uploadDate ? new Date(a.uploadDate) : new Date(0);
-                    const dateB = b.uploadDate ? new Date(b.uploadDate) : new Date(0);
-                    return dateB - dateA;
-                });
-            case 'title':
-                return sorted.sort((a, b) => {
-                    const titleA = (a.title || '').toLowerCase();
-                    const titleB = (b.title || '').toLowerCase();
-                    return titleA.localeCompare(titleB);
-                });
-            case 'type':
-                return sorted.sort((a, b) => {
-                    return (a.type || '').localeCompare(b.type || '');
-                });
-            default:
-                return sorted;
+    renderComparisonSlot(coin) {
+        const image = coin.images.obverse || coin.images.reverse;
+        return `
+            <div style="text-align: center;" class="comparison-coin-content">
+                ${image ? `<img src="${image}" alt="${coin.title}" style="max-width: 100%; max-height: 150px; border-radius: 8px; margin-bottom: 12px; cursor: pointer;" onclick="openImageZoom('${coin.images.obverse ? 'obverse' : 'reverse'}', ${coin.id})">` : ''}
+                <h4>${coin.title}</h4>
+                <div class="text-muted">${coin.metadata.country} ${coin.metadata.year}</div>
+                <div class="text-muted">${coin.condition.grade}</div>
+                <div style="color: var(--success-color); font-weight: 600; margin-top: 8px;">
+                    ${coin.valuation.currentEstimate || `$${coin.valuation.scenarios.common.min}-${coin.valuation.scenarios.collectible.max}`}
+                </div>
+                <button class="btn btn-small btn-secondary" onclick="removeFromComparison(${coin.id})" style="margin-top: 8px;">
+                    <i class="fas fa-times"></i> Remove
+                </button>
+            </div>
+        `;
+    }
+    
+    removeFromComparison(coinId) {
+        if (this.comparisonSlots[0] && this.comparisonSlots[0].id === coinId) {
+            this.comparisonSlots[0] = null;
+            document.getElementById('comparisonSlot1').innerHTML = '<p>Select a coin to compare</p>';
+            document.getElementById('comparisonSlot1').classList.remove('has-coin');
+        } else if (this.comparisonSlots[1] && this.comparisonSlots[1].id === coinId) {
+            this.comparisonSlots[1] = null;
+            document.getElementById('comparisonSlot2').innerHTML = '<p>Select another coin to compare</p>';
+            document.getElementById('comparisonSlot2').classList.remove('has-coin');
         }
     }
+    
+    deleteImage(coinId, side) {
+        if (confirm('Are you sure you want to delete this image?')) {
+            const coin = this.coins.find(c => c.id === coinId);
+            if (coin) {
+                this.recordEdit(`Delete ${side} image of "${coin.title}"`, coinId, () => {
+                    coin.images[side] = null;
+                    coin.originals[side] = null;
 
-    // Mode Management
-    setMode(mode) {
-        this.currentMode = mode;
-        document.querySelectorAll('.mode-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.mode === mode);
-        });
-        
-        // Update cursor style for all images
-        document.querySelectorAll('.coin-image').forEach(img => {
-            img.style.cursor = mode === 'view' ? 'default' : 'crosshair';
-        });
+                    // Clear AI analysis for this side
+                    if (coin.aiAnalysis && coin.aiAnalysis[side]) {
+                        coin.aiAnalysis[side] = null;
+                    }
+                });
+                
+                this.renderCoin(coinId);
+                this.saveToStorage();
+                this.logToConsole(`Deleted ${side} image for ${coin.title}`, 'info');
+            }
+        }
     }
 
-    setQuickAnnotationType(type) {
-        this.quickAnnotationType = type;
-        this.setMode('annotate');
-        
-        // Highlight the selected annotation type
-        document.querySelectorAll('.annotation-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.textContent === type);
-        });
+    clearComparison() {
+        this.comparisonSlots = [null, null];
+        document.getElementById('comparisonSlot1').innerHTML = '<p>Select a coin to compare</p>';
+        document.getElementById('comparisonSlot2').innerHTML = '<p>Select another coin to compare</p>';
+        document.querySelectorAll('.comparison-slot').forEach(slot => slot.classList.remove('has-coin'));
     }
 
-    // Annotation Management
-    addAnnotation(coinId, side, x, y, label = null) {
-        if (this.currentMode !== 'annotate') return;
-        
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin) return;
+    // Export Functionality
+    async showExportModal() {
+        this.collectionCsv = await import('./js/collectionCsv.js');
+        this.renderExportScopeOptions();
+        this.renderCsvColumnOptions();
+        this.updateExportOptions();
+        this.showModal('exportModal');
+    }
 
-        const annotationLabel = label || this.quickAnnotationType || 'New annotation';
-        const colors = ['#f97316', '#06b6d4', '#ef4444', '#10b981', '#8b5cf6', '#f59e0b'];
-        const color = colors[coin.annotations[side].length % colors.length];
+    // The include checkboxes apply to JSON/HTML/PDF; CSV has its own columns
+    updateExportOptions() {
+        const format = document.getElementById('exportFormat').value;
+        document.getElementById('exportIncludeOptions').style.display = ['csv', 'zip'].includes(format) ? 'none' : '';
+        document.getElementById('csvColumnOptions').style.display = format === 'csv' ? '' : 'none';
+    }
 
-        const annotation = {
-            id: this.nextAnnotationId++,
-            x,
-            y,
-            label: annotationLabel,
-            color
-        };
+    // Which coins an export covers: all, those matching the filters, or the selection
+    renderExportScopeOptions() {
+        const visible = this.getVisibleCoins().length;
+        const selected = this.getSelectedCoins().length;
+        const scopes = [['all', `All coins (${this.coins.length})`]];
+        if (this.collectionFilter && this.collectionFilter.isFilterActive(this.filterState)) {
+            scopes.push(['filtered', `Coins matching the filters (${visible})`]);
+        }
+        if (selected > 0) {
+            scopes.push(['selected', `Selected coins (${selected})`]);
+        }
 
-        coin.annotations[side].push(annotation);
-        this.renderCoins();
-        this.saveToStorage();
-        
-        this.quickAnnotationType = null;
-        document.querySelectorAll('.annotation-btn').forEach(btn => btn.classList.remove('active'));
+        document.getElementById('exportScope').innerHTML = scopes.map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('') + this.renderViewChoices();
     }
 
-    updateAnnotation(annotationId, updates) {
-        this.coins.forEach(coin => {
-            ['obverse', 'reverse'].forEach(side => {
-                const annotation = coin.annotations[side].find(a => a.id === annotationId);
-                if (annotation) {
-                    Object.assign(annotation, updates);
-                }
-            });
-        });
-        this.renderCoins();
-        this.saveToStorage();
-    }
+    getExportCoins() {
+        const scope = document.getElementById('exportScope').value;
+        if (scope === 'selected') return this.getSelectedCoins();
+        if (scope === 'filtered') return this.getVisibleCoins();
 
-    removeAnnotation(annotationId) {
-        this.coins.forEach(coin => {
-            ['obverse', 'reverse'].forEach(side => {
-                coin.annotations[side] = coin.annotations[side].filter(a => a.id !== annotationId);
-            });
-        });
-        this.renderCoins();
-        this.saveToStorage();
+        // Smart set or tag; views never apply the search or sort
+        const inView = this.smartSetRules.viewFilter(scope, this.smartSets);
+        return inView ? this.coins.filter(inView) : this.coins;
     }
 
-    editAnnotation(annotationId) {
-        let annotation = null;
-        this.coins.forEach(coin => {
-            ['obverse', 'reverse'].forEach(side => {
-                const found = coin.annotations[side].find(a => a.id === annotationId);
-                if (found) annotation = found;
-            });
+    renderCsvColumnOptions() {
+        const columns = this.collectionCsv.getCsvColumns(this.coins, { fieldDefinitions: this.fieldDefinitions });
+        if (!this.csvColumnSelection) {
+            this.csvColumnSelection = new Set(columns.map(column => column.key));
+        }
+
+        const groups = {};
+        columns.forEach(column => {
+            (groups[column.group] = groups[column.group] || []).push(column);
         });
 
-        if (annotation) {
-            document.getElementById('annotationText').value = annotation.label;
-            document.getElementById('annotationColor').value = annotation.color;
-            this.selectedAnnotation = annotationId;
-            this.showModal('annotationModal');
+        document.getElementById('csvColumnList').innerHTML = Object.entries(groups).map(([group, groupColumns]) => `
+            <fieldset class="csv-column-group">
+                <legend>${group}</legend>
+                ${groupColumns.map(column => `
+                    <label title="${column.key}">
+                        <input type="checkbox" value="${column.key}" ${this.csvColumnSelection.has(column.key) ? 'checked' : ''}
+                               onchange="toggleCsvColumn(this.value, this.checked)">
+                        ${column.label}
+                    </label>
+                `).join('')}
+            </fieldset>
+        `).join('');
+    }
+
+    toggleCsvColumn(key, selected) {
+        if (selected) {
+            this.csvColumnSelection.add(key);
+        } else {
+            this.csvColumnSelection.delete(key);
         }
     }
 
-    saveAnnotation() {
-        if (this.selectedAnnotation) {
-            const label = document.getElementById('annotationText').value;
-            const color = document.getElementById('annotationColor').value;
-            
-            this.updateAnnotation(this.selectedAnnotation, { label, color });
-            this.selectedAnnotation = null;
-            this.closeModal('annotationModal');
+    setAllCsvColumns(selected) {
+        const columns = this.collectionCsv.getCsvColumns(this.coins, { fieldDefinitions: this.fieldDefinitions });
+        this.csvColumnSelection = new Set(selected ? columns.map(column => column.key) : []);
+        this.renderCsvColumnOptions();
+    }
+
+    exportCsv(coins) {
+        // Keep the column order of getCsvColumns rather than click order
+        const columnKeys = this.collectionCsv.getCsvColumns(coins, { fieldDefinitions: this.fieldDefinitions })
+            .map(column => column.key)
+            .filter(key => this.csvColumnSelection.has(key));
+        if (columnKeys.length === 0) {
+            alert('Select at least one column to export.');
+            return false;
         }
+
+        this.downloadFile(
+            this.collectionCsv.toCsv(coins, columnKeys),
+            `coin-collection-${new Date().toISOString().split('T')[0]}.csv`,
+            'text/csv'
+        );
+        this.logToConsole(`CSV exported (${coins.length} coins, ${columnKeys.length} columns)`, 'success');
+        return true;
     }
 
-    // Image Management
-    handleImageUpload(coinId, side, fileInput) {
-        const file = fileInput.files[0];
-        if (!file) {
+    async exportCollection() {
+        const format = document.getElementById('exportFormat').value;
+        const coins = this.getExportCoins();
+        if (coins.length === 0) {
+            alert('There are no coins to export.');
             return;
         }
-
-        // Ensure file is an image for main coin images
-        if (!file.type.startsWith('image/')) {
-            const errorMsg = 'Please select an image file for the coin images.';
-            alert(errorMsg);
-            this.logToConsole(errorMsg, 'error');
+        if (format === 'zip') {
+            await this.exportArchive(coins);
+            this.closeModal('exportModal');
             return;
         }
-
-        this.logToConsole(`Processing ${side} image for coin ${coinId}... (${file.name}, ${(file.size/1024).toFixed(1)}KB)`, 'info');
-        
-        // Compress and resize image to save storage space (reduce size for better performance)
-        this.compressImage(file, 600, 0.7).then(compressedDataUrl => {
-            
-            const coin = this.coins.find(c => c.id === coinId);
-            if (coin) {
-                coin.images[side] = compressedDataUrl;
-                
-                // Initialize AI analysis storage if not exists
-                if (!coin.aiAnalysis) {
-                    coin.aiAnalysis = { obverse: null, reverse: null };
-                }
-                
-                this.renderCoins();
-                this.saveToStorage();
-                
-                this.logToConsole(`${side} image processed and saved successfully`, 'success');
-                
-                // Trigger AI analysis with compressed image data URL
-                this.analyzeImage(coinId, side, compressedDataUrl);
-            } else {
-                this.logToConsole(`Error: Coin ${coinId} not found`, 'error');
+        if (format === 'csv') {
+            if (this.exportCsv(coins)) {
+                this.closeModal('exportModal');
             }
-        }).catch(error => {
-            this.logToConsole(`Failed to process ${side} image: ${error.message}`, 'error');
-            alert(`Failed to process image: ${error.message}`);
-        });
-    }
-    
-    // Compress image to reduce storage usage
-    compressImage(file, maxWidth = 600, quality = 0.7) {
-        
-        return new Promise((resolve, reject) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const img = new Image();
-            
-            img.onload = () => {
-                // Calculate new dimensions
-                let { width, height } = img;
-                if (width > maxWidth) {
-                    height = (height * maxWidth) / width;
-                    width = maxWidth;
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                // Draw and compress
-                ctx.drawImage(img, 0, 0, width, height);
-                
-                // Convert to compressed data URL
-                const compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
-                
-                // Check size reduction (only log if significant compression achieved)
-                const originalSize = file.size;
-                const compressedSize = Math.round((compressedDataUrl.length * 3) / 4); // Approximate size
-                
-                // Clean up object URL
-                URL.revokeObjectURL(img.src);
-                
-                resolve(compressedDataUrl);
-            };
-            
-            img.onerror = (error) => {
-                URL.revokeObjectURL(img.src);
-                reject(new Error('Failed to load image for compression'));
+            return;
+        }
+
+        const includeImages = document.getElementById('includeImages').checked;
+        const includeAnnotations = document.getElementById('includeAnnotations').checked;
+        const includeValuations = document.getElementById('includeValuations').checked;
+        const includeNotes = document.getElementById('includeNotes').checked;
+
+        let exportData = await Promise.all(coins.map(async coin => {
+            const exportCoin = {
+                id: coin.id,
+                title: coin.title,
+                description: coin.description,
+                metadata: coin.metadata,
+                condition: coin.condition,
+                aiAnalysis: coin.aiAnalysis,
+                tags: coin.tags,
+                customFields: coin.customFields,
+                provenance: coin.provenance,
+                created: coin.created,
+                modified: coin.modified
             };
-            
-            try {
-                img.src = URL.createObjectURL(file);
-            } catch (error) {
-                reject(new Error('Failed to create object URL for image'));
+
+            if (includeImages && format === 'json') {
+                exportCoin.images = await this.getPortableImages(coin);
+                exportCoin.originals = await this.getPortableOriginals(coin);
+                exportCoin.media = await this.getPortableMedia(coin, { withOriginals: true });
+            } else if (includeImages) {
+                exportCoin.images = await this.getReportImages(coin);
+                exportCoin.media = await this.getPortableMedia(coin);
+            }
+            if (includeAnnotations) exportCoin.annotations = coin.annotations;
+            if (includeValuations) {
+                exportCoin.valuation = coin.valuation;
+                exportCoin.acquisition = coin.acquisition;
             }
+            if (includeNotes) exportCoin.notes = coin.notes;
+
+            return exportCoin;
+        }));
+
+        this.performExport(exportData, format, {
+            includeImages,
+            includeAnnotations,
+            includeValuations,
+            includeNotes,
+            fieldDefinitions: this.fieldDefinitions
         });
+        this.closeModal('exportModal');
     }
-    
-    // AI Analysis
-    async analyzeImage(coinId, side, imageData) {
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin) return;
-        
-        try {
-            // Show loading indicator
-            this.showAIAnalysisLoading(coinId, side);
-            
-            // Import AI orchestrator dynamically
-            const { analyzeCoinImages } = await import('./js/ai-orchestrator.js');
-            
-            // Analyze the image (imageData can be File object or data URL string)
-            const results = await analyzeCoinImages([imageData], {
-                classify: true,
-                features: true,
-                authenticity: true,
-                value: true
-            });
-            
-            if (results.success && results.results && results.results.length > 0) {
-                const analysis = results.results[0];
-                
-                // Store analysis results
-                if (!coin.aiAnalysis) {
-                    coin.aiAnalysis = { obverse: null, reverse: null };
-                }
-                coin.aiAnalysis[side] = analysis;
-                
-                this.saveToStorage();
-                // Don't re-render entire coins, just update the AI analysis display
-                this.updateAIAnalysisDisplay(coinId, side, analysis);
-                
-                if (window.location.search.includes('debug=true')) {
-                    console.log(`AI Analysis complete for ${side}:`, analysis);
-                }
-            }
+
+    performExport(data, format, options = {}) {
+        let content, filename, mimeType;
+
+        switch (format) {
+            case 'json':
+                content = JSON.stringify(this.coinSchema.createExportEnvelope(data, this.fieldDefinitions, {
+                    includeImages: Boolean(options.includeImages),
+                    includeAnnotations: Boolean(options.includeAnnotations),
+                    includeValuations: Boolean(options.includeValuations),
+                    includeNotes: Boolean(options.includeNotes)
+                }), null, 2);
+                filename = `coin-collection-${new Date().toISOString().split('T')[0]}.json`;
+                mimeType = 'application/json';
+                break;
+            case 'html':
+                this.exportHtmlReport(data, options);
+                return;
+            case 'pdf':
+                this.exportPdfReport(data, options);
+                return;
+            default:
+                alert('Export format not supported yet');
+                return;
+        }
+
+        this.downloadFile(content, filename, mimeType);
+    }
+
+    async exportHtmlReport(data, options) {
+        try {
+            const htmlReport = await import('./js/htmlReport.js');
+            const content = htmlReport.createHtmlReport(data, {
+                ...options,
+                collectionName: this.getCollectionName(this.activeCollectionId),
+                getAnnotationFrame: (coinId, side) => this.measureAnnotationFrame(coinId, side)
+            });
+            this.downloadFile(content, `coin-collection-report-${new Date().toISOString().split('T')[0]}.html`, 'text/html');
+            this.logToConsole(`HTML report exported (${data.length} coins)`, 'success');
         } catch (error) {
-            console.error('AI Analysis failed:', error);
-            this.showAIAnalysisError(coinId, side, error.message);
+            console.error('HTML export failed:', error);
+            this.logToConsole(`HTML export failed: ${error.message}`, 'error');
         }
     }
-    
-    updateAIAnalysisDisplay(coinId, side, analysis) {
-        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
-        if (container && analysis) {
-            // Update just the AI analysis section without re-rendering everything
-            container.innerHTML = this.renderAIAnalysis(analysis);
+
+    async exportPdfReport(data, options) {
+        this.logToConsole(`Rendering PDF report for ${data.length} coins...`, 'info');
+
+        try {
+            const pdfReport = await import('./js/pdfReport.js');
+            const blob = await pdfReport.createPdfReport(data, {
+                ...options,
+                collectionName: this.getCollectionName(this.activeCollectionId),
+                getAnnotationFrame: (coinId, side) => this.measureAnnotationFrame(coinId, side)
+            });
+            this.downloadFile(blob, `coin-collection-report-${new Date().toISOString().split('T')[0]}.pdf`, 'application/pdf');
+            this.logToConsole(`PDF report exported (${(blob.size / (1024 * 1024)).toFixed(2)}MB)`, 'success');
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.logToConsole(`PDF export failed: ${error.message}`, 'error');
+            alert(`Could not create the PDF report: ${error.message}`);
         }
     }
-    
-    showAIAnalysisLoading(coinId, side) {
-        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
-        if (container) {
-            container.innerHTML = `
-                <div class="ai-analysis-loading">
-                    <i class="fas fa-spinner fa-spin"></i>
-                    <span>Analyzing with AI...</span>
-                </div>
-            `;
+
+    // Annotation x/y are pixels inside the image box they were placed on;
+    // reports need that box's size to put markers in the same spot
+    measureAnnotationFrame(coinId, side) {
+        const sideIndex = side === 'obverse' ? 0 : 1;
+        const own = document.querySelectorAll(`[data-coin-id="${coinId}"] .annotation-overlay`)[sideIndex];
+        const candidates = [own, ...document.querySelectorAll('.annotation-overlay')];
+
+        for (const overlay of candidates) {
+            if (overlay && overlay.offsetWidth > 0 && overlay.offsetHeight > 0) {
+                return { width: overlay.offsetWidth, height: overlay.offsetHeight };
+            }
         }
+        return null;
     }
-    
-    showAIAnalysisError(coinId, side, message) {
-        const container = document.getElementById(`ai-analysis-${side}-${coinId}`);
-        if (container) {
-            container.innerHTML = `
-                <div class="ai-analysis-error">
-                    <i class="fas fa-exclamation-triangle"></i>
-                    <span>Analysis failed: ${message}</span>
-                </div>
-            `;
+
+    // Full backup: every coin with its images and media as separate files
+    async exportArchive(coins = this.coins) {
+        const collectionName = this.getCollectionName(this.activeCollectionId) || 'My Collection';
+        this.logToConsole(`Building archive of ${coins.length} coins...`, 'info');
+
+        try {
+            const archive = await import('./js/collectionArchive.js');
+            let missingOriginals = 0;
+            const blob = await archive.createCollectionArchive(coins, {
+                collectionName,
+                fieldDefinitions: this.fieldDefinitions,
+                readOriginal: async ref => {
+                    const original = this.mediaStore ? await this.mediaStore.readOriginal(ref) : null;
+                    if (!original) missingOriginals++;
+                    return original;
+                }
+            });
+            if (missingOriginals > 0) {
+                this.logToConsole(`${missingOriginals} original photo(s) could not be reached; the archive keeps only their references`, 'warning');
+            }
+            this.downloadFile(blob, `coin-collection-${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+            this.logToConsole(`Archive exported (${(blob.size / (1024 * 1024)).toFixed(2)}MB)`, 'success');
+        } catch (error) {
+            console.error('Archive export failed:', error);
+            this.logToConsole(`Archive export failed: ${error.message}`, 'error');
+            alert(`Could not create the archive: ${error.message}`);
         }
     }
 
-    // Media Management
-    handleMediaUpload(coinId, fileInput) {
-        const files = Array.from(fileInput.files);
-        if (files.length === 0) return;
+    // Stored images are blob object URLs that only exist in this tab;
+    // exports embed them as data URLs instead
+    async getPortableImages(coin) {
+        const toDataUrl = this.collectionDb ? this.collectionDb.readImageAsDataUrl : (url) => url;
+        return {
+            obverse: coin.images.obverse ? await toDataUrl(coin.images.obverse) : null,
+            reverse: coin.images.reverse ? await toDataUrl(coin.images.reverse) : null
+        };
+    }
 
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin) return;
+    async getPortableMedia(coin, { withOriginals = false, queuedOnly = false } = {}) {
+        const toDataUrl = this.collectionDb ? this.collectionDb.readImageAsDataUrl : (url) => url;
+        const portable = async (items) => Promise.all(items.map(async item => {
+            const copy = { ...item, url: await toDataUrl(item.url) };
+            if (withOriginals && item.original) {
+                copy.original = await this.getPortableOriginal(item.original, { queuedOnly });
+            }
+            return copy;
+        }));
+        return {
+            images: await portable(coin.media.images),
+            videos: await portable(coin.media.videos)
+        };
+    }
+
+    // The coin holds only references to its full-size photos; exports carry
+    // the files too, as a data URL in the reference's url, so an import can
+    // store them again (importOriginals)
+    async getPortableOriginals(coin, options = {}) {
+        return {
+            obverse: await this.getPortableOriginal(coin.originals?.obverse, options),
+            reverse: await this.getPortableOriginal(coin.originals?.reverse, options)
+        };
+    }
+
+    /**
+     * @param {Object|null} ref - Media store reference
+     * @param {Object} [options]
+     * @param {boolean} [options.queuedOnly] - Only embed a file still waiting
+     *   to be uploaded; the others are reachable through the reference
+     */
+    async getPortableOriginal(ref, { queuedOnly = false } = {}) {
+        if (!ref || !this.mediaStore) return ref || null;
+
+        const blob = await this.mediaStore.readOriginal(ref, { queuedOnly });
+        if (!blob) {
+            if (!queuedOnly) {
+                this.logToConsole(`Original ${ref.name || ref.path} could not be reached; exporting its reference only`, 'warning');
+            }
+            return ref;
+        }
+        return { ...ref, url: await this.readBlobAsDataUrl(blob) };
+    }
 
-        if (!coin.media) {
-            coin.media = { images: [], videos: [] };
+    // Reports show the full-size photo, scaled to the largest size the PDF
+    // report embeds; the thumbnail stands in when the original is missing
+    async getReportImages(coin) {
+        const thumbnails = await this.getPortableImages(coin);
+        const images = {};
+        for (const side of ['obverse', 'reverse']) {
+            const original = coin.originals?.[side] && this.mediaStore
+                ? await this.mediaStore.readOriginal(coin.originals[side])
+                : null;
+            images[side] = original
+                ? await this.compressImage(original, 1400, 0.85).catch(() => thumbnails[side])
+                : thumbnails[side];
         }
+        return images;
+    }
 
-        files.forEach(file => {
+    readBlobAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                const mediaId = `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                const mediaType = file.type.startsWith('video/') ? 'video' : 'image';
-                
-                const mediaItem = {
-                    id: mediaId,
-                    type: mediaType,
-                    url: e.target.result,
-                    title: file.name.replace(/\.[^/.]+$/, ""), // Remove file extension
-                    description: '',
-                    uploadDate: new Date().toISOString()
-                };
-
-                if (mediaType === 'video') {
-                    coin.media.videos.push(mediaItem);
-                } else {
-                    coin.media.images.push(mediaItem);
-                }
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
 
-                this.renderCoins();
-                this.saveToStorage();
+    // Store originals an import or sync download carried as files and keep
+    // only their references in the coins
+    async importOriginals(coins) {
+        const take = async ref => {
+            if (!ref?.url) return ref;
+            if (this.mediaStore && this.featureEnabled('originals')) {
+                return this.mediaStore.importOriginal(ref);
+            }
+            const { url, ...plain } = ref;
+            return plain;
+        };
+
+        for (const coin of coins) {
+            if (coin.originals) {
+                coin.originals.obverse = await take(coin.originals.obverse);
+                coin.originals.reverse = await take(coin.originals.reverse);
+            }
+            for (const item of [...(coin.media?.images || []), ...(coin.media?.videos || [])]) {
+                if (item.original) item.original = await take(item.original);
+            }
+        }
+    }
+
+    async exportComparison() {
+        if (this.comparisonSlots[0] && this.comparisonSlots[1]) {
+            const comparisonData = {
+                coin1: { ...this.comparisonSlots[0], images: await this.getPortableImages(this.comparisonSlots[0]) },
+                coin2: { ...this.comparisonSlots[1], images: await this.getPortableImages(this.comparisonSlots[1]) },
+                comparisonDate: new Date().toISOString()
             };
-            reader.readAsDataURL(file);
+            this.downloadFile(
+                JSON.stringify(comparisonData, null, 2),
+                `coin-comparison-${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
+        }
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Import
+    showImportPicker() {
+        document.getElementById('importFileInput').click();
+    }
+
+    async importCollectionFile(file) {
+        if (!file) return;
+        this.logToConsole(`Reading import file ${file.name}`, 'info');
+
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            await this.showCsvMapping(await file.text(), file.name);
+            return;
+        }
+
+        const archive = await import('./js/collectionArchive.js');
+        if (!archive.isArchiveFile(file)) {
+            await this.previewImport(await file.text(), file.name);
+            return;
+        }
+
+        try {
+            // Object URLs would not survive a reload in the localStorage fallback
+            const { data, warnings } = await archive.readCollectionArchive(file, { dataUrls: !this.collectionDb });
+            warnings.forEach(warning => this.logToConsole(warning, 'warning'));
+            await this.previewImport(data, file.name, { allowObjectUrls: Boolean(this.collectionDb) });
+        } catch (error) {
+            this.logToConsole(`Import of ${file.name} failed: ${error.message}`, 'error');
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate exported collection data and show what importing it would do
+     * @param {string|Object} source - JSON text or parsed export
+     * @param {string} sourceName - Shown in the preview and the undo label
+     * @param {Object} [options] - Passed to parseImport()
+     */
+    async previewImport(source, sourceName, options = {}) {
+        const importer = await import('./js/collectionImport.js');
+        let parsed;
+        try {
+            parsed = importer.parseImport(source, options);
+        } catch (error) {
+            this.logToConsole(`Import of ${sourceName} failed: ${error.message}`, 'error');
+            alert(`Could not import ${sourceName}: ${error.message}`);
+            return;
+        }
+
+        parsed.log.forEach(entry => {
+            this.logToConsole(`Import schema v${entry.version}: ${entry.description} - updated ${entry.coinsChanged} coin(s)`, 'info');
+        });
+        parsed.warnings.forEach(warning => this.logToConsole(warning, 'warning'));
+        parsed.invalid.forEach(entry => {
+            this.logToConsole(`Skipping "${entry.title}": ${entry.errors.join('; ')}`, 'error');
         });
 
-        // Clear the file input
-        fileInput.value = '';
+        this.importer = importer;
+        this.pendingImport = {
+            sourceName,
+            plan: importer.planImport(this.coins, parsed.coins, { ...options, partial: options.partial || parsed.partial }),
+            invalid: parsed.invalid,
+            fieldDefinitions: parsed.fieldDefinitions
+        };
+        this.renderImportPreview();
+        this.showModal('importModal');
     }
 
-    updateMediaTitle(coinId, mediaId, title) {
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin || !coin.media) return;
+    // CSV import, step one: choose the coin field for each spreadsheet column
+    async showCsvMapping(text, sourceName) {
+        this.collectionCsv = await import('./js/collectionCsv.js');
+        let rows;
+        try {
+            rows = this.collectionCsv.parseCsv(text);
+        } catch (error) {
+            this.logToConsole(`Import of ${sourceName} failed: ${error.message}`, 'error');
+            alert(`Could not import ${sourceName}: ${error.message}`);
+            return;
+        }
+        if (rows.length < 2) {
+            alert(`${sourceName} has no data rows below its header.`);
+            return;
+        }
 
-        const allMedia = [...coin.media.images, ...coin.media.videos];
-        const media = allMedia.find(m => m.id === mediaId);
-        if (media) {
-            media.title = title;
-            this.saveToStorage();
+        const [headers, ...dataRows] = rows;
+        const columns = this.collectionCsv.getCsvColumns(this.coins, { fieldDefinitions: this.fieldDefinitions });
+        const mapping = this.collectionCsv.suggestMapping(headers, columns);
+        this.pendingCsvImport = { sourceName, headers, rows: dataRows };
+
+        document.getElementById('csvMappingSource').textContent = `${sourceName} (${dataRows.length} rows)`;
+        document.getElementById('csvMappingTable').innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr><th>CSV column</th><th>First value</th><th>Coin field</th></tr>
+                </thead>
+                <tbody>
+                    ${headers.map((header, index) => `
+                        <tr>
+                            <td>${this.escapeHtml(header)}</td>
+                            <td class="import-detail">${this.escapeHtml((dataRows.find(row => row[index]) || [])[index] || '')}</td>
+                            <td>
+                                <select class="form-input csv-mapping-select" data-column="${index}" aria-label="Field for ${this.escapeHtml(header)}">
+                                    <option value="">Ignore</option>
+                                    ${columns.map(column => `
+                                        <option value="${column.key}" ${column.key === mapping[index] ? 'selected' : ''}>${column.group}: ${column.label}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.showModal('csvMappingModal');
+    }
+
+    // CSV import, step two: build coins and continue with the usual preview
+    async applyCsvMapping() {
+        if (!this.pendingCsvImport) return;
+
+        const { sourceName, headers, rows } = this.pendingCsvImport;
+        const mapping = headers.map(() => '');
+        document.querySelectorAll('#csvMappingTable .csv-mapping-select').forEach(select => {
+            mapping[Number(select.dataset.column)] = select.value;
+        });
+
+        const mapped = mapping.filter(Boolean);
+        if (mapped.length === 0) {
+            alert('Map at least one column to a coin field.');
+            return;
+        }
+        if (new Set(mapped).size < mapped.length) {
+            alert('Each coin field can only be mapped from one column.');
+            return;
         }
+
+        this.pendingCsvImport = null;
+        this.closeModal('csvMappingModal');
+        const records = this.collectionCsv.rowsToCoins(rows, mapping);
+        await this.previewImport(records, sourceName, { partial: true });
     }
 
-    updateMediaDescription(coinId, mediaId, description) {
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin || !coin.media) return;
+    renderImportPreview() {
+        const { plan, invalid, sourceName } = this.pendingImport;
+        const statusLabels = { new: 'New', updated: 'Updated', conflict: 'Conflict', unchanged: 'Unchanged' };
+        const actionLabels = { add: 'Add', replace: 'Replace', merge: 'Merge', skip: 'Skip' };
+        const count = status => plan.filter(entry => entry.status === status).length;
 
-        const allMedia = [...coin.media.images, ...coin.media.videos];
-        const media = allMedia.find(m => m.id === mediaId);
-        if (media) {
-            media.description = description;
+        document.getElementById('importSource').textContent = sourceName;
+        document.getElementById('importSummary').innerHTML = `
+            ${Object.entries(statusLabels).map(([status, label]) => `
+                <span class="import-badge ${status}">${count(status)} ${label}</span>
+            `).join('')}
+            ${invalid.length > 0 ? `<span class="import-badge invalid">${invalid.length} Invalid</span>` : ''}
+        `;
+
+        document.getElementById('importPlan').innerHTML = plan.length > 0 ? `
+            <table class="import-table">
+                <thead>
+                    <tr><th>Status</th><th>Imported coin</th><th>Matches</th><th>Action</th></tr>
+                </thead>
+                <tbody>
+                    ${plan.map((entry, index) => `
+                        <tr>
+                            <td><span class="import-badge ${entry.status}">${statusLabels[entry.status]}</span></td>
+                            <td>
+                                ${this.escapeHtml(entry.incoming.title || 'Untitled coin')}
+                                <div class="import-detail">${this.escapeHtml([entry.incoming.metadata.year, entry.incoming.metadata.country, entry.incoming.metadata.denomination].filter(Boolean).join(' '))}</div>
+                            </td>
+                            <td>
+                                ${entry.existing ? `
+                                    #${entry.existing.id} ${this.escapeHtml(entry.existing.title)}
+                                    <div class="import-detail">by ${entry.matchedBy === 'id' ? 'id' : 'title and metadata'}${entry.reason === 'edited' ? ', edited here after export' : ''}${entry.reason === 'identity' ? ', title or metadata differ' : ''}</div>
+                                ` : '&mdash;'}
+                            </td>
+                            <td>
+                                <select class="form-input" aria-label="Import action" onchange="setImportAction(${index}, this.value)">
+                                    ${this.importer.IMPORT_ACTIONS[entry.status].map(action => `
+                                        <option value="${action}" ${action === entry.action ? 'selected' : ''}>${actionLabels[action]}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="import-detail">The file contains no importable coins.</p>';
+
+        document.getElementById('importInvalid').innerHTML = invalid.map(entry => `
+            <div class="import-invalid-item">
+                <strong>${this.escapeHtml(entry.title)}</strong>: ${this.escapeHtml(entry.errors.join('; '))}
+            </div>
+        `).join('');
+    }
+
+    setImportAction(index, action) {
+        if (!this.pendingImport) return;
+        this.pendingImport.plan[index].action = action;
+    }
+
+    // Apply one action to every coin that offers it
+    setAllImportActions(action) {
+        if (!this.pendingImport) return;
+        this.pendingImport.plan.forEach(entry => {
+            if (this.importer.IMPORT_ACTIONS[entry.status].includes(action)) {
+                entry.action = action;
+            }
+        });
+        this.renderImportPreview();
+    }
+
+    async performImport() {
+        if (!this.pendingImport) return;
+
+        const { plan, sourceName, fieldDefinitions } = this.pendingImport;
+        this.pendingImport = null;
+        await this.importOriginals(plan.filter(entry => entry.action !== 'skip').map(entry => entry.incoming));
+        const result = this.importer.resolveImport(plan, {
+            coins: this.coins,
+            meta: this.getCollectionMeta(),
+            history: this.history.toJSON()
+        });
+        const coinIds = [...result.replaced, ...result.added].map(coin => coin.id);
+
+        // Custom fields the exporting collection had and this one lacks
+        const knownFields = this.fieldDefinitions.length;
+        this.fieldDefinitions = this.customFields.mergeFieldDefinitions(this.fieldDefinitions, fieldDefinitions);
+        if (this.fieldDefinitions.length > knownFields) {
+            this.logToConsole(`Added ${this.fieldDefinitions.length - knownFields} custom field(s) from ${sourceName}`, 'info');
+            this.csvColumnSelection = null;
             this.saveToStorage();
         }
-    }
 
-    removeMedia(coinId, mediaId) {
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin || !coin.media) return;
+        if (coinIds.length > 0) {
+            this.recordEdit(`Import ${coinIds.length} coin(s) from ${sourceName}`, coinIds, () => {
+                result.replaced.forEach(coin => {
+                    const index = this.coins.findIndex(c => c.id === coin.id);
+                    this.coins[index] = coin;
+                });
+                this.coins.push(...result.added);
+            });
+            this.nextCoinId = result.nextCoinId;
+            this.nextAnnotationId = result.nextAnnotationId;
+            this.renderCoins();
+            this.saveToStorage();
+        }
 
-        coin.media.images = coin.media.images.filter(m => m.id !== mediaId);
-        coin.media.videos = coin.media.videos.filter(m => m.id !== mediaId);
-        
-        this.renderCoins();
-        this.saveToStorage();
+        this.closeModal('importModal');
+        this.logToConsole(
+            `Imported ${sourceName}: ${result.added.length} added, ${result.replaced.length} replaced or merged, ${result.skipped} skipped`,
+            'success'
+        );
     }
 
-    // Comparison Mode
-    toggleComparisonView() {
-        this.comparisonMode = !this.comparisonMode;
-        const panel = document.getElementById('comparisonPanel');
-        const button = document.getElementById('comparisonToggle');
-        
-        if (this.comparisonMode) {
-            panel.classList.remove('hidden');
-            button.innerHTML = '<i class="fas fa-times"></i> Disable Comparison View';
-        } else {
-            panel.classList.add('hidden');
-            button.innerHTML = '<i class="fas fa-columns"></i> Enable Comparison View';
-            this.comparisonSlots = [null, null];
+    // Storage Management
+    saveToStorage() {
+        // Nothing to save until the stored collection has been loaded;
+        // writing earlier would replace it with an empty one
+        if (!this.storageReady) return;
+
+        // Debounce: input/change events fire for every keystroke
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
         }
-        
-        this.renderCoins();
+        this.saveTimeout = setTimeout(() => this.flushSave(), 300);
     }
 
-    addToComparison(coinId) {
-        const coin = this.coins.find(c => c.id === coinId);
-        if (!coin) return;
+    flushSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        if (!this.storageReady) return this.pendingSave;
 
-        if (!this.comparisonSlots[0]) {
-            this.comparisonSlots[0] = coin;
-            document.getElementById('comparisonSlot1').innerHTML = this.renderComparisonSlot(coin);
-        } else if (!this.comparisonSlots[1]) {
-            this.comparisonSlots[1] = coin;
-            document.getElementById('comparisonSlot2').innerHTML = this.renderComparisonSlot(coin);
-        } else {
-            // Replace first slot
-            this.comparisonSlots[0] = coin;
-            document.getElementById('comparisonSlot1').innerHTML = this.renderComparisonSlot(coin);
+        // Serialize writes so an older snapshot never lands after a newer one
+        this.pendingSave = this.pendingSave.then(() => this.writeToStorage());
+        this.scheduleSync();
+        return this.pendingSave;
+    }
+
+    getCollectionMeta() {
+        return {
+            schemaVersion: this.coinSchema.COIN_SCHEMA_VERSION,
+            nextCoinId: this.nextCoinId,
+            nextAnnotationId: this.nextAnnotationId,
+            expandedCoins: Array.from(this.expandedCoins),
+            viewMode: this.viewMode,
+            filter: this.filterState,
+            smartSets: this.smartSets,
+            fieldDefinitions: this.fieldDefinitions,
+            sync: this.syncState
+        };
+    }
+
+    applyCollectionMeta(metaData) {
+        if (!metaData) return;
+        this.nextCoinId = metaData.nextCoinId || 1;
+        this.nextAnnotationId = metaData.nextAnnotationId || 1000;
+        this.expandedCoins = new Set(metaData.expandedCoins || []);
+        this.viewMode = VIEW_MODES[metaData.viewMode] ? metaData.viewMode : 'analysis';
+        this.smartSets = Array.isArray(metaData.smartSets) ? metaData.smartSets : [];
+        this.fieldDefinitions = Array.isArray(metaData.fieldDefinitions) ? metaData.fieldDefinitions : [];
+        this.syncState = metaData.sync && metaData.sync.name ? metaData.sync : null;
+        // A filter in the page URL (a bookmarked or shared link) wins over
+        // the stored one, but only for the collection opened on page load
+        this.filterState = this.filterFromUrl || this.collectionFilter.normalizeFilterState(metaData.filter);
+        this.filterFromUrl = null;
+    }
+
+    async writeToStorage() {
+        if (window.location.search.includes('debug=true')) {
+            console.log('saveToStorage called, coins count:', this.coins.length);
         }
-        
-        document.querySelectorAll('.comparison-slot').forEach(slot => {
-            if (slot.innerHTML.includes(coin.title)) {
-                slot.classList.add('has-coin');
+
+        if (!this.collectionDb) {
+            this.saveToLocalStorage();
+            return;
+        }
+
+        try {
+            // History first: the collection save keeps images its snapshots use
+            await this.collectionDb.saveHistory(this.activeCollectionId, this.history.toJSON());
+            await this.collectionDb.saveCollection(this.activeCollectionId, this.coins, this.getCollectionMeta());
+            this.logToConsole(`Collection saved (${this.coins.length} coins)`, 'success');
+            await this.refreshStorageEstimate();
+        } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                this.logToConsole('Storage quota exceeded during save', 'error');
+                alert('Browser storage is full. Export a backup and remove unused images or coins.');
+            } else {
+                console.error('Storage error:', error);
+                this.logToConsole(`Storage error: ${error.message}`, 'error');
             }
-        });
+        }
     }
 
-    renderComparisonSlot(coin) {
-        const image = coin.images.obverse || coin.images.reverse;
-        return `
-            <div style="text-align: center;" class="comparison-coin-content">
-                ${image ? `<img src="${image}" alt="${coin.title}" style="max-width: 100%; max-height: 150px; border-radius: 8px; margin-bottom: 12px; cursor: pointer;" onclick="openImageZoom('${coin.images.obverse ? 'obverse' : 'reverse'}', ${coin.id})">` : ''}
-                <h4>${coin.title}</h4>
-                <div class="text-muted">${coin.metadata.country} ${coin.metadata.year}</div>
-                <div class="text-muted">${coin.condition.grade}</div>
-                <div style="color: var(--success-color); font-weight: 600; margin-top: 8px;">
-                    ${coin.valuation.currentEstimate || `$${coin.valuation.scenarios.common.min}-${coin.valuation.scenarios.collectible.max}`}
-                </div>
-                <button class="btn btn-small btn-secondary" onclick="removeFromComparison(${coin.id})" style="margin-top: 8px;">
-                    <i class="fas fa-times"></i> Remove
-                </button>
-            </div>
-        `;
+    // Fallback for browsers without IndexedDB
+    saveToLocalStorage() {
+        try {
+            const dataToSave = JSON.stringify(this.coins);
+            const metaToSave = JSON.stringify(this.getCollectionMeta());
+
+            localStorage.setItem('coinCollection', dataToSave);
+            localStorage.setItem('coinCollectionMeta', metaToSave);
+
+            const estimatedSize = (dataToSave.length + metaToSave.length) * 2; // UTF-16 encoding
+            this.logToConsole(`Storage saved to localStorage (${(estimatedSize / (1024 * 1024)).toFixed(2)}MB)`, 'success');
+            this.updateStorageStatus(estimatedSize);
+        } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                this.logToConsole('localStorage quota exceeded during save', 'error');
+                alert('Storage quota exceeded! Please delete some coins or images.');
+            } else {
+                console.error('Storage error:', error);
+                this.logToConsole(`Storage error: ${error.message}`, 'error');
+            }
+        }
     }
-    
-    removeFromComparison(coinId) {
-        if (this.comparisonSlots[0] && this.comparisonSlots[0].id === coinId) {
-            this.comparisonSlots[0] = null;
-            document.getElementById('comparisonSlot1').innerHTML = '<p>Select a coin to compare</p>';
-            document.getElementById('comparisonSlot1').classList.remove('has-coin');
-        } else if (this.comparisonSlots[1] && this.comparisonSlots[1].id === coinId) {
-            this.comparisonSlots[1] = null;
-            document.getElementById('comparisonSlot2').innerHTML = '<p>Select another coin to compare</p>';
-            document.getElementById('comparisonSlot2').classList.remove('has-coin');
+
+    async refreshStorageEstimate() {
+        const estimate = this.collectionDb ? await this.collectionDb.estimateStorage() : null;
+        if (estimate && estimate.quota) {
+            this.updateStorageStatus(estimate.usage, estimate.quota);
         }
     }
-    
-    deleteImage(coinId, side) {
-        if (confirm('Are you sure you want to delete this image?')) {
-            const coin = this.coins.find(c => c.id === coinId);
-            if (coin) {
-                coin.images[side] = null;
-                
-                // Clear AI analysis for this side
-                if (coin.aiAnalysis && coin.aiAnalysis[side]) {
-                    coin.aiAnalysis[side] = null;
+
+    updateStorageStatus(usedBytes, quotaBytes = 5 * 1024 * 1024) {
+        const usedMB = (usedBytes / (1024 * 1024)).toFixed(2);
+        const quotaMB = (quotaBytes / (1024 * 1024)).toFixed(0);
+        const percentage = Math.min((usedBytes / quotaBytes) * 100, 100);
+
+        this.updateServiceStatus('storage', 'ready', Math.round(percentage), `${usedMB}MB of ${quotaMB}MB used`);
+
+        if (percentage > 80) {
+            this.logToConsole(`Storage usage high: ${usedMB}MB (${percentage.toFixed(1)}%)`, 'warning');
+        }
+    }
+
+    async loadFromStorage() {
+        this.coinSchema = await import('./js/coinSchema.js');
+        this.editHistory = await import('./js/editHistory.js');
+        this.history = new this.editHistory.EditHistory();
+        this.collectionFilter = await import('./js/collectionFilter.js');
+        this.virtualList = await import('./js/virtualList.js');
+        this.coinTags = await import('./js/coinTags.js');
+        this.smartSetRules = await import('./js/smartSets.js');
+        this.customFields = await import('./js/customFields.js');
+        this.provenance = await import('./js/provenance.js');
+        this.collectionStats = await import('./js/collectionStats.js');
+        this.grading = await import('./js/grading.js');
+        this.conditionAssessment = await import('./js/conditionAssessment.js');
+        this.mediaStore = await import('./js/mediaStore.js');
+        this.collectionSync = await import('./js/collectionSync.js');
+        this.auditLog = await import('./js/auditLog.js');
+        this.filterFromUrl = this.collectionFilter.filterStateFromQuery(window.location.search);
+        this.filterState = this.filterFromUrl || this.collectionFilter.normalizeFilterState();
+
+        let openError = null;
+        try {
+            const collectionDb = await import('./js/collectionDb.js');
+            if (!collectionDb.isCollectionDbSupported()) {
+                throw new Error('IndexedDB is not supported in this browser');
+            }
+            await collectionDb.openCollectionDb();
+            this.collectionDb = collectionDb;
+        } catch (error) {
+            // The database is there but cannot be used right now (another
+            // tab holds it, or a newer version wrote it); the localStorage
+            // fallback would show an empty collection instead
+            if (error.name === 'BlockedError' || error.name === 'VersionError') {
+                openError = error;
+            } else {
+                this.logToConsole(`IndexedDB unavailable, using localStorage: ${error.message}`, 'warning');
+            }
+        }
+
+        try {
+            if (openError) {
+                throw openError;
+            } else if (this.collectionDb) {
+                await this.openCollection(await this.collectionDb.getActiveCollectionId());
+                this.collectionDb.requestPersistentStorage();
+            } else {
+                const schemaChanged = this.migrateCoins(this.loadFromLocalStorage());
+                this.storageReady = true;
+                this.updateHistoryControls();
+                if (schemaChanged) {
+                    this.saveToStorage();
                 }
-                
-                this.renderCoins();
-                this.saveToStorage();
-                this.logToConsole(`Deleted ${side} image for ${coin.title}`, 'info');
+                this.syncCollection();
             }
+        } catch (error) {
+            this.reportLoadFailure(error);
         }
-    }
 
-    clearComparison() {
-        this.comparisonSlots = [null, null];
-        document.getElementById('comparisonSlot1').innerHTML = '<p>Select a coin to compare</p>';
-        document.getElementById('comparisonSlot2').innerHTML = '<p>Select another coin to compare</p>';
-        document.querySelectorAll('.comparison-slot').forEach(slot => slot.classList.remove('has-coin'));
+        await this.refreshCollectionList();
+        await this.refreshStorageEstimate();
     }
 
-    // Export Functionality
-    showExportModal() {
-        this.showModal('exportModal');
+    // The stored collection could not be read (saved by a newer version, or
+    // the database failed). Show an empty page and keep saving off, so the
+    // stored data is not overwritten.
+    reportLoadFailure(error) {
+        console.error('Collection load error:', error);
+        this.storageReady = false;
+        this.loadFailed = true;
+        this.coins = [];
+        this.history.clear();
+        this.updateHistoryControls();
+        this.logToConsole(`Could not load the collection: ${error.message}. Changes will not be saved.`, 'error');
+        alert(`Could not load the collection: ${error.message}\n\nChanges made now will not be saved, so the stored collection stays as it is.`);
     }
 
-    exportCollection() {
-        const format = document.getElementById('exportFormat').value;
-        const includeImages = document.querySelector('#exportModal input[type="checkbox"]:nth-child(1)').checked;
-        const includeAnnotations = document.querySelector('#exportModal input[type="checkbox"]:nth-child(2)').checked;
-        const includeValuations = document.querySelector('#exportModal input[type="checkbox"]:nth-child(3)').checked;
-        const includeNotes = document.querySelector('#exportModal input[type="checkbox"]:nth-child(4)').checked;
+    // Load a named collection from IndexedDB and make it the active one
+    async openCollection(collectionId) {
+        const { coins, meta, migrated } = await this.collectionDb.loadCollection(collectionId);
+        this.activeCollectionId = collectionId;
+        this.coins = coins;
+        this.auditTimelines.clear();
+        this.auditFilters.clear();
+        this.applyCollectionMeta(meta || {});
+        this.history.load(await this.collectionDb.loadHistory(collectionId));
+
+        if (migrated) {
+            this.logToConsole(`Migrated ${coins.length} coins from localStorage to IndexedDB`, 'success');
+        }
 
-        let exportData = this.coins.map(coin => {
-            const exportCoin = {
-                id: coin.id,
-                title: coin.title,
-                description: coin.description,
-                metadata: coin.metadata,
-                condition: coin.condition,
-                created: coin.created,
-                modified: coin.modified
-            };
+        // A collection with no stored metadata is new and already current
+        const storedSchemaVersion = meta ? meta.schemaVersion || 0 : this.coinSchema.COIN_SCHEMA_VERSION;
+        const schemaChanged = this.migrateCoins(storedSchemaVersion);
 
-            if (includeImages) exportCoin.images = coin.images;
-            if (includeAnnotations) exportCoin.annotations = coin.annotations;
-            if (includeValuations) exportCoin.valuation = coin.valuation;
-            if (includeNotes) exportCoin.notes = coin.notes;
+        await this.collectionDb.setActiveCollectionId(collectionId);
+        this.storageReady = true;
+        this.updateHistoryControls();
+        if (schemaChanged) {
+            this.saveToStorage();
+        }
 
-            return exportCoin;
+        // Pull what other devices changed since this one last synced
+        clearTimeout(this.syncTimeout);
+        this.syncStatusText = '';
+        this.syncCollection();
+    }
+
+    // Bring coins saved with an older schema up to date, logging each step
+    migrateCoins(fromVersion) {
+        const { log, schemaVersion } = this.coinSchema.migrateCollection(this.coins, fromVersion);
+
+        log.forEach(entry => {
+            this.logToConsole(
+                `Schema v${entry.version}: ${entry.description} - updated ${entry.coinsChanged} coin(s) (${entry.fields.join(', ')})`,
+                'info'
+            );
         });
 
-        this.performExport(exportData, format);
-        this.closeModal('exportModal');
+        if (fromVersion < schemaVersion) {
+            this.logToConsole(`Collection schema upgraded from v${fromVersion} to v${schemaVersion}`, 'success');
+            // Snapshots in the undo history still have the old shape
+            this.history.clear();
+            return true;
+        }
+        return false;
     }
 
-    performExport(data, format) {
-        let content, filename, mimeType;
+    loadFromLocalStorage() {
+        const stored = localStorage.getItem('coinCollection');
+        const meta = localStorage.getItem('coinCollectionMeta');
 
-        switch (format) {
-            case 'json':
-                content = JSON.stringify(data, null, 2);
-                filename = `coin-collection-${new Date().toISOString().split('T')[0]}.json`;
-                mimeType = 'application/json';
-                break;
-            case 'csv':
-                content = this.convertToCSV(data);
-                filename = `coin-collection-${new Date().toISOString().split('T')[0]}.csv`;
-                mimeType = 'text/csv';
-                break;
-            case 'html':
-                content = this.generateHTMLReport(data);
-                filename = `coin-collection-report-${new Date().toISOString().split('T')[0]}.html`;
-                mimeType = 'text/html';
-                break;
-            default:
-                alert('Export format not supported yet');
-                return;
+        if (stored) {
+            this.coins = JSON.parse(stored);
         }
 
-        this.downloadFile(content, filename, mimeType);
+        if (meta) {
+            const metaData = JSON.parse(meta);
+            this.applyCollectionMeta(metaData);
+            return metaData.schemaVersion || 0;
+        }
+        return 0;
+    }
+
+    // Collections
+    async refreshCollectionList() {
+        this.collections = this.collectionDb ? await this.collectionDb.listCollections() : [];
+        this.renderCollectionSelect();
+        this.renderCollectionsManager();
     }
 
-    convertToCSV(data) {
-        const headers = ['ID', 'Title', 'Country', 'Year', 'Denomination', 'Metal', 'Grade', 'Estimate', 'Notes'];
-        const rows = data.map(coin => [
-            coin.id,
-            coin.title,
-            coin.metadata.country,
-            coin.metadata.year,
-            coin.metadata.denomination,
-            coin.metadata.metal,
-            coin.condition.grade,
-            coin.valuation?.currentEstimate || '',
-            coin.notes?.replace(/\n/g, ' ') || ''
-        ]);
+    getCollectionName(collectionId) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        return collection ? collection.name : collectionId;
+    }
 
-        return [headers, ...rows].map(row => 
-            row.map(cell => `"${cell}"`).join(',')
-        ).join('\n');
+    // Collection names are user text rendered into markup
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
-    generateHTMLReport(data) {
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Coin Collection Report</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; }
-        .coin { margin-bottom: 40px; border-bottom: 1px solid #ccc; padding-bottom: 20px; }
-        .coin-title { font-size: 1.5em; font-weight: bold; margin-bottom: 10px; }
-        .metadata { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; }
-        .metadata-item { margin-bottom: 5px; }
-        .label { font-weight: bold; }
-        .notes { margin-top: 10px; padding: 10px; background: #f5f5f5; border-radius: 4px; }
-    </style>
-</head>
-<body>
-    <h1>Coin Collection Report</h1>
-    <p>Generated on: ${new Date().toLocaleDateString()}</p>
-    <p>Total Coins: ${data.length}</p>
-    
-    ${data.map(coin => `
-        <div class="coin">
-            <div class="coin-title">${coin.title}</div>
-            <div class="metadata">
-                <div class="metadata-item"><span class="label">Country:</span> ${coin.metadata.country}</div>
-                <div class="metadata-item"><span class="label">Year:</span> ${coin.metadata.year}</div>
-                <div class="metadata-item"><span class="label">Denomination:</span> ${coin.metadata.denomination}</div>
-                <div class="metadata-item"><span class="label">Metal:</span> ${coin.metadata.metal}</div>
-                <div class="metadata-item"><span class="label">Grade:</span> ${coin.condition.grade}</div>
-                <div class="metadata-item"><span class="label">Estimate:</span> ${coin.valuation?.currentEstimate || 'Not specified'}</div>
-            </div>
-            ${coin.notes ? `<div class="notes"><strong>Notes:</strong> ${coin.notes}</div>` : ''}
-        </div>
-    `).join('')}
-</body>
-</html>
-        `;
+    renderCollectionSelect() {
+        const select = document.getElementById('collectionSelect');
+        if (!select) return;
+
+        select.disabled = !this.collectionDb;
+        select.innerHTML = this.collections.length > 0
+            ? this.collections.map(c => `
+                <option value="${c.id}" ${c.id === this.activeCollectionId ? 'selected' : ''}>${this.escapeHtml(c.name)}</option>
+            `).join('')
+            : '<option>My Collection</option>';
     }
 
-    exportComparison() {
-        if (this.comparisonSlots[0] && this.comparisonSlots[1]) {
-            const comparisonData = {
-                coin1: this.comparisonSlots[0],
-                coin2: this.comparisonSlots[1],
-                comparisonDate: new Date().toISOString()
-            };
-            this.performExport([comparisonData], 'json');
+    renderCollectionsManager() {
+        const list = document.getElementById('collectionsList');
+        if (!list) return;
+
+        if (!this.collectionDb) {
+            list.innerHTML = '<p class="collections-empty">Multiple collections need IndexedDB, which this browser does not provide.</p>';
+            return;
         }
+
+        list.innerHTML = this.collections.map(c => `
+            <div class="collection-row ${c.id === this.activeCollectionId ? 'active' : ''}">
+                <input type="text" class="form-input" value="${this.escapeHtml(c.name)}"
+                       onchange="renameCollection('${c.id}', this.value)">
+                <span class="collection-count">${c.coinCount} coin${c.coinCount === 1 ? '' : 's'}</span>
+                <button class="btn btn-outline btn-small" onclick="switchCollection('${c.id}')"
+                        ${c.id === this.activeCollectionId ? 'disabled' : ''}>Open</button>
+                <button class="btn btn-outline btn-small" onclick="deleteCollection('${c.id}')">Delete</button>
+            </div>
+        `).join('');
+
+        this.renderSyncSettings();
+
+        const options = this.collections.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('');
+        ['mergeSourceSelect', 'mergeTargetSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const previous = select.value;
+            select.innerHTML = options;
+            if (this.collections.some(c => c.id === previous)) {
+                select.value = previous;
+            } else if (id === 'mergeTargetSelect') {
+                select.value = this.activeCollectionId;
+            }
+        });
     }
 
-    downloadFile(content, filename, mimeType) {
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    // Collection Sync
+    // Push local edits a few seconds after they are saved, so a burst of
+    // edits goes up as one upload
+    scheduleSync() {
+        if (!this.syncState?.enabled || !this.collectionSync || !this.featureEnabled('sync')) return;
+
+        clearTimeout(this.syncTimeout);
+        this.syncTimeout = setTimeout(() => {
+            if (this.collectionSync.hasLocalChanges(this.coins, this.syncState?.base)) {
+                this.syncCollection();
+            }
+        }, 5000);
     }
 
-    // Storage Management
-    async saveToStorage() {
-        if (window.location.search.includes('debug=true')) {
-            console.log('saveToStorage called, coins count:', this.coins.length);
+    // Two-way sync of the open collection (js/collectionSync.js)
+    syncCollection() {
+        if (!this.syncState?.enabled || !this.collectionSync || !this.storageReady || !this.featureEnabled('sync')) {
+            return Promise.resolve();
         }
+        if (this.syncRunning) return this.syncRunning;
+
+        clearTimeout(this.syncTimeout);
+        this.syncRunning = this.runSync().finally(() => {
+            this.syncRunning = null;
+        });
+        return this.syncRunning;
+    }
+
+    async runSync() {
+        const collectionId = this.activeCollectionId;
+        const state = this.syncState;
+        const snapshot = this.coins.slice();
+        const snapshotModified = new Map(snapshot.map(coin => [String(coin.id), coin.modified]));
+        this.setSyncStatus('Syncing...');
+
         try {
-            // Check storage quota before saving
-            const dataToSave = JSON.stringify(this.coins);
-            const metaToSave = JSON.stringify({
-                nextCoinId: this.nextCoinId,
-                nextAnnotationId: this.nextAnnotationId,
-                expandedCoins: Array.from(this.expandedCoins)
+            const storage = await import('./js/storage.js');
+            const merge = await import('./js/collectionMerge.js');
+            const result = await this.collectionSync.syncCollection({
+                coins: snapshot,
+                state,
+                remote: this.collectionSync.datasetRemote(storage, state.name),
+                device: this.getSyncDevice(),
+                resolveConflicts: conflicts => this.showSyncConflicts(conflicts),
+                renumber: (coins, taken) => {
+                    const remapped = merge.remapIds(coins, {
+                        ...merge.collectUsedIds([...this.coins, ...taken], this.history.toJSON()),
+                        nextCoinId: this.nextCoinId,
+                        nextAnnotationId: this.nextAnnotationId
+                    });
+                    return remapped.coins;
+                },
+                // Originals already in the media bucket are reached through
+                // their references on every device
+                toPortable: async coin => ({
+                    ...coin,
+                    images: await this.getPortableImages(coin),
+                    originals: await this.getPortableOriginals(coin, { queuedOnly: true }),
+                    media: await this.getPortableMedia(coin, { withOriginals: true, queuedOnly: true })
+                })
             });
-            
-            // Estimate storage size (rough calculation)
-            const estimatedSize = (dataToSave.length + metaToSave.length) * 2; // UTF-16 encoding
-            const sizeMB = (estimatedSize / (1024 * 1024)).toFixed(2);
-            
-            if (window.location.search.includes('debug=true')) {
-                console.log('Storage size estimate:', { sizeMB, estimatedSize });
-            }
-            
-            // Check if we're approaching localStorage limit (usually 5-10MB)
-            if (estimatedSize > 4 * 1024 * 1024) { // 4MB threshold
-                this.logToConsole(`Storage size (${sizeMB}MB) approaching limit, compressing...`, 'warning');
-                await this.handleStorageQuotaExceeded();
+
+            await this.importOriginals(result.put);
+
+            // Another collection was opened, or sync was turned off or renamed, meanwhile
+            if (collectionId !== this.activeCollectionId || state !== this.syncState) return;
+
+            if (result.status === 'postponed' && result.reason === 'busy') {
+                this.logToConsole('Sync postponed: another device kept changing the synced collection', 'warning');
+                this.setSyncStatus('Another device is syncing; try Sync Now again shortly');
                 return;
             }
-            
-            localStorage.setItem('coinCollection', dataToSave);
-            localStorage.setItem('coinCollectionMeta', metaToSave);
-            
-            if (window.location.search.includes('debug=true')) {
-                console.log('Data saved to localStorage successfully');
+            if (result.status === 'postponed') {
+                this.logToConsole(`Sync postponed: ${result.conflicts} conflict(s) to settle`, 'warning');
+                this.setSyncStatus(`${result.conflicts} conflict(s) waiting; use Sync Now to settle them`);
+                return;
             }
-            this.logToConsole(`Storage saved successfully (${sizeMB}MB)`, 'success');
-            this.updateStorageStatus(estimatedSize);
+            this.applySyncResult(result, snapshotModified, merge);
         } catch (error) {
-            if (error.name === 'QuotaExceededError') {
-                this.logToConsole('Storage quota exceeded during save', 'error');
-                await this.handleStorageQuotaExceeded();
+            console.error('Sync failed:', error);
+            this.logToConsole(`Sync failed: ${error.message}`, 'error');
+            this.setSyncStatus(`Sync failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store what the other devices changed. A coin edited here while the sync
+     * was running keeps the local edit and its old base, so the next sync
+     * sees both changes and asks which to keep.
+     */
+    applySyncResult(result, snapshotModified, merge) {
+        const base = { ...result.state.base };
+        const editedMeanwhile = id => {
+            const current = this.coins.find(coin => String(coin.id) === id);
+            return (current ? current.modified : undefined) !== snapshotModified.get(id);
+        };
+        const keepLocal = id => {
+            if (this.syncState.base[id] === undefined) delete base[id];
+            else base[id] = this.syncState.base[id];
+        };
+
+        const changes = [];
+        result.put.forEach(coin => {
+            const id = String(coin.id);
+            if (editedMeanwhile(id)) return keepLocal(id);
+
+            const index = this.coins.findIndex(c => String(c.id) === id);
+            changes.push({ coinId: coin.id, before: index !== -1 ? structuredClone(this.coins[index]) : null, after: structuredClone(coin) });
+            if (index !== -1) {
+                this.coins[index] = coin;
             } else {
-                console.error('Storage error:', error);
-                this.logToConsole(`Storage error: ${error.message}`, 'error');
+                this.coins.push(coin);
             }
+        });
+        result.remove.forEach(id => {
+            if (editedMeanwhile(id)) return keepLocal(id);
+
+            const index = this.coins.findIndex(c => String(c.id) === id);
+            if (index === -1) return;
+            changes.push({ coinId: this.coins[index].id, before: structuredClone(this.coins[index]), after: null });
+            this.coins.splice(index, 1);
+        });
+
+        // Ids handed out on the other devices are taken here too
+        const ids = this.coins.map(coin => coin.id).filter(Number.isFinite);
+        this.nextCoinId = Math.max(this.nextCoinId, ...ids.map(id => id + 1));
+        const annotationIds = merge.collectAnnotationIds(this.coins);
+        this.nextAnnotationId = Math.max(this.nextAnnotationId, ...annotationIds.filter(Number.isFinite).map(id => id + 1));
+
+        this.syncState = { ...result.state, base };
+        this.recordAudit('Sync from another device', changes);
+        if (changes.length > 0) {
+            this.renderCoins();
         }
+        this.flushSave();
+
+        const summary = [
+            changes.length > 0 ? `${changes.length} coin(s) updated from other devices` : '',
+            result.pushed ? 'changes uploaded' : ''
+        ].filter(Boolean).join(', ');
+        this.logToConsole(`Collection synced${summary ? `: ${summary}` : ''}`, 'success');
+        this.setSyncStatus('');
     }
-    
-    updateStorageStatus(usedBytes) {
-        const usedMB = (usedBytes / (1024 * 1024)).toFixed(2);
-        const maxMB = 5; // Approximate localStorage limit
-        const percentage = Math.min((usedBytes / (maxMB * 1024 * 1024)) * 100, 100);
-        
-        this.updateServiceStatus('storage', 'ready', percentage, `${usedMB}MB used`);
-        
-        if (percentage > 80) {
-            this.logToConsole(`Storage usage high: ${usedMB}MB (${percentage.toFixed(1)}%)`, 'warning');
+
+    getSyncDevice() {
+        let device = localStorage.getItem('coinSyncDevice');
+        if (!device) {
+            device = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            localStorage.setItem('coinSyncDevice', device);
         }
+        return device;
     }
-    
-    async handleStorageQuotaExceeded() {
-        this.logToConsole('Storage quota exceeded! Compressing images...', 'warning');
-        
-        // Compress images in all coins
-        let compressionApplied = false;
-        
-        for (const coin of this.coins) {
-            // Compress main images
-            if (coin.images.obverse && coin.images.obverse.length > 100000) {
-                coin.images.obverse = await this.compressDataUrl(coin.images.obverse);
-                compressionApplied = true;
-            }
-            if (coin.images.reverse && coin.images.reverse.length > 100000) {
-                coin.images.reverse = await this.compressDataUrl(coin.images.reverse);
-                compressionApplied = true;
-            }
-            
-            // Compress media images
-            if (coin.media && coin.media.images) {
-                for (const media of coin.media.images) {
-                    if (media.data && media.data.length > 100000) {
-                        media.data = await this.compressDataUrl(media.data);
-                        compressionApplied = true;
-                    }
-                }
-            }
-        }
-        
-        if (compressionApplied) {
-            this.logToConsole('Images compressed, retrying save...', 'info');
+
+    setCollectionSync(enabled) {
+        if (enabled) {
+            const name = document.getElementById('syncName').value.trim() || this.getCollectionName(this.activeCollectionId);
             try {
-                localStorage.setItem('coinCollection', JSON.stringify(this.coins));
-                localStorage.setItem('coinCollectionMeta', JSON.stringify({
-                    nextCoinId: this.nextCoinId,
-                    nextAnnotationId: this.nextAnnotationId,
-                    expandedCoins: Array.from(this.expandedCoins)
-                }));
-                this.logToConsole('Storage saved after compression', 'success');
-            } catch (retryError) {
-                this.logToConsole('Storage still exceeded after compression. Consider using fewer/smaller images.', 'error');
-                alert('Storage quota exceeded! Please delete some images or use smaller file sizes.');
+                this.collectionSync.syncFileName(name);
+            } catch (error) {
+                alert(error.message);
+                this.renderSyncSettings();
+                return;
             }
-        } else {
-            this.logToConsole('No images to compress. Storage quota exceeded.', 'error');
-            alert('Storage quota exceeded! Please delete some coins or images.');
+            // Turning sync back on under the same name keeps the base, so
+            // edits made meanwhile are not mistaken for conflicts
+            this.syncState = this.syncState && this.syncState.name === name
+                ? { ...this.syncState, enabled: true }
+                : this.collectionSync.createSyncState(name);
+            this.logToConsole(`Sync turned on for "${this.getCollectionName(this.activeCollectionId)}" as "${name}"`, 'info');
+            this.syncCollection();
+        } else if (this.syncState) {
+            clearTimeout(this.syncTimeout);
+            this.syncState = { ...this.syncState, enabled: false };
+            this.logToConsole('Sync turned off; the synced copy is left in the bucket', 'info');
         }
+        this.saveToStorage();
+        this.renderSyncSettings();
     }
-    
-    // Synchronous compression for data URLs
-    compressDataUrl(dataUrl, quality = 0.6) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const img = new Image();
-            
-            img.onload = () => {
-                // Calculate new dimensions (max 600px for storage compression)
-                const maxSize = 600;
-                let { width, height } = img;
-                
-                if (width > height && width > maxSize) {
-                    height = (height * maxSize) / width;
-                    width = maxSize;
-                } else if (height > maxSize) {
-                    width = (width * maxSize) / height;
-                    height = maxSize;
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                ctx.drawImage(img, 0, 0, width, height);
-                resolve(canvas.toDataURL('image/jpeg', quality));
-            };
-            
-            img.src = dataUrl;
-        });
+
+    // A new name is a different synced copy, so nothing is known about it yet
+    setSyncName(name) {
+        const trimmed = name.trim();
+        if (!this.syncState || !trimmed || trimmed === this.syncState.name) return;
+        try {
+            this.collectionSync.syncFileName(trimmed);
+        } catch (error) {
+            alert(error.message);
+            this.renderSyncSettings();
+            return;
+        }
+        this.syncState = { ...this.collectionSync.createSyncState(trimmed), enabled: this.syncState.enabled };
+        this.saveToStorage();
+        this.syncCollection();
     }
-    
-    compressImage(dataUrl, quality = 0.7) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const img = new Image();
-            
-            img.onload = () => {
-                // Calculate new dimensions (max 800px)
-                const maxSize = 800;
-                let { width, height } = img;
-                
-                if (width > height && width > maxSize) {
-                    height = (height * maxSize) / width;
-                    width = maxSize;
-                } else if (height > maxSize) {
-                    width = (width * maxSize) / height;
-                    height = maxSize;
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                ctx.drawImage(img, 0, 0, width, height);
-                resolve(canvas.toDataURL('image/jpeg', quality));
-            };
-            
-            img.src = dataUrl;
+
+    setSyncStatus(text) {
+        this.syncStatusText = text;
+        this.renderSyncSettings();
+    }
+
+    renderSyncSettings() {
+        const enabled = document.getElementById('syncEnabled');
+        if (!enabled) return;
+
+        const available = this.featureEnabled('sync');
+        enabled.checked = Boolean(this.syncState?.enabled);
+        enabled.disabled = !available;
+        const nameInput = document.getElementById('syncName');
+        if (document.activeElement !== nameInput) {
+            nameInput.value = this.syncState?.name || '';
+        }
+        document.getElementById('syncNowButton').disabled = !this.syncState?.enabled || !available;
+
+        const lastSynced = this.syncState?.lastSynced;
+        document.getElementById('syncStatus').textContent = !available ? 'Sync is turned off in Settings' : this.syncStatusText ||
+            (this.syncState?.enabled ? (lastSynced ? `Last synced ${new Date(lastSynced).toLocaleString()}` : 'Not synced yet') : '');
+    }
+
+    /**
+     * Ask which version of each coin changed on both sides to keep
+     * @returns {Promise<Object|null>} coin id -> "local", "remote" or "both"; null for later
+     */
+    showSyncConflicts(conflicts) {
+        const describe = (coin, where) => coin
+            ? `${where} version, edited ${new Date(coin.modified).toLocaleString()}`
+            : `Deleted on ${where === 'This device' ? 'this device' : 'the other device'}`;
+
+        document.getElementById('syncConflictList').innerHTML = conflicts.map(conflict => {
+            const coin = conflict.local || conflict.remote;
+            const fields = conflict.local && conflict.remote
+                ? [...new Set([
+                    ...(conflict.local.title !== conflict.remote.title ? ['Title'] : []),
+                    ...this.auditLog.diffCoin(conflict.remote, conflict.local).map(change => this.auditFieldName(change.field))
+                ])]
+                : [];
+            // Suggest the newer version; coins added on both devices only
+            // share an id, so keep both
+            const localNewer = !conflict.remote || (conflict.local && conflict.local.modified >= conflict.remote.modified);
+            const choice = (value, label, checked) => `
+                <label class="wizard-choice">
+                    <input type="radio" name="syncChoice_${conflict.id}" value="${value}" ${checked ? 'checked' : ''}>
+                    <span>${this.escapeHtml(label)}</span>
+                </label>
+            `;
+            return `
+                <fieldset class="wizard-group">
+                    <legend>${this.escapeHtml(coin.title || `Coin ${conflict.id}`)}</legend>
+                    ${fields.length > 0 ? `<p class="collection-hint">Differs in: ${this.escapeHtml(fields.slice(0, 6).join(', '))}${fields.length > 6 ? ', ...' : ''}</p>` : ''}
+                    ${choice('local', describe(conflict.local, 'This device'), !conflict.bothNew && localNewer)}
+                    ${choice('remote', describe(conflict.remote, 'Other device'), !conflict.bothNew && !localNewer)}
+                    ${conflict.bothNew ? choice('both', 'Keep both as separate coins', true) : ''}
+                </fieldset>
+            `;
+        }).join('');
+
+        this.showModal('syncConflictModal');
+        return new Promise(resolve => {
+            this.syncConflictResolver = { conflicts, resolve };
         });
     }
 
-    loadFromStorage() {
-        const stored = localStorage.getItem('coinCollection');
-        const meta = localStorage.getItem('coinCollectionMeta');
-        
-        if (stored) {
-            this.coins = JSON.parse(stored);
+    resolveSyncConflicts(apply) {
+        const pending = this.syncConflictResolver;
+        const choices = pending && apply
+            ? Object.fromEntries(pending.conflicts.map(conflict => {
+                const checked = document.querySelector(`input[name="syncChoice_${conflict.id}"]:checked`);
+                return [conflict.id, checked ? checked.value : (conflict.bothNew ? 'both' : 'local')];
+            }))
+            : null;
+        this.settleSyncConflicts(choices);
+        this.closeModal('syncConflictModal');
+    }
+
+    // The sync waits on the dialog; closing it any other way (Escape, a
+    // collection switch) counts as "Decide Later"
+    settleSyncConflicts(choices) {
+        const pending = this.syncConflictResolver;
+        this.syncConflictResolver = null;
+        if (pending) pending.resolve(choices);
+    }
+
+    async switchCollection(collectionId) {
+        if (!this.collectionDb || collectionId === this.activeCollectionId) return;
+
+        // Finish writing the current collection before its coins are replaced
+        await this.flushSave();
+        const previousId = this.activeCollectionId;
+        this.closeModal('syncConflictModal');
+        this.storageReady = false;
+        this.selectedAnnotation = null;
+        this.comparisonSlots = [null, null];
+        this.selectedCoins.clear();
+        this.lastSelectedCoinId = null;
+
+        try {
+            await this.openCollection(collectionId);
+        } catch (error) {
+            this.logToConsole(`Could not open collection: ${error.message}`, 'error');
+            try {
+                await this.openCollection(previousId);
+            } catch (reopenError) {
+                this.reportLoadFailure(reopenError);
+            }
+        }
+
+        // Coin ids repeat across collections, so start the card list afresh
+        if (this.coinList) {
+            this.coinList.destroy();
+            this.coinList = null;
+        }
+        this.destroyGalleryList();
+        await this.setViewMode(this.viewMode);
+        await this.refreshCollectionList();
+        this.logToConsole(`Opened collection "${this.getCollectionName(collectionId)}" (${this.coins.length} coins)`, 'info');
+    }
+
+    async createCollection(name) {
+        if (!this.collectionDb) return;
+
+        const collection = await this.collectionDb.createCollection(name);
+        this.logToConsole(`Created collection "${collection.name}"`, 'success');
+        await this.switchCollection(collection.id);
+    }
+
+    async renameCollection(collectionId, name) {
+        if (!this.collectionDb || !name.trim()) return;
+
+        const collection = await this.collectionDb.renameCollection(collectionId, name);
+        await this.refreshCollectionList();
+        this.logToConsole(`Renamed collection to "${collection.name}"`, 'info');
+    }
+
+    async deleteCollection(collectionId) {
+        if (!this.collectionDb) return;
+
+        const name = this.getCollectionName(collectionId);
+        if (!confirm(`Delete the collection "${name}" and all of its coins? This cannot be undone.`)) return;
+
+        if (collectionId === this.activeCollectionId) {
+            let other = this.collections.find(c => c.id !== collectionId);
+            if (!other) {
+                other = await this.collectionDb.createCollection('My Collection');
+            }
+            await this.switchCollection(other.id);
         }
-        
-        if (meta) {
-            const metaData = JSON.parse(meta);
-            this.nextCoinId = metaData.nextCoinId || 1;
-            this.nextAnnotationId = metaData.nextAnnotationId || 1000;
-            this.expandedCoins = new Set(metaData.expandedCoins || []);
+
+        await this.collectionDb.deleteCollection(collectionId);
+        await this.refreshCollectionList();
+        this.logToConsole(`Deleted collection "${name}"`, 'warning');
+        await this.refreshStorageEstimate();
+    }
+
+    /**
+     * Copy every coin of one collection into another, renumbering coin and
+     * annotation ids that are already taken in the target. The target is
+     * opened so the merge lands in its undo history.
+     */
+    async mergeCollections(sourceId, targetId, deleteSource = false) {
+        if (!this.collectionDb) return;
+        if (sourceId === targetId) {
+            alert('Choose two different collections to merge.');
+            return;
+        }
+
+        const sourceName = this.getCollectionName(sourceId);
+        await this.switchCollection(targetId);
+        await this.flushSave();
+
+        const source = await this.collectionDb.loadCollection(sourceId);
+        this.coinSchema.migrateCollection(
+            source.coins,
+            source.meta ? source.meta.schemaVersion || 0 : this.coinSchema.COIN_SCHEMA_VERSION
+        );
+
+        const merge = await import('./js/collectionMerge.js');
+        const result = merge.mergeCollections(
+            { coins: this.coins, meta: this.getCollectionMeta(), history: this.history.toJSON() },
+            source
+        );
+
+        this.recordEdit(`Merge "${sourceName}"`, result.incoming.map(c => c.id), () => {
+            this.coins.push(...result.incoming);
+        });
+        this.nextCoinId = result.meta.nextCoinId;
+        this.nextAnnotationId = result.meta.nextAnnotationId;
+        this.fieldDefinitions = result.meta.fieldDefinitions;
+
+        this.renderCoins();
+        await this.flushSave();
+
+        if (deleteSource) {
+            await this.collectionDb.deleteCollection(sourceId);
         }
+        await this.refreshCollectionList();
+
+        this.logToConsole(
+            `Merged ${result.incoming.length} coins from "${sourceName}" into "${this.getCollectionName(targetId)}"` +
+            (result.renumbered > 0 ? ` (${result.renumbered} renumbered)` : ''),
+            'success'
+        );
     }
 
     // Modal Management
@@ -1918,28 +4959,192 @@ class CoinCollectionManager {
 
     closeModal(modalId) {
         document.getElementById(modalId).classList.remove('active');
+        if (modalId === 'syncConflictModal') this.settleSyncConflicts(null);
     }
 
     closeAllModals() {
         document.querySelectorAll('.modal').forEach(modal => {
             modal.classList.remove('active');
         });
+        this.settleSyncConflicts(null);
     }
 
     // View Toggle
-    toggleViewMode() {
-        // This could toggle between different view layouts
-        const button = document.getElementById('viewModeText');
-        if (button.textContent === 'Analysis View') {
-            button.textContent = 'Gallery View';
-            // Implement gallery view logic
-        } else {
-            button.textContent = 'Analysis View';
-            // Implement analysis view logic
+    async toggleViewMode() {
+        await this.setViewMode(nextViewMode(this.viewMode));
+        this.saveToStorage();
+    }
+
+    async setViewMode(mode) {
+        if (mode === 'dashboard' && !this.charts) {
+            try {
+                this.charts = await import('./js/charts.js');
+            } catch (error) {
+                this.logToConsole(`Failed to load charts: ${error.message}`, 'error');
+                mode = 'analysis';
+            }
+        }
+
+        this.viewMode = mode;
+        document.getElementById('coinsContainer').classList.toggle('hidden', mode !== 'analysis');
+        document.getElementById('coinGallery').classList.toggle('hidden', mode !== 'gallery');
+        document.getElementById('statsDashboard').classList.toggle('hidden', mode !== 'dashboard');
+
+        const label = document.getElementById('viewModeText');
+        label.textContent = VIEW_MODES[mode];
+        label.parentElement.title = `Switch to ${VIEW_MODES[nextViewMode(mode)]}`;
+        this.renderCoins();
+    }
+
+    // Gallery View
+    // A dense grid of obverse thumbnails that turn to the reverse on hover;
+    // only tiles near the viewport are rendered (js/virtualList.js)
+    renderGallery() {
+        const container = document.getElementById('coinGallery');
+        if (this.viewMode !== 'gallery' || !container) return;
+
+        const coins = this.getVisibleCoins();
+        if (coins.length === 0) {
+            this.destroyGalleryList();
+            container.innerHTML = '<p class="collections-empty">No coins match the current filters</p>';
+            return;
+        }
+
+        const galleryList = this.getGalleryList();
+        if (galleryList) {
+            galleryList.setKeys(coins.map(coin => coin.id), { refresh: true });
+        }
+    }
+
+    getGalleryList() {
+        if (this.galleryList) return this.galleryList;
+        const container = document.getElementById('coinGallery');
+        if (!container || !this.virtualList) return null;
+
+        this.galleryList = new this.virtualList.VirtualList(container, {
+            renderItem: coinId => this.renderGalleryTile(this.coins.find(c => c.id === coinId)),
+            placeholderClass: () => 'gallery-tile-placeholder',
+            estimateHeight: () => 200
+        });
+        return this.galleryList;
+    }
+
+    destroyGalleryList() {
+        if (this.galleryList) {
+            this.galleryList.destroy();
+            this.galleryList = null;
         }
     }
+
+    renderGalleryTile(coin) {
+        const image = (url, side, title) => url
+            ? `<img src="${url}" alt="${this.escapeHtml(`${title} (${side})`)}" loading="lazy" decoding="async">`
+            : `<span class="gallery-placeholder"><i class="fas fa-coins"></i></span>`;
+
+        const title = coin.title || 'Untitled coin';
+        const flips = Boolean(coin.images.obverse && coin.images.reverse);
+        const details = [coin.metadata.year, coin.condition.grade].filter(Boolean).join(' · ');
+        return `
+            <button class="gallery-tile${flips ? ' flips' : ''}${this.selectedCoins.has(coin.id) ? ' selected' : ''}" onclick="openCoinCard(${coin.id})" title="Open ${this.escapeHtml(title)}">
+                <span class="gallery-coin">
+                    <span class="gallery-face gallery-obverse">${image(coin.images.obverse, 'obverse', title)}</span>
+                    ${flips ? `<span class="gallery-face gallery-reverse">${image(coin.images.reverse, 'reverse', title)}</span>` : ''}
+                </span>
+                <span class="gallery-caption">
+                    <strong>${this.escapeHtml(title)}</strong>
+                    ${details ? `<span class="text-muted">${this.escapeHtml(details)}</span>` : ''}
+                    ${coin.valuation.currentEstimate ? `<span>${this.escapeHtml(coin.valuation.currentEstimate)}</span>` : ''}
+                </span>
+            </button>
+        `;
+    }
+
+    // Statistics Dashboard
+    // Charts the coins matching the current search, filters and view
+    renderDashboard() {
+        const container = document.getElementById('statsDashboard');
+        if (this.viewMode !== 'dashboard' || !container || !this.charts) return;
+
+        const stats = this.collectionStats;
+        const { totals, ...data } = stats.dashboardStats(this.getVisibleCoins());
+        const money = value => stats.formatMoney(value);
+        const count = value => value.toLocaleString();
+        const scenarioLabel = key => key.charAt(0).toUpperCase() + key.slice(1);
+        const panel = (title, chart, wide = false) => `
+            <div class="dashboard-panel${wide ? ' dashboard-panel-wide' : ''}">
+                <h4>${title}</h4>
+                ${chart}
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="dashboard-totals">
+                <div class="dashboard-stat"><span>${count(totals.count)}</span>Coins</div>
+                <div class="dashboard-stat"><span>${money(totals.estimated)}</span>Estimated value (${totals.valued} valued)</div>
+                <div class="dashboard-stat"><span>${totals.costed > 0 ? money(totals.cost) : '-'}</span>Cost basis</div>
+                <div class="dashboard-stat"><span>${totals.countries}</span>Countries</div>
+                <div class="dashboard-stat"><span>${totals.years || '-'}</span>Years</div>
+            </div>
+            <div class="dashboard-grid">
+                ${panel('Coins by Country', this.charts.barChart(data.byCountry, { formatValue: count, title: 'Coins by country' }))}
+                ${panel('Coins by Metal', this.charts.donutChart(data.byMetal, { formatValue: count, title: 'Coins by metal' }))}
+                ${panel('Coins by Decade', this.charts.columnChart(data.byDecade, { formatValue: count, title: 'Coins by decade' }))}
+                ${panel('Coins by Grade', this.charts.columnChart(data.byGrade, { formatValue: count, title: 'Coins by grade' }))}
+                ${panel('Estimated Value by Country', this.charts.barChart(data.valueByCountry, { formatValue: money, title: 'Estimated value by country' }))}
+                ${panel('Estimated Value by Metal', this.charts.barChart(data.valueByMetal, { formatValue: money, title: 'Estimated value by metal' }))}
+                ${panel('Valuation Scenario Spread', this.charts.rangeChart(
+                    data.scenarios.map(scenario => ({ ...scenario, label: `${scenarioLabel(scenario.key)} (${scenario.count})` })),
+                    { formatValue: money, title: 'Summed low and high value of each valuation scenario' }
+                ), true)}
+                ${panel('Top 10 Most Valuable', data.topCoins.length > 0 ? `
+                    <ol class="dashboard-top-coins">
+                        ${data.topCoins.map((coin, index) => `
+                            <li>
+                                <span class="text-muted">${index + 1}.</span>
+                                <a href="#" onclick="openCoinCard(${coin.id}); return false;">${this.escapeHtml(coin.title || 'Untitled coin')}</a>
+                                <span class="text-muted">${this.escapeHtml(coin.condition?.grade || '')}</span>
+                                <strong>${money(stats.parseEstimate(coin.valuation.currentEstimate))}</strong>
+                            </li>
+                        `).join('')}
+                    </ol>
+                ` : '<p class="chart-empty">Add current estimates to rank coins by value</p>', true)}
+            </div>
+        `;
+    }
+
+    // Leave the gallery or dashboard for the full card of one coin
+    async openCoinCard(coinId) {
+        await this.setViewMode('analysis');
+        this.saveToStorage();
+        setTimeout(() => {
+            if (this.scrollToCoin(coinId) && !this.expandedCoins.has(coinId)) {
+                toggleCoinExpansion(coinId);
+            }
+        }, 150);
+    }
+}
+
+// Layouts toggleViewMode() cycles through, with their button labels
+const VIEW_MODES = {
+    analysis: 'Analysis View',
+    gallery: 'Gallery View',
+    dashboard: 'Dashboard'
+};
+
+function nextViewMode(mode) {
+    const modes = Object.keys(VIEW_MODES);
+    return modes[(modes.indexOf(mode) + 1) % modes.length];
 }
 
+// Pages of the guided condition assessment, in order
+const CONDITION_WIZARD_STEPS = [
+    { id: 'wear', label: 'Wear' },
+    { id: 'surface', label: 'Luster & Strike' },
+    { id: 'marks', label: 'Marks' },
+    { id: 'problems', label: 'Problems' },
+    { id: 'result', label: 'Grade' }
+];
+
 // Initialize the application
 let coinManager;
 
@@ -1948,6 +5153,180 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 // Global functions for HTML event handlers
+function openCoinCard(coinId) {
+    coinManager.openCoinCard(coinId);
+}
+
+function toggleAuditTimeline(coinId) {
+    coinManager.toggleAuditTimeline(coinId);
+}
+
+function setAuditFilter(coinId, section) {
+    coinManager.setAuditFilter(coinId, section);
+}
+
+function setAuditAuthor(name) {
+    coinManager.setAuditAuthor(name);
+}
+
+function restoreAuditValue(coinId, seq) {
+    coinManager.restoreAuditValue(coinId, seq);
+}
+
+function exportAuditLog(coinId) {
+    coinManager.exportAuditLog(coinId);
+}
+
+function updateCoinAcquisition(coinId, field, value) {
+    coinManager.updateAcquisition(coinId, field, value);
+}
+
+function addProvenanceEntry(coinId) {
+    coinManager.addProvenanceEntry(coinId);
+}
+
+function updateProvenanceEntry(coinId, entryId, field, value) {
+    coinManager.updateProvenanceEntry(coinId, entryId, field, value);
+}
+
+function moveProvenanceEntry(coinId, entryId, offset) {
+    coinManager.moveProvenanceEntry(coinId, entryId, offset);
+}
+
+function removeProvenanceEntry(coinId, entryId) {
+    coinManager.removeProvenanceEntry(coinId, entryId);
+}
+
+function attachCoinDocument(coinId, entryId, mediaId) {
+    coinManager.attachDocument(coinId, entryId, mediaId);
+}
+
+function detachCoinDocument(coinId, entryId, mediaId) {
+    coinManager.detachDocument(coinId, entryId, mediaId);
+}
+
+function updateCustomField(coinId, key, input) {
+    const error = coinManager.updateCustomField(coinId, key, input.value);
+    input.setCustomValidity(error || '');
+    if (error) input.reportValidity();
+}
+
+function openCustomFields() {
+    coinManager.showCustomFieldsModal();
+}
+
+function updateFieldTypeInputs() {
+    coinManager.updateFieldTypeInputs();
+}
+
+function saveCustomField() {
+    coinManager.saveFieldDefinition();
+}
+
+function editCustomField(key) {
+    coinManager.editCustomField(key);
+}
+
+function deleteCustomField(key) {
+    coinManager.deleteCustomField(key);
+}
+
+function cancelCustomFieldEdit() {
+    coinManager.resetFieldForm();
+    coinManager.renderFieldDefinitionsList();
+}
+
+function addCoinTags(coinId, text) {
+    coinManager.addCoinTags(coinId, text);
+}
+
+function removeCoinTag(coinId, tag) {
+    coinManager.removeCoinTag(coinId, tag);
+}
+
+function promptAddMediaTag(coinId, mediaId) {
+    const text = prompt('Add tags to this media item (comma-separated):');
+    if (text) {
+        coinManager.addMediaTags(coinId, mediaId, text);
+    }
+}
+
+function openSmartSets() {
+    coinManager.showSmartSetsModal();
+}
+
+function previewSmartSetRule(text) {
+    coinManager.previewSmartSetRule(text);
+}
+
+function saveSmartSet() {
+    coinManager.saveSmartSet();
+}
+
+function editSmartSet(setId) {
+    coinManager.editSmartSet(setId);
+}
+
+function deleteSmartSet(setId) {
+    coinManager.deleteSmartSet(setId);
+}
+
+function viewSmartSet(setId) {
+    coinManager.viewSmartSet(setId);
+}
+
+function toggleCoinSelection(coinId, selected, extendRange) {
+    coinManager.toggleCoinSelection(coinId, selected, extendRange);
+}
+
+function selectAllFilteredCoins() {
+    coinManager.selectAllFiltered();
+}
+
+function clearCoinSelection() {
+    coinManager.clearSelection();
+}
+
+function showBulkEdit() {
+    coinManager.showBulkEditModal();
+}
+
+function applyBulkEdit() {
+    coinManager.applyBulkEdit();
+}
+
+function showBulkMove() {
+    coinManager.showBulkMoveModal();
+}
+
+function moveSelectedCoins() {
+    coinManager.moveSelectedCoins(document.getElementById('bulkMoveTarget').value);
+}
+
+function reanalyzeSelectedCoins() {
+    coinManager.reanalyzeSelectedCoins();
+}
+
+function exportSelectedCoins() {
+    coinManager.exportSelectedCoins();
+}
+
+function deleteSelectedCoins() {
+    coinManager.deleteSelectedCoins();
+}
+
+function updateCoinFilter(key, value) {
+    coinManager.updateFilter(key, value);
+}
+
+function toggleCoinSortDirection() {
+    coinManager.toggleSortDirection();
+}
+
+function clearCoinFilter() {
+    coinManager.clearFilter();
+}
+
 function addNewCoin() {
     coinManager.addCoin();
 }
@@ -1968,14 +5347,17 @@ function toggleCoinExpansion(coinId) {
         chevron.style.transform = 'rotate(0deg)';
         coinManager.expandedCoins.delete(coinId);
     } else {
-        // Expand coin
+        // Expand coin; collapsed cards are rendered without their content
+        const coin = coinManager.coins.find(c => c.id === coinId);
+        coinManager.expandedCoins.add(coinId);
+        if (coin && content.childElementCount === 0) {
+            content.innerHTML = coinManager.renderCoinContent(coin);
+        }
         content.style.display = 'block';
         card.classList.add('expanded');
         chevron.style.transform = 'rotate(180deg)';
-        coinManager.expandedCoins.add(coinId);
         
         // Auto-trigger market search after expansion
-        const coin = coinManager.coins.find(c => c.id === coinId);
         if (coin && coin.metadata.country && coin.metadata.year && coin.metadata.denomination) {
             setTimeout(() => autoSearchForCoin(coinId), 3000);
         }
@@ -2017,6 +5399,7 @@ function handleAnnotationMouseDown(event, annotationId) {
     
     if (coinManager.currentMode === 'move') {
         let isDragging = true;
+        let position = null;
         const annotation = event.currentTarget;
         const overlay = annotation.parentElement;
         
@@ -2029,14 +5412,17 @@ function handleAnnotationMouseDown(event, annotationId) {
             
             annotation.style.left = x + 'px';
             annotation.style.top = y + 'px';
-            
-            coinManager.updateAnnotation(annotationId, { x, y });
+            position = { x, y };
         }
         
+        // Commit the drag as a single undoable move
         function handleMouseUp() {
             isDragging = false;
             document.removeEventListener('mousemove', handleMouseMove);
             document.removeEventListener('mouseup', handleMouseUp);
+            if (position) {
+                coinManager.updateAnnotation(annotationId, position);
+            }
         }
         
         document.addEventListener('mousemove', handleMouseMove);
@@ -2063,37 +5449,74 @@ function updateCoinField(coinId, field, value) {
 }
 
 function updateCoinMetadata(coinId, field, value) {
-    const coin = coinManager.coins.find(c => c.id === coinId);
-    if (coin) {
-        coin.metadata[field] = value;
-        coinManager.saveToStorage();
-    }
+    coinManager.updateCoinSection(coinId, 'metadata', field, value);
+}
+
+function updateCoinGrade(coinId, part, value) {
+    coinManager.updateCoinGrade(coinId, part, value);
+}
+
+function showConditionWizard(coinId) {
+    coinManager.showConditionWizard(coinId);
+}
+
+function setWizardAnswer(key, value, checked) {
+    coinManager.setWizardAnswer(key, value, checked);
+}
+
+function wizardStep(delta) {
+    coinManager.wizardStep(delta);
+}
+
+function saveConditionAssessment(gradeNumber) {
+    coinManager.saveConditionAssessment(gradeNumber);
+}
+
+function setCollectionSync(enabled) {
+    coinManager.setCollectionSync(enabled);
+}
+
+function setSyncName(name) {
+    coinManager.setSyncName(name);
+}
+
+function syncNow() {
+    coinManager.syncCollection();
+}
+
+function retryOutbox() {
+    coinManager.retryOutbox();
+}
+
+function resolveSyncConflicts(apply) {
+    coinManager.resolveSyncConflicts(apply);
 }
 
 function updateCoinCondition(coinId, field, value) {
-    const coin = coinManager.coins.find(c => c.id === coinId);
-    if (coin) {
-        coin.condition[field] = value;
-        coinManager.saveToStorage();
-    }
+    coinManager.updateCoinSection(coinId, 'condition', field, value);
 }
 
 function updateCoinValuation(coinId, field, value) {
-    const coin = coinManager.coins.find(c => c.id === coinId);
-    if (coin) {
-        coin.valuation[field] = value;
-        coinManager.saveToStorage();
+    coinManager.updateCoinSection(coinId, 'valuation', field, value);
+    if (field === 'currentEstimate') {
+        // Unrealized gain on the card and in the toolbar
+        coinManager.renderCoin(coinId);
+        coinManager.renderCollectionSummary();
     }
 }
 
 function updateValuationScenario(coinId, scenario, field, value) {
-    const coin = coinManager.coins.find(c => c.id === coinId);
-    if (coin) {
-        coin.valuation.scenarios[scenario][field] = parseFloat(value) || 0;
-        coinManager.saveToStorage();
-        // Re-render just the valuation section to update display
-        setTimeout(() => coinManager.renderCoins(), 100);
-    }
+    coinManager.updateValuationScenario(coinId, scenario, field, value);
+    // Re-render just this card to update the valuation display
+    coinManager.renderCoin(coinId);
+}
+
+function undoEdit() {
+    coinManager.undo();
+}
+
+function redoEdit() {
+    coinManager.redo();
 }
 
 function toggleComparisonView() {
@@ -2124,13 +5547,11 @@ async function reanalyzeWithAI(coinId) {
     try {
         // Re-analyze both sides if images exist
         if (coin.images.obverse) {
-            // Use the data URL directly
-            await coinManager.analyzeImage(coinId, 'obverse', coin.images.obverse);
+            await coinManager.analyzeImage(coinId, 'obverse', await coinManager.loadAnalysisImage(coin, 'obverse'));
         }
         
         if (coin.images.reverse) {
-            // Use the data URL directly
-            await coinManager.analyzeImage(coinId, 'reverse', coin.images.reverse);
+            await coinManager.analyzeImage(coinId, 'reverse', await coinManager.loadAnalysisImage(coin, 'reverse'));
         }
         
         if (window.location.search.includes('debug=true')) {
@@ -2320,10 +5741,109 @@ function performExport() {
     coinManager.exportCollection();
 }
 
+function importCollection() {
+    coinManager.showImportPicker();
+}
+
+function handleImportFile(input) {
+    const file = input.files[0];
+    // Reset so choosing the same file again still fires change
+    input.value = '';
+    coinManager.importCollectionFile(file);
+}
+
+function setImportAction(index, action) {
+    coinManager.setImportAction(index, action);
+}
+
+function setAllImportActions(action) {
+    coinManager.setAllImportActions(action);
+}
+
+function performImport() {
+    coinManager.performImport();
+}
+
+function updateExportOptions() {
+    coinManager.updateExportOptions();
+}
+
+function toggleCsvColumn(key, selected) {
+    coinManager.toggleCsvColumn(key, selected);
+}
+
+function setAllCsvColumns(selected) {
+    coinManager.setAllCsvColumns(selected);
+}
+
+function applyCsvMapping() {
+    coinManager.applyCsvMapping();
+}
+
 function toggleViewMode() {
     coinManager.toggleViewMode();
 }
 
+// Settings Functions
+function openSettings() {
+    coinManager.showSettings();
+}
+
+function selectStorageProvider(type) {
+    coinManager.selectStorageProvider(type);
+}
+
+function chooseStorageFolder() {
+    coinManager.chooseStorageFolder();
+}
+
+function saveSettings() {
+    coinManager.saveSettings();
+}
+
+function resetSettings() {
+    coinManager.resetSettings();
+}
+
+function testConnection() {
+    coinManager.testConnection();
+}
+
+// Collection Functions
+function switchCollection(collectionId) {
+    coinManager.switchCollection(collectionId);
+}
+
+function openCollectionsManager() {
+    coinManager.renderCollectionsManager();
+    coinManager.showModal('collectionsModal');
+}
+
+function createCollection() {
+    const input = document.getElementById('newCollectionName');
+    if (!input.value.trim()) {
+        input.focus();
+        return;
+    }
+    coinManager.createCollection(input.value);
+    input.value = '';
+}
+
+function renameCollection(collectionId, name) {
+    coinManager.renameCollection(collectionId, name);
+}
+
+function deleteCollection(collectionId) {
+    coinManager.deleteCollection(collectionId);
+}
+
+function mergeCollections() {
+    const sourceId = document.getElementById('mergeSourceSelect').value;
+    const targetId = document.getElementById('mergeTargetSelect').value;
+    const deleteSource = document.getElementById('mergeDeleteSource').checked;
+    coinManager.mergeCollections(sourceId, targetId, deleteSource);
+}
+
 function closeModal(modalId) {
     coinManager.closeModal(modalId);
 }
@@ -2383,7 +5903,7 @@ function openImageZoom(side, coinId) {
                     <button class="btn btn-secondary" onclick="toggleImageZoom()">
                         <i class="fas fa-search-plus"></i> Zoom
                     </button>
-                    <button class="btn btn-secondary" onclick="downloadMedia('${coin.images[side]}', '${coin.title}_${side}')">
+                    <button class="btn btn-secondary" id="zoomDownload" onclick="downloadMedia('${coin.images[side]}', '${coin.title}_${side}')">
                         <i class="fas fa-download"></i> Download
                     </button>
                     <button class="btn btn-secondary" onclick="setMode('annotate'); closeModal('imageZoomModal');">
@@ -2395,6 +5915,12 @@ function openImageZoom(side, coinId) {
     `;
     
     document.body.appendChild(modal);
+    coinManager.showOriginalImage(
+        modal.querySelector('#zoomableImage'),
+        coin.originals?.[side],
+        modal.querySelector('#zoomDownload'),
+        `${coin.title}_${side}`
+    );
     
     // Add zoom functionality
     let zoomed = false;
@@ -2459,7 +5985,7 @@ function openMediaModal(mediaId, coinId) {
                     <button class="btn btn-secondary" onclick="toggleZoom()">
                         <i class="fas fa-search-plus"></i> Zoom
                     </button>
-                    <button class="btn btn-secondary" onclick="downloadMedia('${media.url}', '${media.title}')">
+                    <button class="btn btn-secondary" id="mediaDownload" onclick="downloadMedia('${media.url}', '${media.title}')">
                         <i class="fas fa-download"></i> Download
                     </button>
                 </div>
@@ -2469,6 +5995,9 @@ function openMediaModal(mediaId, coinId) {
     `;
     
     document.body.appendChild(modal);
+    if (media.type === 'image') {
+        coinManager.showOriginalImage(modal.querySelector('#zoomableMedia'), media.original, modal.querySelector('#mediaDownload'), media.title);
+    }
     
     // Add zoom functionality
     let zoomed = false;